@@ -46,6 +46,10 @@ const config = {
         laserstream: process.env.LASERSTREAM_GRPC_URL,
     },
 
+    // --- Jupiter Swap API ---
+    // Quote and swap endpoints for tokens routed through Jupiter; the swap endpoint returns a ready versioned transaction
+    JUPITER_API_URL: process.env.JUPITER_API_URL || 'https://lite-api.jup.ag/swap/v1',
+
     // --- ⭐ NEW: LASERSTREAM PERFORMANCE TUNING ---
     // This is the critical gRPC configuration for the LaserStream SDK.
     LASERSTREAM_CONFIG: {
@@ -74,6 +78,78 @@ const config = {
     // --- Performance & Execution ---
     MAX_RETRIES: parseInt(process.env.MAX_RETRIES) || 3,
     DEFAULT_JITO_TIP_LAMPORTS: parseInt(process.env.DEFAULT_JITO_TIP_LAMPORTS, 10) || 10000,
+    // Ceiling on a compute-unit price copied from a trader in mirror mode, whatever their price times the multiplier comes to
+    MAX_MIRRORED_PRIORITY_FEE_MICROLAMPORTS: parseInt(process.env.MAX_MIRRORED_PRIORITY_FEE_MICROLAMPORTS, 10) || 5000000,
+
+    // --- Jito Bundle Submission ---
+    // BLOCK_ENGINE_URL can point at a local stand-in that speaks the same JSON-RPC (sendBundle / getInflightBundleStatuses)
+    JITO_BUNDLES: {
+        ENABLED: process.env.JITO_BUNDLE_MODE === 'true',
+        BLOCK_ENGINE_URL: process.env.JITO_BLOCK_ENGINE_URL || 'https://mainnet.block-engine.jito.wtf',
+        AUTH_UUID: process.env.JITO_AUTH_UUID || null,
+        STATUS_POLL_INTERVAL_MS: parseInt(process.env.JITO_STATUS_POLL_INTERVAL_MS, 10) || 1000,
+        STATUS_TIMEOUT_MS: parseInt(process.env.JITO_STATUS_TIMEOUT_MS, 10) || 30000
+    },
+
+    // --- Multi-Path Race ---
+    // Broadcasts one signed transaction through direct RPC + Helius Sender (+ a Jito bundle when INCLUDE_BUNDLE)
+    TX_RACE: {
+        ENABLED: process.env.TX_RACE_MODE === 'true',
+        INCLUDE_BUNDLE: process.env.TX_RACE_INCLUDE_BUNDLE === 'true'
+    },
+
+    // --- Durable Nonce ---
+    // Copies from wallets that have a nonce account use it instead of a recent blockhash.
+    // One nonce per wallet means trades from the same wallet must not overlap, or the later one fails on a stale nonce.
+    DURABLE_NONCE: {
+        ENABLED: process.env.DURABLE_NONCE_MODE === 'true'
+    },
+
+    // --- Pre-Signed Exits ---
+    // Keeps a signed full-exit sell for the position each wallet last traded (one per nonce account) so exits skip the build step.
+    // Stop-loss and trailing-stop exits always build fresh: the stored minimum output was quoted above their trigger price.
+    PRESIGNED_EXITS: {
+        ENABLED: process.env.PRESIGNED_EXITS === 'true'
+    },
+
+    // --- Trade Job Queue ---
+    // Copy jobs are queued in Redis before the executor is signalled. A job not acked within the visibility timeout
+    // is delivered again, up to MAX_ATTEMPTS; after that, or once it is too old to be worth copying, it is dead-lettered.
+    TRADE_QUEUE: {
+        VISIBILITY_TIMEOUT_MS: parseInt(process.env.TRADE_QUEUE_VISIBILITY_TIMEOUT_MS, 10) || 60000,
+        MAX_ATTEMPTS: parseInt(process.env.TRADE_QUEUE_MAX_ATTEMPTS, 10) || 3,
+        RETRY_DELAY_MS: 2000,
+        MAX_JOB_AGE_MS: parseInt(process.env.TRADE_QUEUE_MAX_JOB_AGE_MS, 10) || 120000,
+        POLL_INTERVAL_MS: 1000,
+        JOB_TTL_SECONDS: 60 * 60,
+        DEAD_LETTER_MAX: 200,
+        DEAD_LETTER_TTL_SECONDS: 7 * 24 * 60 * 60,
+        // A copy whose lifecycle record hasn't moved for this long is marked expired
+        STALE_TRADE_MS: 5 * 60 * 1000
+    },
+
+    // --- Consensus Signals ---
+    // The monitor records every tracked buy per mint; a user in consensus mode holds their group's buys until enough
+    // of the group bought within their window. Windows can't outlast the stale-trade sweep, which expires held copies.
+    CONSENSUS: {
+        DEFAULT_WINDOW_SECONDS: 120,
+        MAX_WINDOW_SECONDS: 300,
+        SIGNAL_TTL_SECONDS: 300
+    },
+
+    // --- Manual Trading ---
+    // SOL buttons on the quick-buy card shown when a user pastes a bare mint address into the chat
+    QUICK_BUY_SOL_AMOUNTS: (process.env.QUICK_BUY_SOL_AMOUNTS || '0.1,0.25,0.5,1')
+        .split(',').map(parseFloat).filter(amount => amount > 0),
+
+    // --- Token Safety Checks ---
+    // Mint inspection results are cached per mint; holder and LP numbers move, so keep the TTL short
+    TOKEN_SAFETY: {
+        CACHE_TTL_SECONDS: parseInt(process.env.TOKEN_SAFETY_CACHE_TTL_SECONDS, 10) || 300,
+        MAX_TOP_HOLDER_PERCENT: parseFloat(process.env.TOKEN_SAFETY_MAX_TOP_HOLDER_PERCENT) || 20,
+        MAX_TOP10_PERCENT: parseFloat(process.env.TOKEN_SAFETY_MAX_TOP10_PERCENT) || 50,
+        MAX_LP_UNLOCKED_PERCENT: parseFloat(process.env.TOKEN_SAFETY_MAX_LP_UNLOCKED_PERCENT) || 50
+    },
     
     // --- Transaction Filtering ---
     TRANSACTION_FILTERING: {
@@ -101,6 +177,7 @@ const config = {
     TOKEN_PROGRAM_ID: SPL_TOKEN_PROGRAM_ID,
     TOKEN_2022_PROGRAM_ID: new PublicKey('TokenzQdBNbLqP5VEhdkAS6EPFLC1PHnBqCXEpPxuEb'),
     ASSOCIATED_TOKEN_PROGRAM_ID: SPL_ASSOCIATED_TOKEN_PROGRAM_ID,
+    MEMO_PROGRAM_ID: new PublicKey('MemoSq4gqABAXKb96qnH8TysNcWxMyWCqXgDLGmfcHr'),
     RENT_PUBKEY: SYSVAR_RENT_PUBKEY,
     CLOCK_PUBKEY: SYSVAR_CLOCK_PUBKEY,
     COMPUTE_BUDGET_PROGRAM_ID: ComputeBudgetProgram.programId,
@@ -171,6 +248,8 @@ const config = {
         FEE_PROGRAM: new PublicKey('pfeeUxB6jkeY1Hxd7CsFCAjcbHA9rWtchMGdZ6VojVZ'),
         BUY_DISCRIMINATOR: Buffer.from('169168196c813e37', 'hex'),
         SELL_DISCRIMINATOR: Buffer.from('43a0271383796d13', 'hex'),
+        INITIAL_REAL_TOKEN_RESERVES: 793100000000000n, // 793.1M tokens (6 decimals) sold along the curve before it completes
+        TOTAL_FEE_BPS: 125, // protocol 95 + coin creator 30, taken from the SOL side; used to quote the minimum SOL out on sells
     },
     
     // --- PUMP.FUN AMM Constants (For Post-Migration Trading) ---
@@ -178,6 +257,7 @@ const config = {
         GLOBAL_CONFIG: new PublicKey('4wTV1YmiEkRvAtNtsSGPtUrqRYQMe5SKy2uB4JCNsSNk'), 
         FEE_PROGRAM: new PublicKey('pfeeUxB6jkeY1Hxd7CsFCAjcbHA9rWtchMGdZ6VojVZ'), // Same as bonding curve
         EVENT_AUTHORITY: new PublicKey('CEntr3oDe4kAv3g4StGgG3sCjwsUQu3JTT5sSxxHgas'), // Same as bonding curve
+        TOTAL_FEE_BPS: 30, // LP 20 + protocol 5 + coin creator 5, used to size base_amount_out on buys
     },
     
     // Native SOL mint address
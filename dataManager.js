@@ -8,6 +8,36 @@ const fs = require('fs').promises;
 const path = require('path');
 const BN = require('bn.js');
 
+// Paper portfolio and fill log live for a week so a trader can be evaluated over several days
+const PAPER_TTL_SECONDS = 7 * 24 * 60 * 60;
+const PAPER_FILLS_MAX = 500;
+
+// Realized PnL entries only need to cover the risk manager's 24h loss window
+const REALIZED_PNL_TTL_SECONDS = 2 * 24 * 60 * 60;
+const REALIZED_PNL_MAX = 500;
+
+// Copy lifecycle records back /trades: kept a week, and each user's index holds the latest 50
+const TRADE_RECORD_TTL_SECONDS = 7 * 24 * 60 * 60;
+const TRADE_HISTORY_MAX = 50;
+
+// detected → queued → building → sent → confirmed | failed | expired. cancelled is the user stopping a copy before it is sent;
+// skipped is a copy the user's own rules (filters, risk limits, copy mode, no position to sell) stopped before it was sent.
+const TRADE_TRANSITIONS = {
+    detected: ['queued', 'failed', 'expired', 'cancelled', 'skipped'],
+    // Consensus mode: a queued buy waits for the user's trader group, then is merged into the copy that fires (or was already counted in one)
+    queued: ['building', 'failed', 'expired', 'cancelled', 'held', 'merged', 'skipped'],
+    building: ['sent', 'failed', 'expired', 'cancelled', 'skipped'],
+    held: ['merged', 'expired', 'cancelled'],
+    sent: ['confirmed', 'failed', 'expired'],
+    confirmed: [],
+    merged: [],
+    failed: [],
+    skipped: [],
+    expired: [],
+    cancelled: []
+};
+const TERMINAL_TRADE_STATES = Object.keys(TRADE_TRANSITIONS).filter(state => TRADE_TRANSITIONS[state].length === 0);
+
 class DataManager {
     constructor(redisManager = null) {
         this.dataPath = path.join(__dirname, 'data');
@@ -172,6 +202,7 @@ class DataManager {
             name: name,
             wallet: wallet,
             active: false, // New traders are inactive by default - user must manually activate them
+            settings: {}, // Per-trader copy settings; see updateTraderSettings
             created_at: new Date().toISOString(),
             updated_at: new Date().toISOString()
         };
@@ -216,6 +247,63 @@ class DataManager {
         return { changes: 1 };
     }
 
+    // Copy settings for one trader: sizingMode ('fixed' | 'scale' | 'percent'), solAmount, scaleFactor, percentOfTrader,
+    // maxSolPerTrade, slippageBps, copyMode ('both' | 'buys' | 'sells') and dailySpendCapSol. A null value removes the
+    // key so the executor falls back to the user's and then the global setting.
+    async updateTraderSettings(chatId, traderName, changes) {
+        const user = await this.getUser(chatId);
+        if (!user) {
+            throw new Error(`User with chat_id ${chatId} not found`);
+        }
+
+        const traders = await this.readJsonFile('traders.json');
+        const trader = traders.traders[user.id]?.[traderName];
+        if (!trader) {
+            throw new Error(`Trader ${traderName} not found for user ${user.id}`);
+        }
+
+        const copySettings = { ...(trader.settings || {}) };
+        for (const [key, value] of Object.entries(changes)) {
+            if (value === null) {
+                delete copySettings[key];
+            } else {
+                copySettings[key] = value;
+            }
+        }
+
+        trader.settings = copySettings;
+        trader.updated_at = new Date().toISOString();
+        await this.writeJsonFile('traders.json', traders);
+        console.log(`[JSON-DB] Updated copy settings for trader ${traderName} of user ${chatId}: ${JSON.stringify(copySettings)}`);
+        return copySettings;
+    }
+
+    // Returns every user that has the given trader wallet active, with their own trader entry
+    async getUsersCopyingTrader(traderWallet) {
+        const traders = await this.readJsonFile('traders.json');
+        const users = await this.readJsonFile('users.json');
+        const copiers = [];
+
+        if (!traderWallet || !traders?.traders || !users?.users) {
+            return copiers;
+        }
+
+        for (const [chatId, user] of Object.entries(users.users)) {
+            if (user.is_active === false) continue;
+
+            const userTraders = traders.traders[user.id] || {};
+            const trader = Object.values(userTraders).find(t =>
+                t.wallet === traderWallet && (t.active === true || t.active === 1)
+            );
+
+            if (trader) {
+                copiers.push({ chatId: String(chatId), user, trader });
+            }
+        }
+
+        return copiers;
+    }
+
     async deleteTrader(userId, traderName) {
         const traders = await this.readJsonFile('traders.json');
         if (traders.traders[userId] && traders.traders[userId][traderName]) {
@@ -647,7 +735,27 @@ class DataManager {
                 defaultSolAmount: 0.1,
                 maxPositions: 100,
                 stopLoss: 0.0,
-                takeProfit: 0.0
+                takeProfit: 0.0,
+                trailingStop: 0.0,
+                takeProfitLadder: [], // e.g. [{ multiple: 2, fraction: 0.3 }, { multiple: 4, fraction: 0.3 }]
+                paperTrading: false, // true = every user simulates copies instead of sending them, unless their own setting says otherwise
+                copyMode: 'both', // 'both' | 'buys' | 'sells'; traders and users can override
+                dailySpendCapSol: 0, // SOL a user may spend per trader per UTC day; 0 = no cap
+                maxTotalExposureSol: 0, // SOL cost basis across all open positions; 0 = no limit
+                maxTokenExposureSol: 0, // SOL cost basis in any one token; 0 = no limit
+                dailyLossLimitSol: 0, // net realized loss over the last 24h that stops new buys; 0 = no limit
+                minLiquiditySol: 0, // SOL in the curve or pool at copy time; 0 = no bound (same for the four below)
+                maxLiquiditySol: 0,
+                minMarketCapSol: 0,
+                maxMarketCapSol: 0,
+                maxCurveProgressPercent: 0, // Pump.fun bonding curve completion past which buys are skipped
+                walletStrategy: 'primary', // 'primary' | 'roundrobin' | 'split'; which of a user's wallets buy
+                splitWalletCount: 0, // wallets a 'split' buy is spread over; 0 = all of them
+                slippageMode: 'fixed', // 'fixed' = botSettings.maxSlippage (or slippageBps); 'mirror' = the trader's own slippage and compute-unit price
+                minSlippageBps: 100, // bounds on a mirrored slippage
+                maxSlippageBps: 2500,
+                priorityFeeMultiplier: 1, // applied to the trader's compute-unit price in mirror mode
+                tokenSafety: {} // per-check 'block' | 'warn' | 'allow' for the pre-buy token checks; unset checks use tokenSafetyChecker's defaults
             },
             settings: {}
         };
@@ -734,6 +842,7 @@ class DataManager {
         const positionKey = `portfolio:${chatId}:${tokenMint}`;
         try {
             await this.redisManager.del(positionKey);
+            await this.redisManager.del(`portfolio_state:${chatId}:${tokenMint}`);
             this.logger.info(`[PORTFOLIO] ✅ Position removed for user ${chatId}, token ${tokenMint}`);
             return true;
         } catch (error) {
@@ -750,7 +859,7 @@ class DataManager {
         }
 
         try {
-            const keys = await this.redisManager.keys(`portfolio:${chatId}:*`);
+            const keys = await this.redisManager.client.keys(`portfolio:${chatId}:*`);
             const positions = {};
             
             for (const key of keys) {
@@ -769,11 +878,380 @@ class DataManager {
         }
     }
 
+    async updatePositionFields(chatId, tokenMint, fields) {
+        if (!this.redisManager) {
+            const { RedisManager } = require('./redis/redisManager');
+            this.redisManager = new RedisManager();
+            await this.redisManager.initialize();
+        }
+
+        const positionKey = `portfolio:${chatId}:${tokenMint}`;
+        try {
+            const existingPosition = await this.getPosition(chatId, tokenMint);
+            if (!existingPosition) {
+                this.logger.warn(`[PORTFOLIO] ⚠️ No position found to update for user ${chatId}, token ${tokenMint}`);
+                return false;
+            }
+
+            Object.assign(existingPosition, fields, { lastUpdated: new Date().toISOString() });
+
+            await this.redisManager.setObject(positionKey, existingPosition, 86400);
+            this.logger.info(`[PORTFOLIO] ✅ Position fields updated for user ${chatId}, token ${tokenMint}: ${Object.keys(fields).join(', ')}`);
+            return true;
+        } catch (error) {
+            this.logger.error(`[PORTFOLIO] ❌ Failed to update position fields for user ${chatId}, token ${tokenMint}:`, error);
+            return false;
+        }
+    }
+
+    // Every open position across all users, for the portfolio monitor's exit engine
+    async getAllOpenPositions() {
+        if (!this.redisManager) {
+            const { RedisManager } = require('./redis/redisManager');
+            this.redisManager = new RedisManager();
+            await this.redisManager.initialize();
+        }
+
+        try {
+            const keys = await this.redisManager.client.keys('portfolio:*');
+            const positions = [];
+
+            for (const key of keys) {
+                const [, chatId, tokenMint] = key.split(':');
+                if (!chatId || !tokenMint) continue;
+
+                const position = await this.redisManager.getObject(key);
+                if (position) {
+                    positions.push({ chatId, tokenMint, position });
+                }
+            }
+
+            return positions;
+        } catch (error) {
+            this.logger.error(`[PORTFOLIO] ❌ Failed to list open positions:`, error);
+            return [];
+        }
+    }
+
+    // ========================= POSITION EXIT STATE ========================
+    // Trailing-stop high-water mark and take-profit ladder progress, kept beside portfolio:{chatId}:{mint}
+
+    async getPositionExitState(chatId, tokenMint) {
+        if (!this.redisManager) {
+            const { RedisManager } = require('./redis/redisManager');
+            this.redisManager = new RedisManager();
+            await this.redisManager.initialize();
+        }
+
+        return await this.redisManager.getObject(`portfolio_state:${chatId}:${tokenMint}`);
+    }
+
+    async setPositionExitState(chatId, tokenMint, state) {
+        if (!this.redisManager) {
+            const { RedisManager } = require('./redis/redisManager');
+            this.redisManager = new RedisManager();
+            await this.redisManager.initialize();
+        }
+
+        state.updatedAt = new Date().toISOString();
+        return await this.redisManager.setObject(`portfolio_state:${chatId}:${tokenMint}`, state, 86400); // same TTL as the position
+    }
+
+    async markLadderStepHit(chatId, tokenMint, multiple) {
+        const state = await this.getPositionExitState(chatId, tokenMint);
+        if (!state) {
+            this.logger.warn(`[PORTFOLIO] ⚠️ No exit state to update for user ${chatId}, token ${tokenMint}`);
+            return false;
+        }
+
+        state.ladderHits = Array.from(new Set([...(state.ladderHits || []), multiple]));
+        await this.setPositionExitState(chatId, tokenMint, state);
+        this.logger.info(`[PORTFOLIO] 🪜 Ladder step ${multiple}x recorded for user ${chatId}, token ${tokenMint}`);
+        return true;
+    }
+
     async hasPosition(chatId, tokenMint) {
         const position = await this.getPosition(chatId, tokenMint);
         return position !== null && position.tokenAmount > 0;
     }
 
+    // ========================= PAPER PORTFOLIO ========================
+    // Virtual fills from paper-trading mode, kept apart from the real portfolio:* keys so the exit engine never sells them
+
+    async addPaperPosition(chatId, tokenMint, positionData) {
+        if (!this.redisManager) {
+            const { RedisManager } = require('./redis/redisManager');
+            this.redisManager = new RedisManager();
+            await this.redisManager.initialize();
+        }
+
+        try {
+            await this.redisManager.setObject(`paper_portfolio:${chatId}:${tokenMint}`, positionData, PAPER_TTL_SECONDS);
+            this.logger.info(`[PAPER] ✅ Paper position added for user ${chatId}: ${tokenMint} - ${positionData.tokenAmount} tokens`);
+            return true;
+        } catch (error) {
+            this.logger.error(`[PAPER] ❌ Failed to add paper position for user ${chatId}, token ${tokenMint}:`, error);
+            return false;
+        }
+    }
+
+    async getPaperPosition(chatId, tokenMint) {
+        if (!this.redisManager) {
+            const { RedisManager } = require('./redis/redisManager');
+            this.redisManager = new RedisManager();
+            await this.redisManager.initialize();
+        }
+
+        try {
+            return await this.redisManager.getObject(`paper_portfolio:${chatId}:${tokenMint}`);
+        } catch (error) {
+            this.logger.error(`[PAPER] ❌ Failed to get paper position for user ${chatId}, token ${tokenMint}:`, error);
+            return null;
+        }
+    }
+
+    async updatePaperPosition(chatId, tokenMint, fields) {
+        const existingPosition = await this.getPaperPosition(chatId, tokenMint);
+        if (!existingPosition) {
+            this.logger.warn(`[PAPER] ⚠️ No paper position found to update for user ${chatId}, token ${tokenMint}`);
+            return false;
+        }
+
+        Object.assign(existingPosition, fields, { lastUpdated: new Date().toISOString() });
+        return await this.addPaperPosition(chatId, tokenMint, existingPosition);
+    }
+
+    async removePaperPosition(chatId, tokenMint) {
+        if (!this.redisManager) {
+            const { RedisManager } = require('./redis/redisManager');
+            this.redisManager = new RedisManager();
+            await this.redisManager.initialize();
+        }
+
+        try {
+            await this.redisManager.del(`paper_portfolio:${chatId}:${tokenMint}`);
+            this.logger.info(`[PAPER] ✅ Paper position removed for user ${chatId}, token ${tokenMint}`);
+            return true;
+        } catch (error) {
+            this.logger.error(`[PAPER] ❌ Failed to remove paper position for user ${chatId}, token ${tokenMint}:`, error);
+            return false;
+        }
+    }
+
+    async getAllPaperPositions(chatId) {
+        if (!this.redisManager) {
+            const { RedisManager } = require('./redis/redisManager');
+            this.redisManager = new RedisManager();
+            await this.redisManager.initialize();
+        }
+
+        try {
+            const keys = await this.redisManager.client.keys(`paper_portfolio:${chatId}:*`);
+            const positions = {};
+            for (const key of keys) {
+                const position = await this.redisManager.getObject(key);
+                if (position) {
+                    positions[key.replace(`paper_portfolio:${chatId}:`, '')] = position;
+                }
+            }
+            return positions;
+        } catch (error) {
+            this.logger.error(`[PAPER] ❌ Failed to get paper positions for user ${chatId}:`, error);
+            return {};
+        }
+    }
+
+    // Append-only log of paper fills (newest first) for evaluating a trader or settings after the fact
+    async recordPaperFill(chatId, fill) {
+        if (!this.redisManager) {
+            const { RedisManager } = require('./redis/redisManager');
+            this.redisManager = new RedisManager();
+            await this.redisManager.initialize();
+        }
+
+        const key = `paper_fills:${chatId}`;
+        try {
+            await this.redisManager.client.lPush(key, JSON.stringify({ ...fill, recordedAt: new Date().toISOString() }));
+            await this.redisManager.client.lTrim(key, 0, PAPER_FILLS_MAX - 1);
+            await this.redisManager.client.expire(key, PAPER_TTL_SECONDS);
+            return true;
+        } catch (error) {
+            this.logger.error(`[PAPER] ❌ Failed to record paper fill for user ${chatId}:`, error);
+            return false;
+        }
+    }
+
+    // Newest-first log of realized PnL per closed (or partly closed) position, read by the risk manager
+    async recordRealizedPnl(chatId, entry) {
+        if (!this.redisManager) {
+            const { RedisManager } = require('./redis/redisManager');
+            this.redisManager = new RedisManager();
+            await this.redisManager.initialize();
+        }
+
+        const key = `realized_pnl:${chatId}`;
+        try {
+            await this.redisManager.client.lPush(key, JSON.stringify({ ...entry, recordedAt: Date.now() }));
+            await this.redisManager.client.lTrim(key, 0, REALIZED_PNL_MAX - 1);
+            await this.redisManager.client.expire(key, REALIZED_PNL_TTL_SECONDS);
+            return true;
+        } catch (error) {
+            this.logger.error(`[PORTFOLIO] ❌ Failed to record realized PnL for user ${chatId}:`, error);
+            return false;
+        }
+    }
+
+    // Net realized PnL in lamports since the given timestamp (negative = loss)
+    async getRealizedPnlSince(chatId, sinceMs) {
+        if (!this.redisManager) {
+            const { RedisManager } = require('./redis/redisManager');
+            this.redisManager = new RedisManager();
+            await this.redisManager.initialize();
+        }
+
+        try {
+            const entries = await this.redisManager.client.lRange(`realized_pnl:${chatId}`, 0, -1);
+            let total = 0;
+            for (const raw of entries) {
+                const entry = JSON.parse(raw);
+                if (entry.recordedAt < sinceMs) break; // newest first
+                total += Number(entry.pnlLamports) || 0;
+            }
+            return total;
+        } catch (error) {
+            this.logger.error(`[PORTFOLIO] ❌ Failed to read realized PnL for user ${chatId}:`, error);
+            return 0;
+        }
+    }
+
+    // ========================= TRADE LIFECYCLE ========================
+    // One record per user copy at trade:{id}, indexed newest first per user. In-flight ids also sit in trades:inflight,
+    // scored by their last transition, so copies an executor restart left behind can be expired.
+
+    // Returns the existing record when this id was already created (a redelivered job), otherwise a new 'detected' one
+    async createTradeRecord(chatId, id, fields = {}) {
+        if (!this.redisManager) {
+            const { RedisManager } = require('./redis/redisManager');
+            this.redisManager = new RedisManager();
+            await this.redisManager.initialize();
+        }
+
+        const now = new Date().toISOString();
+        const detectedAt = fields.detectedAt ? new Date(fields.detectedAt).toISOString() : now;
+        const record = {
+            ...fields,
+            id,
+            chatId: String(chatId),
+            state: 'detected',
+            history: [{ state: 'detected', at: detectedAt }],
+            failureReason: null,
+            skipReason: null,
+            createdAt: now,
+            updatedAt: now
+        };
+
+        try {
+            const created = await this.redisManager.set(`trade:${id}`, JSON.stringify(record), { EX: TRADE_RECORD_TTL_SECONDS, NX: true });
+            if (!created) {
+                return await this.redisManager.getObject(`trade:${id}`);
+            }
+
+            const indexKey = `trades:${chatId}`;
+            await this.redisManager.client.lPush(indexKey, id);
+            await this.redisManager.client.lTrim(indexKey, 0, TRADE_HISTORY_MAX - 1);
+            await this.redisManager.client.expire(indexKey, TRADE_RECORD_TTL_SECONDS);
+            await this.redisManager.client.zAdd('trades:inflight', { score: Date.now(), value: id });
+            await this.redisManager.client.expire('trades:inflight', TRADE_RECORD_TTL_SECONDS);
+            return record;
+        } catch (error) {
+            this.logger.error(`[TRADES] ❌ Failed to create trade record ${id} for user ${chatId}:`, error);
+            return null;
+        }
+    }
+
+    async getTradeRecord(id) {
+        if (!this.redisManager) {
+            const { RedisManager } = require('./redis/redisManager');
+            this.redisManager = new RedisManager();
+            await this.redisManager.initialize();
+        }
+
+        return await this.redisManager.getObject(`trade:${id}`);
+    }
+
+    // Moves a record to state when TRADE_TRANSITIONS allows it, timestamping the step. details are merged into the
+    // record (failureReason, signatures). Returns the updated record, or null if the record is gone or the move isn't allowed.
+    async transitionTrade(id, state, details = {}) {
+        const record = await this.getTradeRecord(id);
+        if (!record) {
+            return null;
+        }
+        if (!(TRADE_TRANSITIONS[record.state] || []).includes(state)) {
+            this.logger.warn(`[TRADES] ⚠️ Trade ${id} can't go from ${record.state} to ${state}`);
+            return null;
+        }
+
+        const now = new Date().toISOString();
+        Object.assign(record, details, { state, updatedAt: now });
+        record.history.push({ state, at: now });
+
+        try {
+            await this.redisManager.set(`trade:${id}`, JSON.stringify(record), { KEEPTTL: true });
+            if (TERMINAL_TRADE_STATES.includes(state)) {
+                await this.redisManager.client.zRem('trades:inflight', id);
+            } else {
+                await this.redisManager.client.zAdd('trades:inflight', { score: Date.now(), value: id });
+            }
+            return record;
+        } catch (error) {
+            this.logger.error(`[TRADES] ❌ Failed to move trade ${id} to ${state}:`, error);
+            return null;
+        }
+    }
+
+    // The user's latest copies, newest first
+    async getUserTrades(chatId, limit = TRADE_HISTORY_MAX) {
+        if (!this.redisManager) {
+            const { RedisManager } = require('./redis/redisManager');
+            this.redisManager = new RedisManager();
+            await this.redisManager.initialize();
+        }
+
+        try {
+            const ids = await this.redisManager.client.lRange(`trades:${chatId}`, 0, limit - 1);
+            const records = [];
+            for (const id of ids) {
+                const record = await this.redisManager.getObject(`trade:${id}`);
+                if (record) records.push(record);
+            }
+            return records;
+        } catch (error) {
+            this.logger.error(`[TRADES] ❌ Failed to list trades for user ${chatId}:`, error);
+            return [];
+        }
+    }
+
+    // In-flight records whose last transition is older than olderThanMs
+    async getStaleTrades(olderThanMs) {
+        if (!this.redisManager) {
+            const { RedisManager } = require('./redis/redisManager');
+            this.redisManager = new RedisManager();
+            await this.redisManager.initialize();
+        }
+
+        const ids = await this.redisManager.client.zRangeByScore('trades:inflight', 0, Date.now() - olderThanMs);
+        const records = [];
+        for (const id of ids) {
+            const record = await this.redisManager.getObject(`trade:${id}`);
+            if (record) {
+                records.push(record);
+            } else {
+                await this.redisManager.client.zRem('trades:inflight', id);
+            }
+        }
+        return records;
+    }
+
     async updateUserSlippage(chatId, slippageBps) {
         const settings = await this.readJsonFile('settings.json');
         
@@ -788,6 +1266,191 @@ class DataManager {
         console.log(`[JSON-DB] Updated slippage for user ${chatId}: ${slippageBps} BPS`);
     }
 
+    // true/false overrides the global tradingSettings.paperTrading; null inherits it
+    async updateUserPaperTrading(chatId, enabled) {
+        const settings = await this.readJsonFile('settings.json');
+        
+        if (!settings.settings[chatId]) {
+            settings.settings[chatId] = {};
+        }
+        
+        settings.settings[chatId].paperTrading = enabled;
+        settings.settings[chatId].updated_at = new Date().toISOString();
+        
+        await this.writeJsonFile('settings.json', settings);
+        console.log(`[JSON-DB] Updated paper trading for user ${chatId}: ${enabled}`);
+    }
+
+    // rule is 'stopLoss', 'takeProfit', 'trailingStop' (fractions, 0.3 = 30%, 0 disables) or 'takeProfitLadder' (array of steps); null inherits the global setting
+    async updateUserExitRule(chatId, rule, value) {
+        const settings = await this.readJsonFile('settings.json');
+        
+        if (!settings.settings[chatId]) {
+            settings.settings[chatId] = {};
+        }
+        
+        settings.settings[chatId][rule] = value;
+        settings.settings[chatId].updated_at = new Date().toISOString();
+        
+        await this.writeJsonFile('settings.json', settings);
+        console.log(`[JSON-DB] Updated ${rule} for user ${chatId}: ${JSON.stringify(value)}`);
+    }
+
+    // list is 'mintBlacklist', 'mintWhitelist' or 'allowedPlatforms'; action is 'add', 'remove' or 'replace' (bulk import).
+    // Replacing allowedPlatforms with null drops the user's list so botSettings.supportedPlatforms applies again.
+    async updateUserFilterList(chatId, list, action, values) {
+        const settings = await this.readJsonFile('settings.json');
+        
+        if (!settings.settings[chatId]) {
+            settings.settings[chatId] = {};
+        }
+        
+        const current = settings.settings[chatId][list] || [];
+        let updated;
+        if (action === 'add') {
+            updated = [...new Set([...current, ...values])];
+        } else if (action === 'remove') {
+            updated = current.filter(value => !values.includes(value));
+        } else if (action === 'replace') {
+            updated = values === null ? null : [...new Set(values)];
+        } else {
+            throw new Error(`Unknown filter list action: ${action}`);
+        }
+
+        if (updated === null) {
+            delete settings.settings[chatId][list];
+        } else {
+            settings.settings[chatId][list] = updated;
+        }
+        settings.settings[chatId].updated_at = new Date().toISOString();
+        
+        await this.writeJsonFile('settings.json', settings);
+        console.log(`[JSON-DB] ${action} ${list} for user ${chatId}: ${updated === null ? 'default' : `${updated.length} entries`}`);
+        return updated;
+    }
+
+    // check is one of the token safety checks, action 'block' | 'warn' | 'allow'; null drops the user's choice for that check
+    async updateUserSafetyPolicy(chatId, check, action) {
+        const settings = await this.readJsonFile('settings.json');
+        
+        if (!settings.settings[chatId]) {
+            settings.settings[chatId] = {};
+        }
+        
+        const policy = settings.settings[chatId].tokenSafety || {};
+        if (action === null) {
+            delete policy[check];
+        } else {
+            policy[check] = action;
+        }
+        settings.settings[chatId].tokenSafety = policy;
+        settings.settings[chatId].updated_at = new Date().toISOString();
+        
+        await this.writeJsonFile('settings.json', settings);
+        console.log(`[JSON-DB] Updated token safety policy for user ${chatId}: ${check} → ${action === null ? 'default' : action}`);
+        return policy;
+    }
+
+    // strategy 'primary' | 'roundrobin' | 'split' (splitWalletCount wallets, 0 = all); null strategy inherits the global setting
+    async updateUserWalletStrategy(chatId, strategy, splitWalletCount = null) {
+        const settings = await this.readJsonFile('settings.json');
+        
+        if (!settings.settings[chatId]) {
+            settings.settings[chatId] = {};
+        }
+        
+        if (strategy === null) {
+            delete settings.settings[chatId].walletStrategy;
+            delete settings.settings[chatId].splitWalletCount;
+        } else {
+            settings.settings[chatId].walletStrategy = strategy;
+            if (splitWalletCount === null) {
+                delete settings.settings[chatId].splitWalletCount;
+            } else {
+                settings.settings[chatId].splitWalletCount = splitWalletCount;
+            }
+        }
+        settings.settings[chatId].updated_at = new Date().toISOString();
+        
+        await this.writeJsonFile('settings.json', settings);
+        console.log(`[JSON-DB] Updated wallet strategy for user ${chatId}: ${strategy === null ? 'default' : strategy}${splitWalletCount ? ` over ${splitWalletCount} wallets` : ''}`);
+        return settings.settings[chatId];
+    }
+
+    // changes maps minLiquiditySol, maxLiquiditySol, minMarketCapSol, maxMarketCapSol, maxCurveProgressPercent to a number; null inherits the global setting
+    async updateUserMarketGates(chatId, changes) {
+        const settings = await this.readJsonFile('settings.json');
+        
+        if (!settings.settings[chatId]) {
+            settings.settings[chatId] = {};
+        }
+        
+        for (const [key, value] of Object.entries(changes)) {
+            if (value === null) {
+                delete settings.settings[chatId][key];
+            } else {
+                settings.settings[chatId][key] = value;
+            }
+        }
+        settings.settings[chatId].updated_at = new Date().toISOString();
+        
+        await this.writeJsonFile('settings.json', settings);
+        console.log(`[JSON-DB] Updated market gates for user ${chatId}: ${JSON.stringify(changes)}`);
+        return settings.settings[chatId];
+    }
+
+    // changes maps slippageMode, minSlippageBps, maxSlippageBps, priorityFeeMultiplier to a value; null inherits the global setting
+    async updateUserSlippageMode(chatId, changes) {
+        const settings = await this.readJsonFile('settings.json');
+
+        if (!settings.settings[chatId]) {
+            settings.settings[chatId] = {};
+        }
+
+        for (const [key, value] of Object.entries(changes)) {
+            if (value === null) {
+                delete settings.settings[chatId][key];
+            } else {
+                settings.settings[chatId][key] = value;
+            }
+        }
+        settings.settings[chatId].updated_at = new Date().toISOString();
+
+        await this.writeJsonFile('settings.json', settings);
+        console.log(`[JSON-DB] Updated slippage mode for user ${chatId}: ${JSON.stringify(changes)}`);
+        return settings.settings[chatId];
+    }
+
+    // consensus is { traders: [names], threshold, windowSeconds, solPerTrader }, or null to turn consensus mode off
+    async updateUserConsensus(chatId, consensus) {
+        const settings = await this.readJsonFile('settings.json');
+
+        if (!settings.settings[chatId]) {
+            settings.settings[chatId] = {};
+        }
+
+        if (consensus === null) {
+            delete settings.settings[chatId].consensus;
+        } else {
+            settings.settings[chatId].consensus = consensus;
+        }
+        settings.settings[chatId].updated_at = new Date().toISOString();
+
+        await this.writeJsonFile('settings.json', settings);
+        console.log(`[JSON-DB] Updated consensus for user ${chatId}: ${consensus === null ? 'off' : `${consensus.threshold} of ${consensus.traders.join(', ')} within ${consensus.windowSeconds}s`}`);
+        return settings.settings[chatId];
+    }
+
+    async getUserFilterLists(chatId) {
+        const settings = await this.readJsonFile('settings.json');
+        const userSettings = settings?.settings?.[chatId] || {};
+        return {
+            mintBlacklist: userSettings.mintBlacklist || [],
+            mintWhitelist: userSettings.mintWhitelist || [],
+            allowedPlatforms: userSettings.allowedPlatforms || null
+        };
+    }
+
     async loadSolAmounts() {
         const settings = await this.readJsonFile('settings.json');
         const result = {};
@@ -908,4 +1571,4 @@ class DataManager {
     }
 }
 
-module.exports = { DataManager };
+module.exports = { DataManager, TERMINAL_TRADE_STATES };
@@ -10,6 +10,13 @@ const { PublicKey } = require('@solana/web3.js');
 const config = require('../config.js');
 const { shortenAddress } = require('../utils.js');
 
+// Redis keys of the copy job queue
+const TRADE_QUEUE_KEYS = {
+    pending: 'trade_queue',
+    processing: 'trade_queue:processing',
+    dead: 'trade_queue:dead'
+};
+
 class RedisManager {
     constructor() {
         this.client = null;
@@ -317,14 +324,21 @@ async getLaunchpadPoolData(poolId) {
 }
 
 // --- Pre-Signed TX Cache (Replaces old CacheManager) ---
-async addPreSignedTx(tokenMint, signedTxString) {
-    const key = `presigned_tx:${tokenMint}`;
-    await this.set(key, signedTxString, { EX: this.TTL.PRESIGNED_TX });
+// Keyed per user: each copier signs its own exit for the same token. Durable-nonce transactions outlive
+// the default PRESIGNED_TX TTL, so callers pass a longer ttlSeconds for those.
+async addPreSignedTx(chatId, tokenMint, presigned, ttlSeconds = this.TTL.PRESIGNED_TX) {
+    const key = `presigned_tx:${chatId}:${tokenMint}`;
+    await this.set(key, JSON.stringify(presigned), { EX: ttlSeconds });
+}
+
+async getPreSignedTx(chatId, tokenMint) {
+    const key = `presigned_tx:${chatId}:${tokenMint}`;
+    const data = await this.get(key);
+    return data ? JSON.parse(data) : null;
 }
 
-async getPreSignedTx(tokenMint) {
-    const key = `presigned_tx:${tokenMint}`;
-    return await this.get(key);
+async deletePreSignedTx(chatId, tokenMint) {
+    await this.del(`presigned_tx:${chatId}:${tokenMint}`);
 }
 
     // Pool state caching (for Pump.fun, Raydium, etc.)
@@ -342,7 +356,8 @@ async getPreSignedTx(tokenMint) {
     // Transaction cache (for deduplication and status tracking)
     async setTransactionCache(signature, txData) {
         const key = `tx_cache:${signature}`;
-        await this.set(key, JSON.stringify(txData), 'EX', this.TTL.TRANSACTION_CACHE);
+        // Without a TTL the minute cleanup deletes the key, and the dedupe with it
+        await this.set(key, JSON.stringify(txData), { EX: this.TTL.TRANSACTION_CACHE });
     }
 
     async getTransactionCache(signature) {
@@ -398,22 +413,183 @@ async getPreSignedTx(tokenMint) {
         await this.srem(key, traderWallet);
     }
 
-    // Trade execution queue (for high-frequency trading)
+    // ===== TRADE JOB QUEUE =====
+    // Job ids wait in the pending list; a claimed id sits in the processing zset scored by the time its claim runs out.
+    // The job body lives at trade_job:{id} until it is acked or dead-lettered.
+
+    // Queues a copy job under the trader's signature. Returns the job id, or null when that signature is already
+    // queued or processed.
     async addToTradeQueue(tradeData) {
-        const key = 'trade_queue';
-        await this.lpush(key, JSON.stringify(tradeData));
-        await this.expire(key, this.TTL.TRADE_QUEUE);
+        const { TRADE_QUEUE } = config;
+        if (tradeData.signature && await this.isTransactionProcessed(tradeData.signature)) {
+            return null;
+        }
+
+        const id = tradeData.signature || `job_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`;
+        const job = { id, payload: tradeData, attempts: 0, enqueuedAt: Date.now() };
+        const created = await this.set(`trade_job:${id}`, JSON.stringify(job), { EX: TRADE_QUEUE.JOB_TTL_SECONDS, NX: true });
+        if (!created) {
+            return null;
+        }
+
+        await this.lpush(TRADE_QUEUE_KEYS.pending, id);
+        await this.expire(TRADE_QUEUE_KEYS.pending, TRADE_QUEUE.JOB_TTL_SECONDS);
+        return id;
     }
 
+    // Claims the oldest pending job, or null when nothing is waiting
     async getNextTrade() {
-        const key = 'trade_queue';
-        const data = await this.rpop(key);
-        return data ? JSON.parse(data) : null;
+        while (true) {
+            const id = await this.client.lIndex(TRADE_QUEUE_KEYS.pending, -1);
+            if (!id) {
+                return null;
+            }
+
+            const job = await this.claimTradeJob(id);
+            if (job) {
+                return job;
+            }
+            // Already claimed elsewhere; drop the stale pending entry and look at the next one
+            await this.client.lRem(TRADE_QUEUE_KEYS.pending, 0, id);
+        }
+    }
+
+    // Adding the id to the processing zset is the claim: NX makes a second claimer back off. attempts counts deliveries.
+    async claimTradeJob(id) {
+        const { TRADE_QUEUE } = config;
+        const claimed = await this.client.zAdd(TRADE_QUEUE_KEYS.processing,
+            { score: Date.now() + TRADE_QUEUE.VISIBILITY_TIMEOUT_MS, value: id }, { NX: true });
+        if (!claimed) {
+            return null;
+        }
+        await this.client.expire(TRADE_QUEUE_KEYS.processing, TRADE_QUEUE.JOB_TTL_SECONDS);
+        await this.client.lRem(TRADE_QUEUE_KEYS.pending, 0, id);
+
+        const job = await this.getObject(`trade_job:${id}`);
+        if (!job) {
+            await this.client.zRem(TRADE_QUEUE_KEYS.processing, id);
+            return null;
+        }
+
+        job.attempts += 1;
+        job.claimedAt = Date.now();
+        await this.set(`trade_job:${id}`, JSON.stringify(job), { KEEPTTL: true });
+        return job;
+    }
+
+    // Done: the job is dropped and its signature marked processed so it can't be queued again
+    async ackTradeJob(job) {
+        await this.client.zRem(TRADE_QUEUE_KEYS.processing, job.id);
+        await this.del(`trade_job:${job.id}`);
+        if (job.payload.signature) {
+            await this.setTransactionCache(job.payload.signature, { jobId: job.id, attempts: job.attempts, completedAt: Date.now() });
+        }
+    }
+
+    // Failed delivery: redelivered after RETRY_DELAY_MS while attempts remain, dead-lettered after the last one
+    async retryTradeJob(job, errorMessage) {
+        const { TRADE_QUEUE } = config;
+        if (job.attempts >= TRADE_QUEUE.MAX_ATTEMPTS) {
+            return this.deadLetterTradeJob(job, errorMessage);
+        }
+
+        job.lastError = errorMessage;
+        await this.set(`trade_job:${job.id}`, JSON.stringify(job), { KEEPTTL: true });
+        // Pulling the deadline in lets the next reclaim pass put it back on the pending list
+        await this.client.zAdd(TRADE_QUEUE_KEYS.processing, { score: Date.now() + TRADE_QUEUE.RETRY_DELAY_MS, value: job.id });
+    }
+
+    async deadLetterTradeJob(job, reason) {
+        const { TRADE_QUEUE } = config;
+        await this.client.lPush(TRADE_QUEUE_KEYS.dead, JSON.stringify({ ...job, reason, deadAt: Date.now() }));
+        await this.client.lTrim(TRADE_QUEUE_KEYS.dead, 0, TRADE_QUEUE.DEAD_LETTER_MAX - 1);
+        await this.client.expire(TRADE_QUEUE_KEYS.dead, TRADE_QUEUE.DEAD_LETTER_TTL_SECONDS);
+        await this.client.zRem(TRADE_QUEUE_KEYS.processing, job.id);
+        await this.del(`trade_job:${job.id}`);
+        console.warn(`[TRADE-QUEUE] 🪦 Job ${shortenAddress(job.id)} dead-lettered after ${job.attempts} attempt(s): ${reason}`);
+    }
+
+    // Jobs whose claim ran out (executor died, or a retry is due) go back to pending, or to the dead letters
+    // once their attempts are used up. Returns how many were requeued.
+    async reclaimExpiredTradeJobs() {
+        const { TRADE_QUEUE } = config;
+        const expired = await this.client.zRangeByScore(TRADE_QUEUE_KEYS.processing, 0, Date.now());
+        let requeued = 0;
+
+        for (const id of expired) {
+            // Only whoever removes the entry handles it
+            if (!await this.client.zRem(TRADE_QUEUE_KEYS.processing, id)) continue;
+
+            const job = await this.getObject(`trade_job:${id}`);
+            if (!job) continue;
+
+            if (job.attempts >= TRADE_QUEUE.MAX_ATTEMPTS) {
+                await this.deadLetterTradeJob(job, job.lastError || 'visibility timeout expired');
+            } else {
+                await this.lpush(TRADE_QUEUE_KEYS.pending, id);
+                await this.expire(TRADE_QUEUE_KEYS.pending, TRADE_QUEUE.JOB_TTL_SECONDS);
+                requeued++;
+            }
+        }
+        return requeued;
+    }
+
+    // Most recent first
+    async getDeadTradeJobs(limit = 20) {
+        const entries = await this.client.lRange(TRADE_QUEUE_KEYS.dead, 0, limit - 1);
+        return entries.map(entry => JSON.parse(entry));
     }
 
     async getQueueLength() {
-        const key = 'trade_queue';
-        return await this.llen(key);
+        return await this.llen(TRADE_QUEUE_KEYS.pending);
+    }
+
+    async getTradeQueueStats() {
+        return {
+            pending: await this.llen(TRADE_QUEUE_KEYS.pending),
+            processing: await this.client.zCard(TRADE_QUEUE_KEYS.processing),
+            dead: await this.llen(TRADE_QUEUE_KEYS.dead)
+        };
+    }
+
+    // ===== CONSENSUS SIGNALS =====
+    // consensus:buys:{mint} is a zset of trader wallets scored by when the monitor last saw each one buy the mint.
+    // Per user, consensus:held keeps the copies waiting on their group and consensus:fired when the group last fired.
+
+    async recordConsensusBuy(tokenMint, traderWallet, at = Date.now()) {
+        const key = `consensus:buys:${tokenMint}`;
+        await this.client.zAdd(key, { score: at, value: traderWallet });
+        await this.client.zRemRangeByScore(key, 0, at - config.CONSENSUS.SIGNAL_TTL_SECONDS * 1000);
+        await this.client.expire(key, config.CONSENSUS.SIGNAL_TTL_SECONDS);
+    }
+
+    // { traderWallet: boughtAt } for every trader seen buying the mint since sinceMs
+    async getConsensusBuys(tokenMint, sinceMs) {
+        const entries = await this.client.zRangeByScoreWithScores(`consensus:buys:${tokenMint}`, sinceMs, '+inf');
+        return Object.fromEntries(entries.map(entry => [entry.value, entry.score]));
+    }
+
+    async holdConsensusBuy(chatId, tokenMint, traderWallet, tradeId) {
+        const key = `consensus:held:${chatId}:${tokenMint}`;
+        await this.client.hSet(key, traderWallet, tradeId || '');
+        await this.client.expire(key, config.CONSENSUS.SIGNAL_TTL_SECONDS);
+    }
+
+    // Returns and clears the held copies ({ traderWallet: tradeId }), so only the copy that fires merges them
+    async takeHeldConsensusBuys(chatId, tokenMint) {
+        const key = `consensus:held:${chatId}:${tokenMint}`;
+        const held = await this.client.hGetAll(key);
+        await this.del(key);
+        return held || {};
+    }
+
+    // { at, tradeId } of the user's last consensus copy of the mint, or null. Buys from before it never count again.
+    async getLastConsensusFire(chatId, tokenMint) {
+        return await this.getObject(`consensus:fired:${chatId}:${tokenMint}`);
+    }
+
+    async markConsensusFired(chatId, tokenMint, tradeId, at = Date.now()) {
+        await this.setObject(`consensus:fired:${chatId}:${tokenMint}`, { at, tradeId }, config.CONSENSUS.SIGNAL_TTL_SECONDS);
     }
 
     // User sessions (for real-time UI updates)
@@ -1,12 +1,13 @@
 // File: singaporeSenderManager.js
 // Description: ULTRA-FAST Singapore regional Helius Sender endpoint manager for sub-200ms trade execution
 
-const { Connection, PublicKey, LAMPORTS_PER_SOL, ComputeBudgetProgram, SystemProgram, VersionedTransaction, TransactionMessage } = require('@solana/web3.js');
+const { Connection, PublicKey, LAMPORTS_PER_SOL, ComputeBudgetProgram, SystemProgram, VersionedTransaction, TransactionMessage, NonceAccount } = require('@solana/web3.js');
 const config = require('./config.js');
 const { shortenAddress } = require('./utils.js');
 const performanceMonitor = require('./performanceMonitor.js');
 const leaderTracker = require('./leaderTracker.js');
 const bs58 = require('bs58'); // Required for correct Base58 encoding of transactions
+const { getAssociatedTokenAddressSync, TOKEN_PROGRAM_ID, TOKEN_2022_PROGRAM_ID } = require('@solana/spl-token');
 
 class SingaporeSenderManager {
     constructor(connection = null) {
@@ -20,6 +21,8 @@ class SingaporeSenderManager {
             websocket: config.HELIUS_ENDPOINTS.websocket
         };
         this.tipAccounts = config.TIP_ACCOUNTS; // Use the central list of tip accounts
+        this.blockEngineUrl = config.JITO_BUNDLES.BLOCK_ENGINE_URL; // Overridable so a local stand-in can replace the block engine
+        this.bundleStatuses = new Map(); // bundleId -> { status, signature, slot, submittedAt, updatedAt }
 
         // Use provided connection or create new one - using 'processed' for speed
         this.connection = connection || new Connection(this.singaporeEndpoints.rpc, {
@@ -38,13 +41,25 @@ class SingaporeSenderManager {
             failedExecutions: 0,
             averageExecutionTime: 0,
             lastExecutionTime: 0,
-            totalExecutionTime: 0
+            totalExecutionTime: 0,
+            bundlesSubmitted: 0,
+            bundlesLanded: 0,
+            bundlesFailed: 0,
+            races: { total: 0, landed: 0, failed: 0 },
+            // Per race path: sends attempted, sends the endpoint accepted, send errors, landings credited, summed ack latency
+            racePaths: {
+                rpc: { sent: 0, accepted: 0, errors: 0, wins: 0, totalAckMs: 0 },
+                sender: { sent: 0, accepted: 0, errors: 0, wins: 0, totalAckMs: 0 },
+                bundle: { sent: 0, accepted: 0, errors: 0, wins: 0, totalAckMs: 0 }
+            },
+            lastRace: null
         };
 
         console.log('[SINGAPORE-SENDER] 🚀 ULTRA-FAST Manager initialized with Singapore regional endpoints');
         console.log(`[SINGAPORE-SENDER] 🌏 Endpoints: ${JSON.stringify(this.singaporeEndpoints, null, 2)}`);
         console.log(`[SINGAPORE-SENDER] ⚡ Target execution time: <200ms`);
         console.log(`[SINGAPORE-SENDER] 🔧 Jito tip accounts: ${this.tipAccounts.length} configured`);
+        console.log(`[SINGAPORE-SENDER] 📦 Jito bundle mode: ${config.JITO_BUNDLES.ENABLED ? 'ON' : 'OFF'} (block engine: ${this.blockEngineUrl})`);
         
         // Start health monitoring
         this.startHealthMonitoring();
@@ -338,11 +353,21 @@ class SingaporeSenderManager {
     }
 
     // ULTRA-ACCURATE simulation for PumpFun atomic transactions and manual builds
-    async simulateTransaction(transaction) {
+    // options.accounts: addresses whose post-simulation state should be returned
+    async simulateTransaction(transaction, options = {}) {
         try {
             console.log(`[SINGAPORE-SENDER] 🔬 Simulating transaction for compute units...`);
             
-            const serializedTx = bs58.encode(transaction.serialize());
+            const serializedTx = Buffer.from(transaction.serialize()).toString('base64');
+            const simulationConfig = {
+                encoding: 'base64',
+                commitment: 'processed',
+                replaceRecentBlockhash: true,
+                sigVerify: false
+            };
+            if (options.accounts && options.accounts.length > 0) {
+                simulationConfig.accounts = { encoding: 'base64', addresses: options.accounts };
+            }
             
             const response = await fetch(`${this.singaporeEndpoints.rpc}`, {
                 method: 'POST',
@@ -351,15 +376,7 @@ class SingaporeSenderManager {
                     jsonrpc: '2.0',
                     id: 'simulate-tx',
                     method: 'simulateTransaction',
-                    params: [
-                        serializedTx,
-                        {
-                            encoding: 'base64',
-                            commitment: 'processed',
-                            replaceRecentBlockhash: true,
-                            sigVerify: false
-                        }
-                    ]
+                    params: [serializedTx, simulationConfig]
                 })
             });
             
@@ -389,6 +406,7 @@ class SingaporeSenderManager {
             return {
                 unitsConsumed,
                 logs,
+                accounts: simulation.accounts || [],
                 success: true
             };
             
@@ -400,7 +418,8 @@ class SingaporeSenderManager {
 
 
     // Send transaction via Helius Singapore Sender endpoint with smart error recovery and leader targeting
-async sendViaSender(transactionData, retries = 3, platform = 'UNKNOWN') {
+// sendOptions.skipSimulation: the caller already simulated (race mode), send straight away
+async sendViaSender(transactionData, retries = 3, platform = 'UNKNOWN', sendOptions = {}) {
     let { transaction, serializedTransaction, blockhash, lastValidBlockHeight } = transactionData;
 
     // ============================= LEADER TARGETING =============================
@@ -430,10 +449,12 @@ async sendViaSender(transactionData, retries = 3, platform = 'UNKNOWN') {
                 // 🎯 CRITICAL FIX: Skip simulation for Pump.fun atomic transactions
                 const config = require('./config.js');
                 const pumpFunProgramId = config.PLATFORM_IDS.PUMP_FUN.toString();
-                const isPumpFunAtomic = transaction.instructions.length === 2 && 
+                const isPumpFunAtomic = !sendOptions.skipSimulation && transaction.instructions.length === 2 && 
                     transaction.instructions.some(ix => ix.programId && ix.programId.toString() === pumpFunProgramId);
                 
-                if (isPumpFunAtomic) {
+                if (sendOptions.skipSimulation) {
+                    console.log(`[SINGAPORE-SENDER] ⏭️ Simulation already done by caller - sending directly`);
+                } else if (isPumpFunAtomic) {
                     console.log(`[SINGAPORE-SENDER] 🎯 Pump.fun atomic transaction detected - skipping simulation`);
                 } else {
                     try {
@@ -661,8 +682,18 @@ async sendViaSender(transactionData, retries = 3, platform = 'UNKNOWN') {
 
     // Get execution statistics
     getExecutionStats() {
+        const racePaths = {};
+        for (const [path, stats] of Object.entries(this.executionStats.racePaths)) {
+            racePaths[path] = {
+                ...stats,
+                averageAckMs: stats.accepted > 0 ? stats.totalAckMs / stats.accepted : null,
+                winRate: this.executionStats.races.landed > 0 ? (stats.wins / this.executionStats.races.landed) * 100 : 0
+            };
+        }
+
         return {
             ...this.executionStats,
+            racePaths,
             successRate: this.executionStats.totalExecutions > 0 ? 
                 (this.executionStats.successfulExecutions / this.executionStats.totalExecutions) * 100 : 0,
             healthStatus: this.isHealthy,
@@ -856,27 +887,32 @@ async sendViaSender(transactionData, retries = 3, platform = 'UNKNOWN') {
             const uniqueAccountKeys = [...new Set(allInstructions.flatMap(ix => ix.keys.map(key => key.pubkey.toString()))), keypair.publicKey.toString()];
             
             let priorityFee = 2000000;
-            try {
-                const response = await fetch(this.singaporeEndpoints.rpc, {
-                    method: 'POST', 
-                    headers: { 'Content-Type': 'application/json' },
-                    body: JSON.stringify({ 
-                        jsonrpc: "2.0", 
-                        id: "1", 
-                        method: "getPriorityFeeEstimate", 
-                        params: [{ 
-                            accountKeys: uniqueAccountKeys, 
-                            options: { includeAllPriorityFeeLevels: true } 
-                        }] 
-                    })
-                });
-                const data = await response.json();
-                if (data.error) throw new Error(data.error.message);
-                priorityFee = data.result?.priorityFeeLevels?.high || 2000000;
-            } catch (error) {
-                console.warn(`[SENDER-V14] ⚠️ Fee estimation failed: ${error.message}. Using fallback.`);
+            // An explicit fee (mirrored from the trader) skips the estimate
+            if (options.priorityFee !== undefined && options.priorityFee !== null) {
+                priorityFee = options.priorityFee;
+            } else {
+                try {
+                    const response = await fetch(this.singaporeEndpoints.rpc, {
+                        method: 'POST', 
+                        headers: { 'Content-Type': 'application/json' },
+                        body: JSON.stringify({ 
+                            jsonrpc: "2.0", 
+                            id: "1", 
+                            method: "getPriorityFeeEstimate", 
+                            params: [{ 
+                                accountKeys: uniqueAccountKeys, 
+                                options: { includeAllPriorityFeeLevels: true } 
+                            }] 
+                        })
+                    });
+                    const data = await response.json();
+                    if (data.error) throw new Error(data.error.message);
+                    priorityFee = data.result?.priorityFeeLevels?.high || 2000000;
+                } catch (error) {
+                    console.warn(`[SENDER-V14] ⚠️ Fee estimation failed: ${error.message}. Using fallback.`);
+                }
             }
-            console.log(`[SENDER-V14] ✅ Priority fee set to: ${priorityFee} microLamports`);
+            console.log(`[SENDER-V14] ✅ Priority fee set to: ${priorityFee} microLamports${options.priorityFee != null ? ' (explicit)' : ''}`);
             
             // ========== STEP 2: SIMULATION FOR PUMPFUN ATOMIC TRANSACTIONS ==========
             let computeUnits = 200000; // Default fallback
@@ -916,6 +952,46 @@ async sendViaSender(transactionData, retries = 3, platform = 'UNKNOWN') {
             //     })
             // );
 
+            // ========== JITO BUNDLE MODE: TIP A RANDOM TIP ACCOUNT ==========
+            const useRace = options.raceMode ?? config.TX_RACE.ENABLED;
+            const raceWithBundle = useRace && (options.raceIncludeBundle ?? config.TX_RACE.INCLUDE_BUNDLE);
+            const useBundle = !useRace && (options.useJitoBundle ?? config.JITO_BUNDLES.ENABLED);
+            let tipLamports = 0;
+            let tipAccount = null;
+            if (useBundle || raceWithBundle) {
+                tipLamports = options.jitoTipLamports || config.DEFAULT_JITO_TIP_LAMPORTS;
+                tipAccount = new PublicKey(this.tipAccounts[Math.floor(Math.random() * this.tipAccounts.length)]);
+                allInstructions.push(
+                    SystemProgram.transfer({
+                        fromPubkey: keypair.publicKey,
+                        toPubkey: tipAccount,
+                        lamports: tipLamports
+                    })
+                );
+                console.log(`[SENDER-V14] 💰 Bundle mode: tipping ${tipLamports} lamports to ${shortenAddress(tipAccount.toBase58())}`);
+            }
+
+            // ========== DURABLE NONCE MODE: nonceAdvance FIRST, NONCE AS BLOCKHASH ==========
+            // The transaction stays valid until the nonce advances, so it can be signed early and retried without expiry
+            let durableNonce = null;
+            if (options.nonceAccountPubkey) {
+                durableNonce = await this.getDurableNonce(options.nonceAccountPubkey);
+                if (!durableNonce.authority.equals(keypair.publicKey)) {
+                    throw new Error(`Nonce account ${shortenAddress(durableNonce.nonceAccountPubkey.toBase58())} is not authorized by wallet ${shortenAddress(keypair.publicKey.toBase58())}`);
+                }
+                allInstructions.unshift(
+                    SystemProgram.nonceAdvance({
+                        noncePubkey: durableNonce.nonceAccountPubkey,
+                        authorizedPubkey: keypair.publicKey
+                    })
+                );
+                console.log(`[SENDER-V14] 🔒 Durable nonce mode: using nonce ${shortenAddress(durableNonce.nonce)} from ${shortenAddress(durableNonce.nonceAccountPubkey.toBase58())}`);
+            }
+            // How each send path confirms: by nonce (never expires) or by blockhash height
+            const confirmation = durableNonce
+                ? { nonceAccountPubkey: durableNonce.nonceAccountPubkey, nonceValue: durableNonce.nonce, minContextSlot: durableNonce.slot }
+                : { blockhash, lastValidBlockHeight };
+
             console.log(`[SENDER-V14] 🔍 FINAL TRANSACTION STRUCTURE:`, {
                 totalInstructions: allInstructions.length,
                 instructionDetails: allInstructions.map((ix, index) => ({
@@ -933,13 +1009,106 @@ async sendViaSender(transactionData, retries = 3, platform = 'UNKNOWN') {
             const transactionMessage = new TransactionMessage({
                 instructions: allInstructions,
                 payerKey: keypair.publicKey,
-                recentBlockhash: blockhash,
+                recentBlockhash: durableNonce ? durableNonce.nonce : blockhash,
             }).compileToV0Message();
 
             const transaction = new VersionedTransaction(transactionMessage);
             transaction.sign([keypair]);
             console.log(`[SENDER-V14] ✅ Transaction built and signed, ready for direct injection.`);
-            
+
+            // ========== PAPER MODE: SIMULATE ONLY, NEVER SEND ==========
+            if (options.paperTrade) {
+                return await this._simulatePaperTrade(transaction, keypair, options, startTime);
+            }
+
+            const route = useRace ? 'race' : useBundle ? 'bundle' : 'direct';
+            const dispatchContext = {
+                confirmation,
+                startTime,
+                includeBundle: raceWithBundle,
+                tipLamports,
+                tipAccount,
+                platform: options.platform || 'UNKNOWN',
+                blockEngineUrl: options.blockEngineUrl || this.blockEngineUrl
+            };
+
+            // ========== PRE-SIGN MODE: SIGN NOW, BROADCAST LATER ==========
+            if (options.presignOnly) {
+                if (!durableNonce) {
+                    throw new Error('Pre-signing needs a durable nonce; a blockhash transaction would expire before it is used');
+                }
+                console.log(`[SENDER-V14] 🔏 Pre-signed ${dispatchContext.platform} transaction kept for later (${route}), nothing sent.`);
+                return {
+                    success: true,
+                    presigned: true,
+                    signature: bs58.encode(transaction.signatures[0]),
+                    serializedTransaction: Buffer.from(transaction.serialize()).toString('base64'),
+                    nonceAccountPubkey: durableNonce.nonceAccountPubkey.toBase58(),
+                    nonce: durableNonce.nonce,
+                    route,
+                    includeBundle: raceWithBundle,
+                    tipLamports,
+                    tipAccount: tipAccount ? tipAccount.toBase58() : null,
+                    platform: dispatchContext.platform,
+                    executionTime: Date.now() - startTime
+                };
+            }
+
+            return await this._dispatchSignedTransaction(transaction, route, dispatchContext);
+        } catch (error) {
+            console.error(`[SENDER-V14] ❌ DIRECT INJECTION FAILED: ${error.message}`, { stack: error.stack, signature });
+            // Return the signature even if confirmation fails, so we can check it on Solscan
+            return { success: false, error: error.message, signature };
+        }
+    }
+
+    // Sends an already-signed transaction down one path: 'race', 'bundle' or 'direct'
+    async _dispatchSignedTransaction(transaction, route, context) {
+        if (route === 'race') {
+            return await this._executeRace(transaction, context);
+        }
+        if (route === 'bundle') {
+            return await this._executeViaJitoBundle(transaction, context);
+        }
+        return await this._sendDirect(transaction, context.confirmation, context.startTime);
+    }
+
+    // Signs and sends a transaction built elsewhere (Jupiter's swap API). It already carries its blockhash and compute
+    // budget, so no tip transfer can be added: it goes out directly, or raced over RPC and Sender without a bundle.
+    async executePrebuiltTransaction(transaction, keypair, options = {}) {
+        const startTime = Date.now();
+        try {
+            if (options.presignOnly) {
+                throw new Error('Pre-signing needs a durable nonce; a prebuilt transaction carries a blockhash that would expire');
+            }
+
+            transaction.sign([keypair]);
+            if (options.paperTrade) {
+                return await this._simulatePaperTrade(transaction, keypair, options, startTime);
+            }
+
+            const route = (options.raceMode ?? config.TX_RACE.ENABLED) ? 'race' : 'direct';
+            console.log(`[SENDER-V14] 🚀 Sending prebuilt ${options.platform || 'UNKNOWN'} transaction via ${route}`);
+            return await this._dispatchSignedTransaction(transaction, route, {
+                confirmation: { blockhash: transaction.message.recentBlockhash, lastValidBlockHeight: options.lastValidBlockHeight },
+                startTime,
+                includeBundle: false,
+                tipLamports: 0,
+                tipAccount: null,
+                platform: options.platform || 'UNKNOWN',
+                blockEngineUrl: options.blockEngineUrl || this.blockEngineUrl
+            });
+        } catch (error) {
+            console.error(`[SENDER-V14] ❌ Prebuilt transaction failed: ${error.message}`);
+            return { success: false, error: error.message, signature: null, executionTime: Date.now() - startTime };
+        }
+    }
+
+    // Direct injection into our RPC node; confirmation is by blockhash height or by durable nonce
+    async _sendDirect(transaction, confirmation, startTime) {
+        let signature = null;
+
+        try {
             // ========== STEP 3: TRANSACTION READY FOR INJECTION ==========
             // Simulation already completed above, no need for final check
             
@@ -963,8 +1132,7 @@ async sendViaSender(transactionData, retries = 3, platform = 'UNKNOWN') {
                 console.log(`[SENDER-V14] 🔍 Confirming transaction: ${signature}...`);
                 const confirmationResult = await this.connection.confirmTransaction({
                     signature,
-                    blockhash,
-                    lastValidBlockHeight
+                    ...confirmation
                 }, 'confirmed');
                 
                 console.log(`[SENDER-V14] 🔍 Confirmation Result:`, {
@@ -1014,7 +1182,340 @@ async sendViaSender(transactionData, retries = 3, platform = 'UNKNOWN') {
         } catch (error) {
             console.error(`[SENDER-V14] ❌ DIRECT INJECTION FAILED: ${error.message}`, { stack: error.stack, signature });
             // Return the signature even if confirmation fails, so we can check it on Solscan
-            return { success: false, error: error.message, signature };
+            return { success: false, error: error.message, signature, executionTime: Date.now() - startTime };
+        }
+    }
+
+    // Broadcasts a transaction produced with options.presignOnly. Refuses (stale: true) once its nonce has advanced,
+    // because such a transaction can never land.
+    async sendPreSignedTransaction(presigned, options = {}) {
+        const startTime = Date.now();
+
+        try {
+            const current = await this.getDurableNonce(presigned.nonceAccountPubkey);
+            if (current.nonce !== presigned.nonce) {
+                console.warn(`[SENDER-V14] ⚠️ Pre-signed transaction ${shortenAddress(presigned.signature)} is stale: nonce advanced.`);
+                return { success: false, stale: true, error: 'Nonce advanced since the transaction was signed', signature: null, executionTime: Date.now() - startTime };
+            }
+
+            const transaction = VersionedTransaction.deserialize(Buffer.from(presigned.serializedTransaction, 'base64'));
+            console.log(`[SENDER-V14] ⚡ Broadcasting pre-signed ${presigned.platform} transaction ${shortenAddress(presigned.signature)} via ${presigned.route}`);
+
+            return await this._dispatchSignedTransaction(transaction, presigned.route, {
+                confirmation: { nonceAccountPubkey: current.nonceAccountPubkey, nonceValue: current.nonce, minContextSlot: current.slot },
+                startTime,
+                includeBundle: presigned.includeBundle,
+                tipLamports: presigned.tipLamports,
+                tipAccount: presigned.tipAccount ? new PublicKey(presigned.tipAccount) : null,
+                platform: presigned.platform,
+                blockEngineUrl: options.blockEngineUrl || this.blockEngineUrl
+            });
+        } catch (error) {
+            console.error(`[SENDER-V14] ❌ Pre-signed broadcast failed: ${error.message}`);
+            return { success: false, error: error.message, signature: null, executionTime: Date.now() - startTime };
+        }
+    }
+
+    // Paper trading: simulates the signed transaction and reads the expected output from the simulated account state.
+    // Buys measure our token account for outputMint, sells measure the wallet's lamports (net of fees).
+    async _simulatePaperTrade(transaction, keypair, options, startTime) {
+        const owner = keypair.publicKey;
+        const receivesSol = !options.outputMint || options.outputMint === config.NATIVE_SOL_MINT;
+        const watched = receivesSol
+            ? [owner]
+            : [TOKEN_PROGRAM_ID, TOKEN_2022_PROGRAM_ID].map(programId =>
+                getAssociatedTokenAddressSync(new PublicKey(options.outputMint), owner, false, programId));
+
+        try {
+            const before = await this.connection.getMultipleAccountsInfo(watched, 'processed');
+            const simulation = await this.simulateTransaction(transaction, { accounts: watched.map(key => key.toBase58()) });
+
+            // Token amount sits at offset 64 of an SPL token account (same for Token-2022)
+            const readAmount = (data) => (data && data.length >= 72 ? data.readBigUInt64LE(64) : 0n);
+            let simulatedOutputAmount = 0n;
+            watched.forEach((key, i) => {
+                const after = simulation.accounts[i];
+                if (!after) return;
+                if (receivesSol) {
+                    simulatedOutputAmount += BigInt(after.lamports) - BigInt(before[i]?.lamports || 0);
+                } else {
+                    simulatedOutputAmount += readAmount(Buffer.from(after.data[0], 'base64')) - readAmount(before[i]?.data);
+                }
+            });
+
+            const executionTime = Date.now() - startTime;
+            console.log(`[SENDER-V14] 📝 PAPER trade simulated in ${executionTime}ms: expected output ${simulatedOutputAmount} (${simulation.unitsConsumed} CU). Nothing was sent.`);
+
+            return {
+                success: true,
+                paper: true,
+                signature: `paper_${Date.now()}_${owner.toBase58().slice(0, 8)}`,
+                executionTime,
+                confirmationTime: null,
+                unitsConsumed: simulation.unitsConsumed,
+                simulatedOutputAmount: simulatedOutputAmount > 0n ? simulatedOutputAmount.toString() : '0'
+            };
+        } catch (error) {
+            console.error(`[SENDER-V14] ❌ PAPER simulation failed: ${error.message}`);
+            return { success: false, paper: true, error: `Paper simulation failed: ${error.message}`, signature: null, executionTime: Date.now() - startTime };
+        }
+    }
+
+    // ===== DURABLE NONCE =====
+
+    // Reads the nonce currently stored in a nonce account; it stands in for the recent blockhash
+    async getDurableNonce(nonceAccountPubkey) {
+        const noncePubkey = new PublicKey(nonceAccountPubkey);
+        const { context, value } = await this.connection.getAccountInfoAndContext(noncePubkey, 'confirmed');
+        if (!value) {
+            throw new Error(`Nonce account ${shortenAddress(noncePubkey.toBase58())} not found`);
+        }
+
+        const nonceAccount = NonceAccount.fromAccountData(value.data);
+        if (!nonceAccount || !nonceAccount.nonce) {
+            throw new Error(`Nonce account ${shortenAddress(noncePubkey.toBase58())} is not initialized`);
+        }
+
+        return {
+            nonceAccountPubkey: noncePubkey,
+            nonce: nonceAccount.nonce,
+            authority: nonceAccount.authorizedPubkey,
+            slot: context.slot
+        };
+    }
+
+    // ===== JITO BUNDLE SUBMISSION =====
+
+    // Sends the signed transaction as a one-transaction bundle. Bundles are atomic, so "Landed" means the swap succeeded.
+    async _executeViaJitoBundle(transaction, context) {
+        const { confirmation, tipLamports, tipAccount, startTime, blockEngineUrl } = context;
+        const signature = bs58.encode(transaction.signatures[0]);
+        const tipInfo = { tipAmount: tipLamports, tipAccount: tipAccount.toBase58() };
+        let bundleId = null;
+
+        try {
+            bundleId = await this.sendBundle([transaction], blockEngineUrl);
+            this.executionStats.bundlesSubmitted++;
+            this._trackBundle(bundleId, { status: 'Pending', signature, submittedAt: Date.now() });
+            console.log(`[JITO-BUNDLE] 📦 Bundle ${bundleId} submitted to ${blockEngineUrl} (tx ${shortenAddress(signature)})`);
+
+            let outcome = await this.waitForBundle(bundleId, confirmation.lastValidBlockHeight, blockEngineUrl);
+
+            // The block engine can lose track of a bundle that did land; the chain has the final word
+            if (outcome.status !== 'Landed' && outcome.status !== 'Failed') {
+                const { value } = await this.connection.getSignatureStatuses([signature], { searchTransactionHistory: true });
+                if (value[0] && !value[0].err) {
+                    outcome = { status: 'Landed', slot: value[0].slot };
+                    this._trackBundle(bundleId, outcome);
+                }
+            }
+
+            if (outcome.status !== 'Landed') {
+                this.executionStats.bundlesFailed++;
+                console.error(`[JITO-BUNDLE] ❌ Bundle ${bundleId} did not land: ${outcome.status}`);
+                return { success: false, error: `Jito bundle ${outcome.status}`, signature, bundleId, bundleStatus: outcome.status, executionTime: Date.now() - startTime, ...tipInfo };
+            }
+
+            this.executionStats.bundlesLanded++;
+            console.log(`[JITO-BUNDLE] ✅ Bundle ${bundleId} landed in slot ${outcome.slot ?? 'unknown'}. Waiting for confirmation...`);
+
+            const confirmationResult = await this.connection.confirmTransaction({ signature, ...confirmation }, 'confirmed');
+            if (confirmationResult.value.err) {
+                const onChainError = JSON.stringify(confirmationResult.value.err);
+                console.error(`[JITO-BUNDLE] ❌ Landed bundle transaction reported an error: ${onChainError}`);
+                return { success: false, error: onChainError, signature, bundleId, bundleStatus: outcome.status, executionTime: Date.now() - startTime, ...tipInfo };
+            }
+
+            const executionTime = Date.now() - startTime;
+            console.log(`[JITO-BUNDLE] ✅✅✅ SUCCESS! Bundle landed & confirmed in ${executionTime}ms!`);
+            return { success: true, signature, bundleId, bundleStatus: outcome.status, executionTime, confirmationTime: executionTime, ...tipInfo };
+
+        } catch (error) {
+            if (!bundleId) {
+                this.executionStats.bundlesFailed++;
+            }
+            console.error(`[JITO-BUNDLE] ❌ Bundle execution failed: ${error.message}`, { bundleId, signature });
+            return { success: false, error: error.message, signature: bundleId ? signature : null, bundleId, executionTime: Date.now() - startTime, ...tipInfo };
+        }
+    }
+
+    // Submits already-signed transactions as one bundle; returns the bundle id
+    async sendBundle(transactions, blockEngineUrl = this.blockEngineUrl) {
+        const encoded = transactions.map(tx => Buffer.from(tx.serialize()).toString('base64'));
+        const bundleId = await this._blockEngineRequest(blockEngineUrl, '/api/v1/bundles', 'sendBundle', [encoded, { encoding: 'base64' }]);
+        if (!bundleId) {
+            throw new Error('Block engine accepted the bundle but returned no bundle id');
+        }
+        return bundleId;
+    }
+
+    // Statuses from the block engine: Pending, Landed, Failed, or Invalid (not known to it yet / anymore)
+    async getInflightBundleStatus(bundleId, blockEngineUrl = this.blockEngineUrl) {
+        const result = await this._blockEngineRequest(blockEngineUrl, '/api/v1/getInflightBundleStatuses', 'getInflightBundleStatuses', [[bundleId]]);
+        const entry = result?.value?.[0];
+        return entry
+            ? { status: entry.status, slot: entry.landed_slot ?? null }
+            : { status: 'Invalid', slot: null };
+    }
+
+    // Polls until the bundle lands or fails, the blockhash expires (it can no longer land), or the timeout passes.
+    // Durable-nonce bundles have no lastValidBlockHeight and rely on the timeout alone.
+    async waitForBundle(bundleId, lastValidBlockHeight, blockEngineUrl = this.blockEngineUrl) {
+        const { STATUS_POLL_INTERVAL_MS, STATUS_TIMEOUT_MS } = config.JITO_BUNDLES;
+        const deadline = Date.now() + STATUS_TIMEOUT_MS;
+        let last = { status: 'Pending', slot: null };
+
+        while (Date.now() < deadline) {
+            try {
+                last = await this.getInflightBundleStatus(bundleId, blockEngineUrl);
+                this._trackBundle(bundleId, last);
+                if (last.status === 'Landed' || last.status === 'Failed') {
+                    return last;
+                }
+            } catch (error) {
+                console.warn(`[JITO-BUNDLE] ⚠️ Status check for ${bundleId} failed: ${error.message}`);
+            }
+
+            if (lastValidBlockHeight && await this.connection.getBlockHeight('confirmed') > lastValidBlockHeight) {
+                this._trackBundle(bundleId, { status: 'Expired' });
+                return { ...last, status: 'Expired' };
+            }
+
+            await new Promise(resolve => setTimeout(resolve, STATUS_POLL_INTERVAL_MS));
+        }
+
+        this._trackBundle(bundleId, { status: 'Timeout' });
+        return { ...last, status: 'Timeout' };
+    }
+
+    // Last known status of a bundle submitted by this process
+    getBundleStatus(bundleId) {
+        return this.bundleStatuses.get(bundleId) || null;
+    }
+
+    _trackBundle(bundleId, fields) {
+        this.bundleStatuses.set(bundleId, { ...this.bundleStatuses.get(bundleId), ...fields, updatedAt: Date.now() });
+
+        // Keep only the most recent bundles; Map iteration order is insertion order
+        if (this.bundleStatuses.size > 200) {
+            this.bundleStatuses.delete(this.bundleStatuses.keys().next().value);
+        }
+    }
+
+    async _blockEngineRequest(blockEngineUrl, path, method, params) {
+        const headers = { 'Content-Type': 'application/json' };
+        if (config.JITO_BUNDLES.AUTH_UUID) {
+            headers['x-jito-auth'] = config.JITO_BUNDLES.AUTH_UUID;
+        }
+
+        const controller = new AbortController();
+        const timeoutId = setTimeout(() => controller.abort(), 10000);
+        try {
+            const response = await fetch(`${blockEngineUrl.replace(/\/$/, '')}${path}`, {
+                method: 'POST',
+                headers,
+                body: JSON.stringify({ jsonrpc: '2.0', id: 1, method, params }),
+                signal: controller.signal
+            });
+            const json = await response.json();
+            if (json.error) {
+                throw new Error(`Block engine ${method} error: ${json.error.message} (Code: ${json.error.code})`);
+            }
+            return json.result;
+        } finally {
+            clearTimeout(timeoutId);
+        }
+    }
+
+    // ===== MULTI-PATH RACE =====
+
+    // Broadcasts the same signed transaction on every path at once. All copies share one signature, so the chain
+    // dedups them and a race lands at most once. The landing is credited to the bundle path when the block engine
+    // reports the bundle landed, otherwise to whichever of RPC / Sender accepted the transaction first.
+    async _executeRace(transaction, context) {
+        const { confirmation, startTime, includeBundle, tipLamports, tipAccount, platform, blockEngineUrl } = context;
+        const serializedTransaction = transaction.serialize();
+        const signature = bs58.encode(transaction.signatures[0]);
+        const acks = [];
+        let bundleId = null;
+
+        const submit = (path, send) => {
+            this.executionStats.racePaths[path].sent++;
+            return send().then(() => {
+                const ackMs = Date.now() - startTime;
+                acks.push({ path, ackMs });
+                this.executionStats.racePaths[path].accepted++;
+                this.executionStats.racePaths[path].totalAckMs += ackMs;
+                console.log(`[RACE] 🏁 ${path} accepted ${shortenAddress(signature)} after ${ackMs}ms`);
+                return path;
+            }, (error) => {
+                this.executionStats.racePaths[path].errors++;
+                console.warn(`[RACE] ⚠️ ${path} path failed: ${error.message}`);
+                throw error;
+            });
+        };
+
+        const sends = [
+            submit('rpc', () => this.connection.sendRawTransaction(serializedTransaction, { skipPreflight: true, maxRetries: 2 })),
+            submit('sender', () => this.sendViaSender({ transaction, serializedTransaction, lastValidBlockHeight: confirmation.lastValidBlockHeight }, 1, platform, { skipSimulation: true }))
+        ];
+        if (includeBundle) {
+            sends.push(submit('bundle', async () => {
+                bundleId = await this.sendBundle([transaction], blockEngineUrl);
+                this.executionStats.bundlesSubmitted++;
+                this._trackBundle(bundleId, { status: 'Pending', signature, submittedAt: Date.now() });
+            }));
+        }
+
+        this.executionStats.races.total++;
+        const tipInfo = tipAccount ? { tipAmount: tipLamports, tipAccount: tipAccount.toBase58() } : {};
+
+        try {
+            await Promise.any(sends);
+        } catch (error) {
+            this.executionStats.races.failed++;
+            const reasons = error.errors.map(e => e.message).join('; ');
+            console.error(`[RACE] ❌ Every path failed to send: ${reasons}`);
+            return { success: false, error: `All race paths failed: ${reasons}`, signature: null, executionTime: Date.now() - startTime, ...tipInfo };
+        }
+
+        try {
+            const confirmationResult = await this.connection.confirmTransaction({ signature, ...confirmation }, 'confirmed');
+            // Let the slower paths finish so their ack/error counts are complete before we attribute the landing
+            await Promise.allSettled(sends);
+
+            if (confirmationResult.value.err) {
+                this.executionStats.races.failed++;
+                const onChainError = JSON.stringify(confirmationResult.value.err);
+                console.error(`[RACE] ❌ TRANSACTION FAILED ON-CHAIN: ${onChainError}`);
+                return { success: false, error: onChainError, signature, executionTime: Date.now() - startTime, ...tipInfo };
+            }
+
+            const { value } = await this.connection.getSignatureStatuses([signature], { searchTransactionHistory: true });
+            const landedSlot = value[0]?.slot ?? null;
+
+            let winner = (acks.find(a => a.path !== 'bundle') || acks[0]).path;
+            if (bundleId) {
+                const bundle = await this.getInflightBundleStatus(bundleId, blockEngineUrl).catch(() => null);
+                if (bundle) this._trackBundle(bundleId, bundle);
+                if (bundle?.status === 'Landed') {
+                    winner = 'bundle';
+                    this.executionStats.bundlesLanded++;
+                }
+            }
+
+            this.executionStats.races.landed++;
+            this.executionStats.racePaths[winner].wins++;
+            this.executionStats.lastRace = { signature, winner, landedSlot, acks, at: new Date().toISOString() };
+
+            const executionTime = Date.now() - startTime;
+            console.log(`[RACE] ✅✅✅ Landed in slot ${landedSlot} via ${winner} (${acks.map(a => `${a.path} ${a.ackMs}ms`).join(', ')}), confirmed in ${executionTime}ms`);
+            return { success: true, signature, executionTime, confirmationTime: executionTime, racePath: winner, landedSlot, bundleId, ...tipInfo };
+
+        } catch (error) {
+            this.executionStats.races.failed++;
+            console.error(`[RACE] ❌ Confirmation failed: ${error.message}`, { signature });
+            return { success: false, error: error.message, signature, executionTime: Date.now() - startTime, ...tipInfo };
         }
     }
 
@@ -377,7 +377,7 @@ startBlockhashCacheRefresh() {
 
    calculateJitoTip(level = 'high') {
        const factor = { low: 0.5, normal: 1.0, medium: 1.5, high: 2.5, ultra: 5.0 }[level] || 1.0;
-       return Math.floor(config.MEV_PROTECTION.defaultTipLamports * factor);
+       return Math.floor(config.DEFAULT_JITO_TIP_LAMPORTS * factor);
    }
 
 
@@ -10,10 +10,56 @@ const bs58 = require('bs58');
 const { PublicKey } = require('@solana/web3.js');
 
 // Import shared utilities and config
-const { shortenAddress, escapeMarkdownV2, formatLamports } = require('./utils');
+const { shortenAddress, escapeMarkdownV2, formatLamports, sanitizeAddress } = require('./utils');
 const config = require('./config.js');
+const { SAFETY_CHECKS, SAFETY_ACTIONS } = require('./tokenSafetyChecker.js');
 const { BOT_TOKEN, USER_WALLET_PUBKEY, MIN_SOL_AMOUNT_PER_TRADE, ADMIN_CHAT_ID } = config;
 
+// 'fixed' slippage, or 'mirror' the trader's own slippage and compute-unit price
+const SLIPPAGE_MODES = ['fixed', 'mirror'];
+
+// /tset keys → trader settings fields; parse returns undefined for an invalid value
+const positiveNumber = (value) => { const n = parseFloat(value); return n > 0 ? n : undefined; };
+const TRADER_SETTING_KEYS = {
+    mode: { field: 'sizingMode', parse: v => ['fixed', 'scale', 'percent'].includes(v.toLowerCase()) ? v.toLowerCase() : undefined },
+    sol: { field: 'solAmount', parse: positiveNumber },
+    scale: { field: 'scaleFactor', parse: positiveNumber },
+    percent: { field: 'percentOfTrader', parse: positiveNumber },
+    max: { field: 'maxSolPerTrade', parse: positiveNumber },
+    slippage: { field: 'slippageBps', parse: v => { const n = parseFloat(v); return n > 0 && n <= 100 ? Math.round(n * 100) : undefined; } },
+    copy: { field: 'copyMode', parse: v => ['both', 'buys', 'sells'].includes(v.toLowerCase()) ? v.toLowerCase() : undefined },
+    cap: { field: 'dailySpendCapSol', parse: v => { const n = parseFloat(v); return n >= 0 ? n : undefined; } },
+    wallet: { field: 'walletLabel', parse: v => v },
+    slipmode: { field: 'slippageMode', parse: v => SLIPPAGE_MODES.includes(v.toLowerCase()) ? v.toLowerCase() : undefined }
+};
+
+// /slipmode keys → mirror-mode settings; min and max are percents, fee multiplies the trader's compute-unit price
+const SLIPPAGE_MODE_KEYS = {
+    mode: 'slippageMode',
+    min: 'minSlippageBps',
+    max: 'maxSlippageBps',
+    fee: 'priorityFeeMultiplier'
+};
+
+// /walletmode strategies; split optionally takes how many wallets to spread over
+const WALLET_STRATEGIES = ['primary', 'roundrobin', 'split'];
+
+// /gates keys → market gate settings, all in SOL except curve (percent); 0 turns a bound off
+const MARKET_GATE_KEYS = {
+    minliq: 'minLiquiditySol',
+    maxliq: 'maxLiquiditySol',
+    minmcap: 'minMarketCapSol',
+    maxmcap: 'maxMarketCapSol',
+    curve: 'maxCurveProgressPercent'
+};
+
+// /blacklist, /whitelist and /platforms → the user's filter list they edit
+const FILTER_LIST_COMMANDS = {
+    blacklist: 'mintBlacklist',
+    whitelist: 'mintWhitelist',
+    platforms: 'allowedPlatforms'
+};
+
 class TelegramUI {
     constructor(dataManager, solanaManager, walletManager) {
         if (!dataManager || !solanaManager || !walletManager) {
@@ -168,7 +214,24 @@ class TelegramUI {
             await this.bot.setMyCommands([
                 { command: 'start', description: '🚀 Start the bot and show main menu' },
                 { command: 'menu', description: '📋 Show main menu' },
-                { command: 'help', description: '❓ Get help and support' }
+                { command: 'help', description: '❓ Get help and support' },
+                { command: 'sl', description: '🛑 Set stop-loss: /sl <percent|off> [mint]' },
+                { command: 'tp', description: '🎯 Set take-profit: /tp <percent|off> [mint]' },
+                { command: 'trail', description: '📉 Set trailing stop: /trail <percent|off> [mint]' },
+                { command: 'ladder', description: '🪜 Set TP ladder: /ladder 2x:30 4x:30 [mint]' },
+                { command: 'paper', description: '📝 Paper trading: /paper <on|off|default>' },
+                { command: 'tset', description: '🎛 Per-trader settings: /tset <trader> key=value ...' },
+                { command: 'blacklist', description: '⛔ Never copy these mints: /blacklist add|remove|import <mints>' },
+                { command: 'whitelist', description: '✅ Only copy these mints: /whitelist add|remove|import <mints>' },
+                { command: 'platforms', description: '🏦 Allowed platforms: /platforms add|remove|import|default <names>' },
+                { command: 'gates', description: '📏 Liquidity / mcap / curve bounds: /gates minliq=5 maxmcap=500 curve=80' },
+                { command: 'safety', description: '🛡 Token safety policy: /safety <check|all> <block|warn|allow|default>' },
+                { command: 'walletmode', description: '👛 Wallets used for buys: /walletmode primary|roundrobin|split [n]' },
+                { command: 'slipmode', description: '🪞 Mirror trader slippage / fee: /slipmode mode=mirror min=1 max=15 fee=1.5' },
+                { command: 'consensus', description: '🤝 Buy only when k traders agree: /consensus Alice Bob Carol k=2 window=120' },
+                { command: 'trades', description: '🧾 In-flight and recent copies, cancel ones not sent yet' },
+                { command: 'buy', description: '🟢 Buy a token now: /buy <mint> <SOL>' },
+                { command: 'sell', description: '🔴 Sell a token now: /sell <mint> [percent]' }
             ]);
             
             // Set up the persistent menu button
@@ -195,6 +258,80 @@ class TelegramUI {
         // Command handlers
         this.bot.onText(/^\/(start|menu)$/, msg => this.handleMenuCommand(msg));
         this.bot.onText(/^\/help$/, msg => this.showHelp(msg.chat.id));
+        this.bot.onText(/^\/(sl|tp|trail)(?:\s+(\S+))?(?:\s+(\S+))?$/, (msg, match) => {
+            this.handleExitRuleCommand(msg.chat.id, match).catch(err => {
+                console.error("Exit rule command error:", err);
+                this.sendErrorMessage(msg.chat.id, err.message);
+            });
+        });
+        this.bot.onText(/^\/ladder(?:\s+(.+))?$/, (msg, match) => {
+            this.handleLadderCommand(msg.chat.id, match[1]).catch(err => {
+                console.error("Ladder command error:", err);
+                this.sendErrorMessage(msg.chat.id, err.message);
+            });
+        });
+        this.bot.onText(/^\/paper(?:\s+(\S+))?$/, (msg, match) => {
+            this.handlePaperCommand(msg.chat.id, match[1]).catch(err => {
+                console.error("Paper command error:", err);
+                this.sendErrorMessage(msg.chat.id, err.message);
+            });
+        });
+        this.bot.onText(/^\/tset(?:\s+(.+))?$/, (msg, match) => {
+            this.handleTraderSettingsCommand(msg.chat.id, match[1]).catch(err => {
+                console.error("Trader settings command error:", err);
+                this.sendErrorMessage(msg.chat.id, err.message);
+            });
+        });
+        this.bot.onText(/^\/(blacklist|whitelist|platforms)(?:\s+([\s\S]+))?$/, (msg, match) => {
+            this.handleFilterListCommand(msg.chat.id, match[1], match[2]).catch(err => {
+                console.error("Filter list command error:", err);
+                this.sendErrorMessage(msg.chat.id, err.message);
+            });
+        });
+        this.bot.onText(/^\/gates(?:\s+(.+))?$/, (msg, match) => {
+            this.handleMarketGatesCommand(msg.chat.id, match[1]).catch(err => {
+                console.error("Market gates command error:", err);
+                this.sendErrorMessage(msg.chat.id, err.message);
+            });
+        });
+        this.bot.onText(/^\/safety(?:\s+(\S+))?(?:\s+(\S+))?$/, (msg, match) => {
+            this.handleSafetyCommand(msg.chat.id, match[1], match[2]).catch(err => {
+                console.error("Safety command error:", err);
+                this.sendErrorMessage(msg.chat.id, err.message);
+            });
+        });
+        this.bot.onText(/^\/trades$/, msg => {
+            if (this.actionHandlers.onListTrades) {
+                this.actionHandlers.onListTrades(msg.chat.id).catch(err => {
+                    console.error("Trades command error:", err);
+                    this.sendErrorMessage(msg.chat.id, err.message);
+                });
+            }
+        });
+        this.bot.onText(/^\/walletmode(?:\s+(\S+))?(?:\s+(\S+))?$/, (msg, match) => {
+            this.handleWalletModeCommand(msg.chat.id, match[1], match[2]).catch(err => {
+                console.error("Wallet mode command error:", err);
+                this.sendErrorMessage(msg.chat.id, err.message);
+            });
+        });
+        this.bot.onText(/^\/slipmode(?:\s+(.+))?$/, (msg, match) => {
+            this.handleSlippageModeCommand(msg.chat.id, match[1]).catch(err => {
+                console.error("Slippage mode command error:", err);
+                this.sendErrorMessage(msg.chat.id, err.message);
+            });
+        });
+        this.bot.onText(/^\/consensus(?:\s+(.+))?$/, (msg, match) => {
+            this.handleConsensusCommand(msg.chat.id, match[1]).catch(err => {
+                console.error("Consensus command error:", err);
+                this.sendErrorMessage(msg.chat.id, err.message);
+            });
+        });
+        this.bot.onText(/^\/(buy|sell)(?:\s+(\S+))?(?:\s+(\S+))?$/, (msg, match) => {
+            this.handleManualTradeCommand(msg.chat.id, match[1], match[2], match[3]).catch(err => {
+                console.error("Manual trade command error:", err);
+                this.sendErrorMessage(msg.chat.id, err.message);
+            });
+        });
             this.bot.onText(/\/copy (.+)/, (msg, match) => {
         const chatId = msg.chat.id;
         if (this.actionHandlers.onManualCopy && match && match[1]) {
@@ -209,6 +346,15 @@ class TelegramUI {
         this.bot.on('callback_query', cb => this.handleCallbackQuery(cb).catch(err => console.error("CallbackQuery Error:", err)));
         this.bot.on('message', msg => {
             if (msg.text && !msg.text.startsWith('/')) {
+                // A bare mint address outside any input flow opens the quick-buy card
+                const mint = this.activeFlows.has(msg.chat.id) ? null : sanitizeAddress(msg.text);
+                if (mint) {
+                    this.showQuickBuyCard(msg.chat.id, mint, msg.message_id).catch(err => {
+                        console.error("Quick-buy card error:", err);
+                        this.sendErrorMessage(msg.chat.id, err.message);
+                    });
+                    return;
+                }
                 this.handleFlowInput(msg).catch(err => {
                     console.error("Critical error in handleFlowInput:", err);
                     this.sendErrorMessage(msg.chat.id, `Error: ${err.message}`);
@@ -277,6 +423,9 @@ async handleCallbackQuery(cb) {
             wm_import: () => this.handleImportWalletPrompt(chatId),
     
             refresh_balances: () => this.displayWalletBalances(chatId),
+            trades_list: () => this.actionHandlers.onListTrades(chatId),
+            admin_panel: () => this.showAdminPanel(chatId),
+            admin_dead_letters: () => this.displayDeadLetterJobs(chatId),
         };
 
         if (simpleRoutes[data]) {
@@ -303,6 +452,14 @@ async handleCallbackQuery(cb) {
             return await this.showTradersList(chatId); // Show traders list after removing
         }
 
+        if (action === 'canceltrade') {
+            return await this.actionHandlers.onCancelTrade(chatId, param);
+        }
+
+        if (action === 'quickbuy') {
+            return await this.actionHandlers.onManualTrade(chatId, 'buy', params[0], parseFloat(params[1]));
+        }
+
         if (action === 'delete' && params[0] === 'wallet') {
             return await this.handleDeleteWalletConfirmation(chatId, param.substring('wallet_'.length));
         }
@@ -499,6 +656,7 @@ async handleCallbackQuery(cb) {
             [{ text: "💹 View User PnL", callback_data: "admin_view_pnl" }],
             [{ text: "📊 Bot Statistics", callback_data: "admin_bot_stats" }],
             [{ text: "🏥 System Health", callback_data: "admin_system_health" }],
+            [{ text: "🪦 Dead-Letter Jobs", callback_data: "admin_dead_letters" }],
             [{ text: "👥 Manage Users", callback_data: "admin_manage_users" }],
             [{ text: "⚙️ Global Settings", callback_data: "admin_global_settings" }],
             [{ text: "🏠 Main Menu", callback_data: "main_menu" }]
@@ -702,6 +860,21 @@ async handleCallbackQuery(cb) {
         });
     }
 
+    // Copy jobs the trade queue gave up on, newest first
+    async displayDeadLetterJobs(chatId) {
+        try {
+            const user = await this.dataManager.getUser(chatId);
+            if (!user || user.is_admin !== 1) return;
+        } catch (error) {
+            console.error('Error checking admin status:', error);
+            return;
+        }
+
+        if (this.actionHandlers.onViewDeadLetters) {
+            await this.actionHandlers.onViewDeadLetters(chatId);
+        }
+    }
+
     async showUserManagementMenu(chatId) {
         const message = "✅ *User Whitelist Management*\n\nHere you can add new friends to the bot or remove them\\.";
         const keyboard = [
@@ -748,13 +921,384 @@ async handleCallbackQuery(cb) {
         await this.sendOrEditMessage(chatId, message, { reply_markup: { inline_keyboard: buttons } });
     }
 
+    // /sl 30 → 30% stop-loss for all positions, /tp 100 <mint> → 100% take-profit on one position, "off" disables
+    async handleExitRuleCommand(chatId, match) {
+        const rule = { sl: 'stopLoss', tp: 'takeProfit', trail: 'trailingStop' }[match[1]];
+        const rawValue = match[2];
+        const tokenMint = match[3] || null;
+
+        if (!rawValue) {
+            return this.sendOrEditMessage(chatId, `Usage: /${match[1]} <percent|off> [token mint]\nExample: /${match[1]} 30`);
+        }
+
+        let value;
+        if (['off', '0'].includes(rawValue.toLowerCase())) {
+            value = 0;
+        } else {
+            const percent = parseFloat(rawValue.replace('%', ''));
+            if (isNaN(percent) || percent <= 0 || (rule !== 'takeProfit' && percent >= 100)) {
+                return this.sendErrorMessage(chatId, `Invalid percentage "${rawValue}". Stop-loss and trailing stop must be between 0 and 100, take-profit above 0.`);
+            }
+            value = percent / 100;
+        }
+
+        if (tokenMint) {
+            try {
+                new PublicKey(tokenMint);
+            } catch {
+                return this.sendErrorMessage(chatId, `Invalid token mint address: ${tokenMint}`);
+            }
+        }
+
+        if (this.actionHandlers.onSetExitRule) {
+            await this.actionHandlers.onSetExitRule(chatId, rule, value, tokenMint);
+        }
+    }
+
+    // /ladder 2x:30 4x:30 [mint] → sell 30% of the original position at 2x and 30% at 4x; "/ladder off" clears it
+    async handleLadderCommand(chatId, argsText) {
+        const args = (argsText || '').trim().split(/\s+/).filter(Boolean);
+        if (args.length === 0) {
+            return this.sendOrEditMessage(chatId, `Usage: /ladder <multiple>x:<percent> ... [token mint]\nExample: /ladder 2x:30 4x:30\nUse /ladder off to clear it.`);
+        }
+
+        let tokenMint = null;
+        const last = args[args.length - 1];
+        if (!/x:/i.test(last) && last.toLowerCase() !== 'off') {
+            try {
+                new PublicKey(last);
+                tokenMint = args.pop();
+            } catch {
+                return this.sendErrorMessage(chatId, `Invalid token mint address: ${last}`);
+            }
+        }
+
+        let ladder = [];
+        if (!(args.length === 1 && args[0].toLowerCase() === 'off')) {
+            for (const arg of args) {
+                const stepMatch = arg.match(/^(\d+(?:\.\d+)?)x:(\d+(?:\.\d+)?)%?$/i);
+                const multiple = stepMatch ? parseFloat(stepMatch[1]) : NaN;
+                const percent = stepMatch ? parseFloat(stepMatch[2]) : NaN;
+                if (!(multiple > 1) || !(percent > 0) || percent > 100) {
+                    return this.sendErrorMessage(chatId, `Invalid ladder step "${arg}". Use <multiple>x:<percent>, e.g. 2x:30.`);
+                }
+                ladder.push({ multiple, fraction: percent / 100 });
+            }
+
+            const totalFraction = ladder.reduce((sum, step) => sum + step.fraction, 0);
+            if (totalFraction > 1.0001) {
+                return this.sendErrorMessage(chatId, `Ladder steps add up to ${(totalFraction * 100).toFixed(0)}% of the position. Keep the total at or below 100%.`);
+            }
+            ladder.sort((a, b) => a.multiple - b.multiple);
+        }
+
+        if (this.actionHandlers.onSetExitRule) {
+            await this.actionHandlers.onSetExitRule(chatId, 'takeProfitLadder', ladder, tokenMint);
+        }
+    }
+
+    // /paper on → simulate copies instead of sending them, /paper off → trade for real, /paper default → follow the global setting
+    async handlePaperCommand(chatId, arg) {
+        const modes = { on: true, off: false, default: null };
+        const mode = (arg || '').toLowerCase();
+        if (!(mode in modes)) {
+            return this.sendOrEditMessage(chatId, `Usage: /paper <on|off|default>\nPaper mode simulates every copy and records it in a separate paper portfolio. Nothing is sent and no SOL is spent.`);
+        }
+
+        if (this.actionHandlers.onSetPaperTrading) {
+            await this.actionHandlers.onSetPaperTrading(chatId, modes[mode]);
+        }
+    }
+
+    // /tset <trader> key=value ... ; "default" as a value drops the trader's own setting. With no pairs it shows the current ones.
+    async handleTraderSettingsCommand(chatId, argsText) {
+        const args = (argsText || '').trim().split(/\s+/).filter(Boolean);
+        if (args.length === 0) {
+            return this.sendOrEditMessage(chatId, `Usage: /tset <trader> key=value ...\n` +
+                `mode=fixed|scale|percent  sol=<SOL>  scale=<factor>  percent=<% of trader size>\n` +
+                `max=<SOL per trade>  slippage=<%>  copy=both|buys|sells  cap=<SOL per day, 0 = none>\n` +
+                `wallet=<wallet label> always buys this trader's copies with that wallet\n` +
+                `slipmode=fixed|mirror copies this trader's own slippage and priority fee (bounds from /slipmode)\n` +
+                `Use key=default to fall back to your own / the global setting.`);
+        }
+
+        const traderName = args.shift();
+        const changes = {};
+        for (const arg of args) {
+            const [key, rawValue] = arg.split('=');
+            const setting = TRADER_SETTING_KEYS[(key || '').toLowerCase()];
+            if (!setting || !rawValue) {
+                return this.sendErrorMessage(chatId, `Unknown setting "${arg}". Keys: ${Object.keys(TRADER_SETTING_KEYS).join(', ')}.`);
+            }
+            if (rawValue.toLowerCase() === 'default') {
+                changes[setting.field] = null;
+                continue;
+            }
+            const value = setting.parse(rawValue);
+            if (value === undefined) {
+                return this.sendErrorMessage(chatId, `Invalid value for ${key}: ${rawValue}`);
+            }
+            changes[setting.field] = value;
+        }
+
+        if (this.actionHandlers.onSetTraderSettings) {
+            await this.actionHandlers.onSetTraderSettings(chatId, traderName, changes);
+        }
+    }
+
+    // /blacklist add <mints> | remove <mints> | import <mints>; import replaces the whole list and takes mints
+    // separated by spaces, commas or new lines so a list can be pasted in one message. No arguments shows the lists.
+    async handleFilterListCommand(chatId, command, argsText) {
+        const list = FILTER_LIST_COMMANDS[command];
+        const args = (argsText || '').trim().split(/[\s,]+/).filter(Boolean);
+        const action = (args.shift() || 'list').toLowerCase();
+
+        if (action === 'list') {
+            if (this.actionHandlers.onUpdateFilterList) {
+                await this.actionHandlers.onUpdateFilterList(chatId, list, 'list', []);
+            }
+            return;
+        }
+
+        if (list === 'allowedPlatforms' && action === 'default') {
+            if (this.actionHandlers.onUpdateFilterList) {
+                await this.actionHandlers.onUpdateFilterList(chatId, list, 'replace', null);
+            }
+            return;
+        }
+
+        const actions = { add: 'add', remove: 'remove', import: 'replace' };
+        if (!actions[action] || (args.length === 0 && action !== 'import')) {
+            const values = list === 'allowedPlatforms' ? '<platform names>' : '<token mints>';
+            return this.sendOrEditMessage(chatId, `Usage: /${command} add ${values} | remove ${values} | import ${values}` +
+                (list === 'allowedPlatforms' ? ` | default\nPlatforms: PumpFun, Raydium, Jupiter, Meteora, Orca` : '') +
+                `\nimport replaces the whole list; an empty import clears it. /${command} alone shows your lists.`);
+        }
+
+        if (list !== 'allowedPlatforms') {
+            const invalid = args.find(mint => {
+                try {
+                    new PublicKey(mint);
+                    return false;
+                } catch {
+                    return true;
+                }
+            });
+            if (invalid) {
+                return this.sendErrorMessage(chatId, `Invalid token mint address: ${invalid}`);
+            }
+        }
+
+        if (this.actionHandlers.onUpdateFilterList) {
+            await this.actionHandlers.onUpdateFilterList(chatId, list, actions[action], args);
+        }
+    }
+
+    // /gates minliq=5 maxmcap=500 curve=80 ; key=default falls back to the global bound. No arguments shows the current ones.
+    async handleMarketGatesCommand(chatId, argsText) {
+        const args = (argsText || '').trim().split(/\s+/).filter(Boolean);
+        const changes = {};
+        for (const arg of args) {
+            const [key, rawValue] = arg.split('=');
+            const field = MARKET_GATE_KEYS[(key || '').toLowerCase()];
+            if (!field || !rawValue) {
+                return this.sendOrEditMessage(chatId, `Usage: /gates key=value ...\n` +
+                    `minliq / maxliq = SOL in the curve or pool, minmcap / maxmcap = market cap in SOL,\n` +
+                    `curve = max Pump.fun bonding curve progress in %. 0 turns a bound off, default uses the global one.`);
+            }
+            if (rawValue.toLowerCase() === 'default') {
+                changes[field] = null;
+                continue;
+            }
+            const value = parseFloat(rawValue);
+            if (isNaN(value) || value < 0 || (field === 'maxCurveProgressPercent' && value > 100)) {
+                return this.sendErrorMessage(chatId, `Invalid value for ${key}: ${rawValue}`);
+            }
+            changes[field] = value;
+        }
+
+        if (this.actionHandlers.onSetMarketGates) {
+            await this.actionHandlers.onSetMarketGates(chatId, changes);
+        }
+    }
+
+    // /safety mintAuthority warn → per-check policy for the pre-buy token checks; "all" sets every check, no arguments shows them
+    async handleSafetyCommand(chatId, checkArg, actionArg) {
+        if (!checkArg) {
+            if (this.actionHandlers.onSetSafetyPolicy) {
+                await this.actionHandlers.onSetSafetyPolicy(chatId, [], null);
+            }
+            return;
+        }
+
+        const check = SAFETY_CHECKS.find(name => name.toLowerCase() === checkArg.toLowerCase()) || (checkArg.toLowerCase() === 'all' ? 'all' : null);
+        const action = (actionArg || '').toLowerCase();
+        if (!check || !(SAFETY_ACTIONS.includes(action) || action === 'default')) {
+            return this.sendOrEditMessage(chatId, `Usage: /safety <check|all> <${SAFETY_ACTIONS.join('|')}|default>\n` +
+                `Checks: ${SAFETY_CHECKS.join(', ')}\n` +
+                `block skips the buy, warn copies it and flags it in the buy notification, allow ignores the check.`);
+        }
+
+        if (this.actionHandlers.onSetSafetyPolicy) {
+            await this.actionHandlers.onSetSafetyPolicy(chatId, check === 'all' ? SAFETY_CHECKS : [check], action === 'default' ? null : action);
+        }
+    }
+
+    // /walletmode split 3 → spread each buy over the first 3 wallets; "default" falls back to the global strategy, no arguments shows it
+    async handleWalletModeCommand(chatId, strategyArg, countArg) {
+        if (!strategyArg) {
+            if (this.actionHandlers.onSetWalletStrategy) {
+                await this.actionHandlers.onSetWalletStrategy(chatId, undefined, null);
+            }
+            return;
+        }
+
+        const strategy = strategyArg.toLowerCase();
+        const count = countArg === undefined ? null : parseInt(countArg, 10);
+        if (!(WALLET_STRATEGIES.includes(strategy) || strategy === 'default') ||
+            (count !== null && (strategy !== 'split' || !(count >= 0)))) {
+            return this.sendOrEditMessage(chatId, `Usage: /walletmode <${WALLET_STRATEGIES.join('|')}|default> [n]\n` +
+                `primary buys with your first wallet, roundrobin takes the next wallet on every trade,\n` +
+                `split spreads each buy over n wallets (default all) in random amounts. Sells always come from the wallets holding the token.`);
+        }
+
+        if (this.actionHandlers.onSetWalletStrategy) {
+            await this.actionHandlers.onSetWalletStrategy(chatId, strategy === 'default' ? null : strategy, count);
+        }
+    }
+
+    // /slipmode mode=mirror min=1 max=15 fee=1.5 ; key=default falls back to the global setting. No arguments shows the current ones.
+    async handleSlippageModeCommand(chatId, argsText) {
+        const args = (argsText || '').trim().split(/\s+/).filter(Boolean);
+        const changes = {};
+        for (const arg of args) {
+            const [key, rawValue] = arg.split('=');
+            const field = SLIPPAGE_MODE_KEYS[(key || '').toLowerCase()];
+            if (!field || !rawValue) {
+                return this.sendOrEditMessage(chatId, `Usage: /slipmode key=value ...\n` +
+                    `mode = ${SLIPPAGE_MODES.join(' or ')}: mirror copies each trader's own slippage and priority fee,\n` +
+                    `min / max = bounds on a mirrored slippage in %, fee = multiplier on the trader's priority fee.\n` +
+                    `default uses the global setting. Set it for one trader with /tset <trader> slipmode=mirror.`);
+            }
+            if (rawValue.toLowerCase() === 'default') {
+                changes[field] = null;
+                continue;
+            }
+            if (field === 'slippageMode') {
+                if (!SLIPPAGE_MODES.includes(rawValue.toLowerCase())) {
+                    return this.sendErrorMessage(chatId, `Invalid value for ${key}: ${rawValue}`);
+                }
+                changes[field] = rawValue.toLowerCase();
+                continue;
+            }
+            const value = parseFloat(rawValue);
+            const isFee = field === 'priorityFeeMultiplier';
+            if (isNaN(value) || value < 0 || (isFee ? value === 0 : value > 50)) {
+                return this.sendErrorMessage(chatId, `Invalid value for ${key}: ${rawValue}`);
+            }
+            changes[field] = isFee ? value : Math.round(value * 100);
+        }
+
+        if (this.actionHandlers.onSetSlippageMode) {
+            await this.actionHandlers.onSetSlippageMode(chatId, changes);
+        }
+    }
+
+    // /consensus Alice Bob Carol k=2 window=120 sol=0.1 ; "off" turns consensus mode off, no arguments shows the group
+    async handleConsensusCommand(chatId, argsText) {
+        const args = (argsText || '').trim().split(/[\s,]+/).filter(Boolean);
+        if (args.length <= 1 && (args[0] || 'off').toLowerCase() === 'off') {
+            if (this.actionHandlers.onSetConsensus) {
+                await this.actionHandlers.onSetConsensus(chatId, args.length === 0 ? undefined : null);
+            }
+            return;
+        }
+
+        const usage = () => this.sendOrEditMessage(chatId, `Usage: /consensus <trader> <trader> ... [k=<n>] [window=<seconds>] [sol=<SOL>]\n` +
+            `Buys from these traders wait until k of them (default all) bought the same token within the window ` +
+            `(default ${config.CONSENSUS.DEFAULT_WINDOW_SECONDS}s, max ${config.CONSENSUS.MAX_WINDOW_SECONDS}s), then one buy is made: ` +
+            `sol SOL per agreeing trader, or your normal copy size per agreeing trader. /consensus off turns it off.`);
+
+        const consensus = { traders: [], threshold: null, windowSeconds: config.CONSENSUS.DEFAULT_WINDOW_SECONDS, solPerTrader: 0 };
+        for (const arg of args) {
+            const [key, rawValue] = arg.split('=');
+            if (rawValue === undefined) {
+                if (!consensus.traders.includes(arg)) consensus.traders.push(arg);
+                continue;
+            }
+            const value = Number(rawValue);
+            if (key.toLowerCase() === 'k' && Number.isInteger(value) && value >= 2) {
+                consensus.threshold = value;
+            } else if (key.toLowerCase() === 'window' && value > 0 && value <= config.CONSENSUS.MAX_WINDOW_SECONDS) {
+                consensus.windowSeconds = Math.round(value);
+            } else if (key.toLowerCase() === 'sol' && value >= 0) {
+                consensus.solPerTrader = value;
+            } else {
+                return usage();
+            }
+        }
+        consensus.threshold = consensus.threshold ?? consensus.traders.length;
+        if (consensus.traders.length < 2 || consensus.threshold > consensus.traders.length) {
+            return usage();
+        }
+
+        if (this.actionHandlers.onSetConsensus) {
+            await this.actionHandlers.onSetConsensus(chatId, consensus);
+        }
+    }
+
+    // /buy <mint> <SOL> spends exactly that much; /sell <mint> [percent] sells that share of the position (default all).
+    // The amount itself is validated by the worker, which also handles the quick-buy buttons.
+    async handleManualTradeCommand(chatId, command, mintArg, amountArg) {
+        const tradeType = command.toLowerCase();
+        const tokenMint = sanitizeAddress(mintArg);
+        if (!tokenMint || (tradeType === 'buy' && amountArg === undefined)) {
+            return this.sendOrEditMessage(chatId, tradeType === 'buy'
+                ? `Usage: /buy <mint> <SOL>, e.g. /buy <mint> 0.25. Routed to the Pump.fun curve, PumpSwap or Jupiter automatically.`
+                : `Usage: /sell <mint> [percent], e.g. /sell <mint> 50. Without a percent the whole position is sold.`);
+        }
+
+        if (this.actionHandlers.onManualTrade) {
+            await this.actionHandlers.onManualTrade(chatId, tradeType, tokenMint, amountArg === undefined ? 100 : Number(amountArg));
+        }
+    }
+
+    // Card for a pasted mint: one button per preset SOL amount, each a manual buy of that size.
+    // Given the user's own message id the edit fails, so the card arrives as a new message under the paste.
+    async showQuickBuyCard(chatId, tokenMint, messageId = null) {
+        const buttons = config.QUICK_BUY_SOL_AMOUNTS.map(sol => ({ text: `🟢 ${sol} SOL`, callback_data: `quickbuy_${tokenMint}_${sol}` }));
+        const rows = [];
+        for (let i = 0; i < buttons.length; i += 2) {
+            rows.push(buttons.slice(i, i + 2));
+        }
+        rows.push([{ text: "🏠 Main Menu", callback_data: "main_menu" }]);
+
+        await this.sendOrEditMessage(chatId, `⚡ Quick buy\n• Token: ${tokenMint}\nPick an amount, or use /buy ${tokenMint} <SOL> for another size.`, {
+            reply_markup: { inline_keyboard: rows }
+        }, messageId);
+    }
+
     async showHelp(chatId) {
         const helpText = `*ZapBot Help Menu*\n\n` +
             `Use the /menu command or buttons to navigate\\. Key features:\n` +
             `\\- *Add/Remove Traders*: Manage source wallets to copy\\.\n` +
             `\\- *Start/Stop Copy*: Enable/disable copying for specific traders\\.\n` +
             `\\- *Wallets*: Manage your trading wallets \\(generate/import/set primary\\)\\.\n` +
-            `\\- *Balances*: Check SOL balances of all wallets\\.`;
+            `\\- *Balances*: Check SOL balances of all wallets\\.\n` +
+            `\\- */sl* and */tp*: Set stop\\-loss / take\\-profit in percent, optionally for one token mint\\.\n` +
+            `\\- */trail*: Trailing stop, the drop in percent from the highest price since entry\\.\n` +
+            `\\- */ladder*: Take\\-profit ladder, e\\.g\\. /ladder 2x:30 4x:30 sells 30% at 2x and 30% at 4x\\.\n` +
+            `\\- */paper*: Paper trading on/off, copies are simulated and tracked in a separate paper portfolio\\.\n` +
+            `\\- */tset*: Per\\-trader copy settings, e\\.g\\. /tset Eu mode=fixed sol=0\\.2 copy=buys cap=2\\.\n` +
+            `\\- */blacklist*, */whitelist*: Mints never to copy / the only mints to copy, add, remove or paste a whole list with import\\.\n` +
+            `\\- */platforms*: Platforms buys may be copied on, e\\.g\\. /platforms import PumpFun Raydium\\.\n` +
+            `\\- */gates*: Skip buys outside your liquidity, market cap or bonding curve bounds, e\\.g\\. /gates minliq=5 curve=80\\.\n` +
+            `\\- */safety*: What the pre\\-buy token checks do \\(block, warn or allow\\), e\\.g\\. /safety freezeAuthority warn\\.\n` +
+            `\\- */trades*: Copies in flight and the latest finished ones, with a button to cancel a copy before it is sent\\.\n` +
+            `\\- */walletmode*: Buy with your primary wallet, rotate wallets \\(roundrobin\\) or split each buy, e\\.g\\. /walletmode split 3\\. Pin a trader with /tset <trader> wallet=<label>\\.\n` +
+            `\\- */slipmode*: Copy each trader's own slippage \\(within your min/max\\) and priority fee \\(times a multiplier\\), e\\.g\\. /slipmode mode=mirror min=1 max=15 fee=1\\.5\\.\n` +
+            `\\- */consensus*: Only buy once k traders of a group bought the same token within a window, sized per agreeing trader, e\\.g\\. /consensus Alice Bob Carol k=2 window=120\\.\n` +
+            `\\- */buy*, */sell*: Trade a token yourself, e\\.g\\. /buy <mint> 0\\.25 or /sell <mint> 50\\. Paste a bare mint address for quick\\-buy buttons\\. Manual buys are tracked like copies, with your exit rules\\.`;
         await this.sendOrEditMessage(chatId, helpText, {
             reply_markup: { inline_keyboard: [[{ text: "🏠 Main Menu", callback_data: "main_menu" }]] }
         });
@@ -0,0 +1,63 @@
+// The gRPC stream isn't exercised here, and node-fetch 3 is ESM-only under jest
+jest.mock('../laserstreamManager.js', () => ({ LaserStreamManager: jest.fn() }));
+// encryption.js exits at load without a key; nothing here encrypts
+process.env.WALLET_ENCRYPTION_KEY = process.env.WALLET_ENCRYPTION_KEY || 'test-key';
+
+const TradeExecutorWorker = require('../workers/tradeExecutorWorker.js');
+
+const CHAT_ID = '42';
+const MINT = 'Mint111111111111111111111111111111111111111';
+const REAL = { tokenAmount: '1000', platform: 'PumpSwap', traderName: 'Alice' };
+const PAPER = { tokenAmount: '500', platform: 'PumpSwap', traderName: 'Bob' };
+
+describe('sell portfolio targeting', () => {
+    let worker;
+    let holdings;
+
+    beforeEach(() => {
+        holdings = { real: REAL, paper: PAPER };
+        worker = Object.create(TradeExecutorWorker.prototype);
+        worker.logInfo = jest.fn();
+        worker.logError = jest.fn();
+        worker.dataManager = {
+            getSettings: jest.fn().mockResolvedValue({}),
+            getPosition: jest.fn(async () => holdings.real),
+            getPaperPosition: jest.fn(async () => holdings.paper)
+        };
+        worker._executeCopyTradeForUser = jest.fn().mockResolvedValue({ success: true });
+    });
+
+    const sentMessage = () => worker._executeCopyTradeForUser.mock.calls[0][0];
+
+    test('an exit-engine sell always targets the real portfolio', async () => {
+        await worker.executeExitTrade({ chatId: CHAT_ID, tokenMint: MINT, reason: 'stop_loss', triggerLabel: 'Stop-loss' });
+
+        expect(sentMessage()).toMatchObject({ portfolio: 'real', exitReason: 'stop_loss' });
+        expect(sentMessage().analysisResult.swapDetails.inputAmount).toBe(REAL.tokenAmount);
+    });
+
+    test('a manual sell sells from the portfolio the bot named', async () => {
+        await worker.executeManualTrade({ chatId: CHAT_ID, tokenMint: MINT, tradeType: 'sell', sellPercent: 50, portfolio: 'paper' });
+
+        expect(sentMessage()).toMatchObject({ portfolio: 'paper', manualTrade: true });
+        expect(sentMessage().analysisResult.swapDetails.inputAmount).toBe(PAPER.tokenAmount);
+        expect(worker.dataManager.getPosition).not.toHaveBeenCalled();
+    });
+
+    test('without a named portfolio a manual sell prefers the real position', async () => {
+        await worker.executeManualTrade({ chatId: CHAT_ID, tokenMint: MINT, tradeType: 'sell', sellPercent: 100 });
+        expect(sentMessage().portfolio).toBe('real');
+
+        holdings.real = null;
+        await worker.executeManualTrade({ chatId: CHAT_ID, tokenMint: MINT, tradeType: 'sell', sellPercent: 100 });
+        expect(worker._executeCopyTradeForUser.mock.calls[1][0].portfolio).toBe('paper');
+    });
+
+    test('a named portfolio that holds nothing is not swapped for the other one', async () => {
+        holdings.real = null;
+        const result = await worker.executeManualTrade({ chatId: CHAT_ID, tokenMint: MINT, tradeType: 'sell', sellPercent: 100, portfolio: 'real' });
+
+        expect(result).toMatchObject({ success: false, skipped: true });
+        expect(worker._executeCopyTradeForUser).not.toHaveBeenCalled();
+    });
+});
@@ -0,0 +1,120 @@
+// In-memory stand-in for the node-redis v4 client, covering the calls the managers make.
+// Expiry is ignored: TTLs are accepted and dropped.
+
+class FakeRedisClient {
+    constructor() {
+        this.strings = new Map();
+        this.lists = new Map();
+        this.zsets = new Map();
+    }
+
+    _list(key) {
+        if (!this.lists.has(key)) this.lists.set(key, []);
+        return this.lists.get(key);
+    }
+
+    _zset(key) {
+        if (!this.zsets.has(key)) this.zsets.set(key, new Map());
+        return this.zsets.get(key);
+    }
+
+    async get(key) {
+        return this.strings.has(key) ? this.strings.get(key) : null;
+    }
+
+    async set(key, value, options = {}) {
+        if (options.NX && this.strings.has(key)) return null;
+        this.strings.set(key, String(value));
+        return 'OK';
+    }
+
+    async del(key) {
+        const existed = this.strings.delete(key) || this.lists.delete(key) || this.zsets.delete(key);
+        return existed ? 1 : 0;
+    }
+
+    async exists(key) {
+        return this.strings.has(key) || this.lists.has(key) || this.zsets.has(key) ? 1 : 0;
+    }
+
+    async expire() {
+        return 1;
+    }
+
+    async lPush(key, value) {
+        return this._list(key).unshift(value);
+    }
+
+    async lLen(key) {
+        return this._list(key).length;
+    }
+
+    async lIndex(key, index) {
+        const list = this._list(key);
+        const value = list[index < 0 ? list.length + index : index];
+        return value === undefined ? null : value;
+    }
+
+    async lRem(key, count, value) {
+        const list = this._list(key);
+        const kept = list.filter(entry => entry !== value);
+        this.lists.set(key, kept);
+        return list.length - kept.length;
+    }
+
+    async lRange(key, start, stop) {
+        const list = this._list(key);
+        return list.slice(start, stop < 0 ? list.length + stop + 1 : stop + 1);
+    }
+
+    async lTrim(key, start, stop) {
+        this.lists.set(key, await this.lRange(key, start, stop));
+        return 'OK';
+    }
+
+    async zAdd(key, { score, value }, options = {}) {
+        const zset = this._zset(key);
+        if (options.NX && zset.has(value)) return 0;
+        const added = zset.has(value) ? 0 : 1;
+        zset.set(value, score);
+        return added;
+    }
+
+    async zRem(key, value) {
+        return this._zset(key).delete(value) ? 1 : 0;
+    }
+
+    async zScore(key, value) {
+        const zset = this._zset(key);
+        return zset.has(value) ? zset.get(value) : null;
+    }
+
+    async zCard(key) {
+        return this._zset(key).size;
+    }
+
+    async zRangeByScore(key, min, max) {
+        const upper = max === '+inf' ? Infinity : max;
+        return [...this._zset(key)]
+            .filter(([, score]) => score >= min && score <= upper)
+            .sort((a, b) => a[1] - b[1])
+            .map(([value]) => value);
+    }
+}
+
+// Wires a RedisManager to a fake client the way initialize() binds the real one
+function attachFakeClient(redisManager) {
+    const client = new FakeRedisClient();
+    redisManager.client = client;
+    redisManager.isConnected = true;
+    redisManager.get = client.get.bind(client);
+    redisManager.set = client.set.bind(client);
+    redisManager.del = client.del.bind(client);
+    redisManager.exists = client.exists.bind(client);
+    redisManager.expire = client.expire.bind(client);
+    redisManager.lpush = client.lPush.bind(client);
+    redisManager.llen = client.lLen.bind(client);
+    return client;
+}
+
+module.exports = { FakeRedisClient, attachFakeClient };
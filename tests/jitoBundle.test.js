@@ -0,0 +1,185 @@
+const http = require('http');
+const { Keypair, PublicKey, SystemProgram, VersionedTransaction } = require('@solana/web3.js');
+const bs58 = require('bs58');
+const config = require('../config.js');
+const { SingaporeSenderManager } = require('../singaporeSenderManager.js');
+
+// Local stand-in for the block engine: answers sendBundle and getInflightBundleStatuses and keeps every request
+function startBlockEngine() {
+    const engine = { requests: [], statuses: ['Landed'], sendError: null, landedSlot: 1234 };
+
+    engine.server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+            const rpc = JSON.parse(body);
+            engine.requests.push({ path: req.url, headers: req.headers, ...rpc });
+
+            let reply;
+            if (rpc.method === 'sendBundle') {
+                reply = engine.sendError ? { error: engine.sendError } : { result: `bundle-${engine.requests.length}` };
+            } else {
+                const status = engine.statuses.length > 1 ? engine.statuses.shift() : engine.statuses[0];
+                reply = { result: { value: status ? [{ bundle_id: rpc.params[0][0], status, landed_slot: status === 'Landed' ? engine.landedSlot : null }] : [] } };
+            }
+            res.writeHead(200, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ jsonrpc: '2.0', id: rpc.id, ...reply }));
+        });
+    });
+
+    return new Promise(resolve => engine.server.listen(0, '127.0.0.1', () => {
+        engine.url = `http://127.0.0.1:${engine.server.address().port}`;
+        resolve(engine);
+    }));
+}
+
+function fakeConnection() {
+    return {
+        getLatestBlockhashAndContext: jest.fn().mockResolvedValue({
+            value: { blockhash: bs58.encode(Buffer.alloc(32, 7)), lastValidBlockHeight: 1000 }
+        }),
+        getBlockHeight: jest.fn().mockResolvedValue(900),
+        getSignatureStatuses: jest.fn().mockResolvedValue({ value: [null] }),
+        confirmTransaction: jest.fn().mockResolvedValue({ value: { err: null } }),
+        sendTransaction: jest.fn()
+    };
+}
+
+describe('Jito bundle submission', () => {
+    const originalBundles = { ...config.JITO_BUNDLES };
+    let engine;
+    let connection;
+    let sender;
+    let keypair;
+
+    beforeAll(async () => {
+        engine = await startBlockEngine();
+    });
+
+    afterAll(() => new Promise(resolve => {
+        engine.server.closeAllConnections();
+        engine.server.close(resolve);
+    }));
+
+    beforeEach(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        // The health check polls the real RPC on an interval
+        jest.spyOn(SingaporeSenderManager.prototype, 'startHealthMonitoring').mockImplementation(() => {});
+
+        Object.assign(config.JITO_BUNDLES, { BLOCK_ENGINE_URL: engine.url, STATUS_POLL_INTERVAL_MS: 5, STATUS_TIMEOUT_MS: 200 });
+        engine.requests = [];
+        engine.statuses = ['Landed'];
+        engine.sendError = null;
+
+        connection = fakeConnection();
+        sender = new SingaporeSenderManager(connection);
+        jest.spyOn(sender, '_getComputeUnits').mockResolvedValue(200000);
+        keypair = Keypair.generate();
+    });
+
+    afterEach(() => {
+        Object.assign(config.JITO_BUNDLES, originalBundles);
+        jest.restoreAllMocks();
+    });
+
+    const copyTrade = (options = {}) => {
+        const swap = SystemProgram.transfer({ fromPubkey: keypair.publicKey, toPubkey: Keypair.generate().publicKey, lamports: 1 });
+        return sender.executeCopyTrade([swap], keypair, { useJitoBundle: true, raceMode: false, priorityFee: 1000, ...options });
+    };
+
+    const submittedTransaction = () => {
+        const sendBundle = engine.requests.find(request => request.method === 'sendBundle');
+        return VersionedTransaction.deserialize(Buffer.from(sendBundle.params[0][0], 'base64'));
+    };
+
+    test('the block engine url comes from config, so a local endpoint can stand in', () => {
+        expect(sender.blockEngineUrl).toBe(engine.url);
+    });
+
+    test('submits the signed transaction with a tip to a configured tip account and reports it landed', async () => {
+        const result = await copyTrade({ jitoTipLamports: 25000 });
+
+        expect(result).toMatchObject({ success: true, bundleStatus: 'Landed', tipAmount: 25000 });
+        expect(config.TIP_ACCOUNTS.map(String)).toContain(result.tipAccount);
+
+        const sendBundle = engine.requests[0];
+        expect(sendBundle).toMatchObject({ path: '/api/v1/bundles', method: 'sendBundle' });
+        expect(sendBundle.params[1]).toEqual({ encoding: 'base64' });
+
+        const transaction = submittedTransaction();
+        expect(bs58.encode(transaction.signatures[0])).toBe(result.signature);
+        const { staticAccountKeys } = transaction.message;
+        expect(staticAccountKeys.map(key => key.toBase58())).toContain(result.tipAccount);
+
+        const tipIx = transaction.message.compiledInstructions.at(-1);
+        expect(staticAccountKeys[tipIx.programIdIndex].equals(SystemProgram.programId)).toBe(true);
+        expect(staticAccountKeys[tipIx.accountKeyIndexes[1]].equals(new PublicKey(result.tipAccount))).toBe(true);
+
+        expect(connection.sendTransaction).not.toHaveBeenCalled();
+        expect(sender.getBundleStatus(result.bundleId)).toMatchObject({ status: 'Landed', slot: 1234, signature: result.signature });
+        expect(sender.executionStats).toMatchObject({ bundlesSubmitted: 1, bundlesLanded: 1, bundlesFailed: 0 });
+    });
+
+    test('polls the bundle status until it lands', async () => {
+        engine.statuses = ['Pending', 'Pending', 'Landed'];
+        const result = await copyTrade();
+
+        expect(result.success).toBe(true);
+        const polls = engine.requests.filter(request => request.method === 'getInflightBundleStatuses');
+        expect(polls).toHaveLength(3);
+        expect(polls[0]).toMatchObject({ path: '/api/v1/getInflightBundleStatuses', params: [[result.bundleId]] });
+    });
+
+    test('a failed bundle is reported as a failed trade', async () => {
+        engine.statuses = ['Failed'];
+        const result = await copyTrade();
+
+        expect(result).toMatchObject({ success: false, error: 'Jito bundle Failed', bundleStatus: 'Failed' });
+        expect(connection.confirmTransaction).not.toHaveBeenCalled();
+        expect(sender.executionStats.bundlesFailed).toBe(1);
+    });
+
+    test('a bundle the engine lost track of still counts when the chain has the transaction', async () => {
+        engine.statuses = [null];
+        connection.getSignatureStatuses.mockResolvedValue({ value: [{ slot: 99, err: null }] });
+        const result = await copyTrade();
+
+        expect(result).toMatchObject({ success: true, bundleStatus: 'Landed' });
+        expect(sender.getBundleStatus(result.bundleId).slot).toBe(99);
+    });
+
+    test('stops waiting once the blockhash has expired', async () => {
+        engine.statuses = ['Pending'];
+        connection.getBlockHeight.mockResolvedValue(1001);
+        const result = await copyTrade();
+
+        expect(result).toMatchObject({ success: false, bundleStatus: 'Expired' });
+    });
+
+    test('a rejected bundle fails without a signature', async () => {
+        engine.sendError = { code: -32602, message: 'bundle contains an expired blockhash' };
+        const result = await copyTrade();
+
+        expect(result.success).toBe(false);
+        expect(result.error).toContain('bundle contains an expired blockhash');
+        expect(result.signature).toBeNull();
+        expect(sender.executionStats).toMatchObject({ bundlesSubmitted: 0, bundlesFailed: 1 });
+    });
+
+    test('sends the auth uuid when one is configured', async () => {
+        config.JITO_BUNDLES.AUTH_UUID = 'test-uuid';
+        await copyTrade();
+
+        expect(engine.requests[0].headers['x-jito-auth']).toBe('test-uuid');
+    });
+
+    test('without bundle mode the transaction goes to the RPC and not the block engine', async () => {
+        connection.sendTransaction.mockResolvedValue('direct-signature');
+        await copyTrade({ useJitoBundle: false });
+
+        expect(engine.requests).toHaveLength(0);
+        expect(connection.sendTransaction).toHaveBeenCalled();
+    });
+});
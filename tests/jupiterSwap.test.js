@@ -0,0 +1,71 @@
+// The gRPC stream isn't exercised here, and node-fetch 3 is ESM-only under jest
+jest.mock('../laserstreamManager.js', () => ({ LaserStreamManager: jest.fn() }));
+// encryption.js exits at load without a key; nothing here encrypts
+process.env.WALLET_ENCRYPTION_KEY = process.env.WALLET_ENCRYPTION_KEY || 'test-key';
+
+const { Keypair, SystemProgram, TransactionMessage, VersionedTransaction } = require('@solana/web3.js');
+const TradeExecutorWorker = require('../workers/tradeExecutorWorker.js');
+const config = require('../config.js');
+
+const MINT = 'Mint111111111111111111111111111111111111111';
+
+describe('Jupiter swaps', () => {
+    let worker;
+    let wallet;
+    let swapRequest;
+
+    beforeEach(() => {
+        wallet = Keypair.generate();
+        const transaction = new VersionedTransaction(new TransactionMessage({
+            payerKey: wallet.publicKey,
+            recentBlockhash: Keypair.generate().publicKey.toBase58(),
+            instructions: [SystemProgram.transfer({ fromPubkey: wallet.publicKey, toPubkey: wallet.publicKey, lamports: 1 })]
+        }).compileToV0Message());
+
+        worker = Object.create(TradeExecutorWorker.prototype);
+        worker.logInfo = jest.fn();
+        worker.logError = jest.fn();
+        worker._getUserWallet = jest.fn().mockResolvedValue(wallet);
+        worker.singaporeSender = { executePrebuiltTransaction: jest.fn().mockResolvedValue({ success: true, signature: 'sig' }) };
+
+        swapRequest = null;
+        global.fetch = jest.fn(async (url, options) => {
+            if (url.startsWith(`${config.JUPITER_API_URL}/quote?`)) {
+                return { ok: true, json: async () => ({ outAmount: '900', otherAmountThreshold: '810' }) };
+            }
+            swapRequest = { url, body: JSON.parse(options.body) };
+            return { ok: true, json: async () => ({ swapTransaction: Buffer.from(transaction.serialize()).toString('base64'), lastValidBlockHeight: 123 }) };
+        });
+    });
+
+    afterEach(() => {
+        delete global.fetch;
+    });
+
+    test('a sell quotes to SOL with the user\'s slippage and sends the versioned transaction', async () => {
+        const result = await worker.executeJupiterSell({ inputMint: MINT, outputMint: 'ignored', inputAmount: '5000' }, { slippage: 0.1, priorityFee: 7000 });
+
+        expect(result).toEqual({ success: true, signature: 'sig' });
+        const quoteUrl = new URL(global.fetch.mock.calls[0][0]);
+        expect(Object.fromEntries(quoteUrl.searchParams)).toEqual({
+            inputMint: MINT, outputMint: config.NATIVE_SOL_MINT, amount: '5000', slippageBps: '1000'
+        });
+
+        expect(swapRequest.url).toBe(`${config.JUPITER_API_URL}/swap`);
+        expect(swapRequest.body).toMatchObject({ userPublicKey: wallet.publicKey.toBase58(), computeUnitPriceMicroLamports: 7000 });
+
+        const [transaction, signer, options] = worker.singaporeSender.executePrebuiltTransaction.mock.calls[0];
+        expect(transaction).toBeInstanceOf(VersionedTransaction);
+        expect(signer).toBe(wallet);
+        expect(options).toMatchObject({ platform: 'Jupiter', lastValidBlockHeight: 123, outputMint: config.NATIVE_SOL_MINT });
+    });
+
+    test('a missing route comes back as a failed result', async () => {
+        global.fetch.mockResolvedValueOnce({ ok: false, status: 400, json: async () => ({ error: 'Could not find any route' }) });
+
+        const result = await worker.executeJupiterBuy({ inputMint: config.NATIVE_SOL_MINT, outputMint: MINT, inputAmount: 1000 }, {});
+
+        expect(result).toMatchObject({ success: false, error: 'No Jupiter route: Could not find any route' });
+        expect(worker.singaporeSender.executePrebuiltTransaction).not.toHaveBeenCalled();
+    });
+});
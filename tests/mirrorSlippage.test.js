@@ -0,0 +1,233 @@
+// Only the executor's config resolution is exercised; the gRPC stream behind its imports is not
+jest.mock('../laserstreamManager.js', () => ({ LaserStreamManager: jest.fn() }));
+// encryption.js exits at load without a key; nothing here encrypts
+process.env.WALLET_ENCRYPTION_KEY = process.env.WALLET_ENCRYPTION_KEY || 'test-key';
+
+const TradeExecutorWorker = require('../workers/tradeExecutorWorker.js');
+const config = require('../config.js');
+const { Keypair, PublicKey } = require('@solana/web3.js');
+
+const BOUNDS = { minSlippageBps: 100, maxSlippageBps: 2000, priorityFeeMultiplier: 1.5 };
+
+const SETTINGS = {
+    botSettings: { scaleFactor: 1, maxSolAmount: 1, maxSlippage: 0.15, supportedPlatforms: [] },
+    tradingSettings: { slippageMode: 'mirror', minSlippageBps: 100, maxSlippageBps: 2000, priorityFeeMultiplier: 1 }
+};
+
+describe('mirror slippage', () => {
+    let worker;
+
+    beforeEach(() => {
+        worker = Object.create(TradeExecutorWorker.prototype);
+        worker._getUserSettings = jest.fn().mockResolvedValue({});
+    });
+
+    describe('_mirrorTraderExecution', () => {
+        test.each([
+            [500, 0.05],
+            [50, 0.01],
+            [0, 0.01],
+            [9000, 0.2]
+        ])('clamps the trader\'s %i bps into the user\'s bounds', (traderBps, expected) => {
+            expect(worker._mirrorTraderExecution({ masterTraderSlippageBps: traderBps }, BOUNDS).slippage).toBeCloseTo(expected, 10);
+        });
+
+        test('leaves slippage out when the trader\'s could not be read', () => {
+            expect(worker._mirrorTraderExecution({}, BOUNDS)).not.toHaveProperty('slippage');
+            expect(worker._mirrorTraderExecution({ masterTraderSlippageBps: -1 }, BOUNDS)).not.toHaveProperty('slippage');
+            expect(worker._mirrorTraderExecution(null, BOUNDS)).toEqual({});
+        });
+
+        test('scales the trader\'s compute-unit price and caps it', () => {
+            expect(worker._mirrorTraderExecution({ traderComputeUnitPrice: 1000 }, BOUNDS).priorityFee).toBe(1500);
+
+            const capped = worker._mirrorTraderExecution({ traderComputeUnitPrice: config.MAX_MIRRORED_PRIORITY_FEE_MICROLAMPORTS }, BOUNDS);
+            expect(capped.priorityFee).toBe(config.MAX_MIRRORED_PRIORITY_FEE_MICROLAMPORTS);
+
+            expect(worker._mirrorTraderExecution({ traderComputeUnitPrice: 0 }, BOUNDS)).not.toHaveProperty('priorityFee');
+        });
+    });
+
+    describe('_buildUserConfig', () => {
+        test('mirror mode takes the clamped trader slippage and fee', async () => {
+            const userConfig = await worker._buildUserConfig('42', SETTINGS, null, null, {},
+                { masterTraderSlippageBps: 9000, traderComputeUnitPrice: 2000 });
+
+            expect(userConfig.slippageMode).toBe('mirror');
+            expect(userConfig.slippage).toBeCloseTo(0.2, 10);
+            expect(userConfig.priorityFee).toBe(2000);
+        });
+
+        test('a trader\'s own bounds override the global ones', async () => {
+            const userConfig = await worker._buildUserConfig('42', SETTINGS, null, null, { maxSlippageBps: 300 },
+                { masterTraderSlippageBps: 9000 });
+
+            expect(userConfig.slippage).toBeCloseTo(0.03, 10);
+        });
+
+        test('mirror mode falls back to the fixed slippage without the trader\'s', async () => {
+            const userConfig = await worker._buildUserConfig('42', SETTINGS, null, null, {}, {});
+
+            expect(userConfig.slippage).toBe(0.15);
+            expect(userConfig.priorityFee).toBeNull();
+        });
+
+        test('fixed mode ignores the trader\'s slippage', async () => {
+            const userConfig = await worker._buildUserConfig('42', SETTINGS, null, null, { slippageMode: 'fixed', slippageBps: 700 },
+                { masterTraderSlippageBps: 9000, traderComputeUnitPrice: 2000 });
+
+            expect(userConfig.slippage).toBeCloseTo(0.07, 10);
+            expect(userConfig.priorityFee).toBeNull();
+        });
+    });
+
+    describe('_applySlippage', () => {
+        test.each([
+            [0.15, 8500n],
+            [0, 10000n],
+            [undefined, 10000n],
+            [-0.5, 10000n],
+            [2, 0n]
+        ])('slippage %p keeps the output within 0..100%%', (slippage, expected) => {
+            expect(worker._applySlippage(10000n, slippage)).toBe(expected);
+        });
+    });
+
+    describe('_quotePumpFunCurveSell', () => {
+        const curve = { virtualSolReserves: 30_000_000_000n, virtualTokenReserves: 1_000_000_000_000_000n };
+        const tokensIn = 10_000_000_000_000n;
+
+        test('takes the fee and the resolved slippage off the curve quote', () => {
+            const gross = (curve.virtualSolReserves * tokensIn) / (curve.virtualTokenReserves + tokensIn);
+            const afterFee = (gross * BigInt(10000 - config.PUMP_FUN_CONSTANTS.TOTAL_FEE_BPS)) / 10000n;
+
+            expect(worker._quotePumpFunCurveSell(curve, tokensIn, 0)).toBe(afterFee);
+            expect(worker._quotePumpFunCurveSell(curve, tokensIn, 0.2)).toBe((afterFee * 8000n) / 10000n);
+        });
+
+        test('a wider mirrored slippage lowers the minimum output', () => {
+            expect(worker._quotePumpFunCurveSell(curve, tokensIn, 0.2)).toBeLessThan(worker._quotePumpFunCurveSell(curve, tokensIn, 0.01));
+        });
+    });
+
+    describe('_quoteRaydiumCpmmMinOut', () => {
+        const poolState = Keypair.generate().publicKey;
+        const ammConfig = Keypair.generate().publicKey;
+        const vault0 = Keypair.generate().publicKey;
+        const vault1 = Keypair.generate().publicKey;
+
+        const tokenAccount = (amount) => {
+            const data = Buffer.alloc(165);
+            data.writeBigUInt64LE(amount, 64);
+            return { data };
+        };
+
+        beforeEach(() => {
+            const pool = Buffer.alloc(637);
+            vault0.toBuffer().copy(pool, 72);
+            pool.writeBigUInt64LE(1_000n, 341); // protocol fees held in vault 0
+            const configData = Buffer.alloc(236);
+            configData.writeBigUInt64LE(2500n, 12); // 0.25%
+
+            worker.solanaManager = { connection: { getMultipleAccountsInfo: jest.fn(async ([, , input]) => [
+                { data: pool },
+                { data: configData },
+                tokenAccount(input.equals(vault0) ? 1_000_001_000n : 50_000_000_000n),
+                tokenAccount(input.equals(vault0) ? 50_000_000_000n : 1_000_001_000n)
+            ]) } };
+        });
+
+        test('quotes against the reserves net of held fees and applies the slippage', async () => {
+            const accounts = { poolState, ammConfig, inputVault: vault0, outputVault: vault1 };
+            const amountAfterFee = 10_000_000n - 25_000n;
+            const expected = (50_000_000_000n * amountAfterFee) / (1_000_000_000n + amountAfterFee);
+
+            expect(await worker._quoteRaydiumCpmmMinOut(accounts, 10_000_000n, 0)).toBe(expected);
+            expect(await worker._quoteRaydiumCpmmMinOut(accounts, 10_000_000n, 0.1)).toBe((expected * 9000n) / 10000n);
+        });
+
+        test('never quotes zero for the reverse direction', async () => {
+            const accounts = { poolState, ammConfig, inputVault: vault1, outputVault: vault0 };
+            expect(await worker._quoteRaydiumCpmmMinOut(accounts, 500_000_000n, 0.15)).toBeGreaterThan(0n);
+        });
+    });
+
+    describe('_quoteSqrtPriceMinOut', () => {
+        const sqrtPriceX64 = 2n << 64n; // price 4 token1 per token0
+
+        test('quotes both directions off the spot price', () => {
+            expect(worker._quoteSqrtPriceMinOut(sqrtPriceX64, 0, 1_000n, true, 0)).toBe(4_000n);
+            expect(worker._quoteSqrtPriceMinOut(sqrtPriceX64, 0, 4_000n, false, 0)).toBe(1_000n);
+            expect(worker._quoteSqrtPriceMinOut(sqrtPriceX64, 0, 1_000n, true, 0.5)).toBe(2_000n);
+        });
+
+        test('refuses to quote a pool without a price', () => {
+            expect(() => worker._quoteSqrtPriceMinOut(0n, 0, 1_000n, true, 0.15)).toThrow('no price');
+        });
+    });
+
+    describe('_getRaydiumClmmTickArrays', () => {
+        const poolState = Keypair.generate().publicKey;
+        const pool = { tickSpacing: 10, tickCurrent: -1234 };
+
+        const startIndexOf = (address, candidates) => candidates.find(([, pda]) => pda.equals(address))[0];
+        const candidates = [-3000, -2400, -1800, -1200, -600, 0, 600, 1200].map(start => {
+            const seed = Buffer.alloc(4);
+            seed.writeInt32BE(start);
+            return [start, PublicKey.findProgramAddressSync([Buffer.from('tick_array'), poolState.toBuffer(), seed], config.DEX_PROGRAM_IDS.RAYDIUM_CLMM)[0]];
+        });
+
+        beforeEach(() => {
+            worker.solanaManager = { connection: { getMultipleAccountsInfo: jest.fn(async (addresses) => addresses.map(() => ({ data: Buffer.alloc(0) }))) } };
+        });
+
+        test('starts at the array holding the current tick and walks down for token0 in', async () => {
+            const arrays = await worker._getRaydiumClmmTickArrays(poolState, pool, true);
+            expect(arrays.map(a => startIndexOf(a, candidates))).toEqual([-1800, -2400, -3000]);
+        });
+
+        test('walks up for token1 in', async () => {
+            const arrays = await worker._getRaydiumClmmTickArrays(poolState, pool, false);
+            expect(arrays.map(a => startIndexOf(a, candidates))).toEqual([-1800, -1200, -600]);
+        });
+
+        test('throws when no tick array around the price is initialized', async () => {
+            worker.solanaManager.connection.getMultipleAccountsInfo.mockResolvedValue(new Array(10).fill(null));
+            await expect(worker._getRaydiumClmmTickArrays(poolState, pool, true)).rejects.toThrow('No initialized tick array');
+        });
+    });
+
+    describe('Meteora quotes', () => {
+        const address = Keypair.generate().publicKey;
+
+        test('DAMM v2 quotes off the pool\'s sqrt price and cliff fee', async () => {
+            const data = Buffer.alloc(1112);
+            data.writeBigUInt64LE(2_500_000n, 8); // 0.25% over 1e9
+            data.writeBigUInt64LE(2n, 464); // sqrt price 2 << 64 -> 4 B per A
+            worker.solanaManager = { connection: { getAccountInfo: jest.fn().mockResolvedValue({ data }) } };
+
+            expect(await worker._quoteMeteoraDammMinOut(address, 1_000_000n, true, 0)).toBe(3_990_000n);
+            expect(await worker._quoteMeteoraDammMinOut(address, 4_000_000n, false, 0.1)).toBe((997_500n * 9000n) / 10000n);
+        });
+
+        test('DLMM quotes at the active bin net of the base fee', async () => {
+            const data = Buffer.alloc(904);
+            data.writeUInt16LE(10000, 8); // base factor: 10000 * 25 * 10 = 0.25%
+            data.writeInt32LE(100, 76);
+            data.writeUInt16LE(25, 80);
+            worker.solanaManager = { connection: { getAccountInfo: jest.fn().mockResolvedValue({ data }) } };
+
+            const price = Math.pow(1.0025, 100);
+            const sold = await worker._quoteMeteoraDlmmMinOut(address, 1_000_000_000n, true, 0);
+            const bought = await worker._quoteMeteoraDlmmMinOut(address, 1_000_000_000n, false, 0.2);
+
+            expect(Number(sold)).toBeCloseTo(997_500_000 * price, -2);
+            expect(Number(bought)).toBeCloseTo((997_500_000 / price) * 0.8, -2);
+        });
+
+        test('DBC refuses to quote a pool without a price', async () => {
+            worker.solanaManager = { connection: { getMultipleAccountsInfo: jest.fn().mockResolvedValue([{ data: Buffer.alloc(424) }, { data: Buffer.alloc(1048) }]) } };
+            await expect(worker._quoteMeteoraDbcMinOut({ pool: address, config: address }, 1_000n, true, 0.15)).rejects.toThrow('no price');
+        });
+    });
+});
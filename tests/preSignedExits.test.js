@@ -0,0 +1,101 @@
+// The gRPC stream isn't exercised here, and node-fetch 3 is ESM-only under jest
+jest.mock('../laserstreamManager.js', () => ({ LaserStreamManager: jest.fn() }));
+// encryption.js exits at load without a key; nothing here encrypts
+process.env.WALLET_ENCRYPTION_KEY = process.env.WALLET_ENCRYPTION_KEY || 'test-key';
+
+const TradeExecutorWorker = require('../workers/tradeExecutorWorker.js');
+const { RedisManager } = require('../redis/redisManager.js');
+const { attachFakeClient } = require('./helpers/fakeRedisClient.js');
+
+const CHAT_ID = '42';
+
+describe('pre-signed exits', () => {
+    let worker;
+
+    beforeEach(() => {
+        worker = Object.create(TradeExecutorWorker.prototype);
+        worker.logInfo = jest.fn();
+        worker.logWarn = jest.fn();
+        worker.redisManager = new RedisManager();
+        attachFakeClient(worker.redisManager);
+    });
+
+    describe('_sendLeg', () => {
+        const leg = { tradingWallet: { keypair: {}, wallet: { id: 'w1' } }, amount: 1000n };
+        const sell = (message) => worker._sendLeg(leg, {
+            chatId: CHAT_ID, tokenMint: 'MintA', platform: 'PumpSwap', tradeType: 'sell',
+            swapDetails: { inputAmount: '1000' }, userConfig: { paperTrade: false }, message, singleLeg: true
+        });
+
+        beforeEach(() => {
+            worker._firePreSignedExit = jest.fn().mockResolvedValue({ success: true, signature: 'presigned' });
+            worker._routeSwap = jest.fn().mockResolvedValue({ success: true, signature: 'built' });
+        });
+
+        test('take-profit and trader sells use the stored exit', async () => {
+            expect((await sell({ exitReason: 'take_profit' })).result.signature).toBe('presigned');
+            expect((await sell({})).result.signature).toBe('presigned');
+            expect(worker._routeSwap).not.toHaveBeenCalled();
+        });
+
+        test.each(['stop_loss', 'trailing_stop'])('a %s exit builds a fresh sell', async (exitReason) => {
+            expect((await sell({ exitReason })).result.signature).toBe('built');
+            expect(worker._firePreSignedExit).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('_refreshPreSignedExit', () => {
+        const positions = {
+            MintA: { tokenAmount: '1000', platform: 'PumpSwap' },
+            MintB: { tokenAmount: '2000', platform: 'PumpSwap' },
+            MintC: { tokenAmount: '3000', platform: 'PumpSwap' }
+        };
+        const heldBy = { MintA: 'w1', MintB: 'w1', MintC: 'w2' };
+
+        beforeEach(() => {
+            worker.dataManager = {
+                getAllPositions: jest.fn().mockResolvedValue(positions),
+                getSettings: jest.fn().mockResolvedValue({})
+            };
+            worker._positionHoldings = jest.fn(async (chatId, position) => {
+                const mint = Object.keys(positions).find(key => positions[key] === position);
+                return [{ walletId: heldBy[mint] }];
+            });
+            worker._getTradingWalletById = jest.fn(async (id) => ({ keypair: {}, wallet: { id, nonceAccountPubkey: `nonce-${id}` } }));
+            worker._buildUserConfig = jest.fn().mockResolvedValue({ slippage: 0.1 });
+            worker.singaporeSender = { getDurableNonce: jest.fn().mockResolvedValue({ nonce: 'nonce-2' }) };
+            worker._routeSwap = jest.fn().mockResolvedValue({ presigned: true, nonce: 'nonce-2', serializedTransaction: 'tx' });
+        });
+
+        test('signs only the traded position and drops the wallet\'s other exits', async () => {
+            await worker.redisManager.addPreSignedTx(CHAT_ID, 'MintB', { walletId: 'w1', nonce: 'nonce-1', tokenAmount: '2000' });
+            await worker.redisManager.addPreSignedTx(CHAT_ID, 'MintC', { walletId: 'w2', nonce: 'nonce-9', tokenAmount: '3000' });
+
+            await worker._refreshPreSignedExit(CHAT_ID, 'MintA');
+
+            expect(worker._routeSwap).toHaveBeenCalledTimes(1);
+            expect(worker._routeSwap.mock.calls[0][1]).toMatchObject({ inputMint: 'MintA', inputAmount: '1000' });
+            expect(worker._routeSwap.mock.calls[0][2]).toMatchObject({ presignOnly: true, nonceAccountPubkey: 'nonce-w1' });
+            expect(await worker.redisManager.getPreSignedTx(CHAT_ID, 'MintA')).toMatchObject({ walletId: 'w1', tokenAmount: '1000' });
+            expect(await worker.redisManager.getPreSignedTx(CHAT_ID, 'MintB')).toBeNull();
+            expect(await worker.redisManager.getPreSignedTx(CHAT_ID, 'MintC')).toMatchObject({ walletId: 'w2' });
+        });
+
+        test('leaves a current exit alone', async () => {
+            await worker.redisManager.addPreSignedTx(CHAT_ID, 'MintA', { walletId: 'w1', nonce: 'nonce-2', tokenAmount: '1000' });
+
+            await worker._refreshPreSignedExit(CHAT_ID, 'MintA');
+
+            expect(worker._routeSwap).not.toHaveBeenCalled();
+        });
+
+        test('clears the exit of a position that was sold out', async () => {
+            await worker.redisManager.addPreSignedTx(CHAT_ID, 'MintGone', { walletId: 'w1', nonce: 'nonce-1', tokenAmount: '5' });
+
+            await worker._refreshPreSignedExit(CHAT_ID, 'MintGone');
+
+            expect(await worker.redisManager.getPreSignedTx(CHAT_ID, 'MintGone')).toBeNull();
+            expect(worker._routeSwap).not.toHaveBeenCalled();
+        });
+    });
+});
@@ -0,0 +1,107 @@
+const { RedisManager } = require('../redis/redisManager.js');
+const config = require('../config.js');
+const { attachFakeClient } = require('./helpers/fakeRedisClient.js');
+
+const { MAX_ATTEMPTS, VISIBILITY_TIMEOUT_MS, RETRY_DELAY_MS } = config.TRADE_QUEUE;
+
+describe('trade job queue', () => {
+    let redisManager;
+    let client;
+    let now;
+
+    beforeEach(() => {
+        redisManager = new RedisManager();
+        client = attachFakeClient(redisManager);
+        now = 1_700_000_000_000;
+        jest.spyOn(Date, 'now').mockImplementation(() => now);
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('queues a signature once and claims it into processing', async () => {
+        expect(await redisManager.addToTradeQueue({ signature: 'sigA', traderWallet: 'traderA' })).toBe('sigA');
+        expect(await redisManager.addToTradeQueue({ signature: 'sigA', traderWallet: 'traderA' })).toBeNull();
+
+        const job = await redisManager.getNextTrade();
+        expect(job.id).toBe('sigA');
+        expect(job.attempts).toBe(1);
+        expect(await client.zScore('trade_queue:processing', 'sigA')).toBe(now + VISIBILITY_TIMEOUT_MS);
+        expect(await redisManager.getTradeQueueStats()).toEqual({ pending: 0, processing: 1, dead: 0 });
+        expect(await redisManager.getNextTrade()).toBeNull();
+    });
+
+    test('a second claim of the same job backs off', async () => {
+        await redisManager.addToTradeQueue({ signature: 'sigA' });
+        expect(await redisManager.claimTradeJob('sigA')).not.toBeNull();
+        expect(await redisManager.claimTradeJob('sigA')).toBeNull();
+    });
+
+    test('an acked job is dropped and its signature is not queued again', async () => {
+        await redisManager.addToTradeQueue({ signature: 'sigA' });
+        const job = await redisManager.getNextTrade();
+        await redisManager.ackTradeJob(job);
+
+        expect(await redisManager.getTradeQueueStats()).toEqual({ pending: 0, processing: 0, dead: 0 });
+        expect(await redisManager.addToTradeQueue({ signature: 'sigA' })).toBeNull();
+    });
+
+    test('a retried job is redelivered once its delay passes', async () => {
+        await redisManager.addToTradeQueue({ signature: 'sigA' });
+        const job = await redisManager.getNextTrade();
+        await redisManager.retryTradeJob(job, 'blockhash expired');
+
+        expect(await redisManager.reclaimExpiredTradeJobs()).toBe(0);
+
+        now += RETRY_DELAY_MS;
+        expect(await redisManager.reclaimExpiredTradeJobs()).toBe(1);
+
+        const redelivered = await redisManager.getNextTrade();
+        expect(redelivered.id).toBe('sigA');
+        expect(redelivered.attempts).toBe(2);
+        expect(redelivered.lastError).toBe('blockhash expired');
+    });
+
+    test('a job whose claim expires is requeued', async () => {
+        await redisManager.addToTradeQueue({ signature: 'sigA' });
+        await redisManager.getNextTrade();
+
+        now += VISIBILITY_TIMEOUT_MS;
+        expect(await redisManager.reclaimExpiredTradeJobs()).toBe(1);
+        expect((await redisManager.getNextTrade()).attempts).toBe(2);
+    });
+
+    test('the last failed attempt dead-letters the job', async () => {
+        await redisManager.addToTradeQueue({ signature: 'sigA' });
+
+        let job;
+        for (let attempt = 1; attempt <= MAX_ATTEMPTS; attempt++) {
+            job = await redisManager.getNextTrade();
+            expect(job.attempts).toBe(attempt);
+            await redisManager.retryTradeJob(job, `failure ${attempt}`);
+            now += RETRY_DELAY_MS;
+            await redisManager.reclaimExpiredTradeJobs();
+        }
+
+        expect(await redisManager.getNextTrade()).toBeNull();
+        expect(await redisManager.getTradeQueueStats()).toEqual({ pending: 0, processing: 0, dead: 1 });
+        expect(await client.get('trade_job:sigA')).toBeNull();
+
+        const [dead] = await redisManager.getDeadTradeJobs();
+        expect(dead).toMatchObject({ id: 'sigA', attempts: MAX_ATTEMPTS, reason: `failure ${MAX_ATTEMPTS}` });
+    });
+
+    test('an expired claim on the last attempt is dead-lettered by the reclaim pass', async () => {
+        await redisManager.addToTradeQueue({ signature: 'sigA' });
+        for (let attempt = 1; attempt <= MAX_ATTEMPTS; attempt++) {
+            await redisManager.getNextTrade();
+            now += VISIBILITY_TIMEOUT_MS;
+            await redisManager.reclaimExpiredTradeJobs();
+        }
+
+        const [dead] = await redisManager.getDeadTradeJobs();
+        expect(dead).toMatchObject({ id: 'sigA', reason: 'visibility timeout expired' });
+    });
+});
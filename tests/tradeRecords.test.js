@@ -0,0 +1,181 @@
+// The gRPC stream isn't exercised here, and node-fetch 3 is ESM-only under jest
+jest.mock('../laserstreamManager.js', () => ({ LaserStreamManager: jest.fn() }));
+// encryption.js exits at load without a key; nothing here encrypts
+process.env.WALLET_ENCRYPTION_KEY = process.env.WALLET_ENCRYPTION_KEY || 'test-key';
+
+const { DataManager, TERMINAL_TRADE_STATES } = require('../dataManager.js');
+const { RedisManager } = require('../redis/redisManager.js');
+const TradeExecutorWorker = require('../workers/tradeExecutorWorker.js');
+const { attachFakeClient } = require('./helpers/fakeRedisClient.js');
+
+describe('trade lifecycle records', () => {
+    let dataManager;
+    let client;
+
+    beforeEach(() => {
+        const redisManager = new RedisManager();
+        client = attachFakeClient(redisManager);
+        dataManager = new DataManager(redisManager);
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    async function recordIn(...states) {
+        await dataManager.createTradeRecord('42', 'trade1', { tradeType: 'buy' });
+        for (const state of states) {
+            expect(await dataManager.transitionTrade('trade1', state)).not.toBeNull();
+        }
+        return dataManager.getTradeRecord('trade1');
+    }
+
+    test('a new record starts detected, indexed for the user and in flight', async () => {
+        const record = await dataManager.createTradeRecord('42', 'trade1', { tradeType: 'buy' });
+
+        expect(record.state).toBe('detected');
+        expect(record.history.map(step => step.state)).toEqual(['detected']);
+        expect(await client.lRange('trades:42', 0, -1)).toEqual(['trade1']);
+        expect(await client.zScore('trades:inflight', 'trade1')).not.toBeNull();
+    });
+
+    test('creating the same record twice returns the existing one', async () => {
+        await recordIn('queued');
+        const again = await dataManager.createTradeRecord('42', 'trade1', { tradeType: 'buy' });
+
+        expect(again.state).toBe('queued');
+        expect(await client.lRange('trades:42', 0, -1)).toEqual(['trade1']);
+    });
+
+    test('walks detected → queued → building → sent → confirmed', async () => {
+        const record = await recordIn('queued', 'building', 'sent');
+        expect(record.state).toBe('sent');
+
+        const confirmed = await dataManager.transitionTrade('trade1', 'confirmed', { signature: 'sig1' });
+        expect(confirmed.signature).toBe('sig1');
+        expect(confirmed.history.map(step => step.state)).toEqual(['detected', 'queued', 'building', 'sent', 'confirmed']);
+        expect(await client.zScore('trades:inflight', 'trade1')).toBeNull();
+    });
+
+    test('a skip is terminal, keeps its rule and leaves the in-flight set', async () => {
+        await recordIn('queued', 'building');
+        const skipped = await dataManager.transitionTrade('trade1', 'skipped', { skipReason: 'max_open_positions' });
+
+        expect(skipped.skipReason).toBe('max_open_positions');
+        expect(skipped.failureReason).toBeNull();
+        expect(TERMINAL_TRADE_STATES).toContain('skipped');
+        expect(await client.zScore('trades:inflight', 'trade1')).toBeNull();
+    });
+
+    test('a failure keeps its reason and leaves the in-flight set', async () => {
+        await recordIn('queued', 'building');
+        const failed = await dataManager.transitionTrade('trade1', 'failed', { failureReason: 'slippage exceeded' });
+
+        expect(failed.failureReason).toBe('slippage exceeded');
+        expect(await client.zScore('trades:inflight', 'trade1')).toBeNull();
+    });
+
+    test.each([
+        ['detected', 'building'],
+        ['detected', 'sent'],
+        ['queued', 'confirmed'],
+        ['building', 'queued'],
+        ['sent', 'cancelled']
+    ])('refuses %s → %s', async (from, to) => {
+        const path = { detected: [], queued: ['queued'], building: ['queued', 'building'], sent: ['queued', 'building', 'sent'] }[from];
+        await recordIn(...path);
+
+        expect(await dataManager.transitionTrade('trade1', to)).toBeNull();
+        expect((await dataManager.getTradeRecord('trade1')).state).toBe(from);
+    });
+
+    test('a consensus buy can be held, then merged into the copy that fires', async () => {
+        await recordIn('queued', 'held');
+        const merged = await dataManager.transitionTrade('trade1', 'merged', { mergedInto: 'trade0' });
+
+        expect(merged.mergedInto).toBe('trade0');
+        expect(merged.history.map(step => step.state)).toEqual(['detected', 'queued', 'held', 'merged']);
+        expect(await client.zScore('trades:inflight', 'trade1')).toBeNull();
+    });
+
+    test('a queued buy already counted in a fired group is merged directly', async () => {
+        await recordIn('queued');
+        expect((await dataManager.transitionTrade('trade1', 'merged')).state).toBe('merged');
+    });
+
+    test('a held buy whose group never forms expires', async () => {
+        await recordIn('queued', 'held');
+        expect((await dataManager.transitionTrade('trade1', 'expired')).state).toBe('expired');
+    });
+
+    test.each([
+        ['building', 'held'],
+        ['building', 'merged'],
+        ['held', 'building'],
+        ['held', 'sent']
+    ])('refuses consensus move %s → %s', async (from, to) => {
+        await recordIn('queued', from);
+
+        expect(await dataManager.transitionTrade('trade1', to)).toBeNull();
+        expect((await dataManager.getTradeRecord('trade1')).state).toBe(from);
+    });
+
+    test('terminal states allow no further moves', async () => {
+        for (const state of TERMINAL_TRADE_STATES) {
+            await client.set('trade:trade1', JSON.stringify({ id: 'trade1', state, history: [] }));
+            expect(await dataManager.transitionTrade('trade1', 'queued')).toBeNull();
+            expect(await dataManager.transitionTrade('trade1', 'failed')).toBeNull();
+        }
+    });
+
+    test('a missing record is not created by a transition', async () => {
+        expect(await dataManager.transitionTrade('missing', 'queued')).toBeNull();
+        expect(await dataManager.getTradeRecord('missing')).toBeNull();
+    });
+});
+
+describe('_runTrackedCopy', () => {
+    let dataManager;
+    let worker;
+
+    beforeEach(() => {
+        const redisManager = new RedisManager();
+        attachFakeClient(redisManager);
+        dataManager = new DataManager(redisManager);
+        worker = Object.create(TradeExecutorWorker.prototype);
+        worker.dataManager = dataManager;
+        worker.logInfo = jest.fn();
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    const message = { signature: 'sig1', analysisResult: { swapDetails: { tradeType: 'buy', platform: 'PumpFun', outputMint: 'MintA' } } };
+    const copy = async (result) => {
+        worker._executeCopyTradeForUser = jest.fn(async (msg, copier) => {
+            await worker._advanceTrade(copier.tradeId, 'building');
+            return result;
+        });
+        await worker._runTrackedCopy(message, { chatId: '42', trader: { name: 'Alice' } }, {});
+        const [id] = await dataManager.redisManager.client.lRange('trades:42', 0, -1);
+        return dataManager.getTradeRecord(id);
+    };
+
+    test('a copy the user\'s rules stopped is recorded as skipped, not failed', async () => {
+        const record = await copy({ success: false, skipped: true, chatId: '42', rule: 'max_open_positions' });
+
+        expect(record.state).toBe('skipped');
+        expect(record.skipReason).toBe('max_open_positions');
+        expect(record.failureReason).toBeNull();
+    });
+
+    test('a build or send error is still a failure', async () => {
+        const record = await copy({ success: false, error: 'slippage exceeded', chatId: '42' });
+
+        expect(record.state).toBe('failed');
+        expect(record.failureReason).toBe('slippage exceeded');
+    });
+});
@@ -0,0 +1,61 @@
+// The gRPC stream isn't exercised here, and node-fetch 3 is ESM-only under jest
+jest.mock('../laserstreamManager.js', () => ({ LaserStreamManager: jest.fn() }));
+
+const TraderMonitorWorker = require('../workers/traderMonitorWorker.js');
+const config = require('../config.js');
+
+const TRADER = 'Trader1111111111111111111111111111111111111';
+const OTHER = 'Other11111111111111111111111111111111111111';
+const MINT = 'Mint111111111111111111111111111111111111111';
+
+function tokenBalance(owner, mint, amount) {
+    return { owner, mint, uiTokenAmount: { amount: String(amount) } };
+}
+
+function tx(pre, post) {
+    return { preTokenBalances: pre, postTokenBalances: post };
+}
+
+describe('_calculateTraderSellFraction', () => {
+    // The method only reads the transaction, so a bare instance skips the worker's connections
+    const worker = Object.create(TraderMonitorWorker.prototype);
+    const fraction = (normalizedTx, mint = MINT) => worker._calculateTraderSellFraction(normalizedTx, TRADER, mint);
+
+    test('selling part of the holding returns that share', () => {
+        expect(fraction(tx([tokenBalance(TRADER, MINT, 1000)], [tokenBalance(TRADER, MINT, 750)]))).toBe(0.25);
+    });
+
+    test('selling everything returns 1, including a closed token account', () => {
+        expect(fraction(tx([tokenBalance(TRADER, MINT, 1000)], [tokenBalance(TRADER, MINT, 0)]))).toBe(1);
+        expect(fraction(tx([tokenBalance(TRADER, MINT, 1000)], []))).toBe(1);
+    });
+
+    test('balances across several of the trader\'s accounts are summed', () => {
+        const normalizedTx = tx(
+            [tokenBalance(TRADER, MINT, 600), tokenBalance(TRADER, MINT, 400)],
+            [tokenBalance(TRADER, MINT, 600), tokenBalance(TRADER, MINT, 0)]
+        );
+        expect(fraction(normalizedTx)).toBe(0.4);
+    });
+
+    test('other owners and wSOL do not count toward the trader\'s holding', () => {
+        const normalizedTx = tx(
+            [tokenBalance(TRADER, MINT, 1000), tokenBalance(OTHER, MINT, 9000), tokenBalance(TRADER, config.NATIVE_SOL_MINT, 5000)],
+            [tokenBalance(TRADER, MINT, 500), tokenBalance(OTHER, MINT, 0), tokenBalance(TRADER, config.NATIVE_SOL_MINT, 0)]
+        );
+        expect(fraction(normalizedTx)).toBe(0.5);
+    });
+
+    test('amounts beyond Number precision are handled as integers', () => {
+        const pre = 10n ** 24n;
+        expect(fraction(tx([tokenBalance(TRADER, MINT, pre)], [tokenBalance(TRADER, MINT, pre / 3n)]))).toBeCloseTo(2 / 3, 5);
+    });
+
+    test.each([
+        ['no pre-transaction balance', tx([], [tokenBalance(TRADER, MINT, 0)])],
+        ['a balance that grew', tx([tokenBalance(TRADER, MINT, 100)], [tokenBalance(TRADER, MINT, 200)])],
+        ['no entry for the mint', tx([tokenBalance(TRADER, 'OtherMint', 100)], [tokenBalance(TRADER, 'OtherMint', 0)])]
+    ])('falls back to a full sell with %s', (_, normalizedTx) => {
+        expect(fraction(normalizedTx)).toBe(1);
+    });
+});
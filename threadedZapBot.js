@@ -298,6 +298,8 @@ class ThreadedZapBot {
                 // Pass the ENTIRE message payload, including pre-fetched data,
                 // to the executor for the fastest possible analysis.
                 executorWorker.postMessage(message); 
+            } else if (message.jobId) {
+                console.warn(`⏳ Executor worker not ready (status: ${this.workerStates.get('executor')}). Job stays in the Redis trade queue until it picks it up.`);
             } else {
                 console.error(`❌ Executor worker not ready for copy trade execution. Status: ${this.workerStates.get('executor')}`);
             }
@@ -332,6 +334,26 @@ class ThreadedZapBot {
             }
         });
 
+        this.messageHandlers.set('EXECUTE_EXIT_TRADE', (workerName, message) => {
+            console.log(`🎯 FORWARDING EXIT (${message.triggerLabel || message.reason}) from ${workerName} to executor for user ${message.chatId}`);
+            const executorWorker = this.workers.get('executor');
+            if (executorWorker && this.workerStates.get('executor') === 'ready') {
+                executorWorker.postMessage(message);
+            } else {
+                console.error(`❌ Executor worker not ready for exit execution. Status: ${this.workerStates.get('executor')}`);
+            }
+        });
+
+        this.messageHandlers.set('EXECUTE_MANUAL_TRADE', (workerName, message) => {
+            console.log(`🖐️ FORWARDING MANUAL ${String(message.tradeType).toUpperCase()} from ${workerName} to executor for user ${message.chatId}`);
+            const executorWorker = this.workers.get('executor');
+            if (executorWorker && this.workerStates.get('executor') === 'ready') {
+                executorWorker.postMessage(message);
+            } else {
+                console.error(`❌ Executor worker not ready for manual trade execution. Status: ${this.workerStates.get('executor')}`);
+            }
+        });
+
         // =========================================================================================
         // ================================ START: ADD THIS CODE BLOCK ===============================
         // =========================================================================================
@@ -0,0 +1,205 @@
+// ==========================================
+// ====== ZapBot TokenSafetyChecker ======
+// ==========================================
+// File: tokenSafetyChecker.js
+// Description: Inspects a mint before a buy (authorities, Token-2022 extensions, holder concentration, LP state)
+// and turns the findings into a block / warn / pass verdict under a user's policy.
+
+const { PublicKey } = require('@solana/web3.js');
+const { TOKEN_2022_PROGRAM_ID } = require('@solana/spl-token');
+const config = require('./config.js');
+const { shortenAddress } = require('./utils.js');
+
+// Token-2022 extensions that let the issuer tax, intercept or take back transfers
+const RISKY_EXTENSIONS = {
+    transferFeeConfig: 'transfer fee',
+    transferHook: 'transfer hook',
+    permanentDelegate: 'permanent delegate'
+};
+
+// Applied per check when neither the user nor tradingSettings.tokenSafety set one
+const DEFAULT_SAFETY_POLICY = {
+    mintAuthority: 'block',
+    freezeAuthority: 'block',
+    token2022Extensions: 'block',
+    holderConcentration: 'warn',
+    lpState: 'warn'
+};
+
+const SAFETY_CHECKS = Object.keys(DEFAULT_SAFETY_POLICY);
+const SAFETY_ACTIONS = ['block', 'warn', 'allow'];
+
+// Raydium AMM v4 pool state: lpMint and lpReserve (LP minted by the program; burns don't reduce it)
+const RAYDIUM_V4_LP_MINT_OFFSET = 464;
+const RAYDIUM_V4_LP_RESERVE_OFFSET = 720;
+
+class TokenSafetyChecker {
+    constructor(solanaManager, redisManager) {
+        this.solanaManager = solanaManager;
+        this.redisManager = redisManager;
+    }
+
+    get connection() {
+        return this.solanaManager.connection;
+    }
+
+    // Cached per mint. poolId and platform only feed the LP check.
+    async inspect(tokenMint, { platform = null, poolId = null } = {}) {
+        const key = `token_safety:${tokenMint}`;
+        const cached = await this.redisManager.getObject(key);
+        if (cached) {
+            return cached;
+        }
+
+        const mintPubkey = new PublicKey(tokenMint);
+        const mintAccount = await this.connection.getParsedAccountInfo(mintPubkey);
+        const info = mintAccount?.value?.data?.parsed?.info;
+        if (!info) {
+            throw new Error(`Mint account ${tokenMint} not found or not a token mint`);
+        }
+
+        const isToken2022 = mintAccount.value.owner.equals(TOKEN_2022_PROGRAM_ID);
+        const extensions = isToken2022
+            ? (info.extensions || []).filter(ext => RISKY_EXTENSIONS[ext.extension]).map(ext => ({
+                name: ext.extension,
+                transferFeeBps: ext.extension === 'transferFeeConfig' ? ext.state?.newerTransferFee?.transferFeeBasisPoints ?? null : undefined
+            }))
+            : [];
+
+        const report = {
+            tokenMint,
+            tokenProgram: isToken2022 ? 'token-2022' : 'spl-token',
+            mintAuthority: info.mintAuthority || null,
+            freezeAuthority: info.freezeAuthority || null,
+            extensions,
+            holders: await this._inspectHolders(mintPubkey, BigInt(info.supply)),
+            lp: await this._inspectLp(platform, poolId),
+            checkedAt: new Date().toISOString()
+        };
+
+        await this.redisManager.setObject(key, report, config.TOKEN_SAFETY.CACHE_TTL_SECONDS);
+        console.log(`[TOKEN-SAFETY] 🔍 Inspected ${shortenAddress(tokenMint)}: ${report.tokenProgram}, mint auth ${report.mintAuthority ? 'set' : 'revoked'}, freeze auth ${report.freezeAuthority ? 'set' : 'revoked'}, top holder ${report.holders?.topHolderPercent ?? '?'}%, LP ${report.lp.state}`);
+        return report;
+    }
+
+    // policy maps each check to 'block' | 'warn' | 'allow'. Verdict is the strictest level any finding reached.
+    evaluate(report, policy = {}) {
+        const resolved = { ...DEFAULT_SAFETY_POLICY, ...policy };
+        const findings = [];
+        const flag = (check, message) => {
+            if (resolved[check] !== 'allow') {
+                findings.push({ check, level: resolved[check], message });
+            }
+        };
+
+        if (report.mintAuthority) {
+            flag('mintAuthority', `mint authority not revoked (${shortenAddress(report.mintAuthority)})`);
+        }
+        if (report.freezeAuthority) {
+            flag('freezeAuthority', `freeze authority not revoked (${shortenAddress(report.freezeAuthority)})`);
+        }
+        for (const ext of report.extensions || []) {
+            const fee = typeof ext.transferFeeBps === 'number' ? ` ${ext.transferFeeBps / 100}%` : '';
+            flag('token2022Extensions', `Token-2022 ${RISKY_EXTENSIONS[ext.name]}${fee}`);
+        }
+
+        const holders = report.holders;
+        if (holders && holders.topHolderPercent > config.TOKEN_SAFETY.MAX_TOP_HOLDER_PERCENT) {
+            flag('holderConcentration', `top wallet holds ${holders.topHolderPercent}% of supply`);
+        } else if (holders && holders.top10Percent > config.TOKEN_SAFETY.MAX_TOP10_PERCENT) {
+            flag('holderConcentration', `top 10 wallets hold ${holders.top10Percent}% of supply`);
+        }
+
+        if (report.lp.state === 'unlocked' && report.lp.unlockedPercent > config.TOKEN_SAFETY.MAX_LP_UNLOCKED_PERCENT) {
+            flag('lpState', `${report.lp.unlockedPercent}% of LP held by wallets (not burned)`);
+        }
+
+        const verdict = findings.some(f => f.level === 'block') ? 'block'
+            : findings.length > 0 ? 'warn'
+            : 'pass';
+        return { verdict, findings };
+    }
+
+    // Largest token accounts, counting only those owned by wallets: pools, bonding curves and vaults are PDAs (off curve)
+    async _inspectHolders(mintPubkey, supply) {
+        if (supply === 0n) {
+            return null;
+        }
+
+        try {
+            const walletAmounts = await this._walletHeldAmounts(mintPubkey);
+            const toPercent = (amount) => Number((amount * 10000n) / supply) / 100;
+            return {
+                topHolderPercent: walletAmounts.length > 0 ? toPercent(walletAmounts[0]) : 0,
+                top10Percent: toPercent(walletAmounts.slice(0, 10).reduce((sum, amount) => sum + amount, 0n))
+            };
+        } catch (error) {
+            console.warn(`[TOKEN-SAFETY] ⚠️ Holder check failed for ${shortenAddress(mintPubkey.toBase58())}:`, error.message);
+            return null;
+        }
+    }
+
+    // Wallet-owned balances among the mint's 20 largest accounts, largest first
+    async _walletHeldAmounts(mintPubkey) {
+        const largest = await this.connection.getTokenLargestAccounts(mintPubkey);
+        const accounts = largest?.value || [];
+        if (accounts.length === 0) {
+            return [];
+        }
+
+        const parsed = await this.connection.getMultipleParsedAccounts(accounts.map(a => a.address));
+        const amounts = [];
+        accounts.forEach((account, i) => {
+            const owner = parsed?.value?.[i]?.data?.parsed?.info?.owner;
+            if (owner && PublicKey.isOnCurve(new PublicKey(owner).toBytes())) {
+                amounts.push(BigInt(account.amount));
+            }
+        });
+        return amounts.sort((a, b) => (a > b ? -1 : a < b ? 1 : 0));
+    }
+
+    // Share of the pool's LP held by wallets. Only PumpSwap and Raydium AMM v4 pools expose their LP mint here.
+    async _inspectLp(platform, poolId) {
+        const key = String(platform || '').toLowerCase();
+        if (['pumpfun', 'pump_fun'].includes(key)) {
+            return { state: 'bonding_curve' };
+        }
+        if (!poolId) {
+            return { state: 'unknown' };
+        }
+
+        try {
+            let lpMint = null;
+            let lpMinted = null;
+            if (['pumpswap', 'pumpfunamm', 'pump_fun_amm'].includes(key)) {
+                const pool = await this.solanaManager.getDecodedAmmPool(poolId);
+                lpMint = pool?.lp_mint || null;
+                lpMinted = pool ? pool.lp_supply : null;
+            } else if (key === 'raydium') {
+                const account = await this.connection.getAccountInfo(new PublicKey(poolId));
+                if (account && account.data.length >= RAYDIUM_V4_LP_RESERVE_OFFSET + 8) {
+                    lpMint = new PublicKey(account.data.slice(RAYDIUM_V4_LP_MINT_OFFSET, RAYDIUM_V4_LP_MINT_OFFSET + 32));
+                    lpMinted = account.data.readBigUInt64LE(RAYDIUM_V4_LP_RESERVE_OFFSET);
+                }
+            }
+            if (!lpMint || !lpMinted) {
+                return { state: 'unknown' };
+            }
+
+            const walletHeld = (await this._walletHeldAmounts(lpMint)).reduce((sum, amount) => sum + amount, 0n);
+            if (walletHeld === 0n) {
+                return { state: 'burned', lpMint: lpMint.toBase58() };
+            }
+            return {
+                state: 'unlocked',
+                lpMint: lpMint.toBase58(),
+                unlockedPercent: Math.min(100, Number((walletHeld * 10000n) / BigInt(lpMinted)) / 100)
+            };
+        } catch (error) {
+            console.warn(`[TOKEN-SAFETY] ⚠️ LP check failed for pool ${shortenAddress(poolId)}:`, error.message);
+            return { state: 'unknown' };
+        }
+    }
+}
+
+module.exports = { TokenSafetyChecker, DEFAULT_SAFETY_POLICY, SAFETY_CHECKS, SAFETY_ACTIONS };
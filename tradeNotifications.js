@@ -450,7 +450,7 @@ class TradeNotificationManager {
     // NEW METHOD: Send trade notification with verified bot execution data
     async sendTradeNotification(tradeData) {
         try {
-            const { signature, traderName, platform, solSpent, inputMint, outputMint, tokensBoughtRaw, decimals } = tradeData;
+            const { chatId, walletLabel, signature, traderName, platform, solSpent, inputMint, outputMint, tokensBoughtRaw, decimals, paper, safety, consensus } = tradeData;
             
             // Get enhanced token data for the output token
             const tokenData = await this.getEnhancedTokenData(outputMint) || { 
@@ -468,9 +468,9 @@ class TradeNotificationManager {
                 tokensBoughtFormatted = (Number(tokensBoughtRaw) / divisor).toFixed(2);
             }
             
-            const message = `🕺 *BUY ORDER EXECUTED* 🕺\n\n` +
+            const message = (paper ? `📝 *PAPER BUY (simulated, not sent)* 📝\n\n` : `🕺 *BUY ORDER EXECUTED* 🕺\n\n`) +
                           `*Trader*: ${escapeMarkdownV2(traderName)}\n` +
-                          `*Wallet*: Trading Wallet\n` +
+                          `*Wallet*: ${escapeMarkdownV2(walletLabel || 'Trading Wallet')}\n` +
                           `*Summary*: Bought ${tokensBoughtFormatted} ${escapeMarkdownV2(tokenData.symbol)} for ${solSpentFormatted} SOL\n\n` +
                           `*Trade Details:*\n` +
                           `• Token Name: ${escapeMarkdownV2(tokenData.name)}\n` +
@@ -478,17 +478,73 @@ class TradeNotificationManager {
                           `• Tokens Bought: ${tokensBoughtFormatted} ${escapeMarkdownV2(tokenData.symbol)}\n` +
                           `• SOL Spent: ${solSpentFormatted} SOL\n` +
                           `• Platform: ${escapeMarkdownV2(platform)}\n` +
-                          `• Tx Link: [View on Solscan](https://solscan.io/tx/${signature})`;
+                          (safety ? `• Safety: ${this._formatSafetyVerdict(safety)}\n` : '') +
+                          (consensus ? `• Consensus: ${escapeMarkdownV2(`${consensus.traders.length} traders agreed (${consensus.traders.join(', ')})`)}\n` : '') +
+                          (paper ? `• Tx Link: none, paper trade` : `• Tx Link: [View on Solscan](https://solscan.io/tx/${signature})`);
             
-            const chatId = config.ADMIN_CHAT_ID;
-            await this._sendMessage(chatId, message);
+            // Copies are fanned out per user, so each notification goes to the user who owns the trade
+            const targetChatId = chatId || config.ADMIN_CHAT_ID;
+            await this._sendMessage(targetChatId, message);
             
-            console.log(`[TRADE_NOTIFICATION] ✅ Trade notification sent for ${traderName} on ${platform}`);
+            console.log(`[TRADE_NOTIFICATION] ✅ ${paper ? 'PAPER trade' : 'Trade'} notification sent for ${traderName} on ${platform} to chat ${targetChatId}`);
             
         } catch (error) {
             console.error(`[TRADE_NOTIFICATION] ❌ Failed to send trade notification:`, error.message);
         }
     }
+
+    // Token safety verdict from the executor's pre-buy checks, already escaped
+    _formatSafetyVerdict(safety) {
+        if (safety.verdict === 'pass') {
+            return '✅ passed';
+        }
+        return `⚠️ ${escapeMarkdownV2(safety.findings.map(f => f.message).join('; '))}`;
+    }
+
+    // Send sell notification with verified bot execution data
+    async sendSellNotification(tradeData) {
+        try {
+            const { chatId, walletLabel, signature, traderName, platform, tokenMint, tokensSoldRaw, decimals, solReceived, solSpent, positionClosed, exitTrigger, paper } = tradeData;
+            
+            const tokenData = await this.getEnhancedTokenData(tokenMint) || { 
+                symbol: shortenAddress(tokenMint),
+                name: 'Unknown Token'
+            };
+            
+            let tokensSoldFormatted = '0';
+            if (tokensSoldRaw && typeof decimals === 'number') {
+                tokensSoldFormatted = (Number(tokensSoldRaw) / Math.pow(10, decimals)).toFixed(2);
+            }
+            
+            const solReceivedFormatted = solReceived !== null && solReceived !== undefined
+                ? (solReceived / 1000000000).toFixed(4)
+                : 'unknown';
+            
+            let message = (paper ? `📝 *PAPER SELL (simulated, not sent)* 📝\n\n` : `🔻 *SELL ORDER EXECUTED* 🔻\n\n`) +
+                          `*Trader*: ${escapeMarkdownV2(traderName)}\n` +
+                          `*Wallet*: ${escapeMarkdownV2(walletLabel || 'Trading Wallet')}\n` +
+                          (exitTrigger ? `*Exit Trigger*: ${escapeMarkdownV2(exitTrigger)}\n` : '') +
+                          `*Summary*: Sold ${escapeMarkdownV2(tokensSoldFormatted)} ${escapeMarkdownV2(tokenData.symbol)} for ${escapeMarkdownV2(solReceivedFormatted)} SOL\n\n` +
+                          `*Trade Details:*\n` +
+                          `• Token Name: ${escapeMarkdownV2(tokenData.name)}\n` +
+                          `• Platform: ${escapeMarkdownV2(platform)}\n` +
+                          `• Position: ${positionClosed ? 'Closed' : 'Partially sold'}\n`;
+            
+            if (solSpent && solReceived !== null && solReceived !== undefined && positionClosed) {
+                const pnlSol = ((solReceived - solSpent) / 1000000000).toFixed(4);
+                message += `• PnL: ${escapeMarkdownV2(pnlSol)} SOL\n`;
+            }
+            
+            message += paper ? `• Tx Link: none, paper trade` : `• Tx Link: [View on Solscan](https://solscan.io/tx/${signature})`;
+            
+            await this._sendMessage(chatId || config.ADMIN_CHAT_ID, message);
+            
+            console.log(`[TRADE_NOTIFICATION] ✅ ${paper ? 'PAPER sell' : 'Sell'} notification sent for ${traderName} on ${platform}`);
+            
+        } catch (error) {
+            console.error(`[TRADE_NOTIFICATION] ❌ Failed to send sell notification:`, error.message);
+        }
+    }
 }
 
 module.exports = TradeNotificationManager;
\ No newline at end of file
@@ -370,6 +370,29 @@ class WalletManager extends EventEmitter {
     }
   }
 
+  // Every trading wallet of a user with its keypair, in wallet order (the first one is the primary)
+  async getTradingKeypairs(chatId) {
+    if (!chatId) {
+      console.warn("[WM] getTradingKeypairs requires chatId parameter");
+      return [];
+    }
+
+    try {
+      const wallets = await this.dataManager.getUserWallets(String(chatId));
+      const result = [];
+      for (const walletRow of wallets) {
+        const wallet = await this.getWalletById(walletRow.id);
+        if (!wallet) continue;
+        const keypair = await this.getKeypairById(wallet.id);
+        result.push({ keypair, wallet });
+      }
+      return result;
+    } catch (error) {
+      console.error(`[WM] Error getting trading keypairs for user ${chatId}:`, error);
+      return [];
+    }
+  }
+
   async getAdminFallbackWallet(chatId) {
     if (!chatId) {
       console.warn("[WM] getAdminFallbackWallet requires chatId parameter");
@@ -40,21 +40,26 @@ class PortfolioMonitorWorker extends BaseWorker {
     async _monitorPositions() {
         this.logInfo(`[PORTFOLIO-MONITOR] 🔄 --- Cycle Start ---`);
         try {
-            const activeMints = await this._getActiveMintsFromRedis();
-            if (activeMints.size === 0) {
+            const openPositions = await this._getOpenPositionsFromRedis();
+            if (openPositions.length === 0) {
                 this.logInfo(`[PORTFOLIO-MONITOR] 🧘 No active positions to monitor.`);
                 return;
             }
 
-            this.logInfo(`[PORTFOLIO-MONITOR] 👀 Monitoring ${activeMints.size} unique tokens.`);
+            const activeMints = new Set(openPositions.map(p => p.tokenMint));
+            this.logInfo(`[PORTFOLIO-MONITOR] 👀 Monitoring ${activeMints.size} unique tokens across ${openPositions.length} positions.`);
 
+            const tokenStatuses = new Map();
             for (const mintAddress of activeMints) {
                 const status = await this._fetchUniversalTokenStatus(mintAddress);
                 if (status) {
                     await this.redisManager.updateTokenStatusInRedis(mintAddress, status);
+                    tokenStatuses.set(mintAddress, status);
                 }
             }
 
+            await this._evaluateExitRules(openPositions, tokenStatuses);
+
         } catch (error) {
             this.logError('[PORTFOLIO-MONITOR] ❌ Error in monitoring cycle', { error: error.message, stack: error.stack });
         } finally {
@@ -62,22 +67,150 @@ class PortfolioMonitorWorker extends BaseWorker {
         }
     }
     
-    async _getActiveMintsFromRedis() {
-        const uniqueMints = new Set();
+    async _getOpenPositionsFromRedis() {
         try {
-            // Get all position keys from Redis using the client directly
-            const keys = await this.redisManager.client.keys('positions:*'); 
+            // Positions are written by the executor as portfolio:{chatId}:{mint}
+            return await this.dataManager.getAllOpenPositions();
+        } catch (error) {
+            this.logError('[PORTFOLIO-MONITOR] ❌ Error getting open positions from Redis', { error: error.message });
+            return [];
+        }
+    }
+
+    // ===== EXIT ENGINE (STOP-LOSS / TAKE-PROFIT) =====
+
+    async _evaluateExitRules(openPositions, tokenStatuses) {
+        const settings = await this.dataManager.getSettings();
+        const globalRules = settings?.tradingSettings || {};
+        const storedSettings = await this.dataManager.readJsonFile('settings.json');
+        const userSettingsCache = new Map();
+
+        for (const { chatId, tokenMint, position } of openPositions) {
+            const status = tokenStatuses.get(tokenMint);
+            if (!status || !(status.priceInSol > 0)) continue;
+
+            const entryPriceSol = this._getEntryPriceSol(position);
+            if (!entryPriceSol) continue;
+
+            if (!userSettingsCache.has(chatId)) {
+                const user = await this.dataManager.getUser(chatId);
+                userSettingsCache.set(chatId, {
+                    ...(user?.settings || {}),
+                    ...(storedSettings?.settings?.[chatId] || {})
+                });
+            }
+
+            const rules = this._resolveExitRules(position, userSettingsCache.get(chatId), globalRules);
+            const exitState = await this._updateExitState(chatId, tokenMint, position, status.priceInSol, entryPriceSol);
+            const pnlRatio = status.priceInSol / entryPriceSol - 1;
 
-            for (const key of keys) {
-                const positions = await this.redisManager.hgetall(key);
-                for (const mint of Object.keys(positions)) {
-                    uniqueMints.add(mint);
+            const exit = this._pickExit(rules, exitState, position, status.priceInSol, pnlRatio);
+            if (!exit) continue;
+
+            await this._fireExit(chatId, tokenMint, { ...exit, pnlRatio, entryPriceSol, priceInSol: status.priceInSol });
+        }
+    }
+
+    // Stop-loss first, then trailing stop, then a full take-profit, then the lowest pending ladder step
+    _pickExit(rules, exitState, position, priceInSol, pnlRatio) {
+        if (rules.stopLoss > 0 && pnlRatio <= -rules.stopLoss) {
+            return { reason: 'stop_loss', label: 'Stop-loss', sellFraction: 1 };
+        }
+
+        if (rules.trailingStop > 0 && priceInSol <= exitState.highWaterPriceSol * (1 - rules.trailingStop)) {
+            return { reason: 'trailing_stop', label: 'Trailing stop', sellFraction: 1 };
+        }
+
+        if (rules.takeProfit > 0 && pnlRatio >= rules.takeProfit) {
+            return { reason: 'take_profit', label: 'Take-profit', sellFraction: 1 };
+        }
+
+        const hits = exitState.ladderHits || [];
+        const step = rules.takeProfitLadder
+            .filter(s => !hits.includes(s.multiple) && pnlRatio + 1 >= s.multiple)
+            .sort((a, b) => a.multiple - b.multiple)[0];
+        if (step) {
+            // Ladder fractions are of the original position; convert to a fraction of what is left
+            const initialRaw = Number(exitState.initialTokenAmount || position.tokenAmount);
+            const currentRaw = Number(position.tokenAmount);
+            const sellFraction = currentRaw > 0 ? Math.min(1, (step.fraction * initialRaw) / currentRaw) : 1;
+            return { reason: 'ladder', label: `TP ladder ${step.multiple}x`, sellFraction, ladderMultiple: step.multiple };
+        }
+
+        return null;
+    }
+
+    // Tracks the highest price seen since entry; persisted so a restart doesn't reset the trailing stop
+    async _updateExitState(chatId, tokenMint, position, priceInSol, entryPriceSol) {
+        const state = await this.dataManager.getPositionExitState(chatId, tokenMint) || {
+            highWaterPriceSol: entryPriceSol,
+            initialTokenAmount: position.initialTokenAmount || position.tokenAmount,
+            ladderHits: []
+        };
+
+        if (priceInSol > state.highWaterPriceSol) {
+            state.highWaterPriceSol = priceInSol;
+        }
+
+        await this.dataManager.setPositionExitState(chatId, tokenMint, state);
+        return state;
+    }
+
+    // Entry price in SOL per whole token; prefers the value frozen at buy time so partial sells don't skew it
+    _getEntryPriceSol(position) {
+        if (position.entryPriceSol > 0) {
+            return position.entryPriceSol;
+        }
+
+        const tokenAmount = Number(position.tokenAmount);
+        if (!(position.solSpent > 0) || !(tokenAmount > 0) || typeof position.decimals !== 'number') {
+            return null;
+        }
+        return (position.solSpent / 1e9) / (tokenAmount / Math.pow(10, position.decimals));
+    }
+
+    // Thresholds are fractions (0.3 = 30%). Position overrides user, user overrides global; 0 disables a rule.
+    _resolveExitRules(position, userSettings, globalRules) {
+        const pick = (key) => {
+            for (const source of [position, userSettings, globalRules]) {
+                if (source && source[key] !== undefined && source[key] !== null) {
+                    return Number(source[key]) || 0;
                 }
             }
-        } catch (error) {
-            this.logError('[PORTFOLIO-MONITOR] ❌ Error getting active mints from Redis', { error: error.message });
+            return 0;
+        };
+
+        const ladderSource = [position, userSettings, globalRules].find(source => Array.isArray(source?.takeProfitLadder));
+
+        return {
+            stopLoss: pick('stopLoss'),
+            takeProfit: pick('takeProfit'),
+            trailingStop: pick('trailingStop'),
+            takeProfitLadder: ladderSource ? ladderSource.takeProfitLadder : []
+        };
+    }
+
+    async _fireExit(chatId, tokenMint, exit) {
+        // Guard so the next cycles don't re-fire while the executor is still selling
+        const guardKey = `exit:pending:${chatId}:${tokenMint}`;
+        const acquired = await this.redisManager.set(guardKey, exit.reason, { EX: 120, NX: true });
+        if (!acquired) {
+            this.logInfo(`[EXIT-ENGINE] ⏳ Exit already pending for user ${chatId} on ${shortenAddress(tokenMint)}.`);
+            return;
         }
-        return uniqueMints;
+
+        this.logInfo(`[EXIT-ENGINE] 🎯 ${exit.label} hit for user ${chatId} on ${shortenAddress(tokenMint)}: ${(exit.pnlRatio * 100).toFixed(2)}% (entry ${exit.entryPriceSol.toFixed(9)} SOL, now ${exit.priceInSol.toFixed(9)} SOL)`);
+
+        this.signalMessage('EXECUTE_EXIT_TRADE', {
+            chatId,
+            tokenMint,
+            reason: exit.reason,
+            triggerLabel: exit.label,
+            sellFraction: exit.sellFraction,
+            ladderMultiple: exit.ladderMultiple,
+            pnlRatio: exit.pnlRatio,
+            priceInSol: exit.priceInSol
+        });
     }
     
     async _fetchUniversalTokenStatus(mintAddress) {
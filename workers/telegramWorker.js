@@ -10,7 +10,9 @@ const TelegramUI = require('../telegramUi');
 // Dynamic require to avoid module caching issues
 const { SolanaManager } = require('../solanaManager');
 const WalletManager = require('../walletManager');
-const { escapeMarkdownV2 } = require('../utils');
+const { escapeMarkdownV2, shortenAddress } = require('../utils');
+const { DEFAULT_SAFETY_POLICY } = require('../tokenSafetyChecker');
+const { TERMINAL_TRADE_STATES } = require('../dataManager');
 
 class TelegramWorker extends BaseWorker {
     constructor() {
@@ -126,6 +128,19 @@ class TelegramWorker extends BaseWorker {
             onWithdraw: this.handleWithdraw.bind(this),
             onConfirmWithdraw: this.handleConfirmWithdraw.bind(this),
             onManualCopy: this.handleManualCopy.bind(this),
+            onSetExitRule: this.handleSetExitRule.bind(this),
+            onSetPaperTrading: this.handleSetPaperTrading.bind(this),
+            onSetTraderSettings: this.handleSetTraderSettings.bind(this),
+            onUpdateFilterList: this.handleUpdateFilterList.bind(this),
+            onSetSafetyPolicy: this.handleSetSafetyPolicy.bind(this),
+            onSetMarketGates: this.handleSetMarketGates.bind(this),
+            onSetWalletStrategy: this.handleSetWalletStrategy.bind(this),
+            onSetSlippageMode: this.handleSetSlippageMode.bind(this),
+            onSetConsensus: this.handleSetConsensus.bind(this),
+            onViewDeadLetters: this.handleViewDeadLetters.bind(this),
+            onListTrades: this.handleListTrades.bind(this),
+            onCancelTrade: this.handleCancelTrade.bind(this),
+            onManualTrade: this.handleManualTrade.bind(this),
         });
     }
 
@@ -553,6 +568,413 @@ class TelegramWorker extends BaseWorker {
         this.signalMessage('MANUAL_COPY_PROCESSED', { chatId, signature });
     }
 
+    async handleSetExitRule(chatId, rule, value, tokenMint = null) {
+        this.logInfo('Setting exit rule', { chatId, rule, value, tokenMint });
+        const ruleName = { stopLoss: 'Stop-loss', takeProfit: 'Take-profit', trailingStop: 'Trailing stop', takeProfitLadder: 'Take-profit ladder' }[rule] || rule;
+        const valueText = Array.isArray(value)
+            ? (value.length > 0 ? value.map(step => `${(step.fraction * 100).toFixed(0)}% at ${step.multiple}x`).join(', ') : 'OFF')
+            : (value > 0 ? `${(value * 100).toFixed(2)}%` : 'OFF');
+        try {
+            if (tokenMint) {
+                const updated = await this.dataManager.updatePositionFields(chatId, tokenMint, { [rule]: value });
+                if (!updated) {
+                    await this.telegramUi.sendErrorMessage(chatId, `No open position found for ${tokenMint}.`);
+                    return;
+                }
+            } else {
+                await this.dataManager.updateUserExitRule(chatId, rule, value);
+            }
+
+            const scope = tokenMint ? `position ${tokenMint}` : 'all your positions';
+            await this.telegramUi.sendOrEditMessage(chatId, `✅ ${ruleName} set to ${valueText} for ${scope}`, {
+                reply_markup: { inline_keyboard: [[{ text: "🔙 Back to Main Menu", callback_data: "main_menu" }]] }
+            });
+
+            this.signalMessage('EXIT_RULE_SET', { chatId, rule, value, tokenMint });
+        } catch (error) {
+            this.logError('Failed to set exit rule', { chatId, rule, error: error.message });
+            await this.telegramUi.sendErrorMessage(chatId, `Failed to update ${ruleName.toLowerCase()}: ${error.message}`);
+        }
+    }
+
+    async handleSetPaperTrading(chatId, enabled) {
+        this.logInfo('Setting paper trading', { chatId, enabled });
+        try {
+            await this.dataManager.updateUserPaperTrading(chatId, enabled);
+
+            const text = enabled === null
+                ? '✅ Paper trading now follows the global setting'
+                : enabled
+                    ? '📝 Paper trading ON: copies are simulated and recorded in your paper portfolio, nothing is sent'
+                    : '✅ Paper trading OFF: copies are sent for real';
+            await this.telegramUi.sendOrEditMessage(chatId, text, {
+                reply_markup: { inline_keyboard: [[{ text: "🔙 Back to Main Menu", callback_data: "main_menu" }]] }
+            });
+
+            this.signalMessage('PAPER_TRADING_SET', { chatId, enabled });
+        } catch (error) {
+            this.logError('Failed to set paper trading', { chatId, error: error.message });
+            await this.telegramUi.sendErrorMessage(chatId, `Failed to update paper trading: ${error.message}`);
+        }
+    }
+
+    async handleSetTraderSettings(chatId, traderName, changes) {
+        this.logInfo('Setting trader copy settings', { chatId, traderName, changes });
+        try {
+            if (changes.walletLabel && !await this.walletManager.getWalletByLabel(chatId, changes.walletLabel)) {
+                throw new Error(`you have no wallet labelled "${changes.walletLabel}"`);
+            }
+            const copySettings = await this.dataManager.updateTraderSettings(chatId, traderName, changes);
+
+            const lines = Object.entries(copySettings).map(([key, value]) => `• ${key}: ${value}`);
+            const text = `🎛 Copy settings for ${traderName}\n` +
+                (lines.length > 0 ? lines.join('\n') : '• none, using your own and the global settings');
+            await this.telegramUi.sendOrEditMessage(chatId, text, {
+                reply_markup: { inline_keyboard: [[{ text: "🔙 Back to Main Menu", callback_data: "main_menu" }]] }
+            });
+
+            this.signalMessage('TRADER_SETTINGS_SET', { chatId, traderName, settings: copySettings });
+        } catch (error) {
+            this.logError('Failed to set trader settings', { chatId, traderName, error: error.message });
+            await this.telegramUi.sendErrorMessage(chatId, `Failed to update settings for ${traderName}: ${error.message}`);
+        }
+    }
+
+    async handleUpdateFilterList(chatId, list, action, values) {
+        this.logInfo('Updating filter list', { chatId, list, action, count: values ? values.length : null });
+        try {
+            if (action !== 'list') {
+                await this.dataManager.updateUserFilterList(chatId, list, action, values);
+            }
+
+            const lists = await this.dataManager.getUserFilterLists(chatId);
+            const settings = await this.dataManager.getSettings();
+            const show = (items) => items.length === 0
+                ? '  (empty)'
+                : items.slice(0, 25).map(item => `  • ${item}`).join('\n') + (items.length > 25 ? `\n  … and ${items.length - 25} more` : '');
+            const platforms = lists.allowedPlatforms === null
+                ? `  default: ${(settings?.botSettings?.supportedPlatforms || []).join(', ') || 'all'}`
+                : show(lists.allowedPlatforms);
+
+            const text = `⛔ Blacklist (${lists.mintBlacklist.length})\n${show(lists.mintBlacklist)}\n\n` +
+                `✅ Whitelist (${lists.mintWhitelist.length})${lists.mintWhitelist.length > 0 ? ', only these are copied' : ''}\n${show(lists.mintWhitelist)}\n\n` +
+                `🏦 Allowed platforms\n${platforms}`;
+            await this.telegramUi.sendOrEditMessage(chatId, text, {
+                reply_markup: { inline_keyboard: [[{ text: "🔙 Back to Main Menu", callback_data: "main_menu" }]] }
+            });
+
+            if (action !== 'list') {
+                this.signalMessage('FILTER_LIST_UPDATED', { chatId, list, action });
+            }
+        } catch (error) {
+            this.logError('Failed to update filter list', { chatId, list, error: error.message });
+            await this.telegramUi.sendErrorMessage(chatId, `Failed to update ${list}: ${error.message}`);
+        }
+    }
+
+    // Empty changes just shows the bounds in effect
+    async handleSetMarketGates(chatId, changes) {
+        this.logInfo('Setting market gates', { chatId, changes });
+        try {
+            const userSettings = Object.keys(changes).length > 0
+                ? await this.dataManager.updateUserMarketGates(chatId, changes)
+                : (await this.dataManager.readJsonFile('settings.json'))?.settings?.[chatId] || {};
+
+            const settings = await this.dataManager.getSettings();
+            const globalTrading = settings?.tradingSettings || {};
+            const labels = {
+                minLiquiditySol: 'Min liquidity (SOL)',
+                maxLiquiditySol: 'Max liquidity (SOL)',
+                minMarketCapSol: 'Min market cap (SOL)',
+                maxMarketCapSol: 'Max market cap (SOL)',
+                maxCurveProgressPercent: 'Max curve progress (%)'
+            };
+            const lines = Object.entries(labels).map(([field, label]) => {
+                const own = userSettings[field] !== undefined && userSettings[field] !== null;
+                const value = own ? userSettings[field] : globalTrading[field] || 0;
+                return `• ${label}: ${value > 0 ? value : 'off'}${own ? '' : ' (default)'}`;
+            });
+            await this.telegramUi.sendOrEditMessage(chatId, `📏 Market gates\n${lines.join('\n')}`, {
+                reply_markup: { inline_keyboard: [[{ text: "🔙 Back to Main Menu", callback_data: "main_menu" }]] }
+            });
+
+            if (Object.keys(changes).length > 0) {
+                this.signalMessage('MARKET_GATES_SET', { chatId, changes });
+            }
+        } catch (error) {
+            this.logError('Failed to set market gates', { chatId, error: error.message });
+            await this.telegramUi.sendErrorMessage(chatId, `Failed to update market gates: ${error.message}`);
+        }
+    }
+
+    // checks is empty to just show the policy; action null resets those checks to the global default
+    async handleSetSafetyPolicy(chatId, checks, action) {
+        this.logInfo('Setting token safety policy', { chatId, checks, action });
+        try {
+            for (const check of checks) {
+                await this.dataManager.updateUserSafetyPolicy(chatId, check, action);
+            }
+
+            const storedSettings = await this.dataManager.readJsonFile('settings.json');
+            const userPolicy = storedSettings?.settings?.[chatId]?.tokenSafety || {};
+            const settings = await this.dataManager.getSettings();
+            const globalPolicy = { ...DEFAULT_SAFETY_POLICY, ...(settings?.tradingSettings?.tokenSafety || {}) };
+            const lines = Object.keys(DEFAULT_SAFETY_POLICY).map(check =>
+                `• ${check}: ${userPolicy[check] || globalPolicy[check]}${userPolicy[check] ? '' : ' (default)'}`);
+            await this.telegramUi.sendOrEditMessage(chatId, `🛡 Token safety policy\n${lines.join('\n')}`, {
+                reply_markup: { inline_keyboard: [[{ text: "🔙 Back to Main Menu", callback_data: "main_menu" }]] }
+            });
+
+            if (checks.length > 0) {
+                this.signalMessage('SAFETY_POLICY_SET', { chatId, checks, action });
+            }
+        } catch (error) {
+            this.logError('Failed to set token safety policy', { chatId, error: error.message });
+            await this.telegramUi.sendErrorMessage(chatId, `Failed to update token safety policy: ${error.message}`);
+        }
+    }
+
+    // strategy undefined just shows the current one; null resets to the global strategy
+    async handleSetWalletStrategy(chatId, strategy, splitWalletCount) {
+        this.logInfo('Setting wallet strategy', { chatId, strategy, splitWalletCount });
+        try {
+            const userSettings = strategy !== undefined
+                ? await this.dataManager.updateUserWalletStrategy(chatId, strategy, strategy === 'split' ? splitWalletCount : null)
+                : (await this.dataManager.readJsonFile('settings.json'))?.settings?.[chatId] || {};
+
+            const settings = await this.dataManager.getSettings();
+            const globalTrading = settings?.tradingSettings || {};
+            const own = Boolean(userSettings.walletStrategy);
+            const mode = userSettings.walletStrategy || globalTrading.walletStrategy || 'primary';
+            const count = userSettings.splitWalletCount ?? globalTrading.splitWalletCount ?? 0;
+            const wallets = await this.walletManager.getTradingKeypairs(chatId);
+
+            const text = `👛 Wallet mode: ${mode}${own ? '' : ' (default)'}` +
+                (mode === 'split' ? `, over ${count > 0 ? Math.min(count, wallets.length) : wallets.length} wallet(s)` : '') +
+                `\nWallets: ${wallets.map(w => w.wallet.label).join(', ') || 'none'}`;
+            await this.telegramUi.sendOrEditMessage(chatId, text, {
+                reply_markup: { inline_keyboard: [[{ text: "🔙 Back to Main Menu", callback_data: "main_menu" }]] }
+            });
+
+            if (strategy !== undefined) {
+                this.signalMessage('WALLET_STRATEGY_SET', { chatId, strategy, splitWalletCount });
+            }
+        } catch (error) {
+            this.logError('Failed to set wallet strategy', { chatId, error: error.message });
+            await this.telegramUi.sendErrorMessage(chatId, `Failed to update wallet mode: ${error.message}`);
+        }
+    }
+
+    // Empty changes just shows the mode and bounds in effect
+    async handleSetSlippageMode(chatId, changes) {
+        this.logInfo('Setting slippage mode', { chatId, changes });
+        try {
+            const userSettings = Object.keys(changes).length > 0
+                ? await this.dataManager.updateUserSlippageMode(chatId, changes)
+                : (await this.dataManager.readJsonFile('settings.json'))?.settings?.[chatId] || {};
+
+            const settings = await this.dataManager.getSettings();
+            const globalTrading = settings?.tradingSettings || {};
+            const resolve = (field, fallback) => {
+                const own = userSettings[field] !== undefined && userSettings[field] !== null;
+                return { value: own ? userSettings[field] : globalTrading[field] ?? fallback, suffix: own ? '' : ' (default)' };
+            };
+            const mode = resolve('slippageMode', 'fixed');
+            const min = resolve('minSlippageBps', 0);
+            const max = resolve('maxSlippageBps', 5000);
+            const fee = resolve('priorityFeeMultiplier', 1);
+
+            const lines = [`• Mode: ${mode.value}${mode.suffix}`];
+            if (mode.value === 'mirror') {
+                lines.push(
+                    `• Min slippage: ${min.value / 100}%${min.suffix}`,
+                    `• Max slippage: ${max.value / 100}%${max.suffix}`,
+                    `• Priority fee: trader's × ${fee.value}${fee.suffix}`
+                );
+            } else {
+                lines.push(`• Slippage: ${Math.round((settings?.botSettings?.maxSlippage ?? 0) * 10000) / 100}% unless a trader sets their own with /tset`);
+            }
+            await this.telegramUi.sendOrEditMessage(chatId, `🪞 Slippage mode\n${lines.join('\n')}`, {
+                reply_markup: { inline_keyboard: [[{ text: "🔙 Back to Main Menu", callback_data: "main_menu" }]] }
+            });
+
+            if (Object.keys(changes).length > 0) {
+                this.signalMessage('SLIPPAGE_MODE_SET', { chatId, changes });
+            }
+        } catch (error) {
+            this.logError('Failed to set slippage mode', { chatId, error: error.message });
+            await this.telegramUi.sendErrorMessage(chatId, `Failed to update slippage mode: ${error.message}`);
+        }
+    }
+
+    // consensus undefined just shows the group; null turns consensus mode off
+    async handleSetConsensus(chatId, consensus) {
+        this.logInfo('Setting consensus group', { chatId, consensus });
+        try {
+            let userSettings;
+            if (consensus === undefined) {
+                userSettings = (await this.dataManager.readJsonFile('settings.json'))?.settings?.[chatId] || {};
+            } else {
+                if (consensus) {
+                    const known = (await this.dataManager.getTraders(chatId)).map(trader => trader.name);
+                    const unknown = consensus.traders.filter(name => !known.includes(name));
+                    if (unknown.length > 0) {
+                        throw new Error(`you have no trader named ${unknown.join(', ')}`);
+                    }
+                }
+                userSettings = await this.dataManager.updateUserConsensus(chatId, consensus);
+            }
+
+            const group = userSettings.consensus;
+            const text = group
+                ? `🤝 Consensus mode: on\n` +
+                    `• Group: ${group.traders.join(', ')}\n` +
+                    `• Buys when ${group.threshold} of ${group.traders.length} bought the same token within ${group.windowSeconds}s\n` +
+                    `• Size: ${group.solPerTrader > 0 ? `${group.solPerTrader} SOL` : 'your normal copy size'} per agreeing trader\n` +
+                    `Traders outside the group are copied as usual. Group traders must be active to be watched.`
+                : `🤝 Consensus mode: off`;
+            await this.telegramUi.sendOrEditMessage(chatId, text, {
+                reply_markup: { inline_keyboard: [[{ text: "🔙 Back to Main Menu", callback_data: "main_menu" }]] }
+            });
+
+            if (consensus !== undefined) {
+                this.signalMessage('CONSENSUS_SET', { chatId, consensus });
+            }
+        } catch (error) {
+            this.logError('Failed to set consensus group', { chatId, error: error.message });
+            await this.telegramUi.sendErrorMessage(chatId, `Failed to update consensus mode: ${error.message}`);
+        }
+    }
+
+    // In-flight copies with a cancel button each (until they are sent), then the latest finished ones
+    async handleListTrades(chatId) {
+        try {
+            const trades = await this.dataManager.getUserTrades(chatId, 20);
+            const inFlight = trades.filter(trade => !TERMINAL_TRADE_STATES.includes(trade.state));
+            const finished = trades.filter(trade => TERMINAL_TRADE_STATES.includes(trade.state)).slice(0, 8);
+            const time = (iso) => iso.slice(11, 19);
+            const describe = (trade) => `${trade.tradeType} ${shortenAddress(trade.tokenMint || '')} from ${trade.traderName} [${trade.id}]`;
+            const note = (trade) => trade.failureReason ? ` (${trade.failureReason})`
+                : trade.skipReason ? ` (${trade.skipReason})`
+                : trade.mergedInto ? ` (into consensus copy ${trade.mergedInto})`
+                : trade.state === 'held' && trade.consensus ? ` (consensus ${trade.consensus})`
+                : '';
+
+            const inFlightLines = inFlight.map(trade =>
+                `• ${describe(trade)}${note(trade)}\n  ${trade.history.map(step => `${step.state} ${time(step.at)}`).join(' → ')}`);
+            const finishedLines = finished.map(trade =>
+                `• ${describe(trade)}: ${trade.state} ${time(trade.updatedAt)}${note(trade)}`);
+            const text = `🧾 Copies in flight (${inFlight.length})\n${inFlightLines.join('\n') || '  none'}\n\n` +
+                `Recent\n${finishedLines.join('\n') || '  none'}`;
+
+            const keyboard = inFlight
+                .filter(trade => trade.state !== 'sent')
+                .map(trade => [{ text: `❌ Cancel ${trade.tradeType} ${shortenAddress(trade.tokenMint || '')}`, callback_data: `canceltrade_${trade.id}` }]);
+            keyboard.push([{ text: "🔄 Refresh", callback_data: "trades_list" }]);
+            keyboard.push([{ text: "🔙 Back to Main Menu", callback_data: "main_menu" }]);
+            await this.telegramUi.sendOrEditMessage(chatId, text, { reply_markup: { inline_keyboard: keyboard } });
+        } catch (error) {
+            this.logError('Failed to list trades', { chatId, error: error.message });
+            await this.telegramUi.sendErrorMessage(chatId, `Failed to load your trades: ${error.message}`);
+        }
+    }
+
+    async handleCancelTrade(chatId, tradeId) {
+        this.logInfo('Cancelling trade', { chatId, tradeId });
+        try {
+            const trade = await this.dataManager.getTradeRecord(tradeId);
+            if (!trade || trade.chatId !== String(chatId)) {
+                throw new Error('trade not found');
+            }
+            if (!await this.dataManager.transitionTrade(tradeId, 'cancelled', { failureReason: 'cancelled by user' })) {
+                throw new Error(`it is already ${trade.state}`);
+            }
+
+            this.signalMessage('TRADE_CANCELLED', { tradeId, chatId: String(chatId) });
+            await this.handleListTrades(chatId);
+        } catch (error) {
+            this.logError('Failed to cancel trade', { chatId, tradeId, error: error.message });
+            await this.telegramUi.sendErrorMessage(chatId, `Could not cancel ${tradeId}: ${error.message}`);
+        }
+    }
+
+    // /buy, /sell and quick-buy buttons: acknowledge, then let the executor route and track it; its notification follows.
+    // The one place manual amounts are checked: buys stay within the user's max SOL per trade, sells within 100%.
+    async handleManualTrade(chatId, tradeType, tokenMint, amount) {
+        this.logInfo('Manual trade requested', { chatId, tradeType, tokenMint, amount });
+        try {
+            if (!Number.isFinite(amount) || amount <= 0 || (tradeType === 'sell' && amount > 100)) {
+                throw new Error(`invalid ${tradeType === 'buy' ? 'SOL amount' : 'percentage'} ${amount}`);
+            }
+            if (tradeType === 'buy') {
+                const settings = await this.dataManager.getSettings();
+                const user = await this.dataManager.getUser(chatId);
+                const storedSettings = (await this.dataManager.readJsonFile('settings.json'))?.settings?.[chatId] || {};
+                const maxSolAmount = storedSettings.maxSolAmount ?? user?.settings?.maxSolAmount ?? settings?.botSettings?.maxSolAmount ?? 0;
+                if (maxSolAmount > 0 && amount > maxSolAmount) {
+                    throw new Error(`${amount} SOL is above your max of ${maxSolAmount} SOL per trade`);
+                }
+            }
+            // Sells name the portfolio they come from so the executor never sells a real position on paper
+            let portfolio;
+            if (tradeType === 'sell') {
+                if (await this.dataManager.getPosition(chatId, tokenMint)) {
+                    portfolio = 'real';
+                } else if (await this.dataManager.getPaperPosition(chatId, tokenMint)) {
+                    portfolio = 'paper';
+                } else {
+                    throw new Error(`you hold no ${shortenAddress(tokenMint)}`);
+                }
+            }
+
+            const text = tradeType === 'buy'
+                ? `⏳ Buying ${amount} SOL of ${tokenMint}...`
+                : `⏳ Selling ${amount}% of your ${tokenMint}...`;
+            await this.telegramUi.sendOrEditMessage(chatId, text, {
+                reply_markup: { inline_keyboard: [[{ text: "🔙 Back to Main Menu", callback_data: "main_menu" }]] }
+            });
+
+            this.signalMessage('EXECUTE_MANUAL_TRADE', {
+                chatId: String(chatId),
+                tokenMint,
+                tradeType,
+                solAmount: tradeType === 'buy' ? amount : null,
+                sellPercent: tradeType === 'sell' ? amount : null,
+                portfolio
+            });
+        } catch (error) {
+            this.logError('Failed to start manual trade', { chatId, tradeType, tokenMint, error: error.message });
+            await this.telegramUi.sendErrorMessage(chatId, `Manual ${tradeType} not sent: ${error.message}`);
+        }
+    }
+
+    async handleViewDeadLetters(chatId) {
+        try {
+            const stats = await this.redisManager.getTradeQueueStats();
+            const jobs = await this.redisManager.getDeadTradeJobs(15);
+
+            const lines = jobs.map(job => {
+                const payload = job.payload || {};
+                const swap = payload.analysisResult?.swapDetails || {};
+                const token = swap.tradeType === 'sell' ? swap.inputMint : swap.outputMint;
+                return `• ${new Date(job.deadAt).toISOString().replace('T', ' ').slice(0, 19)} ${payload.traderName || 'Unknown'} ` +
+                    `${swap.tradeType || '?'} ${token ? shortenAddress(token) : '?'} on ${swap.platform || '?'}\n` +
+                    `  sig ${shortenAddress(job.id)}, ${job.attempts} attempt(s): ${job.reason}`;
+            });
+            const text = `🪦 Trade queue\n• Pending: ${stats.pending}\n• Processing: ${stats.processing}\n• Dead-lettered: ${stats.dead}\n\n` +
+                (lines.length > 0 ? `Latest dead letters:\n${lines.join('\n')}` : 'No dead-lettered jobs.');
+            await this.telegramUi.sendOrEditMessage(chatId, text, {
+                reply_markup: { inline_keyboard: [
+                    [{ text: "🔄 Refresh", callback_data: "admin_dead_letters" }],
+                    [{ text: "🔙 Back to Admin Panel", callback_data: "admin_panel" }]
+                ] }
+            });
+        } catch (error) {
+            this.logError('Failed to load dead-letter jobs', { chatId, error: error.message });
+            await this.telegramUi.sendErrorMessage(chatId, `Failed to load dead-letter jobs: ${error.message}`);
+        }
+    }
+
     async customCleanup() {
         try {
             if (this.telegramUi && this.telegramUi.bot && this.telegramUi.bot.isPolling()) {
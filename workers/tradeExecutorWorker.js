@@ -5,43 +5,40 @@
 // Description: Executes trades in a separate thread
 
 const { workerData, parentPort } = require('worker_threads');
-const { PublicKey, SystemProgram, SYSVAR_RENT_PUBKEY } = require('@solana/web3.js');
+const { PublicKey, SystemProgram, SYSVAR_RENT_PUBKEY, VersionedTransaction } = require('@solana/web3.js');
 const BaseWorker = require('./templates/baseWorker');
-const { DataManager } = require('../dataManager');
+const { DataManager, TERMINAL_TRADE_STATES } = require('../dataManager');
 const { SolanaManager } = require('../solanaManager');
 const { SingaporeSenderManager } = require('../singaporeSenderManager');
 const WalletManager = require('../walletManager');
 const { ApiManager } = require('../apiManager');
 const TradeNotificationManager = require('../tradeNotifications');
+const { TokenSafetyChecker } = require('../tokenSafetyChecker');
 const config = require('../config');
-const { shortenAddress } = require('../utils');
+const { shortenAddress, sleep } = require('../utils');
 const performanceMonitor = require('../performanceMonitor.js');
 
 // Direct transaction building imports
 const { 
     getAssociatedTokenAddressSync, 
     createAssociatedTokenAccountInstruction,
-    TOKEN_PROGRAM_ID 
+    createCloseAccountInstruction,
+    createSyncNativeInstruction,
+    TOKEN_PROGRAM_ID,
+    TOKEN_2022_PROGRAM_ID
 } = require('@solana/spl-token');
 
 // Borsh serialization for instruction data
 const borsh = require('borsh');
 const BN = require('bn.js');
 const { createHash } = require('crypto');
+const fs = require('fs');
+const path = require('path');
 
 // ======================================================================
 // ======================== ALL DEX SCHEMAS ============================
 // ======================================================================
 
-// Raydium Swap Instruction Payload Class
-class RaydiumSwapPayload {
-    constructor(properties) {
-        this.discriminator = 9; // Raydium swap discriminator
-        this.amountIn = properties.amountIn;
-        this.minimumAmountOut = properties.minimumAmountOut;
-    }
-}
-
 // PumpFun Buy Instruction Payload Class
 class PumpFunBuyPayload {
     constructor(properties) {
@@ -50,59 +47,87 @@ class PumpFunBuyPayload {
     }
 }
 
-// Meteora Swap Instruction Payload Class
-class MeteoraSwapPayload {
-    constructor(properties) {
-        this.discriminator = 0; // Meteora swap discriminator
-        this.amountIn = properties.amountIn;
-        this.minimumAmountOut = properties.minimumAmountOut;
+// Raydium AMM v4 swap_base_in: a one-byte instruction tag (9), then amount in and minimum amount out
+const RAYDIUM_V4_SWAP_BASE_IN = 9;
+const RAYDIUM_SWAP_SCHEMA = { struct: { discriminator: 'u8', amountIn: 'u64', minimumAmountOut: 'u64' } };
+
+// Raydium AMM v4 trade fee (25 / 10000)
+const RAYDIUM_V4_FEE_BPS = 25n;
+
+// PUMPFUN SCHEMA REMOVED - Using in-line schema to prevent worker corruption
+
+// Consensus votes for one user and mint are counted one at a time; a vote waits this long for the one before it
+const CONSENSUS_LOCK_TTL_SECONDS = 10;
+const CONSENSUS_LOCK_WAIT_MS = 5000;
+
+// Positions opened by /buy or the quick-buy card are tracked under this trader name
+const MANUAL_TRADER_NAME = 'Manual';
+
+// Orca Whirlpool swap_v2 (Anchor): works for both SPL Token and Token-2022 mints
+const WHIRLPOOL_SWAP_V2_DISCRIMINATOR = Buffer.from([43, 4, 237, 11, 26, 201, 30, 98]);
+const WHIRLPOOL_SWAP_V2_SCHEMA = {
+    struct: {
+        amount: 'u64',
+        otherAmountThreshold: 'u64',
+        sqrtPriceLimit: 'u128',
+        amountSpecifiedIsInput: 'bool',
+        aToB: 'bool',
+        remainingAccountsInfo: { option: 'u8' } // always None, we pass no transfer-hook accounts
     }
-}
+};
+const WHIRLPOOL_TICK_ARRAY_SIZE = 88;
+const WHIRLPOOL_MIN_SQRT_PRICE = '4295048016';
+const WHIRLPOOL_MAX_SQRT_PRICE = '79226673515401279992447579055';
 
-// Orca Swap Instruction Payload Class
-class OrcaSwapPayload {
-    constructor(properties) {
-        this.discriminator = 0; // Orca swap discriminator
-        this.amountIn = properties.amountIn;
-        this.minimumAmountOut = properties.minimumAmountOut;
+// Raydium CLMM swap_v2 (Anchor). There is no CLMM IDL in idls/, so the args are laid out by hand.
+const RAYDIUM_CLMM_SWAP_V2_DISCRIMINATOR = Buffer.from([43, 4, 237, 11, 26, 201, 30, 98]);
+const RAYDIUM_CLMM_SWAP_V2_SCHEMA = {
+    struct: {
+        amount: 'u64',
+        otherAmountThreshold: 'u64',
+        sqrtPriceLimitX64: 'u128', // 0 = no limit
+        isBaseInput: 'bool'
     }
-}
+};
+const RAYDIUM_CLMM_TICK_ARRAY_LEN = 10240; // TickArrayState account size, used to tell tick arrays from the bitmap extension
+const RAYDIUM_CLMM_TICK_ARRAY_SIZE = 60; // ticks per array
+const RAYDIUM_CLMM_TICK_ARRAY_SEARCH = 10; // arrays probed in the swap direction for the first three initialized ones
+
+// Meteora DAMM v2 (cp-amm) and DLMM have no IDL in idls/ either; DBC is encoded from its IDL
+const METEORA_SWAP_DISCRIMINATOR = Buffer.from([248, 198, 158, 145, 225, 117, 135, 200]);
+const METEORA_SWAP2_DISCRIMINATOR = Buffer.from([65, 75, 63, 76, 235, 91, 91, 136]);
+const METEORA_DAMM_SWAP_SCHEMA = {
+    struct: {
+        amountIn: 'u64',
+        minimumAmountOut: 'u64'
+    }
+};
+const METEORA_DLMM_SWAP2_SCHEMA = {
+    struct: {
+        amountIn: 'u64',
+        minAmountOut: 'u64',
+        remainingAccountsInfo: { struct: { slices: { array: { type: { struct: { accountsType: 'u8', length: 'u8' } } } } } }
+    }
+};
 
-// Define the Borsh schema maps for all DEXes
-const RAYDIUM_SWAP_SCHEMA = new Map([
-    [RaydiumSwapPayload, { 
-        kind: 'struct', 
-        fields: [
-            ['discriminator', 'u8'],
-            ['amountIn', 'u64'],
-            ['minimumAmountOut', 'u64']
-        ] 
-    }]
-]);
+// Parsed IDLs from idls/, loaded on first use
+const IDL_CACHE = new Map();
 
-// PUMPFUN SCHEMA REMOVED - Using in-line schema to prevent worker corruption
+// Durable-nonce exits stay valid until the nonce advances, so keep them as long as the position itself
+const PRESIGNED_EXIT_TTL_SECONDS = 24 * 60 * 60;
+// These fire after the price fell, below what the stored exit's minimum output was quoted at, so they always build fresh
+const PRESIGNED_EXIT_SKIP_REASONS = new Set(['stop_loss', 'trailing_stop']);
 
-const METEORA_SWAP_SCHEMA = new Map([
-    [MeteoraSwapPayload, { 
-        kind: 'struct', 
-        fields: [
-            ['discriminator', 'u8'],
-            ['amountIn', 'u64'],
-            ['minimumAmountOut', 'u64']
-        ] 
-    }]
-]);
-
-const ORCA_SWAP_SCHEMA = new Map([
-    [OrcaSwapPayload, { 
-        kind: 'struct', 
-        fields: [
-            ['discriminator', 'u8'],
-            ['amountIn', 'u64'],
-            ['minimumAmountOut', 'u64']
-        ] 
-    }]
-]);
+// Every platform string _routeSwap accepts, grouped under the names botSettings.supportedPlatforms uses
+const PLATFORM_FAMILIES = {
+    jupiter: 'jupiter', 'router:jupiter': 'jupiter', 'router:jupiter_v4': 'jupiter', 'router:jupiter_v6': 'jupiter',
+    photon: 'jupiter', 'router:photon': 'jupiter', 'router:axiom': 'jupiter',
+    pumpfun: 'pumpfun', pump_fun: 'pumpfun', pumpfunamm: 'pumpfun', pump_fun_amm: 'pumpfun', pumpswap: 'pumpfun',
+    raydium: 'raydium', raydiumv4: 'raydium', raydium_v4: 'raydium', raydiumcpmm: 'raydium', raydium_cpmm: 'raydium', raydiumclmm: 'raydium', raydium_clmm: 'raydium',
+    raydiumlaunchpad: 'raydium', raydium_launchpad: 'raydium',
+    meteora: 'meteora', meteoradlmm: 'meteora', meteoradbc: 'meteora', meteoracpamm: 'meteora',
+    orca: 'orca', whirlpool: 'orca'
+};
 
 // Worker Manager Interface for communicating with main thread
 class WorkerManagerInterface {
@@ -133,10 +158,10 @@ class TradeExecutorWorker extends BaseWorker {
         this.redisManager = null;
         this.notificationManager = null;
         this.tradingEngine = null;
-        this.pendingTrades = new Map();
-        this.completedTrades = new Map();
-        this.failedTrades = new Map();
         this.workerManager = new WorkerManagerInterface();
+        this.preSignRefreshes = new Map(); // chatId -> in-flight pre-signed exit refresh
+        this.queuePollTimer = null;
+        this.queuePolling = false;
         
         // Redis-based locking for idempotent execution (replaces signature-based deduplication)
     }
@@ -147,7 +172,9 @@ class TradeExecutorWorker extends BaseWorker {
         
         // Register executor-specific handlers
         this.registerHandler('HANDLE_SMART_COPY', this.executeCopyTrade.bind(this));
-        this.registerHandler('EXECUTE_COPY_TRADE', this.executeCopyTrade.bind(this));
+        this.registerHandler('EXECUTE_COPY_TRADE', this.handleCopyTradeSignal.bind(this));
+        this.registerHandler('EXECUTE_EXIT_TRADE', this.executeExitTrade.bind(this));
+        this.registerHandler('EXECUTE_MANUAL_TRADE', this.executeManualTrade.bind(this));
         this.registerHandler('CANCEL_TRADE', this.cancelTrade.bind(this));
         this.registerHandler('GET_TRADE_STATUS', this.getTradeStatus.bind(this));
         this.registerHandler('GET_PENDING_TRADES', this.getPendingTrades.bind(this));
@@ -186,9 +213,13 @@ class TradeExecutorWorker extends BaseWorker {
             this.notificationManager = new TradeNotificationManager(null, this.apiManager, this.workerManager);
             this.notificationManager.setConnection(this.solanaManager.connection);
 
+            this.tokenSafetyChecker = new TokenSafetyChecker(this.solanaManager, this.redisManager);
+
             // SIMPLE COPY BOT - No trading engine needed
             this.logInfo('✅ Simple Copy Bot - No trading engine required');
 
+            this._startTradeQueuePolling();
+
             this.logInfo('Trade executor worker initialized successfully');
         } catch (error) {
             this.logError('Failed to initialize trade executor worker', { error: error.message });
@@ -298,9 +329,9 @@ class TradeExecutorWorker extends BaseWorker {
     }
 
     // ===== ATOMIC ATA CHECK FUNCTION =====
-    async _checkAndCreateATAInstruction(mintPubkey, userWallet, instructions) {
+    async _checkAndCreateATAInstruction(mintPubkey, userWallet, instructions, tokenProgramId = TOKEN_PROGRAM_ID) {
         try {
-            const ata = getAssociatedTokenAddressSync(mintPubkey, userWallet.publicKey);
+            const ata = getAssociatedTokenAddressSync(mintPubkey, userWallet.publicKey, false, tokenProgramId);
             
             // Check if ATA exists using RPC call
             const ataInfo = await this.solanaManager.connection.getAccountInfo(ata, 'processed');
@@ -311,7 +342,8 @@ class TradeExecutorWorker extends BaseWorker {
                     userWallet.publicKey, // payer
                     ata,                  // associated token account
                     userWallet.publicKey, // owner
-                    mintPubkey            // mint
+                    mintPubkey,           // mint
+                    tokenProgramId
                 );
                 instructions.push(createAtaInstruction);
                 this.logInfo(`[ATA-CHECK] ✅ ATA instruction added for mint: ${shortenAddress(mintPubkey.toString())}`);
@@ -323,12 +355,13 @@ class TradeExecutorWorker extends BaseWorker {
         } catch (error) {
             this.logError(`[ATA-CHECK] ❌ Error checking ATA: ${error.message}`);
             // Fallback: create ATA instruction anyway
-            const ata = getAssociatedTokenAddressSync(mintPubkey, userWallet.publicKey);
+            const ata = getAssociatedTokenAddressSync(mintPubkey, userWallet.publicKey, false, tokenProgramId);
             const createAtaInstruction = createAssociatedTokenAccountInstruction(
                 userWallet.publicKey, // payer
                 ata,                  // associated token account
                 userWallet.publicKey, // owner
-                mintPubkey            // mint
+                mintPubkey,           // mint
+                tokenProgramId
             );
             instructions.push(createAtaInstruction);
             this.logInfo(`[ATA-CHECK] ⚠️ Fallback: ATA instruction added due to error`);
@@ -342,7 +375,7 @@ class TradeExecutorWorker extends BaseWorker {
         this.logInfo(`[PUMPFUN-AMM-BUY] 🚀 Initiating AMM Buy for: ${shortenAddress(outputMint)}`);
 
         try {
-            const userWallet = await this._getUserWallet();
+            const userWallet = await this._getUserWallet(userConfig);
             if (!userWallet) throw new Error("User wallet not found");
 
             const ammProgramId = config.DEX_PROGRAM_IDS.PUMP_FUN_AMM;
@@ -354,9 +387,13 @@ class TradeExecutorWorker extends BaseWorker {
             const feeProgram = config.PUMP_FUN_AMM_CONSTANTS.FEE_PROGRAM;
             
             // --- Fetch necessary on-chain data ---
-            const poolState = await this.solanaManager.getDecodedAccount(poolAccount, 'pool');
+            const poolState = await this.solanaManager.getDecodedAmmPool(poolAccount);
             if (!poolState) throw new Error(`Could not fetch or decode AMM pool state for ${poolAccount.toBase58()}`);
-            const coinCreator = poolState.coinCreator;
+            const coinCreator = poolState.coin_creator;
+
+            // PumpSwap buys are exact-out, so size base_amount_out from live reserves and the user's slippage
+            const baseAmountOut = await this._quotePumpSwapBuy(poolState, BigInt(inputAmount), userConfig.slippage);
+            this.logInfo(`[PUMPFUN-AMM-BUY] 🔍 Quote: ${inputAmount} lamports → min ${baseAmountOut} base tokens`);
 
             // --- ATOMIC ATA CREATION WITH EXISTENCE CHECK ---
             const instructions = [];
@@ -386,7 +423,7 @@ class TradeExecutorWorker extends BaseWorker {
             const argsBuffer = borsh.serialize(
                 { struct: { baseAmountOut: 'u64', maxQuoteAmountIn: 'u64', trackVolume: 'u8' } },
                 { 
-                    baseAmountOut: new BN(0),
+                    baseAmountOut: new BN(baseAmountOut.toString()),
                     maxQuoteAmountIn: new BN(inputAmount),
                     trackVolume: 1,
                 }
@@ -405,8 +442,8 @@ class TradeExecutorWorker extends BaseWorker {
                     { pubkey: quoteMint, isSigner: false, isWritable: true },
                     { pubkey: userBaseTokenAccount, isSigner: false, isWritable: true },
                     { pubkey: userQuoteTokenAccount, isSigner: false, isWritable: true },
-                    { pubkey: poolState.poolBaseTokenAccount, isSigner: false, isWritable: true },
-                    { pubkey: poolState.poolQuoteTokenAccount, isSigner: false, isWritable: true },
+                    { pubkey: poolState.pool_base_token_account, isSigner: false, isWritable: true },
+                    { pubkey: poolState.pool_quote_token_account, isSigner: false, isWritable: true },
                     { pubkey: protocolFeeRecipient, isSigner: false, isWritable: false },
                     { pubkey: protocolFeeRecipientTokenAccount, isSigner: false, isWritable: true },
                     { pubkey: TOKEN_PROGRAM_ID, isSigner: false, isWritable: false },
@@ -425,7 +462,7 @@ class TradeExecutorWorker extends BaseWorker {
                 data: instructionData,
             });
 
-            const result = await this.singaporeSender.executeCopyTrade(instructions, userWallet, { platform: 'PumpFunAMM', inputAmount, useSmartTransactions: false });
+            const result = await this.singaporeSender.executeCopyTrade(instructions, userWallet, { platform: 'PumpFunAMM', inputMint: config.NATIVE_SOL_MINT, outputMint, inputAmount, useSmartTransactions: false, ...this._senderOptions(userConfig) });
             if (!result || !result.success) throw new Error(result.error || 'The AMM buy transaction failed.');
             this.logInfo(`[PUMPFUN-AMM-BUY] ✅ SUCCESS! Signature: ${result.signature}`);
             return { ...result, amountSpentInLamports: inputAmount };
@@ -441,7 +478,7 @@ class TradeExecutorWorker extends BaseWorker {
         this.logInfo(`[PUMPFUN-AMM-SELL-V2] 🚀 Initiating IDL-PERFECT AMM Sell for ${shortenAddress(baseMintAddress)}`);
 
         try {
-            const userWallet = await this._getUserWallet();
+            const userWallet = await this._getUserWallet(userConfig);
             if (!userWallet) throw new Error("User wallet not found");
 
             // --- Define Constants, Mints, and Program IDs ---
@@ -479,7 +516,9 @@ class TradeExecutorWorker extends BaseWorker {
             const [feeConfig] = PublicKey.findProgramAddressSync([Buffer.from("fee_config"), ammProgramId.toBuffer()], feeProgram);
 
             // --- Prepare Borsh data for the sell instruction ---
-            const minSolOutput = new BN(0);
+            const minQuoteAmountOut = await this._quotePumpSwapSell(poolState, BigInt(tokenAmountToSell), userConfig.slippage);
+            this.logInfo(`[PUMPFUN-AMM-SELL-V2] 🔍 Quote: ${tokenAmountToSell} base tokens → min ${minQuoteAmountOut} lamports`);
+            const minSolOutput = new BN(minQuoteAmountOut.toString());
 
             const argsBuffer = borsh.serialize(
                 { struct: { baseAmountIn: 'u64', minQuoteAmountOut: 'u64' } },
@@ -520,7 +559,10 @@ class TradeExecutorWorker extends BaseWorker {
                 data: instructionData,
             });
 
-            const result = await this.singaporeSender.executeCopyTrade(instructions, userWallet, { platform: 'PumpFunAMMSell', inputAmount: tokenAmountToSell, useSmartTransactions: false });
+            // Proceeds land as wSOL; unwrap them so the sale shows up in the wallet's SOL balance like every other sell
+            instructions.push(createCloseAccountInstruction(userQuoteTokenAccount, userWallet.publicKey, userWallet.publicKey));
+
+            const result = await this.singaporeSender.executeCopyTrade(instructions, userWallet, { platform: 'PumpFunAMMSell', inputMint: baseMintAddress, outputMint: config.NATIVE_SOL_MINT, inputAmount: tokenAmountToSell, useSmartTransactions: false, ...this._senderOptions(userConfig) });
             if (!result || !result.success) throw new Error(result.error || 'The AMM sell transaction failed.');
 
             this.logInfo(`[PUMPFUN-AMM-SELL-V2] ✅ SUCCESS! Signature: ${result.signature}`);
@@ -532,12 +574,112 @@ class TradeExecutorWorker extends BaseWorker {
         }
     }
 
+    // Slippage is a fraction (0.15 = 15%); in basis points it is clamped to 0..100%
+    _slippageBps(slippage) {
+        return Math.max(0, Math.min(10000, Math.round((slippage || 0) * 10000)));
+    }
+
+    // Lowest acceptable output for a quoted amount
+    _applySlippage(expectedOut, slippage) {
+        const slippageBps = BigInt(this._slippageBps(slippage));
+        return (expectedOut * (10000n - slippageBps)) / 10000n;
+    }
+
+    // Constant-product quote against the pool's token vaults, net of PumpSwap fees and slippage
+    async _quotePumpSwapBuy(poolState, quoteAmountIn, slippage = 0.15) {
+        const { baseReserve, quoteReserve } = await this._getPumpSwapReserves(poolState);
+
+        const feeBps = BigInt(config.PUMP_FUN_AMM_CONSTANTS.TOTAL_FEE_BPS);
+        const quoteAfterFees = (quoteAmountIn * 10000n) / (10000n + feeBps);
+        const expectedBaseOut = (baseReserve * quoteAfterFees) / (quoteReserve + quoteAfterFees);
+
+        return this._applySlippage(expectedBaseOut, slippage);
+    }
+
+    // Lamports a sell of baseAmountIn should return at least: constant-product output, less PumpSwap fees and slippage
+    async _quotePumpSwapSell(poolState, baseAmountIn, slippage = 0.15) {
+        const { baseReserve, quoteReserve } = await this._getPumpSwapReserves(poolState);
+
+        const feeBps = BigInt(config.PUMP_FUN_AMM_CONSTANTS.TOTAL_FEE_BPS);
+        const grossQuoteOut = (quoteReserve * baseAmountIn) / (baseReserve + baseAmountIn);
+        const expectedQuoteOut = (grossQuoteOut * (10000n - feeBps)) / 10000n;
+
+        return this._applySlippage(expectedQuoteOut, slippage);
+    }
+
+    async _getPumpSwapReserves(poolState) {
+        const [baseBalance, quoteBalance] = await Promise.all([
+            this.solanaManager.connection.getTokenAccountBalance(poolState.pool_base_token_account, 'processed'),
+            this.solanaManager.connection.getTokenAccountBalance(poolState.pool_quote_token_account, 'processed')
+        ]);
+        const baseReserve = BigInt(baseBalance.value.amount);
+        const quoteReserve = BigInt(quoteBalance.value.amount);
+        if (baseReserve === 0n || quoteReserve === 0n) {
+            throw new Error('PumpSwap pool has no liquidity');
+        }
+        return { baseReserve, quoteReserve };
+    }
+
+    // Returns the PumpSwap pool for a token whose bonding curve has completed, or null while it is still on the curve
+    async _resolvePumpSwapPoolIfMigrated(tokenMint) {
+        const mintPubkey = new PublicKey(tokenMint);
+        const pumpFunProgramId = config.PLATFORM_IDS.PUMP_FUN;
+        const ammProgramId = config.DEX_PROGRAM_IDS.PUMP_FUN_AMM;
+
+        const [bondingCurvePDA] = PublicKey.findProgramAddressSync(
+            [Buffer.from('bonding-curve'), mintPubkey.toBuffer()],
+            pumpFunProgramId
+        );
+        const bondingCurveAccount = await this.solanaManager.connection.getAccountInfo(bondingCurvePDA, 'processed');
+
+        // Layout: 8-byte discriminator, five u64 reserves/supply fields, then the `complete` flag
+        const curveOwnedByPump = bondingCurveAccount && bondingCurveAccount.owner.equals(pumpFunProgramId);
+        const curveComplete = curveOwnedByPump && bondingCurveAccount.data.length > 48 && bondingCurveAccount.data[48] === 1;
+        if (curveOwnedByPump && !curveComplete) {
+            return null;
+        }
+
+        this.logInfo(`[PUMPFUN-ROUTER] 🎓 Bonding curve for ${shortenAddress(tokenMint)} is ${bondingCurveAccount ? 'complete' : 'closed'} - locating PumpSwap pool`);
+
+        const cacheKey = `pumpswap_pool:${tokenMint}`;
+        const cached = await this.redisManager.getObject(cacheKey);
+        if (cached && cached.poolId) {
+            return new PublicKey(cached.poolId);
+        }
+
+        const candidates = [];
+        const apiPool = await this.apiManager.findAmmPoolForToken(tokenMint);
+        if (apiPool && apiPool.poolId) {
+            candidates.push(apiPool.poolId);
+        }
+
+        // Canonical pool created by the migration: seeds ["pool", index 0, pool-authority(mint), mint, wSOL]
+        const [poolAuthority] = PublicKey.findProgramAddressSync([Buffer.from('pool-authority'), mintPubkey.toBuffer()], pumpFunProgramId);
+        const indexBuffer = Buffer.alloc(2);
+        indexBuffer.writeUInt16LE(0);
+        const [canonicalPool] = PublicKey.findProgramAddressSync(
+            [Buffer.from('pool'), indexBuffer, poolAuthority.toBuffer(), mintPubkey.toBuffer(), new PublicKey(config.NATIVE_SOL_MINT).toBuffer()],
+            ammProgramId
+        );
+        candidates.push(canonicalPool.toBase58());
+
+        for (const candidate of candidates) {
+            const poolInfo = await this.solanaManager.connection.getAccountInfo(new PublicKey(candidate), 'processed');
+            if (poolInfo && poolInfo.owner.equals(ammProgramId)) {
+                await this.redisManager.setObject(cacheKey, { poolId: candidate, resolvedAt: Date.now() }, 86400);
+                this.logInfo(`[PUMPFUN-ROUTER] ✅ PumpSwap pool found: ${shortenAddress(candidate)}`);
+                return new PublicKey(candidate);
+            }
+        }
+
+        throw new Error(`Token ${shortenAddress(tokenMint)} left the Pump.fun bonding curve but no PumpSwap pool was found${apiPool ? ` (last seen on ${apiPool.market})` : ''}`);
+    }
+
     // ====================================================================
-    // ====== MASTER EXECUTION FUNCTION (v3 - Final Version) ==============
+    // ====== MASTER EXECUTION FUNCTION (v4 - Per-User Fan-Out) ===========
     // ====================================================================
     async executeCopyTrade(message) {
         const signature = message.signature || 'unknown_signature';
-        const executionStartTime = Date.now();
 
         const analysisResult = message.analysisResult;
         if (!analysisResult || !analysisResult.isCopyable || !analysisResult.swapDetails) {
@@ -551,21 +693,7 @@ class TradeExecutorWorker extends BaseWorker {
              return;
         }
 
-        const lockKey = `lock:buy:${swapDetails.outputMint}`;
-        let lockAcquired = false;
-
         try {
-            // ========================= ACQUIRE THE LOCK ========================
-            lockAcquired = await this.redisManager.set(lockKey, 'true', { EX: 20, NX: true });
-            if (!lockAcquired) {
-                this.logInfo(`[EXEC-MAIN] ⏭️ Job SKIPPED: Another process is already buying ${shortenAddress(swapDetails.outputMint)}. Ignoring duplicate.`, { signature });
-                return;
-            }
-
-            this.logInfo(`[EXEC-MAIN] 🚀 Processing job for sig: ${shortenAddress(signature)}`);
-            const platform = swapDetails.platform;
-            const tradeType = swapDetails.tradeType;
-            
             // ========================= REDIS-ONLY CONFIG LOADING ========================
             let settings = await this.dataManager.getSettings();
             if (!settings) {
@@ -577,1176 +705,3527 @@ class TradeExecutorWorker extends BaseWorker {
                 }
             }
 
-            const userConfig = {
-                scaleFactor: settings.botSettings.scaleFactor,
-                slippage: settings.botSettings.maxSlippage,
-                platformPreferences: settings.botSettings.supportedPlatforms
-            };
-            
-            this.logInfo(`[EXEC-MAIN] 📋 Redis config loaded: Scale Factor: ${userConfig.scaleFactor} (${userConfig.scaleFactor * 100}%)`);
+            // ========================= RESOLVE EVERY COPYING USER ========================
+            const copiers = await this.dataManager.getUsersCopyingTrader(message.traderWallet);
+            if (copiers.length === 0) {
+                this.logInfo(`[EXEC-MAIN] ⏭️ Job SKIPPED: No user has trader ${message.traderName || shortenAddress(message.traderWallet || '')} active.`, { signature });
+                return [];
+            }
 
-            this.logInfo(`[EXEC-MAIN] 📋 Trusting Monitor's Report:`, {
-                platform: platform,
-                tradeType: tradeType,
-                outputMint: shortenAddress(swapDetails.outputMint),
-                signature
+            this.logInfo(`[EXEC-MAIN] 👥 Fanning out sig ${shortenAddress(signature)} to ${copiers.length} user(s)`, {
+                users: copiers.map(c => c.chatId)
             });
 
-            // --- 2. HANDLE SELLS (Redis Portfolio Check) ---
-            if (tradeType === 'sell') {
-                const tokenMintToSell = swapDetails.inputMint;
-                
-                const userWallet = await this._getUserWallet();
-                if (!userWallet) throw new Error("Could not load primary trading wallet.");
-                
-                const users = await this.dataManager.loadUsers();
-                const chatId = Object.keys(users)[0];
-                
-                const hasPosition = await this.dataManager.hasPosition(chatId, tokenMintToSell);
-                
-                if (!hasPosition) {
-                    this.logInfo(`[EXEC-MAIN] ⏭️ SELL detected, but user ${chatId} has NO position in Redis for ${shortenAddress(tokenMintToSell)}. Skipping.`, { signature });
-                    return;
+            // A redelivered job only runs the users whose copy never finished the first time
+            const pending = [];
+            for (const copier of copiers) {
+                if (await this.redisManager.isTransactionProcessed(`${signature}:${copier.chatId}`)) {
+                    this.logInfo(`[EXEC-MAIN] ⏭️ User ${copier.chatId} already handled sig ${shortenAddress(signature)}. Skipping.`);
                 } else {
-                    const position = await this.dataManager.getPosition(chatId, tokenMintToSell);
-                    this.logInfo(`[EXEC-MAIN] 🎯 SELL detected and position CONFIRMED in Redis for user ${chatId}: ${position.tokenAmount} tokens of ${shortenAddress(tokenMintToSell)}. Proceeding with sell logic.`);
+                    pending.push(copier);
                 }
-            } else if (tradeType !== 'buy') {
-                this.logWarn(`[EXEC-MAIN] ⚠️ Unsupported trade type "${tradeType}". Ignoring.`, { signature });
-                return;
             }
 
-            // --- 3. EXECUTE THE TRADE (Routing) ---
-            let result;
-            let amountSpentInLamports = 0;
+            const results = await Promise.all(pending.map(async copier => {
+                const result = await this._runTrackedCopy(message, copier, settings);
+                await this.redisManager.setTransactionCache(`${signature}:${copier.chatId}`, { success: Boolean(result && result.success) });
+                return result;
+            }));
 
-            const userWallet = await this._getUserWallet();
-            if (!userWallet) throw new Error("Could not load primary user wallet.");
-            
-            amountSpentInLamports = Math.floor(swapDetails.inputAmount * userConfig.scaleFactor);
-            swapDetails.inputAmount = amountSpentInLamports;
-            this.logInfo(`[EXEC-MAIN] 🔧 Applied scale factor: ${swapDetails.inputAmount / userConfig.scaleFactor} → ${amountSpentInLamports} (${userConfig.scaleFactor * 100}%)`);
-            
-            switch (platform.toLowerCase()) {
-                case 'jupiter':
-                    if (tradeType === 'buy') {
-                        result = await this.executeJupiterBuy(swapDetails, userConfig);
-                    } else {
-                        throw new Error("Sell logic for Jupiter is not yet implemented.");
-                    }
-                    break;
+            const succeeded = results.filter(r => r && r.success).length;
+            this.logInfo(`[EXEC-MAIN] 🏁 Fan-out complete: ${succeeded}/${pending.length} copies succeeded.`, { signature });
 
-                case 'pumpfun':
-                    result = await this.executePumpFunTrade(swapDetails, userConfig, tradeType);
-                    break;
+            return results;
 
-                case 'raydium':
-                     if (tradeType === 'buy') {
-                        result = await this.executeRaydiumBuy(swapDetails, userConfig);
-                    } else {
-                        throw new Error('Raydium sell not implemented - use buy only');
-                    }
-                    break;
+        } catch (error) {
+            this.logError(`[EXEC-MAIN] ❌ FATAL ERROR before fan-out`, {
+                signature,
+                error: error.message,
+                stack: error.stack
+            });
+            throw error;
+        }
+    }
 
-                case 'meteora':
-                    if (tradeType === 'buy') {
-                        result = await this.executeMeteoraBuy(swapDetails, userConfig);
-                    } else {
-                        throw new Error('Meteora sell not implemented - use buy only');
-                    }
-                    break;
+    // ===== TRADE JOB QUEUE =====
 
-                case 'photon':
-                case 'router:photon':
-                    this.logInfo(`[EXEC-MAIN] 🔄 Photon router detected - routing to underlying DEX`);
-                    if (tradeType === 'buy') {
-                        result = await this.executeJupiterBuy(swapDetails, userConfig);
-                    } else {
-                        throw new Error("Sell logic for Photon router is not yet implemented.");
-                    }
-                    break;
-
-                case 'router:jupiter':
-                case 'router:jupiter_v4':
-                case 'router:jupiter_v6':
-                    this.logInfo(`[EXEC-MAIN] 🔄 Jupiter router detected - using Jupiter execution`);
-                    if (tradeType === 'buy') {
-                        result = await this.executeJupiterBuy(swapDetails, userConfig);
-                    } else {
-                        throw new Error("Sell logic for Jupiter router is not yet implemented.");
-                    }
-                    break;
+    // The monitor queues the job in Redis before signalling; the signal only saves waiting for the next poll.
+    // Signals without a jobId (Redis was down at queue time) run directly.
+    async handleCopyTradeSignal(message) {
+        if (!message.jobId) {
+            return this.executeCopyTrade(message);
+        }
 
-                case 'router:axiom':
-                    this.logInfo(`[EXEC-MAIN] 🔄 Axiom router detected - routing to underlying DEX`);
-                    if (tradeType === 'buy') {
-                        result = await this.executeJupiterBuy(swapDetails, userConfig);
-                    } else {
-                        throw new Error("Sell logic for Axiom router is not yet implemented.");
-                    }
-                    break;
+        const job = await this.redisManager.claimTradeJob(message.jobId);
+        if (!job) {
+            this.logInfo(`[TRADE-QUEUE] ⏭️ Job ${shortenAddress(message.jobId)} already claimed or finished.`);
+            return;
+        }
+        return this._processTradeJob(job);
+    }
 
-                default:
-                    this.logError(`[EXEC-MAIN] ❌ CRITICAL: Unsupported platform "${platform}" received from monitor.`, { signature });
-                    throw new Error(`Unsupported platform: ${platform}`);
-            }
+    _startTradeQueuePolling() {
+        this.queuePollTimer = setInterval(() => this._pollTradeQueue(), config.TRADE_QUEUE.POLL_INTERVAL_MS);
+        this.logInfo(`[TRADE-QUEUE] 📬 Polling the trade queue every ${config.TRADE_QUEUE.POLL_INTERVAL_MS}ms`);
+    }
 
-            if (!result || !result.success || !result.signature) {
-                 this.logError(`[EXEC-MAIN] ❌ Trade execution failed or returned no signature.`, { platform });
-                 return;
+    // Picks up jobs whose signal never arrived (executor down or restarting) and redelivers expired claims
+    async _pollTradeQueue() {
+        if (this.queuePolling || this.isShuttingDown) {
+            return;
+        }
+        this.queuePolling = true;
+
+        try {
+            await this._expireStaleTrades();
+
+            const requeued = await this.redisManager.reclaimExpiredTradeJobs();
+            if (requeued > 0) {
+                this.logWarn(`[TRADE-QUEUE] 🔁 ${requeued} job(s) back on the queue after their claim expired`);
             }
 
-            // --- 4. POST-TRADE VERIFICATION & NOTIFICATION ---
-            this.logInfo(`[EXEC-MAIN] ✅ Trade sent successfully! Verifying results for signature: ${shortenAddress(result.signature)}`);
-            
-            const verification = await this._fetchTradeResults(result.signature, swapDetails.outputMint, userWallet.publicKey);
-            
-            // --- 5. PORTFOLIO TRACKING: Store position in Redis ---
-            if (verification && verification.amountBoughtRaw > 0) {
-                const users = await this.dataManager.loadUsers();
-                const chatId = Object.keys(users)[0];
-                
-                const positionData = {
-                    tokenMint: swapDetails.outputMint,
-                    tokenAmount: verification.amountBoughtRaw,
-                    decimals: verification.decimals,
-                    solSpent: amountSpentInLamports,
-                    platform: platform,
-                    traderName: message.traderName,
-                    buySignature: result.signature,
-                    buyTime: new Date().toISOString(),
-                    lastUpdated: new Date().toISOString()
-                };
-                
-                await this.dataManager.addPosition(chatId, swapDetails.outputMint, positionData);
-                this.logInfo(`[PORTFOLIO] 📊 Position stored for user ${chatId}: ${verification.amountBoughtRaw} tokens of ${shortenAddress(swapDetails.outputMint)}`);
+            let job;
+            while ((job = await this.redisManager.getNextTrade())) {
+                // Not awaited: queued copies run side by side, like signalled ones
+                this._processTradeJob(job).catch(error =>
+                    this.logError(`[TRADE-QUEUE] ❌ Job ${shortenAddress(job.id)} crashed`, { error: error.message }));
             }
-            
-            const tradeDataForNotification = {
-                signature: result.signature,
-                traderName: message.traderName,
-                platform: platform,
-                solSpent: amountSpentInLamports,
-                inputMint: swapDetails.inputMint,
-                outputMint: swapDetails.outputMint,
-                tokensBoughtRaw: verification ? verification.amountBoughtRaw : 0,
-                decimals: verification ? verification.decimals : 'unknown'
-            };
+        } catch (error) {
+            this.logError('[TRADE-QUEUE] ❌ Queue poll failed', { error: error.message });
+        } finally {
+            this.queuePolling = false;
+        }
+    }
 
-            await this.notificationManager.sendTradeNotification(tradeDataForNotification);
+    // Acked once the fan-out finishes; anything thrown before that is retried up to TRADE_QUEUE.MAX_ATTEMPTS
+    async _processTradeJob(job) {
+        const age = Date.now() - job.enqueuedAt;
+        if (age > config.TRADE_QUEUE.MAX_JOB_AGE_MS) {
+            await this.redisManager.deadLetterTradeJob(job, `expired: ${Math.round(age / 1000)}s old, too late to copy`);
+            return;
+        }
 
-            this.logInfo(`[EXEC-MAIN] ✅✅ SUCCESS! Copy trade executed and notification sent.`, {
-                signature: result.signature,
-                executionTime: result.executionTime
-            });
-            
-            const executionLatency = Date.now() - executionStartTime;
-            const detectionLatency = message.detectionLatency || 0;
-            performanceMonitor.recordCopyTradeCycle(detectionLatency, executionLatency);
-            
-            return result;
+        if (job.attempts > 1) {
+            this.logWarn(`[TRADE-QUEUE] 🔁 Delivery ${job.attempts}/${config.TRADE_QUEUE.MAX_ATTEMPTS} of job ${shortenAddress(job.id)}`, { lastError: job.lastError });
+        }
 
+        try {
+            const results = await this.executeCopyTrade(job.payload);
+            await this.redisManager.ackTradeJob(job);
+            return results;
         } catch (error) {
-            this.logError(`[EXEC-MAIN] ❌ FATAL ERROR in trade execution pipeline`, { 
-                signature,
-                error: error.message,
-                stack: error.stack
-            });
+            this.logError(`[TRADE-QUEUE] ❌ Job ${shortenAddress(job.id)} failed on delivery ${job.attempts}`, { error: error.message });
+            await this.redisManager.retryTradeJob(job, error.message);
+        }
+    }
 
-            // --- SEND FAILURE NOTIFICATION TO TELEGRAM ---
-            try {
-                if (this.notificationManager) {
-                    const chatId = config.ADMIN_CHAT_ID;
-                    const traderName = message.traderName || 'Unknown Trader';
-                    const platform = message.analysisResult?.swapDetails?.platform || 'Unknown';
-                    
-                    let errorTitle = 'Trade Execution Failed';
-                    let errorDetails = `Trader: ${traderName}\nPlatform: ${platform}\nError: ${error.message}\nSignature: ${signature}`;
-                    
-                    if (error.message.includes('insufficient') || error.message.includes('balance') || 
-                        error.message.includes('Insufficient') || error.message.includes('Balance')) {
-                        errorTitle = '💰 Insufficient Balance Error';
-                        errorDetails = `🚨 *INSUFFICIENT BALANCE DETECTED*\n\n` +
-                                     `*Trader*: ${traderName}\n` +
-                                     `*Platform*: ${platform}\n` +
-                                     `*Error*: ${error.message}\n` +
-                                     `*Signature*: ${signature}\n\n` +
-                                     `⚠️ *Action Required*: Please add more SOL to your trading wallet!`;
-                    }
-                    else if (error.message.includes('fetch failed') || error.message.includes('timeout') || 
-                             error.message.includes('network') || error.message.includes('connection')) {
-                        errorTitle = '🌐 Network Error';
-                        errorDetails = `🔌 *NETWORK CONNECTION ISSUE*\n\n` +
-                                     `*Trader*: ${traderName}\n` +
-                                     `*Platform*: ${platform}\n` +
-                                     `*Error*: ${error.message}\n` +
-                                     `*Signature*: ${signature}\n\n` +
-                                     `🔄 *Status*: Bot will retry automatically`;
-                    }
-                    else if (error.message.includes('rejected') || error.message.includes('failed') || 
-                             error.message.includes('invalid') || error.message.includes('error')) {
-                        errorTitle = '❌ Transaction Rejected';
-                        errorDetails = `🚫 *TRANSACTION REJECTED*\n\n` +
-                                     `*Trader*: ${traderName}\n` +
-                                     `*Platform*: ${platform}\n` +
-                                     `*Error*: ${error.message}\n` +
-                                     `*Signature*: ${signature}\n\n` +
-                                     `🔍 *Possible Causes*: Slippage too low, token not found, or market conditions changed`;
-                    }
-                    
-                    await this.notificationManager.sendErrorNotification(
-                        chatId,
-                        errorTitle,
-                        errorDetails
-                    );
-                    
-                    this.logInfo(`[EXEC-MAIN] 📱 Enhanced failure notification sent to Telegram`);
-                }
-            } catch (notificationError) {
-                this.logError(`[EXEC-MAIN] ⚠️ Failed to send failure notification: ${notificationError.message}`);
-            }
+    // ===== TRADE LIFECYCLE =====
 
-            throw error;
-        } finally {
-             if (lockAcquired) {
-                 await this.redisManager.del(lockKey);
-                 this.logInfo(`[EXEC-MAIN] ✅ Lock released for ${shortenAddress(swapDetails.outputMint)}.`);
-             }
+    // Runs one user's copy under its persisted lifecycle record (detected → queued → building → sent → confirmed/failed/expired).
+    // The record id is derived from signature and user, so a redelivered job picks up the record it left behind.
+    async _runTrackedCopy(message, copier, settings) {
+        const signature = message.signature || 'unknown_signature';
+        const swapDetails = message.analysisResult.swapDetails;
+        const tradeId = createHash('sha256').update(`${signature}:${copier.chatId}`).digest('hex').slice(0, 12);
+
+        const record = await this.dataManager.createTradeRecord(copier.chatId, tradeId, {
+            signature,
+            traderName: copier.trader?.name || message.traderName || 'Unknown Trader',
+            tradeType: swapDetails.tradeType,
+            platform: swapDetails.platform,
+            tokenMint: swapDetails.tradeType === 'sell' ? swapDetails.inputMint : swapDetails.outputMint,
+            detectedAt: message.detectedAt || message.timestamp || Date.now()
+        });
+        if (!record) {
+            // Tracking is best effort: Redis trouble here must not cost the user the copy
+            return this._executeCopyTradeForUser(message, copier, settings);
         }
-    }
-    
-    async cancelTrade(tradeId) {
-        try {
-            if (this.pendingTrades.has(tradeId)) {
-                const trade = this.pendingTrades.get(tradeId);
-                trade.status = 'cancelled';
-                
-                this.pendingTrades.delete(tradeId);
-                this.failedTrades.set(tradeId, {
-                    ...trade,
-                    endTime: Date.now(),
-                    status: 'cancelled'
-                });
 
-                this.logInfo('Trade cancelled', { tradeId });
-                this.signalMessage('TRADE_CANCELLED', { tradeId });
-            } else {
-                this.logWarn('Trade not found for cancellation', { tradeId });
-            }
-        } catch (error) {
-            this.logError('Failed to cancel trade', { tradeId, error: error.message });
+        // Only a copy that never started building runs again: one redelivered mid-build (the copy outlived the visibility
+        // timeout) may already be sending, and the stale-trade sweep expires it if it really died there
+        if (record.state === 'detected') {
+            await this.dataManager.transitionTrade(tradeId, 'queued');
+        } else if (record.state !== 'queued') {
+            this.logInfo(`[TRADES] ⏭️ User ${copier.chatId}: copy ${tradeId} is already ${record.state}. Not running it again.`, { signature });
+            return { success: false, skipped: true, chatId: copier.chatId };
         }
+
+        const age = Date.now() - new Date(record.history[0].at).getTime();
+        if (age > config.TRADE_QUEUE.MAX_JOB_AGE_MS) {
+            await this.dataManager.transitionTrade(tradeId, 'expired', { failureReason: `${Math.round(age / 1000)}s after detection, too late to copy` });
+            return { success: false, skipped: true, chatId: copier.chatId };
+        }
+
+        const result = await this._executeCopyTradeForUser(message, { ...copier, tradeId }, settings);
+
+        // A copy the user's rules stopped is skipped; failed is kept for builds and sends that went wrong
+        if (result && result.success) {
+            await this.dataManager.transitionTrade(tradeId, 'confirmed');
+        } else if (result?.skipped && !(result.cancelled || result.consensus)) {
+            await this.dataManager.transitionTrade(tradeId, 'skipped', { skipReason: result.rule || null });
+        } else if (!result || !(result.cancelled || result.consensus)) {
+            await this.dataManager.transitionTrade(tradeId, 'failed', { failureReason: result?.error || 'no result' });
+        }
+        return result;
     }
 
-    async getTradeStatus(tradeId) {
-        try {
-            let trade = null;
-            let status = 'not_found';
+    // Steps the copy's record forward. True when there is no record to track; null when the record has moved
+    // somewhere this step can't follow (the user cancelled it).
+    async _advanceTrade(tradeId, state, details = {}) {
+        if (!tradeId) {
+            return true;
+        }
 
-            if (this.pendingTrades.has(tradeId)) {
-                trade = this.pendingTrades.get(tradeId);
-                status = 'pending';
-            } else if (this.completedTrades.has(tradeId)) {
-                trade = this.completedTrades.get(tradeId);
-                status = 'completed';
-            } else if (this.failedTrades.has(tradeId)) {
-                trade = this.failedTrades.get(tradeId);
-                status = 'failed';
-            }
+        const record = await this.dataManager.transitionTrade(tradeId, state, details);
+        if (record) {
+            return record;
+        }
+        // A redelivered job finds the record already at this step
+        const current = await this.dataManager.getTradeRecord(tradeId);
+        return current && current.state === state ? current : null;
+    }
 
-            this.signalMessage('TRADE_STATUS_RESPONSE', {
-                tradeId,
-                status,
-                trade
+    // Records that stopped moving (the executor died mid-copy) are expired so /trades doesn't show them in flight forever
+    async _expireStaleTrades() {
+        const stale = await this.dataManager.getStaleTrades(config.TRADE_QUEUE.STALE_TRADE_MS);
+        for (const record of stale) {
+            await this.dataManager.transitionTrade(record.id, 'expired', {
+                failureReason: `no progress since ${record.state} at ${record.updatedAt}`
             });
-        } catch (error) {
-            this.logError('Failed to get trade status', { tradeId, error: error.message });
+            this.logWarn(`[TRADES] ⌛ Copy ${record.id} for user ${record.chatId} expired while ${record.state}`);
         }
     }
 
-    async getPendingTrades() {
+    // ===== CONSENSUS SIGNALS =====
+
+    // A buy from a trader in the user's consensus group only goes ahead once threshold traders of the group bought the
+    // mint within the window, counted from the monitor's record in Redis. Returns null when consensus doesn't apply,
+    // { state: 'held' | 'merged', traders } when this copy stops here, or { traders } naming who agreed when it fires.
+    // Runs before the duplicate-trade lock, so votes for the same user and mint are serialized by their own lock here.
+    async _checkConsensus(chatId, trader, tokenMint, tradeId) {
+        const group = (await this._getUserSettings(chatId)).consensus;
+        if (!group || !group.traders.includes(trader.name)) {
+            return null;
+        }
+
+        const lockKey = `lock:consensus:${chatId}:${tokenMint}`;
+        const deadline = Date.now() + CONSENSUS_LOCK_WAIT_MS;
+        while (!await this.redisManager.set(lockKey, 'true', { EX: CONSENSUS_LOCK_TTL_SECONDS, NX: true })) {
+            if (Date.now() > deadline) {
+                throw new Error(`Timed out waiting to count ${trader.name}'s consensus vote on ${shortenAddress(tokenMint)}`);
+            }
+            await sleep(50);
+        }
         try {
-            const pendingTrades = Array.from(this.pendingTrades.values());
-            this.signalMessage('PENDING_TRADES_RESPONSE', {
-                count: pendingTrades.length,
-                trades: pendingTrades
-            });
-        } catch (error) {
-            this.logError('Failed to get pending trades', { error: error.message });
+            return await this._countConsensusVote(chatId, trader, tokenMint, tradeId, group);
+        } finally {
+            await this.redisManager.del(lockKey);
         }
     }
 
-    async customCleanup() {
-        try {
-            const pendingTradeIds = Array.from(this.pendingTrades.keys());
-            for (const tradeId of pendingTradeIds) {
-                await this.cancelTrade(tradeId);
-            }
+    async _countConsensusVote(chatId, trader, tokenMint, tradeId, group) {
 
-            if (this.dataManager) {
-                await this.dataManager.close();
+        const groupWallets = new Map();
+        for (const member of await this.dataManager.getTraders(chatId)) {
+            if (group.traders.includes(member.name)) {
+                groupWallets.set(member.wallet, member.name);
             }
+        }
 
-            this.logInfo('Trade executor worker cleanup completed');
-        } catch (error) {
-            this.logError('Error during cleanup', { error: error.message });
+        const now = Date.now();
+        const lastFire = await this.redisManager.getLastConsensusFire(chatId, tokenMint);
+        const firedAt = lastFire ? lastFire.at : 0;
+        const buys = await this.redisManager.getConsensusBuys(tokenMint, now - group.windowSeconds * 1000);
+        // The monitor records before queueing; if that write failed, this buy still counts as made now
+        const ownBuyAt = buys[trader.wallet] || now;
+        if (ownBuyAt <= firedAt) {
+            await this._advanceTrade(tradeId, 'merged', { mergedInto: lastFire.tradeId });
+            return { state: 'merged', traders: [], threshold: group.threshold };
+        }
+        buys[trader.wallet] = ownBuyAt;
+
+        const traders = Object.entries(buys)
+            .filter(([wallet, boughtAt]) => groupWallets.has(wallet) && boughtAt > firedAt)
+            .map(([wallet]) => groupWallets.get(wallet));
+
+        if (traders.length < group.threshold) {
+            await this.redisManager.holdConsensusBuy(chatId, tokenMint, trader.wallet, tradeId);
+            await this._advanceTrade(tradeId, 'held', { consensus: `${traders.length}/${group.threshold}` });
+            return { state: 'held', traders, threshold: group.threshold };
+        }
+
+        await this.redisManager.markConsensusFired(chatId, tokenMint, tradeId, now);
+        const held = await this.redisManager.takeHeldConsensusBuys(chatId, tokenMint);
+        for (const heldId of Object.values(held)) {
+            if (heldId && heldId !== tradeId) {
+                await this.dataManager.transitionTrade(heldId, 'merged', { mergedInto: tradeId });
+            }
         }
+        return { traders, threshold: group.threshold };
     }
 
-    async _getUserWallet() {
+    // ===== EXIT ENGINE (SL/TP) =====
+    // Sells one user's position when the portfolio monitor reports a stop-loss or take-profit cross
+    async executeExitTrade(message) {
+        const { chatId, tokenMint, reason, triggerLabel, sellFraction, ladderMultiple, pnlRatio } = message;
+        this.logInfo(`[EXEC-EXIT] 🎯 ${triggerLabel || reason} received for user ${chatId} on ${shortenAddress(tokenMint)}`);
+
         try {
-            const users = await this.dataManager.readJsonFile('users.json');
-            if (!users || !users.users) {
-                throw new Error('No users found in database');
+            const position = await this.dataManager.getPosition(chatId, tokenMint);
+            if (!position) {
+                this.logInfo(`[EXEC-EXIT] ⏭️ User ${chatId} no longer holds ${shortenAddress(tokenMint)}. Nothing to exit.`);
+                return { success: false, skipped: true, chatId };
             }
-            
-            const firstUserId = Object.keys(users.users)[0];
-            if (!firstUserId) {
-                throw new Error('No users found');
+
+            let settings = await this.dataManager.getSettings();
+            if (!settings) {
+                await this.dataManager.initializeDefaultSettings();
+                settings = await this.dataManager.getSettings();
             }
-            
-            const user = users.users[firstUserId];
-            this.logInfo(`[PDA-ATA] 🔍 Using user: ${user.first_name} (${user.chat_id})`);
-            
-            if (this.walletManager) {
-                const userWallet = await this.walletManager.getPrimaryTradingKeypair(user.chat_id);
-                if (userWallet && userWallet.keypair && userWallet.wallet) {
-                    this.logInfo(`[PDA-ATA] ✅ Found wallet: ${userWallet.wallet.publicKey.toString()}`);
-                    return userWallet.keypair;
+
+            const pnlText = typeof pnlRatio === 'number' ? ` at ${pnlRatio >= 0 ? '+' : ''}${(pnlRatio * 100).toFixed(2)}%` : '';
+            const exitMessage = {
+                signature: `exit_${reason}_${Date.now()}`,
+                traderName: position.traderName,
+                exitTrigger: `${triggerLabel || reason}${pnlText}`,
+                exitReason: reason,
+                portfolio: 'real', // the exit engine watches real positions only
+                analysisResult: {
+                    isCopyable: true,
+                    swapDetails: {
+                        platform: position.platform,
+                        tradeType: 'sell',
+                        inputMint: tokenMint,
+                        outputMint: config.NATIVE_SOL_MINT,
+                        inputAmount: position.tokenAmount,
+                        sellFraction: sellFraction ?? 1,
+                        poolId: position.poolId,
+                        dexInstruction: position.dexInstruction
+                    }
                 }
+            };
+
+            const result = await this._executeCopyTradeForUser(exitMessage, {
+                chatId: String(chatId),
+                trader: { name: position.traderName }
+            }, settings);
+
+            // Only a confirmed sell consumes a ladder step; a failed one is retried on a later cycle
+            if (result && result.success && ladderMultiple) {
+                await this.dataManager.markLadderStepHit(chatId, tokenMint, ladderMultiple);
             }
-            
-            const walletFromEnv = process.env.WALLET_PUBLIC_KEY;
-            if (walletFromEnv) {
-                this.logInfo(`[PDA-ATA] ✅ Using wallet from environment: ${walletFromEnv}`);
-                throw new Error('Environment wallet fallback not supported - private key required for signing');
-            }
-            
-            throw new Error('No user wallet found');
+
+            return result;
         } catch (error) {
-            this.logError(`[PDA-ATA] ❌ Failed to get user wallet: ${error.message}`);
-            throw error;
+            this.logError(`[EXEC-EXIT] ❌ Exit failed for user ${chatId} on ${shortenAddress(tokenMint)}`, { error: error.message });
+            return { success: false, error: error.message, chatId };
         }
     }
-    
-    async _fetchTradeResults(signature, outputMint, userWalletPublicKey) {
-        try {
-            this.logInfo(`[VERIFY-V2] 🔍 Fetching results for sig: ${shortenAddress(signature)}`);
-            await new Promise(resolve => setTimeout(resolve, 2000));
-
-            const tx = await this.solanaManager.connection.getTransaction(signature, {
-                maxSupportedTransactionVersion: 0,
-                commitment: 'confirmed'
-            });
 
-            if (!tx) {
-                this.logWarn(`[VERIFY-V2] ⚠️ Transaction not found. Cannot verify token amount.`);
-                return null;
-            }
+    // ===== MANUAL TRADES =====
 
-            const postBalances = tx.meta.postTokenBalances;
-            const preBalances = tx.meta.preTokenBalances;
-            const ownerAddress = userWalletPublicKey.toBase58();
-            const mintAddress = outputMint.toString();
+    // /buy, /sell and the quick-buy card: a user-chosen trade run through the same per-user pipeline as a copy, so risk,
+    // market gates, safety, wallets and position tracking all apply. Buys spend exactly solAmount; sells exit sellPercent.
+    async executeManualTrade(message) {
+        const { chatId, tokenMint, tradeType, solAmount, sellPercent } = message;
+        let { portfolio } = message;
+        this.logInfo(`[MANUAL] 🖐️ Manual ${tradeType} for user ${chatId} on ${shortenAddress(tokenMint)}: ${tradeType === 'buy' ? `${solAmount} SOL` : `${sellPercent}%`}`);
 
-            const postBalance = postBalances.find(tb => tb.owner === ownerAddress && tb.mint === mintAddress);
-            const preBalance = preBalances.find(tb => tb.owner === ownerAddress && tb.mint === mintAddress);
+        try {
+            let settings = await this.dataManager.getSettings();
+            if (!settings) {
+                await this.dataManager.initializeDefaultSettings();
+                settings = await this.dataManager.getSettings();
+            }
 
-            const amountBought = BigInt(postBalance?.uiTokenAmount?.amount || '0') - BigInt(preBalance?.uiTokenAmount?.amount || '0');
-            const decimals = postBalance?.uiTokenAmount?.decimals ?? 0;
+            let swapDetails;
+            let traderName = MANUAL_TRADER_NAME;
+            if (tradeType === 'buy') {
+                const { platform, poolId } = await this._detectManualPlatform(tokenMint);
+                swapDetails = {
+                    platform,
+                    tradeType: 'buy',
+                    inputMint: config.NATIVE_SOL_MINT,
+                    outputMint: tokenMint,
+                    inputAmount: Math.floor(solAmount * 1e9),
+                    poolId
+                };
+            } else {
+                // The bot names the portfolio; without one, a real position comes before a paper one
+                const realPosition = portfolio === 'paper' ? null : await this.dataManager.getPosition(chatId, tokenMint);
+                const position = realPosition || (portfolio === 'real' ? null : await this.dataManager.getPaperPosition(chatId, tokenMint));
+                if (!position) {
+                    this.logInfo(`[MANUAL] ⏭️ User ${chatId} holds no ${portfolio ? `${portfolio} ` : ''}${shortenAddress(tokenMint)}. Nothing to sell.`);
+                    return { success: false, skipped: true, chatId };
+                }
+                portfolio = realPosition ? 'real' : 'paper';
+                traderName = position.traderName || traderName;
+                swapDetails = {
+                    platform: position.platform || (await this._detectManualPlatform(tokenMint)).platform,
+                    tradeType: 'sell',
+                    inputMint: tokenMint,
+                    outputMint: config.NATIVE_SOL_MINT,
+                    inputAmount: position.tokenAmount,
+                    sellFraction: sellPercent / 100,
+                    poolId: position.poolId,
+                    dexInstruction: position.dexInstruction
+                };
+            }
 
-            this.logInfo(`[VERIFY-V2] ✅ Verification complete. Bought: ${amountBought} (raw)`);
-            return { amountBoughtRaw: amountBought, decimals };
+            const manualMessage = {
+                signature: `manual_${tradeType}_${Date.now()}`,
+                traderName,
+                manualTrade: true,
+                exitTrigger: tradeType === 'sell' ? `Manual sell ${sellPercent}%` : undefined,
+                portfolio: tradeType === 'sell' ? portfolio : undefined,
+                analysisResult: { isCopyable: true, swapDetails }
+            };
 
+            return await this._executeCopyTradeForUser(manualMessage, {
+                chatId: String(chatId),
+                trader: { name: traderName }
+            }, settings);
         } catch (error) {
-            this.logError(`[VERIFY-V2] ❌ Error fetching trade results`, { signature: shortenAddress(signature), error: error.message });
-            return null;
+            this.logError(`[MANUAL] ❌ Manual ${tradeType} failed for user ${chatId} on ${shortenAddress(tokenMint)}`, { error: error.message });
+            await this.notificationManager.sendErrorNotification(chatId, `Manual ${tradeType} failed`, `Token: ${tokenMint}\nError: ${error.message}`);
+            return { success: false, error: error.message, chatId };
         }
     }
-    
-    async _reconstructPumpFunBondingCurve(tokenMint) {
-        try {
-            const { PublicKey } = require('@solana/web3.js');
-            
-            const pumpFunProgramId = config.PLATFORM_IDS.PUMP_FUN;
-            const tokenMintPubkey = new PublicKey(tokenMint);
-            
-            const [bondingCurvePDA, bump] = PublicKey.findProgramAddressSync(
-                [Buffer.from('bonding-curve'), tokenMintPubkey.toBuffer()],
-                pumpFunProgramId
-            );
-            
-            this.logInfo(`[PDA-ATA] 🔧 PumpFun bonding curve PDA: ${bondingCurvePDA.toString()}`);
-            this.logInfo(`[PDA-ATA] 🔧 Bump: ${bump}`);
-            
-            return bondingCurvePDA.toString();
-            
-        } catch (error) {
-            this.logError(`[PDA-ATA] ❌ Failed to reconstruct PumpFun bonding curve: ${error.message}`);
-            throw error;
+
+    // Pump.fun tokens still on (or just off) the bonding curve go to the Pump.fun builder, which moves completed curves
+    // to their PumpSwap pool; a migrated token whose curve is closed goes straight to PumpSwap, anything else to Jupiter.
+    async _detectManualPlatform(tokenMint) {
+        const [bondingCurvePDA] = PublicKey.findProgramAddressSync(
+            [Buffer.from('bonding-curve'), new PublicKey(tokenMint).toBuffer()],
+            config.PLATFORM_IDS.PUMP_FUN
+        );
+        const curveAccount = await this.solanaManager.connection.getAccountInfo(bondingCurvePDA, 'processed');
+        if (curveAccount && curveAccount.owner.equals(config.PLATFORM_IDS.PUMP_FUN)) {
+            return { platform: 'PumpFun', poolId: null };
         }
-    }
-    
-    async _reconstructRaydiumPool(mintA, mintB) {
+
         try {
-            const { PublicKey } = require('@solana/web3.js');
-            
-            const raydiumProgramId = config.PLATFORM_IDS.RAYDIUM_V4;
-            const mintAPubkey = new PublicKey(mintA);
-            const mintBPubkey = new PublicKey(mintB);
-            
-            const [poolPDA, bump] = PublicKey.findProgramAddressSync(
-                [Buffer.from('pool'), mintAPubkey.toBuffer(), mintBPubkey.toBuffer()],
-                raydiumProgramId
-            );
-            
-            this.logInfo(`[PDA-ATA] 🔧 Raydium pool PDA: ${poolPDA.toString()}`);
-            this.logInfo(`[PDA-ATA] 🔧 Bump: ${bump}`);
-            
-            return poolPDA.toString();
-            
+            const ammPool = await this._resolvePumpSwapPoolIfMigrated(tokenMint);
+            if (ammPool) {
+                return { platform: 'PumpSwap', poolId: ammPool.toBase58() };
+            }
         } catch (error) {
-            this.logError(`[PDA-ATA] ❌ Failed to reconstruct Raydium pool: ${error.message}`);
-            throw error;
+            this.logInfo(`[MANUAL] 🔎 ${shortenAddress(tokenMint)} is not a Pump.fun token (${error.message}). Using Jupiter.`);
         }
+        return { platform: 'Jupiter', poolId: null };
     }
 
-    // ===== DIRECT TRANSACTION BUILDING (BYPASSES API ROUTES) =====
-    
-    async executeDirectCopyTrade(message, userConfig = {}) {
+    // Runs one user's copy of a detected trade: own wallet, sizing, lock, position and notifications
+    async _executeCopyTradeForUser(message, copier, settings) {
+        const { chatId, trader } = copier;
+        const signature = message.signature || 'unknown_signature';
+        const executionStartTime = Date.now();
+
+        // Per-user copy so one user's sizing never leaks into another user's trade
+        const swapDetails = { ...message.analysisResult.swapDetails };
+        const platform = swapDetails.platform;
+        const tradeType = swapDetails.tradeType;
+        const traderName = trader.name || message.traderName || 'Unknown Trader';
+        const tokenMint = tradeType === 'sell' ? swapDetails.inputMint : swapDetails.outputMint;
+
+        const lockKey = `lock:${tradeType}:${chatId}:${tokenMint}`;
+        let lockAcquired = false;
+        let consensus = null;
+        let walletLabel = 'Trading Wallet';
+        let refreshPreSignedExits = false;
+
         try {
-            this.logInfo(`[DIRECT-BUILDER] 🚀 Building DIRECT copy from original transaction...`);
-            
-            const originalTransaction = message.originalTransaction;
-            const programIds = message.programIds;
-            const analysisResult = message.analysisResult;
-            
-            const userWallet = await this._getUserWallet();
-            if (!userWallet) {
-                throw new Error('User wallet not found');
+            // ========================= TOKEN & PLATFORM FILTERS ========================
+            // Checked before the lock so a filtered token never blocks a copy for another user or trader.
+            // Sells are never filtered: a position must always be exitable. Manual buys are the user's own pick.
+            if (tradeType === 'buy' && !message.manualTrade) {
+                const block = await this._checkTokenFilters(chatId, tokenMint, platform, settings);
+                if (block) {
+                    this.logInfo(`[FILTER] ⛔ User ${chatId}: ${block.reason}`, { signature, rule: block.rule });
+                    await this.notificationManager.notifyNoCopy(chatId, traderName, walletLabel, block.reason);
+                    return { success: false, skipped: true, chatId, rule: block.rule };
+                }
             }
-            
-            this.logInfo(`[DIRECT-BUILDER] 🔍 Original transaction analysis:`, {
-                programIds: programIds,
-                platform: analysisResult?.swapDetails?.platform,
-                inputMint: analysisResult?.swapDetails?.inputMint,
-                outputMint: analysisResult?.swapDetails?.outputMint,
-                inputAmount: analysisResult?.swapDetails?.inputAmount
-            });
-            
-            const originalInstructions = originalTransaction.transaction.message.instructions;
-            const originalAccountKeys = originalTransaction.transaction.message.accountKeys;
-            
-            this.logInfo(`[DIRECT-BUILDER] 🔍 Found ${originalInstructions.length} original instructions`);
-            this.logInfo(`[DIRECT-BUILDER] 🔍 Account keys length: ${originalAccountKeys.length}`);
-            
-            const userInstructions = [];
-            
-            for (const originalInstruction of originalInstructions) {
-                this.logInfo(`[DIRECT-BUILDER] 🔧 Processing instruction:`, {
-                    programId: originalInstruction.programId,
-                    dataLength: originalInstruction.data.length,
-                    accountCount: originalInstruction.accounts.length
-                });
-                
-                this.logInfo(`[DIRECT-BUILDER] 🔍 Accounts array:`, originalInstruction.accounts);
-                this.logInfo(`[DIRECT-BUILDER] 🔍 Accounts types:`, originalInstruction.accounts.map(acc => typeof acc));
-                
-                const userInstruction = {
-                    programId: originalInstruction.programId,
-                    keys: [],
-                    data: originalInstruction.data
-                };
-                
-                for (const accountIndex of originalInstruction.accounts) {
-                    if (typeof accountIndex !== 'number' || accountIndex < 0 || accountIndex >= originalAccountKeys.length) {
-                        this.logWarn(`[DIRECT-BUILDER] ⚠️ Skipping invalid account index: ${accountIndex} (type: ${typeof accountIndex}, max: ${originalAccountKeys.length - 1})`);
-                        continue;
-                    }
-                    
-                    const originalAccount = originalAccountKeys[accountIndex];
-                    
-                    if (!originalAccount) {
-                        this.logWarn(`[DIRECT-BUILDER] ⚠️ Skipping undefined account at index ${accountIndex}`);
-                        continue;
-                    }
-                    
-                    if (this._isTraderWallet(originalAccount, message.traderWallet)) {
-                        userInstruction.keys.push({
-                            pubkey: userWallet.publicKey,
-                            isSigner: true,
-                            isWritable: true
-                        });
-                        this.logInfo(`[DIRECT-BUILDER] 🔄 Replaced trader wallet with user wallet`);
-                    } else {
-                        try {
-                            const { PublicKey } = require('@solana/web3.js');
-                            const pubkey = new PublicKey(originalAccount);
-                            userInstruction.keys.push({
-                                pubkey: pubkey,
-                                isSigner: false,
-                                isWritable: true
-                            });
-                            this.logInfo(`[DIRECT-BUILDER] 🔧 Converted string to PublicKey: ${originalAccount}`);
-                        } catch (error) {
-                            this.logError(`[DIRECT-BUILDER] ❌ Failed to convert account to PublicKey: ${originalAccount}`, error.message);
-                            continue;
-                        }
-                    }
+
+            // ========================= CONSENSUS VOTE ========================
+            // Counted before the lock: a second group trader's buy arriving while the first copy holds the lock is a vote,
+            // not a duplicate. A manual buy spends exactly what the user asked for and never waits for consensus.
+            if (tradeType === 'buy' && !message.manualTrade) {
+                consensus = await this._checkConsensus(chatId, trader, tokenMint, copier.tradeId);
+                if (consensus && consensus.state) {
+                    this.logInfo(`[CONSENSUS] ⏸️ User ${chatId}: ${traderName}'s buy of ${shortenAddress(tokenMint)} ${consensus.state === 'held' ? `held, ${consensus.traders.length}/${consensus.threshold} of the group agree` : 'was already counted in a consensus copy'}.`, { signature });
+                    return { success: false, skipped: true, chatId, consensus: consensus.state };
                 }
-                
-                userInstructions.push(userInstruction);
             }
-            
-            if (userConfig.scaleFactor && userConfig.scaleFactor !== 1.0) {
-                this.logInfo(`[DIRECT-BUILDER] 🔧 Applying user scale factor: ${userConfig.scaleFactor}`);
-                await this._applyScaleFactorToInstructions(userInstructions, userConfig.scaleFactor);
+
+            // ========================= ACQUIRE THE LOCK ========================
+            lockAcquired = await this.redisManager.set(lockKey, 'true', { EX: 20, NX: true });
+            if (!lockAcquired) {
+                this.logInfo(`[EXEC-USER] ⏭️ User ${chatId}: another process is already trading ${shortenAddress(tokenMint)}. Ignoring duplicate.`, { signature });
+                return { success: false, skipped: true, chatId };
             }
-            
-            this.logInfo(`[DIRECT-BUILDER] 🔧 Created ${userInstructions.length} instructions for user`);
-            
-            const result = await this.singaporeSender.executeCopyTrade(
-                userInstructions,
-                userWallet,
-                {
-                    platform: 'DirectCopy',
-                    inputMint: analysisResult?.swapDetails?.inputMint,
-                    outputMint: analysisResult?.swapDetails?.outputMint,
-                    inputAmount: analysisResult?.swapDetails?.inputAmount,
-                    useSmartTransactions: false,
-                    userConfig: userConfig
-                }
-            );
-            
-            this.logInfo(`[DIRECT-BUILDER] ✅ DIRECT copy executed successfully!`);
-            this.logInfo(`[DIRECT-BUILDER] ⚡ Execution time: ${result.executionTime}ms`);
-            this.logInfo(`[DIRECT-BUILDER] 📝 Signature: ${result.signature}`);
-            
-            return result;
-            
-        } catch (error) {
-            this.logError(`[DIRECT-BUILDER] ❌ Direct copy failed: ${error.message}`);
-            throw error;
-        }
-    }
-    
-    _isTraderWallet(account, traderWallet) {
-        return account === traderWallet;
-    }
-    
-    async _applyScaleFactorToInstructions(instructions, scaleFactor) {
-        this.logInfo(`[DIRECT-BUILDER] 🔧 Scaling instructions by factor: ${scaleFactor}`);
-    }
-    
 
-    // ===== SWAP EXECUTION METHODS =====
-    
-    async executeJupiterBuy(swapDetails, userConfig = {}) {
-        const { inputMint, outputMint, inputAmount } = swapDetails;
-        try {
-            this.logInfo(`[HELIUS-PREMIUM] 🚀 Executing ULTRA-FAST swap via Helius Premium API: ${inputMint} → ${outputMint}`);
-            this.logInfo(`[HELIUS-PREMIUM] 💰 Amount: ${inputAmount}`);
-            
-            const slippageBps = Math.floor((userConfig.slippage || 0.15) * 10000);
-            this.logInfo(`[HELIUS-PREMIUM] 🔧 Using slippage: ${userConfig.slippage} (${slippageBps} BPS)`);
-            const heliusQuoteUrl = `${this.solanaManager.connection.rpcEndpoint}&method=getQuote&inputMint=${inputMint}&outputMint=${outputMint}&amount=${inputAmount}&slippageBps=${slippageBps}`;
-            
-            this.logInfo(`[HELIUS-PREMIUM] 🔗 Getting quote from Helius Premium API...`);
-            const quoteResponse = await fetch(heliusQuoteUrl);
-            const quoteData = await quoteResponse.json();
-            
-            if (!quoteData.result?.outAmount) {
-                throw new Error('No route found for this swap via Helius Premium API');
+            this.logInfo(`[EXEC-USER] 🚀 User ${chatId}: processing ${tradeType} copy of ${traderName} (sig: ${shortenAddress(signature)})`);
+
+            // A copy the user cancelled while it waited stops here
+            if (!await this._advanceTrade(copier.tradeId, 'building')) {
+                this.logInfo(`[TRADES] ⏭️ User ${chatId}: copy ${copier.tradeId} was cancelled before it was built.`, { signature });
+                return { success: false, skipped: true, cancelled: true, chatId };
             }
-            
-            this.logInfo(`[HELIUS-PREMIUM] 📊 Quote: ${quoteData.result.outAmount} tokens for ${inputAmount} lamports`);
-            
-            const heliusSwapUrl = `${this.solanaManager.connection.rpcEndpoint}&method=getSwapTransaction`;
-            const swapResponse = await fetch(heliusSwapUrl, {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({
-                    quoteResponse: quoteData.result,
-                    userPublicKey: await this._getUserWallet(),
-                    wrapAndUnwrapSol: true,
-                    commitment: 'processed'
-                })
+
+            const tradingWallet = await this.walletManager.getPrimaryTradingKeypair(chatId);
+            if (!tradingWallet || !tradingWallet.keypair) {
+                throw new Error(`No trading wallet configured for user ${chatId}.`);
+            }
+            const userWallet = tradingWallet.keypair;
+            walletLabel = tradingWallet.wallet?.label || walletLabel;
+
+            const userConfig = await this._buildUserConfig(chatId, settings, userWallet, tradingWallet.wallet, trader.settings, swapDetails);
+            // Exits and manual sells name the portfolio they sell from: a real position is sold for real even in paper mode
+            if (tradeType === 'sell' && message.portfolio) {
+                userConfig.paperTrade = message.portfolio === 'paper';
+            }
+
+            this.logInfo(`[EXEC-USER] 📋 User ${chatId} config: wallet "${walletLabel}", sizing ${userConfig.sizingMode}, copy ${userConfig.copyMode}, slippage ${(userConfig.slippage * 100).toFixed(2)}% (${userConfig.slippageMode})${userConfig.priorityFee ? `, priority fee ${userConfig.priorityFee} µL/CU` : ''}`, {
+                platform,
+                tradeType,
+                outputMint: shortenAddress(swapDetails.outputMint)
             });
-            
-            const swapData = await swapResponse.json();
-            
-            if (!swapData.result?.swapTransaction) {
-                throw new Error('Failed to get swap transaction from Helius Premium API');
+
+            // Exit-engine sells and manual trades always run; copyMode only filters copies of the trader's own trades
+            if (!message.exitTrigger && !message.manualTrade && ((tradeType === 'buy' && userConfig.copyMode === 'sells') || (tradeType === 'sell' && userConfig.copyMode === 'buys'))) {
+                this.logInfo(`[EXEC-USER] ⏭️ User ${chatId} copies only ${userConfig.copyMode} from ${traderName}. Skipping this ${tradeType}.`, { signature });
+                return { success: false, skipped: true, chatId };
             }
-            
-            this.logInfo(`[HELIUS-PREMIUM] 🔧 Swap transaction prepared`);
-            this.logInfo(`[HELIUS-PREMIUM] 📝 Transaction size: ${swapData.result.swapTransaction.length} bytes`);
-            
-            this.logInfo(`[HELIUS-PREMIUM] ⚡ Executing with Helius Smart Transactions for sub-200ms execution...`);
-            
-            const userWallet = await this._getUserWallet();
-            if (!userWallet) {
-                throw new Error('User wallet not found');
+
+            // --- 2. HANDLE SELLS (Redis Portfolio Check) ---
+            let position = null;
+            if (tradeType === 'sell') {
+                // Paper sells come out of the paper portfolio, real sells out of the real one
+                const hasPosition = userConfig.paperTrade
+                    ? Boolean(await this.dataManager.getPaperPosition(chatId, tokenMint))
+                    : await this.dataManager.hasPosition(chatId, tokenMint);
+
+                if (!hasPosition) {
+                    this.logInfo(`[EXEC-USER] ⏭️ SELL detected, but user ${chatId} has NO position in Redis for ${shortenAddress(tokenMint)}. Skipping.`, { signature });
+                    return { success: false, skipped: true, chatId };
+                }
+
+                position = userConfig.paperTrade
+                    ? await this.dataManager.getPaperPosition(chatId, tokenMint)
+                    : await this.dataManager.getPosition(chatId, tokenMint);
+                this.logInfo(`[EXEC-USER] 🎯 SELL detected and position CONFIRMED in Redis for user ${chatId}: ${position.tokenAmount} tokens of ${shortenAddress(tokenMint)}. Proceeding with sell logic.`);
+            } else if (tradeType !== 'buy') {
+                this.logWarn(`[EXEC-USER] ⚠️ Unsupported trade type "${tradeType}". Ignoring.`, { signature });
+                return { success: false, skipped: true, chatId };
             }
-            
-            const { Transaction } = require('@solana/web3.js');
-            const transaction = Transaction.from(Buffer.from(swapData.result.swapTransaction, 'base64'));
-            
-            const result = await this.singaporeSender.executeCopyTrade(
-                transaction.instructions,
-                userWallet,
+
+            // --- 3. EXECUTE THE TRADE (Routing) ---
+            let amountSpentInLamports = 0;
+            let safety = null;
+            let legs;
+
+            if (tradeType === 'sell') {
+                // Sells exit the same fraction of OUR stored position that the trader sold of theirs, from each wallet holding it
+                legs = await this._planSellLegs(chatId, position, tradingWallet, swapDetails.sellFraction, userConfig.paperTrade);
+                const sellAmountRaw = legs.reduce((sum, leg) => sum + leg.amount, 0n);
+                if (sellAmountRaw <= 0n) {
+                    this.logInfo(`[EXEC-USER] ⏭️ User ${chatId}: trader's sell fraction rounds to zero of our position. Skipping.`, { signature });
+                    return { success: false, skipped: true, chatId };
+                }
+                amountSpentInLamports = 0;
+                swapDetails.inputAmount = sellAmountRaw.toString();
+                swapDetails.outputMint = config.NATIVE_SOL_MINT;
+                this.logInfo(`[EXEC-USER] 🔧 User ${chatId}: trader sold ${((swapDetails.sellFraction ?? 1) * 100).toFixed(2)}% → selling ${sellAmountRaw} of ${position.tokenAmount} raw tokens of ${shortenAddress(tokenMint)} from ${legs.length} wallet(s)`);
+            } else {
+                // A manual buy spends exactly what the user asked for; per-trader sizing and caps don't apply
+                amountSpentInLamports = message.manualTrade
+                    ? swapDetails.inputAmount
+                    : await this._sizeCopyBuy(chatId, trader, swapDetails.inputAmount, userConfig);
+                if (amountSpentInLamports <= 0) {
+                    return { success: false, skipped: true, chatId };
+                }
+                if (consensus) {
+                    // One share per agreeing trader: solPerTrader each, or the normal copy size each
+                    const share = userConfig.consensus.solPerTrader > 0 ? Math.floor(userConfig.consensus.solPerTrader * 1e9) : amountSpentInLamports;
+                    amountSpentInLamports = share * consensus.traders.length;
+                    this.logInfo(`[CONSENSUS] ✅ User ${chatId}: ${consensus.traders.join(', ')} agree on ${shortenAddress(tokenMint)}. Buying ${consensus.traders.length} × ${share} lamports.`, { signature });
+                }
+
+                const risk = await this._checkRisk(chatId, tokenMint, amountSpentInLamports, userConfig);
+                if (!risk.allowed) {
+                    this.logInfo(`[RISK] ⛔ User ${chatId}: ${risk.reason}`, { signature, rule: risk.rule });
+                    await this.notificationManager.notifyNoCopy(chatId, traderName, walletLabel, risk.reason);
+                    return { success: false, skipped: true, chatId, rule: risk.rule };
+                }
+                amountSpentInLamports = risk.lamports;
+
+                const gate = await this._checkMarketGates(chatId, tokenMint, platform, swapDetails.poolId, userConfig);
+                if (gate) {
+                    this.logInfo(`[MARKET-GATE] ⛔ User ${chatId}: ${gate.reason}`, { signature, rule: gate.rule });
+                    await this.notificationManager.notifyNoCopy(chatId, traderName, walletLabel, gate.reason);
+                    return { success: false, skipped: true, chatId, rule: gate.rule };
+                }
+
+                safety = await this._checkTokenSafety(chatId, tokenMint, platform, swapDetails.poolId, userConfig);
+                if (safety.verdict === 'block') {
+                    const reason = `Token safety: ${safety.findings.filter(f => f.level === 'block').map(f => f.message).join('; ')}`;
+                    this.logInfo(`[TOKEN-SAFETY] ⛔ User ${chatId}: ${reason}`, { signature, tokenMint: shortenAddress(tokenMint) });
+                    await this.notificationManager.notifyNoCopy(chatId, traderName, walletLabel, reason);
+                    return { success: false, skipped: true, chatId, rule: 'token_safety' };
+                }
+            }
+            if (tradeType === 'buy') {
+                swapDetails.inputAmount = amountSpentInLamports;
+                legs = await this._planBuyLegs(chatId, trader, userConfig, tradingWallet, amountSpentInLamports);
+            }
+
+            // Last chance to honour a cancel: past this point the transaction is out
+            if (copier.tradeId && (await this.dataManager.getTradeRecord(copier.tradeId))?.state === 'cancelled') {
+                this.logInfo(`[TRADES] ⏭️ User ${chatId}: copy ${copier.tradeId} cancelled before sending.`, { signature });
+                return { success: false, skipped: true, cancelled: true, chatId };
+            }
+
+            // Any real send may change the position or advance the wallet's nonce
+            refreshPreSignedExits = !userConfig.paperTrade;
+
+            if (legs.length > 1) {
+                this.logInfo(`[MULTI-WALLET] 🔀 User ${chatId}: ${tradeType} split over ${legs.length} wallets: ${legs.map(leg => `${leg.tradingWallet.wallet.label}=${leg.amount}`).join(', ')}`);
+            }
+
+            // Wallets send side by side; a leg that fails doesn't undo the ones that landed
+            const sent = await Promise.all(legs.map(leg => this._sendLeg(leg, {
+                chatId, tokenMint, platform, tradeType, swapDetails, userConfig, message, singleLeg: legs.length === 1
+            })));
+            const landed = sent.filter(leg => !leg.error);
+            const failed = sent.filter(leg => leg.error);
+            if (landed.length === 0) {
+                throw failed[0].error;
+            }
+            for (const miss of failed) {
+                this.logError(`[MULTI-WALLET] ❌ User ${chatId}: leg on wallet "${miss.leg.tradingWallet.wallet.label}" failed`, { signature, error: miss.error.message });
+                await this._notifyCopyFailure(chatId, traderName, platform, signature, miss.error);
+            }
+            await this._advanceTrade(copier.tradeId, 'sent', { signatures: landed.map(leg => leg.result.signature) });
+
+            if (landed[0].result.paper) {
+                await this._finalizePaperTrade(chatId, tokenMint, position, landed[0].result, {
+                    tradeType,
+                    swapDetails: landed[0].swapDetails,
+                    traderName,
+                    walletLabel,
+                    platform,
+                    amountSpentInLamports,
+                    exitTrigger: message.exitTrigger,
+                    safety,
+                    consensus
+                });
+                return { ...landed[0].result, chatId };
+            }
+
+            // --- 4. POST-TRADE VERIFICATION & NOTIFICATION ---
+            this.logInfo(`[EXEC-USER] ✅ User ${chatId}: trade sent! Verifying results for signature(s): ${landed.map(leg => shortenAddress(leg.result.signature)).join(', ')}`);
+
+            if (tradeType === 'sell') {
+                // One leg at a time: each finalize rewrites the same position record
+                for (const { leg, result, swapDetails: legSwap } of landed) {
+                    await this._finalizeCopySell(chatId, tokenMint, position, result, {
+                        traderName,
+                        walletLabel: leg.tradingWallet.wallet.label,
+                        walletId: leg.tradingWallet.wallet.id,
+                        platform,
+                        userWallet: leg.tradingWallet.keypair,
+                        amountRequestedRaw: BigInt(legSwap.inputAmount),
+                        exitTrigger: message.exitTrigger
+                    });
+                }
+
+                const executionLatency = Date.now() - executionStartTime;
+                performanceMonitor.recordCopyTradeCycle(message.detectionLatency || 0, executionLatency);
+
+                return { ...landed[0].result, chatId, wallets: landed.length };
+            }
+
+            // --- 5. PORTFOLIO TRACKING: Store position in Redis ---
+            const fills = [];
+            for (const { leg, result, swapDetails: legSwap } of landed) {
+                const verification = await this._fetchTradeResults(result.signature, legSwap.outputMint, leg.tradingWallet.keypair.publicKey);
+                fills.push({ leg, result, lamports: leg.amount, verification });
+            }
+            await this._recordBuyFills(chatId, tokenMint, fills, { platform, swapDetails, traderName });
+
+            const spentLamports = fills.reduce((sum, fill) => sum + fill.lamports, 0);
+            await this._recordDailySpend(chatId, trader, spentLamports);
+
+            for (const { leg, result, lamports, verification } of fills) {
+                await this.notificationManager.sendTradeNotification({
+                    chatId,
+                    walletLabel: leg.tradingWallet.wallet.label,
+                    signature: result.signature,
+                    traderName: traderName,
+                    platform: platform,
+                    solSpent: lamports,
+                    inputMint: swapDetails.inputMint,
+                    outputMint: swapDetails.outputMint,
+                    tokensBoughtRaw: verification ? verification.amountBoughtRaw : 0,
+                    decimals: verification ? verification.decimals : 'unknown',
+                    safety,
+                    consensus
+                });
+            }
+
+            this.logInfo(`[EXEC-USER] ✅✅ SUCCESS! Copy trade executed and notification sent for user ${chatId}.`, {
+                signatures: fills.map(fill => fill.result.signature),
+                executionTime: landed[0].result.executionTime
+            });
+
+            const executionLatency = Date.now() - executionStartTime;
+            const detectionLatency = message.detectionLatency || 0;
+            performanceMonitor.recordCopyTradeCycle(detectionLatency, executionLatency);
+
+            return { ...landed[0].result, chatId, wallets: landed.length };
+
+        } catch (error) {
+            this.logError(`[EXEC-USER] ❌ Trade execution failed for user ${chatId}`, {
+                signature,
+                error: error.message,
+                stack: error.stack
+            });
+
+            await this._notifyCopyFailure(chatId, traderName, platform, signature, error);
+
+            return { success: false, error: error.message, chatId };
+        } finally {
+             if (lockAcquired) {
+                 await this.redisManager.del(lockKey);
+                 this.logInfo(`[EXEC-USER] ✅ Lock released for user ${chatId} on ${shortenAddress(tokenMint)}.`);
+             }
+             if (refreshPreSignedExits) {
+                 this._schedulePreSignedExitRefresh(chatId, tokenMint);
+             }
+        }
+    }
+
+    // Picks the builder for the detected platform; every builder returns the sender's result object
+    async _routeSwap(platform, swapDetails, userConfig, tradeType) {
+        let result;
+
+        switch (platform.toLowerCase()) {
+            case 'jupiter':
+                if (tradeType === 'buy') {
+                    result = await this.executeJupiterBuy(swapDetails, userConfig);
+                } else {
+                    result = await this.executeJupiterSell(swapDetails, userConfig);
+                }
+                break;
+
+            case 'pumpfun':
+            case 'pump_fun':
+            case 'pumpfunamm':
+            case 'pump_fun_amm':
+            case 'pumpswap':
+                result = await this.executePumpFunTrade(swapDetails, userConfig, tradeType);
+                break;
+
+            case 'raydium':
+            case 'raydiumv4':
+            case 'raydium_v4':
+                 if (tradeType === 'buy') {
+                    result = await this.executeRaydiumBuy(swapDetails, userConfig);
+                } else {
+                    result = await this.executeRaydiumSell(swapDetails, userConfig);
+                }
+                break;
+
+            case 'meteora':
+            case 'meteoradlmm':
+            case 'meteoradbc':
+            case 'meteoracpamm':
+                result = await this.executeMeteoraSwap(swapDetails, userConfig, tradeType);
+                break;
+
+            case 'orca':
+            case 'whirlpool':
+                result = await this.executeOrcaSwap(swapDetails, userConfig, tradeType);
+                break;
+
+            case 'raydiumcpmm':
+            case 'raydium_cpmm':
+                result = await this.executeRaydiumCpmmSwap(swapDetails, userConfig, tradeType);
+                break;
+
+            case 'raydiumclmm':
+            case 'raydium_clmm':
+                result = await this.executeRaydiumClmmSwap(swapDetails, userConfig, tradeType);
+                break;
+
+            case 'raydiumlaunchpad':
+            case 'raydium_launchpad':
+                result = await this.executeRaydiumLaunchpadSwap(swapDetails, userConfig, tradeType);
+                break;
+
+            case 'photon':
+            case 'router:photon':
+                this.logInfo(`[EXEC-USER] 🔄 Photon router detected - routing to underlying DEX`);
+                if (tradeType === 'buy') {
+                    result = await this.executeJupiterBuy(swapDetails, userConfig);
+                } else {
+                    result = await this.executeJupiterSell(swapDetails, userConfig);
+                }
+                break;
+
+            case 'router:jupiter':
+            case 'router:jupiter_v4':
+            case 'router:jupiter_v6':
+                this.logInfo(`[EXEC-USER] 🔄 Jupiter router detected - using Jupiter execution`);
+                if (tradeType === 'buy') {
+                    result = await this.executeJupiterBuy(swapDetails, userConfig);
+                } else {
+                    result = await this.executeJupiterSell(swapDetails, userConfig);
+                }
+                break;
+
+            case 'router:axiom':
+                this.logInfo(`[EXEC-USER] 🔄 Axiom router detected - routing to underlying DEX`);
+                if (tradeType === 'buy') {
+                    result = await this.executeJupiterBuy(swapDetails, userConfig);
+                } else {
+                    result = await this.executeJupiterSell(swapDetails, userConfig);
+                }
+                break;
+
+            default:
+                this.logError(`[EXEC-USER] ❌ CRITICAL: Unsupported platform "${platform}" received from monitor.`);
+                throw new Error(`Unsupported platform: ${platform}`);
+        }
+
+        return result;
+    }
+
+    // Resolves how one copy is sized and sent: the trader's own settings (traders.json) first, then the user's, then global
+    // swapDetails carries the trader's slippage and compute-unit price for mirror mode; without it the fixed slippage is used
+    async _buildUserConfig(chatId, settings, userWallet, walletRecord = null, traderSettings = {}, swapDetails = null) {
+        const userSettings = await this._getUserSettings(chatId);
+        const globalTrading = settings.tradingSettings || {};
+
+        const pick = (key, fallback) => {
+            for (const source of [traderSettings, userSettings]) {
+                if (source && source[key] !== undefined && source[key] !== null) {
+                    return source[key];
+                }
+            }
+            return fallback;
+        };
+
+        const solAmount = pick('solAmount', null);
+        const slippageBps = pick('slippageBps', null);
+        const slippageMode = pick('slippageMode', globalTrading.slippageMode || 'fixed');
+        const mirrored = slippageMode === 'mirror' ? this._mirrorTraderExecution(swapDetails, {
+            minSlippageBps: pick('minSlippageBps', globalTrading.minSlippageBps ?? 0),
+            maxSlippageBps: pick('maxSlippageBps', globalTrading.maxSlippageBps ?? 5000),
+            priorityFeeMultiplier: pick('priorityFeeMultiplier', globalTrading.priorityFeeMultiplier ?? 1)
+        }) : {};
+
+        return {
+            chatId: String(chatId),
+            userWallet,
+            // 'fixed' spends solAmount, 'scale' multiplies the trader's size by scaleFactor, 'percent' takes percentOfTrader % of it
+            sizingMode: pick('sizingMode', solAmount > 0 ? 'fixed' : 'scale'),
+            solAmount: solAmount > 0 ? solAmount : null,
+            scaleFactor: pick('scaleFactor', settings.botSettings.scaleFactor),
+            percentOfTrader: pick('percentOfTrader', null),
+            maxSolPerTrade: pick('maxSolPerTrade', settings.botSettings.maxSolAmount || 0),
+            slippage: mirrored.slippage ?? (slippageBps ? slippageBps / 10000 : settings.botSettings.maxSlippage),
+            // 'fixed' uses slippageBps or botSettings.maxSlippage; 'mirror' copies the trader's slippage and compute-unit price
+            slippageMode,
+            priorityFee: mirrored.priorityFee ?? null,
+            copyMode: pick('copyMode', globalTrading.copyMode || 'both'),
+            dailySpendCapSol: pick('dailySpendCapSol', globalTrading.dailySpendCapSol || 0),
+            // Which of the user's wallets buy: 'primary', 'roundrobin' or 'split' across splitWalletCount wallets (0 = all)
+            walletStrategy: userSettings.walletStrategy ?? globalTrading.walletStrategy ?? 'primary',
+            splitWalletCount: userSettings.splitWalletCount ?? globalTrading.splitWalletCount ?? 0,
+            // SOL bounds on the pool at copy time and the highest Pump.fun curve progress to still buy at; 0 disables one
+            marketGates: {
+                minLiquiditySol: userSettings.minLiquiditySol ?? globalTrading.minLiquiditySol ?? 0,
+                maxLiquiditySol: userSettings.maxLiquiditySol ?? globalTrading.maxLiquiditySol ?? 0,
+                minMarketCapSol: userSettings.minMarketCapSol ?? globalTrading.minMarketCapSol ?? 0,
+                maxMarketCapSol: userSettings.maxMarketCapSol ?? globalTrading.maxMarketCapSol ?? 0,
+                maxCurveProgressPercent: userSettings.maxCurveProgressPercent ?? globalTrading.maxCurveProgressPercent ?? 0
+            },
+            safetyPolicy: { ...(globalTrading.tokenSafety || {}), ...(userSettings.tokenSafety || {}) },
+            // Risk limits are account-wide, so a trader's settings never loosen them
+            risk: {
+                minSolAmount: userSettings.minSolAmount ?? settings.botSettings.minSolAmount ?? 0,
+                maxSolAmount: userSettings.maxSolAmount ?? settings.botSettings.maxSolAmount ?? 0,
+                maxPositions: userSettings.maxPositions ?? globalTrading.maxPositions ?? 0,
+                maxTotalExposureSol: userSettings.maxTotalExposureSol ?? globalTrading.maxTotalExposureSol ?? 0,
+                maxTokenExposureSol: userSettings.maxTokenExposureSol ?? globalTrading.maxTokenExposureSol ?? 0,
+                dailyLossLimitSol: userSettings.dailyLossLimitSol ?? globalTrading.dailyLossLimitSol ?? 0
+            },
+            // { traders, threshold, windowSeconds, solPerTrader } when the user only buys on their group's consensus
+            consensus: userSettings.consensus || null,
+            platformPreferences: settings.botSettings.supportedPlatforms,
+            paperTrade: Boolean(userSettings.paperTrading ?? settings.tradingSettings?.paperTrading),
+            nonceAccountPubkey: config.DURABLE_NONCE.ENABLED ? walletRecord?.nonceAccountPubkey || null : null
+        };
+    }
+
+    // The trader's slippage clamped to the user's bounds and their compute-unit price times the multiplier.
+    // Either is left out when the monitor couldn't read it from the trader's transaction.
+    _mirrorTraderExecution(swapDetails, { minSlippageBps, maxSlippageBps, priorityFeeMultiplier }) {
+        const mirrored = {};
+        const traderBps = swapDetails?.masterTraderSlippageBps;
+        if (typeof traderBps === 'number' && traderBps >= 0) {
+            mirrored.slippage = Math.min(Math.max(traderBps, minSlippageBps), maxSlippageBps) / 10000;
+        }
+        const traderPrice = swapDetails?.traderComputeUnitPrice;
+        if (traderPrice > 0) {
+            mirrored.priorityFee = Math.min(Math.round(traderPrice * priorityFeeMultiplier), config.MAX_MIRRORED_PRIORITY_FEE_MICROLAMPORTS);
+        }
+        return mirrored;
+    }
+
+    // What every builder hands the sender besides its instructions
+    _senderOptions(userConfig) {
+        return {
+            paperTrade: userConfig.paperTrade,
+            nonceAccountPubkey: userConfig.nonceAccountPubkey,
+            presignOnly: userConfig.presignOnly || false,
+            priorityFee: userConfig.priorityFee ?? null
+        };
+    }
+
+    // Per-user settings: users.json settings overridden by the user's entry in settings.json
+    async _getUserSettings(chatId) {
+        const user = await this.dataManager.getUser(String(chatId));
+        const storedSettings = await this.dataManager.readJsonFile('settings.json');
+        return {
+            ...(user?.settings || {}),
+            ...(storedSettings?.settings?.[chatId] || {})
+        };
+    }
+
+    // Returns { rule, reason } when the user's mint lists or platform allow list block this buy, null when it may go ahead.
+    // The user's allowedPlatforms replaces botSettings.supportedPlatforms; an empty list allows every platform.
+    async _checkTokenFilters(chatId, tokenMint, platform, settings) {
+        const userSettings = await this._getUserSettings(chatId);
+
+        if ((userSettings.mintBlacklist || []).includes(tokenMint)) {
+            return { rule: 'mint_blacklist', reason: `Token ${shortenAddress(tokenMint)} is on your blacklist.` };
+        }
+
+        const whitelist = userSettings.mintWhitelist || [];
+        if (whitelist.length > 0 && !whitelist.includes(tokenMint)) {
+            return { rule: 'mint_whitelist', reason: `Token ${shortenAddress(tokenMint)} is not on your whitelist.` };
+        }
+
+        const allowedPlatforms = userSettings.allowedPlatforms || settings.botSettings?.supportedPlatforms || [];
+        if (allowedPlatforms.length > 0) {
+            const family = this._platformFamily(platform);
+            if (!allowedPlatforms.some(allowed => this._platformFamily(allowed) === family)) {
+                return { rule: 'platform_not_allowed', reason: `Platform ${platform} is not in the allowed platforms (${allowedPlatforms.join(', ')}).` };
+            }
+        }
+
+        return null;
+    }
+
+    _platformFamily(platform) {
+        const key = String(platform || '').toLowerCase();
+        return PLATFORM_FAMILIES[key] || key.replace(/[^a-z0-9]/g, '');
+    }
+
+    // Buy size in lamports from the sizing mode, clamped to maxSolPerTrade and to what is left of today's cap for this trader.
+    // Returns 0 when the copy should be skipped.
+    async _sizeCopyBuy(chatId, trader, traderInputLamports, userConfig) {
+        let lamports;
+        if (userConfig.sizingMode === 'fixed' && userConfig.solAmount) {
+            lamports = Math.floor(userConfig.solAmount * 1e9);
+        } else if (userConfig.sizingMode === 'percent' && userConfig.percentOfTrader > 0) {
+            lamports = Math.floor(traderInputLamports * userConfig.percentOfTrader / 100);
+        } else {
+            lamports = Math.floor(traderInputLamports * userConfig.scaleFactor);
+        }
+        this.logInfo(`[EXEC-USER] 🔧 User ${chatId}: ${userConfig.sizingMode} sizing of trader's ${traderInputLamports} lamports → ${lamports} lamports`);
+
+        if (userConfig.maxSolPerTrade > 0 && lamports > userConfig.maxSolPerTrade * 1e9) {
+            lamports = Math.floor(userConfig.maxSolPerTrade * 1e9);
+            this.logInfo(`[EXEC-USER] 🔧 User ${chatId}: capped at max ${userConfig.maxSolPerTrade} SOL per trade`);
+        }
+
+        if (userConfig.dailySpendCapSol > 0) {
+            const spent = await this._getDailySpend(chatId, trader);
+            const remaining = Math.floor(userConfig.dailySpendCapSol * 1e9) - spent;
+            if (remaining <= 0) {
+                this.logInfo(`[EXEC-USER] ⏭️ User ${chatId}: daily cap of ${userConfig.dailySpendCapSol} SOL for ${trader.name} reached. Skipping.`);
+                return 0;
+            }
+            if (lamports > remaining) {
+                lamports = remaining;
+                this.logInfo(`[EXEC-USER] 🔧 User ${chatId}: trimmed to the ${remaining} lamports left under today's cap for ${trader.name}`);
+            }
+        }
+
+        return lamports;
+    }
+
+    // Per user, per trader, per UTC day; kept two days so a late read around midnight still finds it
+    _dailySpendKey(chatId, trader) {
+        const day = new Date().toISOString().slice(0, 10);
+        return `daily_spend:${chatId}:${trader.id || trader.name}:${day}`;
+    }
+
+    async _getDailySpend(chatId, trader) {
+        return parseInt(await this.redisManager.get(this._dailySpendKey(chatId, trader)), 10) || 0;
+    }
+
+    async _recordDailySpend(chatId, trader, lamports) {
+        if (!(lamports > 0)) return;
+        const key = this._dailySpendKey(chatId, trader);
+        await this.redisManager.client.incrBy(key, lamports);
+        await this.redisManager.client.expire(key, 2 * 24 * 60 * 60);
+    }
+
+    // Scales our raw position by the trader's sell fraction; near-full exits sell everything so no dust is left behind
+    _calculateProportionalSellAmount(positionTokenAmount, sellFraction) {
+        const positionRaw = BigInt(positionTokenAmount);
+        if (sellFraction === undefined || sellFraction === null || sellFraction >= 0.99) {
+            return positionRaw;
+        }
+
+        const fractionPpm = BigInt(Math.max(0, Math.round(sellFraction * 1000000)));
+        return (positionRaw * fractionPpm) / 1000000n;
+    }
+
+    // Verifies a confirmed sell, updates or clears the position in Redis and notifies the user
+    async _finalizeCopySell(chatId, tokenMint, soldFrom, result, context) {
+        const { traderName, walletLabel, walletId, platform, userWallet, amountRequestedRaw, exitTrigger } = context;
+
+        const verification = await this._fetchSellResults(result.signature, tokenMint, userWallet.publicKey);
+        const amountSoldRaw = verification ? verification.amountSoldRaw : amountRequestedRaw;
+
+        // Re-read: with several wallets selling, the previous leg has already reduced the position
+        const position = await this.dataManager.getPosition(chatId, tokenMint) || soldFrom;
+
+        if (verification && verification.solReceivedLamports != null) {
+            // Cost of the tokens sold, pro rata to what was bought; feeds the risk manager's daily loss limit
+            const initialRaw = BigInt(position.initialTokenAmount || position.tokenAmount);
+            const costLamports = initialRaw > 0n
+                ? Number((BigInt(position.solSpent || 0) * amountSoldRaw) / initialRaw)
+                : 0;
+            await this.dataManager.recordRealizedPnl(chatId, {
+                tokenMint,
+                pnlLamports: Number(verification.solReceivedLamports) - costLamports,
+                signature: result.signature
+            });
+        }
+
+        const holdings = {};
+        for (const { walletId: id, ...holding } of await this._positionHoldings(chatId, position)) {
+            const left = id === walletId ? BigInt(holding.tokenAmount) - amountSoldRaw : BigInt(holding.tokenAmount);
+            if (left > 0n) {
+                holdings[id] = { ...holding, tokenAmount: left.toString() };
+            }
+        }
+
+        const remainingRaw = BigInt(position.tokenAmount) - amountSoldRaw;
+        if (remainingRaw > 0n && Object.keys(holdings).length > 0) {
+            await this.dataManager.updatePositionFields(chatId, tokenMint, { tokenAmount: remainingRaw.toString(), holdings });
+            this.logInfo(`[PORTFOLIO] 📉 Position reduced for user ${chatId}: ${remainingRaw} tokens of ${shortenAddress(tokenMint)} left`);
+        } else {
+            await this.dataManager.removePosition(chatId, tokenMint);
+            this.logInfo(`[PORTFOLIO] 🗑️ Position closed for user ${chatId}: ${shortenAddress(tokenMint)}`);
+        }
+
+        await this.notificationManager.sendSellNotification({
+            chatId,
+            walletLabel,
+            signature: result.signature,
+            traderName,
+            platform,
+            tokenMint,
+            tokensSoldRaw: amountSoldRaw,
+            decimals: position.decimals,
+            solReceived: verification ? verification.solReceivedLamports : null,
+            solSpent: position.solSpent,
+            positionClosed: remainingRaw <= 0n,
+            exitTrigger
+        });
+
+        this.logInfo(`[EXEC-USER] ✅✅ SUCCESS! Copy sell executed and notification sent for user ${chatId}.`, {
+            signature: result.signature,
+            executionTime: result.executionTime
+        });
+    }
+
+    // ===== MULTI-WALLET EXECUTION =====
+
+    // Wallets a buy goes out from and the lamports each spends. A trader pinned to a wallet label always uses it;
+    // otherwise walletStrategy is 'primary', 'roundrobin' (next wallet each trade) or 'split' (random shares over N wallets).
+    async _planBuyLegs(chatId, trader, userConfig, primary, lamports) {
+        if (userConfig.paperTrade) {
+            return [{ tradingWallet: primary, amount: lamports }];
+        }
+
+        const pinnedLabel = trader.settings?.walletLabel;
+        if (pinnedLabel) {
+            const wallet = await this.walletManager.getWalletByLabel(chatId, pinnedLabel);
+            if (!wallet) {
+                throw new Error(`Wallet "${pinnedLabel}" pinned to ${trader.name} no longer exists.`);
+            }
+            return [{ tradingWallet: { keypair: await this.walletManager.getKeypairById(wallet.id), wallet }, amount: lamports }];
+        }
+
+        if (userConfig.walletStrategy === 'primary') {
+            return [{ tradingWallet: primary, amount: lamports }];
+        }
+
+        const wallets = await this.walletManager.getTradingKeypairs(chatId);
+        if (wallets.length <= 1) {
+            return [{ tradingWallet: primary, amount: lamports }];
+        }
+
+        if (userConfig.walletStrategy === 'roundrobin') {
+            const key = `wallet_rr:${chatId}`;
+            const turn = await this.redisManager.client.incr(key);
+            await this.redisManager.client.expire(key, 7 * 24 * 60 * 60);
+            return [{ tradingWallet: wallets[(turn - 1) % wallets.length], amount: lamports }];
+        }
+
+        // Each share is 0.5x-1.5x of an even split so the wallets don't all buy the same amount
+        const count = userConfig.splitWalletCount > 0 ? Math.min(userConfig.splitWalletCount, wallets.length) : wallets.length;
+        const chosen = wallets.slice(0, count);
+        const weights = chosen.map(() => 0.5 + Math.random());
+        const totalWeight = weights.reduce((sum, weight) => sum + weight, 0);
+        let remaining = lamports;
+        return chosen.map((tradingWallet, i) => {
+            const amount = i === chosen.length - 1 ? remaining : Math.floor(lamports * weights[i] / totalWeight);
+            remaining -= amount;
+            return { tradingWallet, amount };
+        });
+    }
+
+    // One leg per wallet holding the token, each selling the same fraction of its own holding
+    async _planSellLegs(chatId, position, primary, sellFraction, paperTrade) {
+        if (paperTrade) {
+            return [{ tradingWallet: primary, amount: this._calculateProportionalSellAmount(position.tokenAmount, sellFraction) }];
+        }
+
+        const legs = [];
+        for (const holding of await this._positionHoldings(chatId, position)) {
+            const amount = this._calculateProportionalSellAmount(holding.tokenAmount, sellFraction);
+            if (amount <= 0n) continue;
+
+            const tradingWallet = holding.walletId === primary.wallet?.id
+                ? primary
+                : await this._getTradingWalletById(holding.walletId);
+            if (!tradingWallet) {
+                throw new Error(`Wallet "${holding.walletLabel}" holding ${shortenAddress(position.tokenMint || '')} no longer exists.`);
+            }
+            legs.push({ tradingWallet, amount });
+        }
+        return legs;
+    }
+
+    // Builds and sends one wallet's part of the trade. Never throws: failures come back as { error }.
+    async _sendLeg(leg, context) {
+        const { chatId, tokenMint, platform, tradeType, swapDetails, userConfig, message, singleLeg } = context;
+        const legConfig = {
+            ...userConfig,
+            userWallet: leg.tradingWallet.keypair,
+            nonceAccountPubkey: config.DURABLE_NONCE.ENABLED ? leg.tradingWallet.wallet?.nonceAccountPubkey || null : null
+        };
+        const legSwap = { ...swapDetails, inputAmount: tradeType === 'sell' ? leg.amount.toString() : leg.amount };
+
+        try {
+            let result = null;
+            // A full exit can go out as the transaction signed in advance, skipping the build entirely
+            if (tradeType === 'sell' && !legConfig.paperTrade && singleLeg && !PRESIGNED_EXIT_SKIP_REASONS.has(message.exitReason)) {
+                result = await this._firePreSignedExit(chatId, tokenMint, legSwap.inputAmount, leg.tradingWallet.wallet?.id);
+            }
+            if (!result) {
+                result = await this._routeSwap(platform, legSwap, legConfig, tradeType);
+            }
+
+            if (legConfig.paperTrade && tradeType === 'sell' && (!result || !result.success)) {
+                result = this._estimatePaperSellFromTrader(message, BigInt(legSwap.inputAmount)) || result;
+            }
+
+            if (!result || !result.success || !result.signature) {
+                throw new Error(result?.error || 'Trade execution failed or returned no signature.');
+            }
+            return { leg, swapDetails: legSwap, result };
+        } catch (error) {
+            return { leg, swapDetails: legSwap, error };
+        }
+    }
+
+    // Per-wallet holdings of a position. Positions opened before per-wallet tracking were bought with a single wallet.
+    async _positionHoldings(chatId, position) {
+        if (position.holdings && Object.keys(position.holdings).length > 0) {
+            return Object.entries(position.holdings).map(([walletId, holding]) => ({ walletId, ...holding }));
+        }
+
+        const wallet = (position.walletLabel && await this.walletManager.getWalletByLabel(chatId, position.walletLabel))
+            || (await this.walletManager.getPrimaryTradingKeypair(chatId))?.wallet;
+        if (!wallet) {
+            return [];
+        }
+        return [{
+            walletId: wallet.id,
+            walletLabel: wallet.label,
+            publicKey: wallet.publicKey.toString(),
+            tokenAmount: position.tokenAmount,
+            solSpent: position.solSpent
+        }];
+    }
+
+    async _getTradingWalletById(walletId) {
+        const wallet = await this.walletManager.getWalletById(walletId);
+        if (!wallet) {
+            return null;
+        }
+        return { keypair: await this.walletManager.getKeypairById(wallet.id), wallet };
+    }
+
+    // Adds confirmed buy legs to the user's position, merging into any holding the same wallet already has
+    async _recordBuyFills(chatId, tokenMint, fills, context) {
+        const { platform, swapDetails, traderName } = context;
+        const filled = fills.filter(fill => fill.verification && fill.verification.amountBoughtRaw > 0);
+        if (filled.length === 0) {
+            this.logWarn(`[PORTFOLIO] ⚠️ User ${chatId}: no confirmed token amount for ${shortenAddress(tokenMint)}; position not updated`);
+            return;
+        }
+
+        const existing = await this.dataManager.getPosition(chatId, tokenMint);
+        const holdings = {};
+        for (const holding of existing ? await this._positionHoldings(chatId, existing) : []) {
+            const { walletId, ...rest } = holding;
+            holdings[walletId] = rest;
+        }
+
+        let boughtRaw = 0n;
+        let spentLamports = 0;
+        for (const { leg, lamports, verification } of filled) {
+            const wallet = leg.tradingWallet.wallet;
+            const previous = holdings[wallet.id];
+            holdings[wallet.id] = {
+                walletLabel: wallet.label,
+                publicKey: wallet.publicKey.toString(),
+                tokenAmount: ((previous ? BigInt(previous.tokenAmount) : 0n) + BigInt(verification.amountBoughtRaw)).toString(),
+                solSpent: (previous?.solSpent || 0) + lamports
+            };
+            boughtRaw += BigInt(verification.amountBoughtRaw);
+            spentLamports += lamports;
+        }
+
+        const decimals = existing?.decimals ?? filled[0].verification.decimals;
+        const tokenAmount = Object.values(holdings).reduce((sum, holding) => sum + BigInt(holding.tokenAmount), 0n);
+        const initialTokenAmount = BigInt(existing?.initialTokenAmount || existing?.tokenAmount || 0) + boughtRaw;
+        const solSpent = (existing?.solSpent || 0) + spentLamports;
+        const now = new Date().toISOString();
+
+        const positionData = {
+            tokenMint,
+            tokenAmount: tokenAmount.toString(), // BigInt is not JSON-serializable
+            initialTokenAmount: initialTokenAmount.toString(),
+            decimals,
+            solSpent,
+            // Average over every buy; frozen here so the exit engine's PnL stays correct after partial sells
+            entryPriceSol: typeof decimals === 'number'
+                ? (solSpent / 1e9) / (Number(initialTokenAmount) / Math.pow(10, decimals))
+                : null,
+            platform: existing?.platform || platform,
+            poolId: existing?.poolId || swapDetails.poolId || null, // Lets exits reuse the pool the trader bought through
+            dexInstruction: existing?.dexInstruction || swapDetails.dexInstruction || null, // Raydium and Meteora exits rebuild from this
+            traderName: existing?.traderName || traderName,
+            walletLabel: Object.values(holdings)[0].walletLabel,
+            holdings,
+            buySignature: filled[filled.length - 1].result.signature,
+            buyTime: existing?.buyTime || now,
+            lastUpdated: now
+        };
+
+        await this.dataManager.addPosition(chatId, tokenMint, positionData);
+        this.logInfo(`[PORTFOLIO] 📊 Position stored for user ${chatId}: ${tokenAmount} tokens of ${shortenAddress(tokenMint)} across ${Object.keys(holdings).length} wallet(s)`);
+    }
+
+    // ===== RISK MANAGER =====
+
+    // Rejects or downsizes a buy against the user's limits. Paper users are checked against their paper book;
+    // the daily loss limit only counts real sells. 0 disables a limit.
+    async _checkRisk(chatId, tokenMint, lamports, userConfig) {
+        const limits = userConfig.risk;
+        const toLamports = (sol) => Math.floor(sol * 1e9);
+        const reject = (rule, reason) => ({ allowed: false, rule, reason, lamports: 0 });
+
+        if (limits.dailyLossLimitSol > 0 && !userConfig.paperTrade) {
+            const pnl24h = await this.dataManager.getRealizedPnlSince(chatId, Date.now() - 24 * 60 * 60 * 1000);
+            if (pnl24h <= -toLamports(limits.dailyLossLimitSol)) {
+                return reject('daily_loss_limit', `Daily loss limit hit: ${(pnl24h / 1e9).toFixed(4)} SOL realized in the last 24h (limit -${limits.dailyLossLimitSol} SOL).`);
+            }
+        }
+
+        const positions = userConfig.paperTrade
+            ? await this.dataManager.getAllPaperPositions(chatId)
+            : await this.dataManager.getAllPositions(chatId);
+        const entries = Object.entries(positions || {});
+        const holdsToken = entries.some(([mint]) => mint === tokenMint);
+
+        if (limits.maxPositions > 0 && !holdsToken && entries.length >= limits.maxPositions) {
+            return reject('max_positions', `Max open positions reached: ${entries.length}/${limits.maxPositions}.`);
+        }
+
+        if (limits.maxSolAmount > 0 && lamports > toLamports(limits.maxSolAmount)) {
+            lamports = toLamports(limits.maxSolAmount);
+            this.logInfo(`[RISK] 🔧 User ${chatId}: downsized to max ${limits.maxSolAmount} SOL per trade`);
+        }
+
+        if (limits.maxTotalExposureSol > 0) {
+            const exposure = entries.reduce((sum, [, position]) => sum + this._openCostBasis(position), 0);
+            const room = toLamports(limits.maxTotalExposureSol) - exposure;
+            if (room <= 0) {
+                return reject('max_total_exposure', `Max total exposure reached: ${(exposure / 1e9).toFixed(4)}/${limits.maxTotalExposureSol} SOL in open positions.`);
+            }
+            if (lamports > room) {
+                lamports = room;
+                this.logInfo(`[RISK] 🔧 User ${chatId}: downsized to the ${(room / 1e9).toFixed(4)} SOL left under max total exposure`);
+            }
+        }
+
+        if (limits.maxTokenExposureSol > 0) {
+            const held = positions?.[tokenMint];
+            const exposure = held ? this._openCostBasis(held) : 0;
+            const room = toLamports(limits.maxTokenExposureSol) - exposure;
+            if (room <= 0) {
+                return reject('max_token_exposure', `Max exposure to ${shortenAddress(tokenMint)} reached: ${(exposure / 1e9).toFixed(4)}/${limits.maxTokenExposureSol} SOL.`);
+            }
+            if (lamports > room) {
+                lamports = room;
+                this.logInfo(`[RISK] 🔧 User ${chatId}: downsized to the ${(room / 1e9).toFixed(4)} SOL left under max exposure to ${shortenAddress(tokenMint)}`);
+            }
+        }
+
+        // Checked last so a downsized trade that ends up too small is still rejected
+        if (limits.minSolAmount > 0 && lamports < toLamports(limits.minSolAmount)) {
+            return reject('min_trade_size', `Trade size ${(lamports / 1e9).toFixed(4)} SOL is below the ${limits.minSolAmount} SOL minimum.`);
+        }
+
+        return { allowed: true, lamports };
+    }
+
+    // SOL still at risk in a position: its cost scaled by the share of tokens not yet sold
+    _openCostBasis(position) {
+        const solSpent = Number(position.solSpent) || 0;
+        const initialRaw = Number(position.initialTokenAmount || position.tokenAmount);
+        const currentRaw = Number(position.tokenAmount);
+        if (!(initialRaw > 0)) return solSpent;
+        return Math.floor(solSpent * Math.min(1, currentRaw / initialRaw));
+    }
+
+    // ===== MARKET GATES (LIQUIDITY / MARKET CAP / CURVE PROGRESS) =====
+
+    // Returns { rule, reason } when the pool is outside the user's bounds, null when the buy may go ahead.
+    // Platforms whose reserves we can't read are let through.
+    async _checkMarketGates(chatId, tokenMint, platform, poolId, userConfig) {
+        const gates = userConfig.marketGates;
+        if (!Object.values(gates).some(value => value > 0)) {
+            return null;
+        }
+
+        let market;
+        try {
+            market = await this._readMarketState(tokenMint, platform, poolId);
+        } catch (error) {
+            this.logWarn(`[MARKET-GATE] ⚠️ Could not read reserves for ${shortenAddress(tokenMint)}`, { error: error.message });
+            return null;
+        }
+        if (!market) {
+            this.logInfo(`[MARKET-GATE] ⏭️ No reserve reader for ${platform}; liquidity and market-cap gates skipped for ${shortenAddress(tokenMint)}`);
+            return null;
+        }
+
+        const { liquiditySol, marketCapSol, curveProgressPercent } = market;
+        this.logInfo(`[MARKET-GATE] 📊 ${shortenAddress(tokenMint)} (${market.source}): liquidity ${liquiditySol.toFixed(2)} SOL, mcap ${marketCapSol.toFixed(2)} SOL${curveProgressPercent !== null ? `, curve ${curveProgressPercent.toFixed(1)}%` : ''}`);
+
+        if (gates.minLiquiditySol > 0 && liquiditySol < gates.minLiquiditySol) {
+            return { rule: 'min_liquidity', reason: `Liquidity ${liquiditySol.toFixed(2)} SOL is below your ${gates.minLiquiditySol} SOL minimum.` };
+        }
+        if (gates.maxLiquiditySol > 0 && liquiditySol > gates.maxLiquiditySol) {
+            return { rule: 'max_liquidity', reason: `Liquidity ${liquiditySol.toFixed(2)} SOL is above your ${gates.maxLiquiditySol} SOL maximum.` };
+        }
+        if (gates.minMarketCapSol > 0 && marketCapSol < gates.minMarketCapSol) {
+            return { rule: 'min_market_cap', reason: `Market cap ${marketCapSol.toFixed(2)} SOL is below your ${gates.minMarketCapSol} SOL minimum.` };
+        }
+        if (gates.maxMarketCapSol > 0 && marketCapSol > gates.maxMarketCapSol) {
+            return { rule: 'max_market_cap', reason: `Market cap ${marketCapSol.toFixed(2)} SOL is above your ${gates.maxMarketCapSol} SOL maximum.` };
+        }
+        if (gates.maxCurveProgressPercent > 0 && curveProgressPercent !== null && curveProgressPercent > gates.maxCurveProgressPercent) {
+            return { rule: 'max_curve_progress', reason: `Bonding curve is ${curveProgressPercent.toFixed(1)}% complete, past your ${gates.maxCurveProgressPercent}% limit.` };
+        }
+
+        return null;
+    }
+
+    // Liquidity is the SOL side of the curve or pool; market cap is spot price × total supply, both in SOL.
+    // Pump.fun tokens read the bonding curve while it is live and their PumpSwap pool after migration.
+    async _readMarketState(tokenMint, platform, poolId) {
+        const key = String(platform || '').toLowerCase();
+        const isPumpCurve = ['pumpfun', 'pump_fun'].includes(key);
+        const isPumpSwap = ['pumpswap', 'pumpfunamm', 'pump_fun_amm'].includes(key);
+        if (!isPumpCurve && !isPumpSwap) {
+            return null;
+        }
+
+        if (isPumpCurve) {
+            const curve = await this._readBondingCurve(tokenMint);
+            if (curve && !curve.complete) {
+                const marketCapLamports = (curve.virtualSolReserves * curve.tokenTotalSupply) / curve.virtualTokenReserves;
+                const initialReal = config.PUMP_FUN_CONSTANTS.INITIAL_REAL_TOKEN_RESERVES;
+                const soldRaw = initialReal > curve.realTokenReserves ? initialReal - curve.realTokenReserves : 0n;
+                return {
+                    source: 'bonding curve',
+                    liquiditySol: Number(curve.realSolReserves) / 1e9,
+                    marketCapSol: Number(marketCapLamports) / 1e9,
+                    curveProgressPercent: Number((soldRaw * 10000n) / initialReal) / 100
+                };
+            }
+        }
+
+        const pool = isPumpSwap && poolId ? new PublicKey(poolId) : await this._resolvePumpSwapPoolIfMigrated(tokenMint);
+        if (!pool) {
+            return null;
+        }
+        const poolState = await this.solanaManager.getDecodedAmmPool(pool.toBase58());
+        if (!poolState) {
+            throw new Error(`PumpSwap pool ${pool.toBase58()} could not be decoded`);
+        }
+
+        const [baseBalance, quoteBalance, supply] = await Promise.all([
+            this.solanaManager.connection.getTokenAccountBalance(poolState.pool_base_token_account, 'processed'),
+            this.solanaManager.connection.getTokenAccountBalance(poolState.pool_quote_token_account, 'processed'),
+            this.solanaManager.connection.getTokenSupply(new PublicKey(tokenMint), 'processed')
+        ]);
+        // PumpSwap pools are normally token/wSOL, but read the side that actually holds SOL
+        const solIsBase = poolState.base_mint.toBase58() === config.NATIVE_SOL_MINT;
+        const solReserve = BigInt(solIsBase ? baseBalance.value.amount : quoteBalance.value.amount);
+        const tokenReserve = BigInt(solIsBase ? quoteBalance.value.amount : baseBalance.value.amount);
+        if (tokenReserve === 0n) {
+            throw new Error('PumpSwap pool has no token reserve');
+        }
+
+        return {
+            source: 'PumpSwap pool',
+            liquiditySol: Number(solReserve) / 1e9,
+            marketCapSol: Number((solReserve * BigInt(supply.value.amount)) / tokenReserve) / 1e9,
+            curveProgressPercent: null
+        };
+    }
+
+    // Bonding curve layout: 8-byte discriminator, five u64 fields, then the `complete` flag. null when the curve is gone.
+    async _readBondingCurve(tokenMint) {
+        const pumpFunProgramId = config.PLATFORM_IDS.PUMP_FUN;
+        const [bondingCurvePDA] = PublicKey.findProgramAddressSync(
+            [Buffer.from('bonding-curve'), new PublicKey(tokenMint).toBuffer()],
+            pumpFunProgramId
+        );
+        const account = await this.solanaManager.connection.getAccountInfo(bondingCurvePDA, 'processed');
+        if (!account || !account.owner.equals(pumpFunProgramId) || account.data.length < 49) {
+            return null;
+        }
+
+        const data = account.data;
+        return {
+            virtualTokenReserves: data.readBigUInt64LE(8),
+            virtualSolReserves: data.readBigUInt64LE(16),
+            realTokenReserves: data.readBigUInt64LE(24),
+            realSolReserves: data.readBigUInt64LE(32),
+            tokenTotalSupply: data.readBigUInt64LE(40),
+            complete: data[48] === 1
+        };
+    }
+
+    // ===== TOKEN SAFETY =====
+
+    // Verdict under the user's policy. A failed inspection is reported as a warning rather than blocking the copy.
+    async _checkTokenSafety(chatId, tokenMint, platform, poolId, userConfig) {
+        try {
+            const report = await this.tokenSafetyChecker.inspect(tokenMint, { platform, poolId });
+            const safety = this.tokenSafetyChecker.evaluate(report, userConfig.safetyPolicy);
+            if (safety.findings.length > 0) {
+                this.logInfo(`[TOKEN-SAFETY] ${safety.verdict === 'block' ? '⛔' : '⚠️'} User ${chatId}, ${shortenAddress(tokenMint)}: ${safety.findings.map(f => `${f.message} (${f.level})`).join('; ')}`);
+            }
+            return safety;
+        } catch (error) {
+            this.logWarn(`[TOKEN-SAFETY] ⚠️ Could not inspect ${shortenAddress(tokenMint)}`, { error: error.message });
+            return { verdict: 'warn', findings: [{ check: 'inspection', level: 'warn', message: 'safety checks unavailable' }] };
+        }
+    }
+
+    // ===== PRE-SIGNED EXITS =====
+
+    // Broadcasts the stored full-exit sell when it covers exactly this sell from this wallet; null means build the sell as usual
+    async _firePreSignedExit(chatId, tokenMint, amountRaw, walletId) {
+        if (!config.PRESIGNED_EXITS.ENABLED) {
+            return null;
+        }
+
+        const stored = await this.redisManager.getPreSignedTx(chatId, tokenMint);
+        if (!stored) {
+            return null;
+        }
+        if (stored.walletId && stored.walletId !== walletId) {
+            this.logInfo(`[PRESIGN] ⏭️ Stored exit for ${shortenAddress(tokenMint)} was signed by another wallet. Building instead.`);
+            return null;
+        }
+        if (stored.tokenAmount !== String(amountRaw)) {
+            this.logInfo(`[PRESIGN] ⏭️ Stored exit for ${shortenAddress(tokenMint)} covers ${stored.tokenAmount} raw tokens, this sell is ${amountRaw}. Building instead.`);
+            return null;
+        }
+
+        // Single use: once broadcast (or found stale) it must never be sent again
+        await this.redisManager.deletePreSignedTx(chatId, tokenMint);
+        const result = await this.singaporeSender.sendPreSignedTransaction(stored);
+        if (!result.success) {
+            this.logWarn(`[PRESIGN] ⚠️ Pre-signed exit for ${shortenAddress(tokenMint)} did not land (${result.error}). Building a fresh sell.`);
+            return null;
+        }
+
+        this.logInfo(`[PRESIGN] ⚡ User ${chatId}: pre-signed exit for ${shortenAddress(tokenMint)} confirmed in ${result.executionTime}ms`);
+        return { ...result, preSigned: true };
+    }
+
+    // Refreshes run one at a time per user so two trades finishing together don't both sign against the same nonce
+    _schedulePreSignedExitRefresh(chatId, tokenMint) {
+        if (!config.PRESIGNED_EXITS.ENABLED) {
+            return;
+        }
+
+        const previous = this.preSignRefreshes.get(chatId) || Promise.resolve();
+        const next = previous
+            .then(() => this._refreshPreSignedExit(chatId, tokenMint))
+            .catch(error => this.logWarn(`[PRESIGN] ⚠️ Refresh failed for user ${chatId}: ${error.message}`))
+            .finally(() => {
+                if (this.preSignRefreshes.get(chatId) === next) {
+                    this.preSignRefreshes.delete(chatId);
+                }
+            });
+        this.preSignRefreshes.set(chatId, next);
+    }
+
+    // Re-signs the full exit of the position a trade just touched. Each wallet has one nonce and any trade from it
+    // advances that nonce, so the touched position becomes the wallet's only warm exit and its others are dropped.
+    // Only positions held by a single wallet with a nonce account qualify.
+    async _refreshPreSignedExit(chatId, tokenMint) {
+        const positions = await this.dataManager.getAllPositions(chatId);
+        const position = positions[tokenMint];
+        const holdings = position ? await this._positionHoldings(chatId, position) : [];
+        if (holdings.length !== 1) {
+            await this.redisManager.deletePreSignedTx(chatId, tokenMint);
+            return;
+        }
+        const walletId = holdings[0].walletId;
+
+        // Exits this wallet signed for other positions were spent with the nonce
+        for (const otherMint of Object.keys(positions)) {
+            if (otherMint === tokenMint) continue;
+            const other = await this.redisManager.getPreSignedTx(chatId, otherMint);
+            if (other && other.walletId === walletId) {
+                await this.redisManager.deletePreSignedTx(chatId, otherMint);
+            }
+        }
+
+        const tradingWallet = await this._getTradingWalletById(walletId);
+        const nonceAccountPubkey = tradingWallet?.wallet?.nonceAccountPubkey;
+        if (!nonceAccountPubkey) {
+            this.logInfo(`[PRESIGN] ⏭️ User ${chatId}'s wallet ${tradingWallet?.wallet?.label || walletId} has no nonce account; its exits will be built when they fire.`);
+            await this.redisManager.deletePreSignedTx(chatId, tokenMint);
+            return;
+        }
+
+        const { nonce } = await this.singaporeSender.getDurableNonce(nonceAccountPubkey);
+        const stored = await this.redisManager.getPreSignedTx(chatId, tokenMint);
+        if (stored && stored.nonce === nonce && stored.tokenAmount === position.tokenAmount && stored.walletId === walletId) {
+            return;
+        }
+
+        let settings = await this.dataManager.getSettings();
+        if (!settings) {
+            await this.dataManager.initializeDefaultSettings();
+            settings = await this.dataManager.getSettings();
+        }
+        const userConfig = {
+            ...await this._buildUserConfig(chatId, settings, tradingWallet.keypair, tradingWallet.wallet),
+            paperTrade: false,
+            nonceAccountPubkey,
+            presignOnly: true
+        };
+
+        const swapDetails = {
+            platform: position.platform,
+            tradeType: 'sell',
+            inputMint: tokenMint,
+            outputMint: config.NATIVE_SOL_MINT,
+            inputAmount: position.tokenAmount,
+            sellFraction: 1,
+            poolId: position.poolId,
+            dexInstruction: position.dexInstruction
+        };
+
+        const result = await this._routeSwap(position.platform, swapDetails, userConfig, 'sell').catch(error => ({ success: false, error: error.message }));
+        if (!result || !result.presigned) {
+            await this.redisManager.deletePreSignedTx(chatId, tokenMint);
+            this.logWarn(`[PRESIGN] ⚠️ Could not pre-sign the exit for user ${chatId} on ${shortenAddress(tokenMint)}: ${result?.error || 'builder returned no transaction'}`);
+            return;
+        }
+
+        await this.redisManager.addPreSignedTx(chatId, tokenMint, {
+            ...result,
+            tokenAmount: position.tokenAmount,
+            walletId,
+            signedAt: new Date().toISOString()
+        }, PRESIGNED_EXIT_TTL_SECONDS);
+        this.logInfo(`[PRESIGN] 🔏 User ${chatId}: exit for ${position.tokenAmount} raw ${shortenAddress(tokenMint)} signed on nonce ${shortenAddress(nonce)}`);
+    }
+
+    // ===== PAPER TRADING =====
+
+    // Records a simulated fill in the paper portfolio and sends the PAPER-tagged notification
+    async _finalizePaperTrade(chatId, tokenMint, position, result, context) {
+        const { tradeType, swapDetails, traderName, walletLabel, platform, amountSpentInLamports, exitTrigger, safety, consensus } = context;
+        const simulatedOut = BigInt(result.simulatedOutputAmount || '0');
+        const now = new Date().toISOString();
+
+        if (tradeType === 'buy') {
+            if (simulatedOut <= 0n) {
+                throw new Error('Paper simulation returned no tokens for this buy.');
+            }
+
+            // Repeat buys of the same token accumulate into one paper position
+            const existing = await this.dataManager.getPaperPosition(chatId, tokenMint);
+            const decimals = existing?.decimals ?? await this._getMintDecimals(tokenMint);
+            const tokenAmount = (existing ? BigInt(existing.tokenAmount) : 0n) + simulatedOut;
+            const solSpent = (existing?.solSpent || 0) + amountSpentInLamports;
+
+            await this.dataManager.addPaperPosition(chatId, tokenMint, {
+                tokenMint,
+                tokenAmount: tokenAmount.toString(),
+                decimals,
+                solSpent,
+                solReturned: existing?.solReturned || 0,
+                entryPriceSol: typeof decimals === 'number' ? (solSpent / 1e9) / (Number(tokenAmount) / Math.pow(10, decimals)) : null,
+                platform,
+                traderName,
+                walletLabel,
+                buySignature: result.signature,
+                buyTime: existing?.buyTime || now,
+                lastUpdated: now
+            });
+            await this.dataManager.recordPaperFill(chatId, {
+                side: 'buy',
+                tokenMint,
+                traderName,
+                platform,
+                solLamports: amountSpentInLamports,
+                tokenAmount: simulatedOut.toString()
+            });
+
+            await this.notificationManager.sendTradeNotification({
+                chatId,
+                walletLabel,
+                signature: result.signature,
+                traderName,
+                platform,
+                solSpent: amountSpentInLamports,
+                inputMint: swapDetails.inputMint,
+                outputMint: swapDetails.outputMint,
+                tokensBoughtRaw: simulatedOut,
+                decimals: typeof decimals === 'number' ? decimals : 'unknown',
+                paper: true,
+                safety,
+                consensus
+            });
+
+            this.logInfo(`[PAPER] 📝 User ${chatId}: paper buy of ${simulatedOut} ${shortenAddress(tokenMint)} for ${amountSpentInLamports} lamports recorded.`);
+            return;
+        }
+
+        const amountSoldRaw = BigInt(swapDetails.inputAmount);
+        const remainingRaw = BigInt(position.tokenAmount) - amountSoldRaw;
+        const solReceived = Number(simulatedOut);
+
+        if (remainingRaw > 0n) {
+            await this.dataManager.updatePaperPosition(chatId, tokenMint, {
+                tokenAmount: remainingRaw.toString(),
+                solReturned: (position.solReturned || 0) + solReceived
+            });
+        } else {
+            await this.dataManager.removePaperPosition(chatId, tokenMint);
+        }
+        await this.dataManager.recordPaperFill(chatId, {
+            side: 'sell',
+            tokenMint,
+            traderName,
+            platform,
+            solLamports: solReceived,
+            tokenAmount: amountSoldRaw.toString(),
+            estimated: Boolean(result.estimated)
+        });
+
+        await this.notificationManager.sendSellNotification({
+            chatId,
+            walletLabel,
+            signature: result.signature,
+            traderName,
+            platform,
+            tokenMint,
+            tokensSoldRaw: amountSoldRaw,
+            decimals: position.decimals,
+            solReceived,
+            solSpent: position.solSpent,
+            positionClosed: remainingRaw <= 0n,
+            exitTrigger,
+            paper: true
+        });
+
+        this.logInfo(`[PAPER] 📝 User ${chatId}: paper sell of ${amountSoldRaw} ${shortenAddress(tokenMint)} for ${solReceived} lamports recorded${result.estimated ? ' (priced from the trader fill)' : ''}.`);
+    }
+
+    // A paper wallet never really holds the tokens, so sells usually fail simulation; price them at the trader's own fill instead
+    _estimatePaperSellFromTrader(message, amountRaw) {
+        const traderDetails = message.analysisResult.swapDetails;
+        const traderSold = BigInt(traderDetails.inputAmount || 0);
+        const traderReceived = BigInt(Math.floor(traderDetails.traderOutputAmount || 0));
+        if (traderSold <= 0n || traderReceived <= 0n) {
+            return null;
+        }
+
+        this.logInfo(`[PAPER] 📝 Sell simulation unavailable; pricing at the trader's fill (${traderReceived} lamports for ${traderSold} raw tokens).`);
+        return {
+            success: true,
+            paper: true,
+            estimated: true,
+            signature: `paper_${Date.now()}_estimate`,
+            executionTime: 0,
+            simulatedOutputAmount: ((amountRaw * traderReceived) / traderSold).toString()
+        };
+    }
+
+    // Mint decimals sit at byte 44 for both SPL Token and Token-2022 mints
+    async _getMintDecimals(mint) {
+        try {
+            const info = await this.solanaManager.connection.getAccountInfo(new PublicKey(mint), 'processed');
+            return info && info.data.length > 44 ? info.data[44] : null;
+        } catch (error) {
+            this.logWarn(`[PAPER] ⚠️ Could not read decimals for ${shortenAddress(mint)}: ${error.message}`);
+            return null;
+        }
+    }
+
+    // --- SEND FAILURE NOTIFICATION TO TELEGRAM ---
+    async _notifyCopyFailure(chatId, traderName, platform, signature, error) {
+        try {
+            if (!this.notificationManager) return;
+
+            let errorTitle = 'Trade Execution Failed';
+            let errorDetails = `Trader: ${traderName}\nPlatform: ${platform}\nError: ${error.message}\nSignature: ${signature}`;
+
+            if (error.message.includes('insufficient') || error.message.includes('balance') ||
+                error.message.includes('Insufficient') || error.message.includes('Balance')) {
+                errorTitle = '💰 Insufficient Balance Error';
+                errorDetails = `🚨 *INSUFFICIENT BALANCE DETECTED*\n\n` +
+                             `*Trader*: ${traderName}\n` +
+                             `*Platform*: ${platform}\n` +
+                             `*Error*: ${error.message}\n` +
+                             `*Signature*: ${signature}\n\n` +
+                             `⚠️ *Action Required*: Please add more SOL to your trading wallet!`;
+            }
+            else if (error.message.includes('fetch failed') || error.message.includes('timeout') ||
+                     error.message.includes('network') || error.message.includes('connection')) {
+                errorTitle = '🌐 Network Error';
+                errorDetails = `🔌 *NETWORK CONNECTION ISSUE*\n\n` +
+                             `*Trader*: ${traderName}\n` +
+                             `*Platform*: ${platform}\n` +
+                             `*Error*: ${error.message}\n` +
+                             `*Signature*: ${signature}\n\n` +
+                             `🔄 *Status*: Bot will retry automatically`;
+            }
+            else if (error.message.includes('rejected') || error.message.includes('failed') ||
+                     error.message.includes('invalid') || error.message.includes('error')) {
+                errorTitle = '❌ Transaction Rejected';
+                errorDetails = `🚫 *TRANSACTION REJECTED*\n\n` +
+                             `*Trader*: ${traderName}\n` +
+                             `*Platform*: ${platform}\n` +
+                             `*Error*: ${error.message}\n` +
+                             `*Signature*: ${signature}\n\n` +
+                             `🔍 *Possible Causes*: Slippage too low, token not found, or market conditions changed`;
+            }
+
+            await this.notificationManager.sendErrorNotification(chatId, errorTitle, errorDetails);
+
+            this.logInfo(`[EXEC-USER] 📱 Failure notification sent to user ${chatId}`);
+        } catch (notificationError) {
+            this.logError(`[EXEC-USER] ⚠️ Failed to send failure notification: ${notificationError.message}`);
+        }
+    }
+    
+    // Cancels a copy that hasn't been sent yet; the executor checks for it before building and again before sending
+    async cancelTrade(message) {
+        const { tradeId } = message;
+        try {
+            const trade = await this.dataManager.transitionTrade(tradeId, 'cancelled', { failureReason: message.reason || 'cancelled' });
+            if (trade) {
+                this.logInfo('Trade cancelled', { tradeId });
+                this.signalMessage('TRADE_CANCELLED', { tradeId, chatId: trade.chatId });
+            } else {
+                this.logWarn('Trade not found or already sent, not cancelled', { tradeId });
+            }
+        } catch (error) {
+            this.logError('Failed to cancel trade', { tradeId, error: error.message });
+        }
+    }
+
+    async getTradeStatus(message) {
+        const { tradeId } = message;
+        try {
+            const trade = await this.dataManager.getTradeRecord(tradeId);
+            this.signalMessage('TRADE_STATUS_RESPONSE', {
+                tradeId,
+                status: trade ? trade.state : 'not_found',
+                trade
+            });
+        } catch (error) {
+            this.logError('Failed to get trade status', { tradeId, error: error.message });
+        }
+    }
+
+    // In-flight copies of one user
+    async getPendingTrades(message) {
+        const { chatId } = message;
+        try {
+            const trades = (await this.dataManager.getUserTrades(chatId))
+                .filter(trade => !TERMINAL_TRADE_STATES.includes(trade.state));
+            this.signalMessage('PENDING_TRADES_RESPONSE', {
+                chatId,
+                count: trades.length,
+                trades
+            });
+        } catch (error) {
+            this.logError('Failed to get pending trades', { chatId, error: error.message });
+        }
+    }
+
+    async customCleanup() {
+        try {
+            if (this.queuePollTimer) {
+                clearInterval(this.queuePollTimer);
+                this.queuePollTimer = null;
+            }
+
+            if (this.dataManager) {
+                await this.dataManager.close();
+            }
+
+            this.logInfo('Trade executor worker cleanup completed');
+        } catch (error) {
+            this.logError('Error during cleanup', { error: error.message });
+        }
+    }
+
+    async _getUserWallet(userConfig = {}) {
+        // Per-user copies carry their own resolved keypair; only legacy callers fall through to the first user
+        if (userConfig.userWallet) {
+            return userConfig.userWallet;
+        }
+
+        try {
+            if (userConfig.chatId && this.walletManager) {
+                const userWallet = await this.walletManager.getPrimaryTradingKeypair(userConfig.chatId);
+                if (userWallet && userWallet.keypair) {
+                    return userWallet.keypair;
+                }
+                throw new Error(`No trading wallet found for user ${userConfig.chatId}`);
+            }
+
+            const users = await this.dataManager.readJsonFile('users.json');
+            if (!users || !users.users) {
+                throw new Error('No users found in database');
+            }
+            
+            const firstUserId = Object.keys(users.users)[0];
+            if (!firstUserId) {
+                throw new Error('No users found');
+            }
+            
+            const user = users.users[firstUserId];
+            this.logInfo(`[PDA-ATA] 🔍 Using user: ${user.first_name} (${user.chat_id})`);
+            
+            if (this.walletManager) {
+                const userWallet = await this.walletManager.getPrimaryTradingKeypair(user.chat_id);
+                if (userWallet && userWallet.keypair && userWallet.wallet) {
+                    this.logInfo(`[PDA-ATA] ✅ Found wallet: ${userWallet.wallet.publicKey.toString()}`);
+                    return userWallet.keypair;
+                }
+            }
+            
+            const walletFromEnv = process.env.WALLET_PUBLIC_KEY;
+            if (walletFromEnv) {
+                this.logInfo(`[PDA-ATA] ✅ Using wallet from environment: ${walletFromEnv}`);
+                throw new Error('Environment wallet fallback not supported - private key required for signing');
+            }
+            
+            throw new Error('No user wallet found');
+        } catch (error) {
+            this.logError(`[PDA-ATA] ❌ Failed to get user wallet: ${error.message}`);
+            throw error;
+        }
+    }
+    
+    async _fetchTradeResults(signature, outputMint, userWalletPublicKey) {
+        try {
+            this.logInfo(`[VERIFY-V2] 🔍 Fetching results for sig: ${shortenAddress(signature)}`);
+            await new Promise(resolve => setTimeout(resolve, 2000));
+
+            const tx = await this.solanaManager.connection.getTransaction(signature, {
+                maxSupportedTransactionVersion: 0,
+                commitment: 'confirmed'
+            });
+
+            if (!tx) {
+                this.logWarn(`[VERIFY-V2] ⚠️ Transaction not found. Cannot verify token amount.`);
+                return null;
+            }
+
+            const postBalances = tx.meta.postTokenBalances;
+            const preBalances = tx.meta.preTokenBalances;
+            const ownerAddress = userWalletPublicKey.toBase58();
+            const mintAddress = outputMint.toString();
+
+            const postBalance = postBalances.find(tb => tb.owner === ownerAddress && tb.mint === mintAddress);
+            const preBalance = preBalances.find(tb => tb.owner === ownerAddress && tb.mint === mintAddress);
+
+            const amountBought = BigInt(postBalance?.uiTokenAmount?.amount || '0') - BigInt(preBalance?.uiTokenAmount?.amount || '0');
+            const decimals = postBalance?.uiTokenAmount?.decimals ?? 0;
+
+            this.logInfo(`[VERIFY-V2] ✅ Verification complete. Bought: ${amountBought} (raw)`);
+            return { amountBoughtRaw: amountBought, decimals };
+
+        } catch (error) {
+            this.logError(`[VERIFY-V2] ❌ Error fetching trade results`, { signature: shortenAddress(signature), error: error.message });
+            return null;
+        }
+    }
+    
+    async _fetchSellResults(signature, tokenMint, userWalletPublicKey) {
+        try {
+            this.logInfo(`[VERIFY-SELL] 🔍 Fetching sell results for sig: ${shortenAddress(signature)}`);
+            await new Promise(resolve => setTimeout(resolve, 2000));
+
+            const tx = await this.solanaManager.connection.getTransaction(signature, {
+                maxSupportedTransactionVersion: 0,
+                commitment: 'confirmed'
+            });
+
+            if (!tx) {
+                this.logWarn(`[VERIFY-SELL] ⚠️ Transaction not found. Cannot verify sold amount.`);
+                return null;
+            }
+
+            const ownerAddress = userWalletPublicKey.toBase58();
+            const mintAddress = tokenMint.toString();
+
+            const preBalance = tx.meta.preTokenBalances.find(tb => tb.owner === ownerAddress && tb.mint === mintAddress);
+            const postBalance = tx.meta.postTokenBalances.find(tb => tb.owner === ownerAddress && tb.mint === mintAddress);
+            const amountSold = BigInt(preBalance?.uiTokenAmount?.amount || '0') - BigInt(postBalance?.uiTokenAmount?.amount || '0');
+
+            // The fee payer is always account 0, so its lamport delta is the SOL we received net of fees
+            const solReceived = tx.meta.postBalances[0] - tx.meta.preBalances[0];
+
+            this.logInfo(`[VERIFY-SELL] ✅ Verification complete. Sold: ${amountSold} (raw), received: ${solReceived} lamports`);
+            return { amountSoldRaw: amountSold, solReceivedLamports: solReceived };
+
+        } catch (error) {
+            this.logError(`[VERIFY-SELL] ❌ Error fetching sell results`, { signature: shortenAddress(signature), error: error.message });
+            return null;
+        }
+    }
+
+    async _reconstructPumpFunBondingCurve(tokenMint) {
+        try {
+            const { PublicKey } = require('@solana/web3.js');
+            
+            const pumpFunProgramId = config.PLATFORM_IDS.PUMP_FUN;
+            const tokenMintPubkey = new PublicKey(tokenMint);
+            
+            const [bondingCurvePDA, bump] = PublicKey.findProgramAddressSync(
+                [Buffer.from('bonding-curve'), tokenMintPubkey.toBuffer()],
+                pumpFunProgramId
+            );
+            
+            this.logInfo(`[PDA-ATA] 🔧 PumpFun bonding curve PDA: ${bondingCurvePDA.toString()}`);
+            this.logInfo(`[PDA-ATA] 🔧 Bump: ${bump}`);
+            
+            return bondingCurvePDA.toString();
+            
+        } catch (error) {
+            this.logError(`[PDA-ATA] ❌ Failed to reconstruct PumpFun bonding curve: ${error.message}`);
+            throw error;
+        }
+    }
+    
+    async _reconstructRaydiumPool(mintA, mintB) {
+        try {
+            const { PublicKey } = require('@solana/web3.js');
+            
+            const raydiumProgramId = config.PLATFORM_IDS.RAYDIUM_V4;
+            const mintAPubkey = new PublicKey(mintA);
+            const mintBPubkey = new PublicKey(mintB);
+            
+            const [poolPDA, bump] = PublicKey.findProgramAddressSync(
+                [Buffer.from('pool'), mintAPubkey.toBuffer(), mintBPubkey.toBuffer()],
+                raydiumProgramId
+            );
+            
+            this.logInfo(`[PDA-ATA] 🔧 Raydium pool PDA: ${poolPDA.toString()}`);
+            this.logInfo(`[PDA-ATA] 🔧 Bump: ${bump}`);
+            
+            return poolPDA.toString();
+            
+        } catch (error) {
+            this.logError(`[PDA-ATA] ❌ Failed to reconstruct Raydium pool: ${error.message}`);
+            throw error;
+        }
+    }
+
+    // ===== DIRECT TRANSACTION BUILDING (BYPASSES API ROUTES) =====
+    
+    async executeDirectCopyTrade(message, userConfig = {}) {
+        try {
+            this.logInfo(`[DIRECT-BUILDER] 🚀 Building DIRECT copy from original transaction...`);
+            
+            const originalTransaction = message.originalTransaction;
+            const programIds = message.programIds;
+            const analysisResult = message.analysisResult;
+            
+            const userWallet = await this._getUserWallet(userConfig);
+            if (!userWallet) {
+                throw new Error('User wallet not found');
+            }
+            
+            this.logInfo(`[DIRECT-BUILDER] 🔍 Original transaction analysis:`, {
+                programIds: programIds,
+                platform: analysisResult?.swapDetails?.platform,
+                inputMint: analysisResult?.swapDetails?.inputMint,
+                outputMint: analysisResult?.swapDetails?.outputMint,
+                inputAmount: analysisResult?.swapDetails?.inputAmount
+            });
+            
+            const originalInstructions = originalTransaction.transaction.message.instructions;
+            const originalAccountKeys = originalTransaction.transaction.message.accountKeys;
+            
+            this.logInfo(`[DIRECT-BUILDER] 🔍 Found ${originalInstructions.length} original instructions`);
+            this.logInfo(`[DIRECT-BUILDER] 🔍 Account keys length: ${originalAccountKeys.length}`);
+            
+            const userInstructions = [];
+            
+            for (const originalInstruction of originalInstructions) {
+                this.logInfo(`[DIRECT-BUILDER] 🔧 Processing instruction:`, {
+                    programId: originalInstruction.programId,
+                    dataLength: originalInstruction.data.length,
+                    accountCount: originalInstruction.accounts.length
+                });
+                
+                this.logInfo(`[DIRECT-BUILDER] 🔍 Accounts array:`, originalInstruction.accounts);
+                this.logInfo(`[DIRECT-BUILDER] 🔍 Accounts types:`, originalInstruction.accounts.map(acc => typeof acc));
+                
+                const userInstruction = {
+                    programId: originalInstruction.programId,
+                    keys: [],
+                    data: originalInstruction.data
+                };
+                
+                for (const accountIndex of originalInstruction.accounts) {
+                    if (typeof accountIndex !== 'number' || accountIndex < 0 || accountIndex >= originalAccountKeys.length) {
+                        this.logWarn(`[DIRECT-BUILDER] ⚠️ Skipping invalid account index: ${accountIndex} (type: ${typeof accountIndex}, max: ${originalAccountKeys.length - 1})`);
+                        continue;
+                    }
+                    
+                    const originalAccount = originalAccountKeys[accountIndex];
+                    
+                    if (!originalAccount) {
+                        this.logWarn(`[DIRECT-BUILDER] ⚠️ Skipping undefined account at index ${accountIndex}`);
+                        continue;
+                    }
+                    
+                    if (this._isTraderWallet(originalAccount, message.traderWallet)) {
+                        userInstruction.keys.push({
+                            pubkey: userWallet.publicKey,
+                            isSigner: true,
+                            isWritable: true
+                        });
+                        this.logInfo(`[DIRECT-BUILDER] 🔄 Replaced trader wallet with user wallet`);
+                    } else {
+                        try {
+                            const { PublicKey } = require('@solana/web3.js');
+                            const pubkey = new PublicKey(originalAccount);
+                            userInstruction.keys.push({
+                                pubkey: pubkey,
+                                isSigner: false,
+                                isWritable: true
+                            });
+                            this.logInfo(`[DIRECT-BUILDER] 🔧 Converted string to PublicKey: ${originalAccount}`);
+                        } catch (error) {
+                            this.logError(`[DIRECT-BUILDER] ❌ Failed to convert account to PublicKey: ${originalAccount}`, error.message);
+                            continue;
+                        }
+                    }
+                }
+                
+                userInstructions.push(userInstruction);
+            }
+            
+            if (userConfig.scaleFactor && userConfig.scaleFactor !== 1.0) {
+                this.logInfo(`[DIRECT-BUILDER] 🔧 Applying user scale factor: ${userConfig.scaleFactor}`);
+                await this._applyScaleFactorToInstructions(userInstructions, userConfig.scaleFactor);
+            }
+            
+            this.logInfo(`[DIRECT-BUILDER] 🔧 Created ${userInstructions.length} instructions for user`);
+            
+            const result = await this.singaporeSender.executeCopyTrade(
+                userInstructions,
+                userWallet,
                 {
-                    platform: 'Jupiter',
-                    inputMint,
+                    platform: 'DirectCopy',
+                    inputMint: analysisResult?.swapDetails?.inputMint,
+                    outputMint: analysisResult?.swapDetails?.outputMint,
+                    inputAmount: analysisResult?.swapDetails?.inputAmount,
+                    useSmartTransactions: false,
+                    userConfig: userConfig,
+                    ...this._senderOptions(userConfig)
+                }
+            );
+            
+            this.logInfo(`[DIRECT-BUILDER] ✅ DIRECT copy executed successfully!`);
+            this.logInfo(`[DIRECT-BUILDER] ⚡ Execution time: ${result.executionTime}ms`);
+            this.logInfo(`[DIRECT-BUILDER] 📝 Signature: ${result.signature}`);
+            
+            return result;
+            
+        } catch (error) {
+            this.logError(`[DIRECT-BUILDER] ❌ Direct copy failed: ${error.message}`);
+            throw error;
+        }
+    }
+    
+    _isTraderWallet(account, traderWallet) {
+        return account === traderWallet;
+    }
+    
+    async _applyScaleFactorToInstructions(instructions, scaleFactor) {
+        this.logInfo(`[DIRECT-BUILDER] 🔧 Scaling instructions by factor: ${scaleFactor}`);
+    }
+    
+
+    // ===== SWAP EXECUTION METHODS =====
+    
+    // Jupiter builds the whole route, so these cover any token it can quote; its swap API returns a ready v0 transaction
+    async executeJupiterBuy(swapDetails, userConfig = {}) {
+        return this._executeJupiterSwap(swapDetails, userConfig, 'buy');
+    }
+
+    async executeJupiterSell(swapDetails, userConfig = {}) {
+        return this._executeJupiterSwap({ ...swapDetails, outputMint: config.NATIVE_SOL_MINT }, userConfig, 'sell');
+    }
+
+    async _executeJupiterSwap(swapDetails, userConfig, tradeType) {
+        const { inputMint, outputMint, inputAmount } = swapDetails;
+        const startTime = Date.now();
+        try {
+            this.logInfo(`[JUPITER] 🚀 ${tradeType.toUpperCase()} ${shortenAddress(inputMint)} → ${shortenAddress(outputMint)} | Amount: ${inputAmount}`);
+
+            const userWallet = await this._getUserWallet(userConfig);
+            if (!userWallet) {
+                throw new Error('User wallet not found');
+            }
+
+            const slippageBps = this._slippageBps(userConfig.slippage ?? 0.15);
+            const quoteParams = new URLSearchParams({ inputMint, outputMint, amount: inputAmount.toString(), slippageBps: String(slippageBps) });
+            const quoteResponse = await fetch(`${config.JUPITER_API_URL}/quote?${quoteParams}`);
+            const quote = await quoteResponse.json();
+            if (!quoteResponse.ok || !quote.outAmount) {
+                throw new Error(`No Jupiter route: ${quote.error || `HTTP ${quoteResponse.status}`}`);
+            }
+            this.logInfo(`[JUPITER] 📊 Quote: ${quote.outAmount} out, min ${quote.otherAmountThreshold} at ${slippageBps} bps`);
+
+            const swapResponse = await fetch(`${config.JUPITER_API_URL}/swap`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    quoteResponse: quote,
+                    userPublicKey: userWallet.publicKey.toBase58(),
+                    wrapAndUnwrapSol: true,
+                    dynamicComputeUnitLimit: true,
+                    ...(userConfig.priorityFee != null ? { computeUnitPriceMicroLamports: userConfig.priorityFee } : {})
+                })
+            });
+            const swap = await swapResponse.json();
+            if (!swapResponse.ok || !swap.swapTransaction) {
+                throw new Error(`Jupiter swap build failed: ${swap.error || `HTTP ${swapResponse.status}`}`);
+            }
+
+            const transaction = VersionedTransaction.deserialize(Buffer.from(swap.swapTransaction, 'base64'));
+            return await this.singaporeSender.executePrebuiltTransaction(transaction, userWallet, {
+                platform: 'Jupiter',
+                inputMint,
+                outputMint,
+                inputAmount,
+                outputAmount: quote.outAmount,
+                lastValidBlockHeight: swap.lastValidBlockHeight,
+                ...this._senderOptions(userConfig)
+            });
+
+        } catch (error) {
+            this.logError(`[JUPITER] ❌ Jupiter swap failed: ${error.message}`, { stack: error.stack });
+            return { success: false, error: error.message, signature: null, executionTime: Date.now() - startTime };
+        }
+    }
+
+    // ===== RAYDIUM AMM V4 =====
+    // Built from the trader's own swap instruction (swapDetails.dexInstruction): the AMM, its authority, open orders,
+    // vaults and the OpenBook market accounts are copied from it and only the user's token accounts and signer change.
+
+    async executeRaydiumBuy(swapDetails, userConfig = {}) {
+        return this._executeRaydiumV4Swap(swapDetails, userConfig, 'buy');
+    }
+
+    async executeRaydiumSell(swapDetails, userConfig = {}) {
+        return this._executeRaydiumV4Swap(swapDetails, userConfig, 'sell');
+    }
+
+    async _executeRaydiumV4Swap(swapDetails, userConfig, tradeType) {
+        const { inputMint, outputMint, inputAmount, dexInstruction } = swapDetails;
+        const startTime = Date.now();
+        try {
+            this.logInfo(`[RAYDIUM-V4] 🚀 ${tradeType.toUpperCase()} ${shortenAddress(inputMint)} → ${shortenAddress(outputMint)} | Amount: ${inputAmount}`);
+
+            const template = this._requireDexInstruction(dexInstruction, config.PLATFORM_IDS.RAYDIUM_V4, 'Raydium AMM v4');
+            const userWallet = await this._getUserWallet(userConfig);
+            if (!userWallet) {
+                throw new Error('User wallet not found');
+            }
+
+            const pool = this._mapRaydiumV4Accounts(template);
+            const connection = this.solanaManager.connection;
+            const [coinVaultInfo, pcVaultInfo] = await connection.getMultipleAccountsInfo([pool.poolCoinVault, pool.poolPcVault], 'processed');
+            if (!coinVaultInfo || !pcVaultInfo) {
+                throw new Error(`Raydium pool ${shortenAddress(pool.amm.toBase58())} vaults not found`);
+            }
+
+            // Vault token accounts name each side's mint; the swap direction follows from which side we pay in
+            const coinMint = new PublicKey(coinVaultInfo.data.subarray(0, 32)).toBase58();
+            const pcMint = new PublicKey(pcVaultInfo.data.subarray(0, 32)).toBase58();
+            const coinIn = coinMint === inputMint;
+            if (!(coinIn ? pcMint === outputMint : coinMint === outputMint && pcMint === inputMint)) {
+                throw new Error(`Raydium pool ${shortenAddress(pool.amm.toBase58())} does not trade ${shortenAddress(inputMint)} → ${shortenAddress(outputMint)}`);
+            }
+
+            const minAmountOut = await this._quoteRaydiumV4MinOut(
+                coinIn ? pool.poolCoinVault : pool.poolPcVault,
+                coinIn ? pool.poolPcVault : pool.poolCoinVault,
+                BigInt(inputAmount),
+                userConfig.slippage
+            );
+            this.logInfo(`[RAYDIUM-V4] 🔍 Pool ${shortenAddress(pool.amm.toBase58())} | trader ix: ${template.name} | min out: ${minAmountOut}`);
+
+            const instructions = [];
+            const { ata: userSourceAta } = await this._checkAndCreateATAInstruction(new PublicKey(inputMint), userWallet, instructions);
+            const { ata: userDestinationAta } = await this._checkAndCreateATAInstruction(new PublicKey(outputMint), userWallet, instructions);
+            const userWsolAta = inputMint === config.NATIVE_SOL_MINT ? userSourceAta : userDestinationAta;
+
+            if (inputMint === config.NATIVE_SOL_MINT) {
+                this._appendWrapSolInstructions(userWallet, userWsolAta, inputAmount, instructions);
+            }
+
+            const swapInstructionData = borsh.serialize(RAYDIUM_SWAP_SCHEMA, {
+                discriminator: RAYDIUM_V4_SWAP_BASE_IN,
+                amountIn: new BN(inputAmount.toString()),
+                minimumAmountOut: new BN(minAmountOut.toString())
+            });
+
+            instructions.push({
+                programId: config.PLATFORM_IDS.RAYDIUM_V4,
+                keys: [
+                    { pubkey: TOKEN_PROGRAM_ID, isSigner: false, isWritable: false },
+                    { pubkey: pool.amm, isSigner: false, isWritable: true },
+                    { pubkey: pool.ammAuthority, isSigner: false, isWritable: false },
+                    { pubkey: pool.ammOpenOrders, isSigner: false, isWritable: true },
+                    { pubkey: pool.ammTargetOrders, isSigner: false, isWritable: true },
+                    { pubkey: pool.poolCoinVault, isSigner: false, isWritable: true },
+                    { pubkey: pool.poolPcVault, isSigner: false, isWritable: true },
+                    { pubkey: pool.serumProgram, isSigner: false, isWritable: false },
+                    { pubkey: pool.serumMarket, isSigner: false, isWritable: true },
+                    { pubkey: pool.serumBids, isSigner: false, isWritable: true },
+                    { pubkey: pool.serumAsks, isSigner: false, isWritable: true },
+                    { pubkey: pool.serumEventQueue, isSigner: false, isWritable: true },
+                    { pubkey: pool.serumCoinVault, isSigner: false, isWritable: true },
+                    { pubkey: pool.serumPcVault, isSigner: false, isWritable: true },
+                    { pubkey: pool.serumVaultSigner, isSigner: false, isWritable: false },
+                    { pubkey: userSourceAta, isSigner: false, isWritable: true },
+                    { pubkey: userDestinationAta, isSigner: false, isWritable: true },
+                    { pubkey: userWallet.publicKey, isSigner: true, isWritable: false }
+                ],
+                data: Buffer.from(swapInstructionData)
+            });
+
+            // Unwrap whatever is left in (or was received into) the wSOL account back to native SOL
+            instructions.push(createCloseAccountInstruction(userWsolAta, userWallet.publicKey, userWallet.publicKey));
+
+            return await this._sendTemplateSwap(instructions, userWallet, userConfig, swapDetails, tradeType, 'Raydium', startTime);
+
+        } catch (error) {
+            this.logError(`[RAYDIUM-V4] ❌ Raydium swap failed: ${error.message}`, { stack: error.stack });
+            return { success: false, error: error.message, signature: null, executionTime: Date.now() - startTime };
+        }
+    }
+
+    // swap_base_in / swap_base_out share one account list: 18 accounts, or 17 on older routes that omit the target orders
+    _mapRaydiumV4Accounts(template) {
+        const keys = template.accounts.map(key => new PublicKey(key));
+        if (keys.length < 17) {
+            throw new Error(`Trader's Raydium ${template.name} has ${keys.length} accounts, expected 17 or 18`);
+        }
+        const hasTargetOrders = keys.length >= 18;
+        const at = (index) => keys[hasTargetOrders || index < 4 ? index : index - 1];
+        return {
+            amm: keys[1],
+            ammAuthority: keys[2],
+            ammOpenOrders: keys[3],
+            // Older pools don't read the target orders account; the open orders account stands in for it
+            ammTargetOrders: hasTargetOrders ? keys[4] : keys[3],
+            poolCoinVault: at(5),
+            poolPcVault: at(6),
+            serumProgram: at(7),
+            serumMarket: at(8),
+            serumBids: at(9),
+            serumAsks: at(10),
+            serumEventQueue: at(11),
+            serumCoinVault: at(12),
+            serumPcVault: at(13),
+            serumVaultSigner: at(14)
+        };
+    }
+
+    // Constant-product quote against the AMM's vaults, net of Raydium's 0.25% fee, then reduced by the user's slippage
+    async _quoteRaydiumV4MinOut(inputVault, outputVault, amountIn, slippage = 0.15) {
+        const [inputBalance, outputBalance] = await Promise.all([
+            this.solanaManager.connection.getTokenAccountBalance(inputVault, 'processed'),
+            this.solanaManager.connection.getTokenAccountBalance(outputVault, 'processed')
+        ]);
+        const inputReserve = BigInt(inputBalance.value.amount);
+        const outputReserve = BigInt(outputBalance.value.amount);
+        if (inputReserve === 0n || outputReserve === 0n) {
+            throw new Error('Raydium pool has no liquidity');
+        }
+
+        const amountAfterFee = (amountIn * (10000n - RAYDIUM_V4_FEE_BPS)) / 10000n;
+        const expectedOut = (outputReserve * amountAfterFee) / (inputReserve + amountAfterFee);
+
+        return this._applySlippage(expectedOut, slippage);
+    }
+
+    async executePumpFunBuy(swapDetails, userConfig = {}) {
+        const { outputMint, inputAmount } = swapDetails;
+        const startTime = Date.now();
+    
+        try {
+            this.logInfo(`[PUMPFUN-V7-ATOMIC] 🚀 Initiating ATOMIC buy for: ${shortenAddress(outputMint)}`);
+            
+            const userWallet = await this._getUserWallet(userConfig);
+            if (!userWallet) throw new Error("User wallet not found");
+    
+            const mintPubkey = new PublicKey(outputMint);
+            const instructions = [];
+    
+            // --- CRITICAL FIX: CHECK IF TOKEN IS STILL ON BONDING CURVE ---
+            const pumpFunProgramId = config.PLATFORM_IDS.PUMP_FUN;
+            const [bondingCurvePDA] = PublicKey.findProgramAddressSync(
+                [Buffer.from('bonding-curve'), mintPubkey.toBuffer()], 
+                pumpFunProgramId
+            );
+    
+            // Check if bonding curve account exists and is owned by Pump.fun
+            const bondingCurveAccount = await this.solanaManager.connection.getAccountInfo(bondingCurvePDA, 'processed');
+            
+            if (!bondingCurveAccount) {
+                this.logError(`[PUMPFUN-V7-ATOMIC] ❌ BONDING CURVE NOT FOUND - Token migrated to AMM or doesn't exist`);
+                throw new Error('Token has migrated to AMM - bonding curve not found');
+            }
+    
+            if (bondingCurveAccount.owner.toString() !== pumpFunProgramId.toString()) {
+                this.logError(`[PUMPFUN-V7-ATOMIC] ❌ BONDING CURVE CLOSED - Token migrated to AMM`);
+                throw new Error('Token has migrated to AMM - bonding curve is closed');
+            }
+    
+            this.logInfo(`[PUMPFUN-V7-ATOMIC] ✅ Bonding curve is active - proceeding with buy`);
+    
+            // --- ATOMIC ATA CREATION WITH EXISTENCE CHECK ---
+            const { ata, created } = await this._checkAndCreateATAInstruction(mintPubkey, userWallet, instructions);
+            if (created) {
+                this.logInfo(`[PUMPFUN-V7-ATOMIC] ✅ ATA instruction added`);
+            } else {
+                this.logInfo(`[PUMPFUN-V7-ATOMIC] ✅ ATA already exists`);
+            }
+    
+            // --- BUILD THE BUY INSTRUCTION ---
+            const globalAccount = config.PUMP_FUN_CONSTANTS.GLOBAL;
+            const feeRecipient = config.PUMP_FUN_CONSTANTS.FEE_RECIPIENT;
+            const eventAuthority = new PublicKey('CEntr3oDe4kAv3g4StGgG3sCjwsUQu3JTT5sSxxHgas');
+    
+            const [associatedBondingCurvePDA] = PublicKey.findProgramAddressSync(
+                [bondingCurvePDA.toBuffer()], 
+                pumpFunProgramId
+            );
+            
+            // Use CORRECT discriminator for buy instruction
+            const discriminator = Buffer.from([102, 6, 61, 18, 1, 218, 235, 234]);
+            
+            // Use proper Pump.fun buy parameters
+            const tokenAmount = 0; // Buy as many tokens as possible
+            const maxSolCost = inputAmount; // Max SOL we're willing to spend
+    
+            this.logInfo(`[PUMPFUN-V7-ATOMIC] 🔍 Buy params: Token Amount: ${tokenAmount}, Max SOL: ${maxSolCost}`);
+    
+            // CORRECT Borsh serialization for Pump.fun buy
+            const argsBuffer = borsh.serialize(
+                { 
+                    struct: { 
+                        amount: 'u64', 
+                        maxSolCost: 'u64',
+                        trackVolume: { option: 'bool' }
+                    } 
+                },
+                { 
+                    amount: new BN(tokenAmount),
+                    maxSolCost: new BN(maxSolCost),
+                    trackVolume: true
+                }
+            );
+            
+            const buyInstructionData = Buffer.concat([discriminator, argsBuffer]);
+    
+            // CORRECT account list for Pump.fun buy (12 accounts)
+            const buyInstruction = {
+                programId: pumpFunProgramId,
+                keys: [
+                    { pubkey: globalAccount, isSigner: false, isWritable: false },
+                    { pubkey: feeRecipient, isSigner: false, isWritable: true },
+                    { pubkey: mintPubkey, isSigner: false, isWritable: false },
+                    { pubkey: bondingCurvePDA, isSigner: false, isWritable: true },
+                    { pubkey: associatedBondingCurvePDA, isSigner: false, isWritable: true },
+                    { pubkey: ata, isSigner: false, isWritable: true },
+                    { pubkey: userWallet.publicKey, isSigner: true, isWritable: true },
+                    { pubkey: SystemProgram.programId, isSigner: false, isWritable: false },
+                    { pubkey: TOKEN_PROGRAM_ID, isSigner: false, isWritable: false },
+                    { pubkey: SYSVAR_RENT_PUBKEY, isSigner: false, isWritable: false },
+                    { pubkey: eventAuthority, isSigner: false, isWritable: false },
+                    { pubkey: pumpFunProgramId, isSigner: false, isWritable: false },
+                ],
+                data: buyInstructionData
+            };
+            
+            instructions.push(buyInstruction);
+            this.logInfo(`[PUMPFUN-V7-ATOMIC] ✅ Buy instruction added`);
+    
+            // --- SEND TRANSACTION ---
+            this.logInfo(`[PUMPFUN-V7-ATOMIC] 📤 Sending atomic transaction with ${instructions.length} instructions...`);
+    
+            const executionResult = await this.singaporeSender.executeCopyTrade(
+                instructions,
+                userWallet,
+                { 
+                    platform: 'PumpFun', 
+                    inputMint: config.NATIVE_SOL_MINT,
                     outputMint,
-                    inputAmount,
-                    outputAmount: quoteData.result.outAmount,
+                    inputAmount: inputAmount, 
                     useSmartTransactions: false,
-                    userConfig: userConfig
+                    ...this._senderOptions(userConfig)
                 }
             );
             
-            this.logInfo(`[HELIUS-PREMIUM] ✅ ULTRA-FAST swap executed successfully via Helius Premium API!`);
-            this.logInfo(`[HELIUS-PREMIUM] ⚡ Execution time: ${result.executionTime}ms`);
-            this.logInfo(`[HELIUS-PREMIUM] 📝 Signature: ${result.signature}`);
+            if (!executionResult || !executionResult.success) {
+                throw new Error(executionResult.error || 'PumpFun buy transaction failed');
+            }
+    
+            this.logInfo(`[PUMPFUN-V7-ATOMIC] ✅✅✅ SUCCESS! Signature: ${executionResult.signature}`);
+            return { 
+                ...executionResult, 
+                amountSpentInLamports: inputAmount 
+            };
+    
+        } catch (error) {
+            this.logError(`[PUMPFUN-V7-ATOMIC] ❌ BUY FAILED: ${error.message}`, { stack: error.stack });
             
-            return result;
+            return { 
+                success: false, 
+                error: error.message, 
+                signature: null, 
+                executionTime: Date.now() - startTime 
+            };
+        }
+    }
+
+    async executePumpFunSell(swapDetails, userConfig = {}) {
+        const { inputMint: tokenMint, inputAmount } = swapDetails;
+        const startTime = Date.now();
+
+        try {
+            this.logInfo(`[PUMPFUN-SELL-V1] 🚀 Initiating IDL-VERIFIED Sell for: ${shortenAddress(tokenMint)}`);
+            
+            const userWallet = await this._getUserWallet(userConfig);
+            if (!userWallet) throw new Error("User wallet not found");
+
+            const mintPubkey = new PublicKey(tokenMint);
+            const instructions = [];
+
+            // ATOMIC ATA CREATION WITH EXISTENCE CHECK
+            await this._checkAndCreateATAInstruction(mintPubkey, userWallet, instructions);
+
+            // --- INSTRUCTION 2: BUILD THE SELL INSTRUCTION (14 ACCOUNTS AS PER OFFICIAL IDL) ---
+            const pumpFunProgramId = config.PLATFORM_IDS.PUMP_FUN;
+            
+            const globalAccount = config.PUMP_FUN_CONSTANTS.GLOBAL;
+            const feeRecipient = config.PUMP_FUN_CONSTANTS.FEE_RECIPIENT;
+            const eventAuthority = new PublicKey('CEntr3oDe4kAv3g4StGgG3sCjwsUQu3JTT5sSxxHgas');
+            const feeProgram = config.PUMP_FUN_CONSTANTS.FEE_PROGRAM;
+
+            const [bondingCurvePDA] = PublicKey.findProgramAddressSync([Buffer.from('bonding-curve'), mintPubkey.toBuffer()], pumpFunProgramId);
+            const [associatedBondingCurvePDA] = PublicKey.findProgramAddressSync([bondingCurvePDA.toBuffer()], pumpFunProgramId);
+            
+            const [creatorVaultPDA] = PublicKey.findProgramAddressSync([Buffer.from("creator-vault"), userWallet.publicKey.toBuffer()], pumpFunProgramId);
+            const [feeConfigPDA] = PublicKey.findProgramAddressSync([Buffer.from("fee_config"), pumpFunProgramId.toBuffer()], feeProgram);
+            
+            const tokenAmountToSell = inputAmount;
+            const curve = await this._readBondingCurve(tokenMint);
+            if (!curve) {
+                throw new Error('Bonding curve not found - token migrated to AMM');
+            }
+            const minSolOutput = this._quotePumpFunCurveSell(curve, BigInt(tokenAmountToSell), userConfig.slippage);
+            this.logInfo(`[PUMPFUN-SELL-V1] 🔍 Quote: ${tokenAmountToSell} tokens → min ${minSolOutput} lamports at ${((userConfig.slippage || 0) * 100).toFixed(2)}% slippage`);
+
+            const argsBuffer = borsh.serialize(
+                { struct: { amount: 'u64', minSolOutput: 'u64' } },
+                { 
+                    amount: new BN(tokenAmountToSell),
+                    minSolOutput: new BN(minSolOutput.toString())
+                }
+            );
+            const discriminator = Buffer.from([51, 230, 133, 164, 1, 127, 131, 173]);
+            const sellInstructionData = Buffer.concat([discriminator, argsBuffer]);
+
+            const sellInstruction = {
+                programId: pumpFunProgramId,
+                keys: [
+                    { pubkey: globalAccount, isSigner: false, isWritable: false },
+                    { pubkey: feeRecipient, isSigner: false, isWritable: true },
+                    { pubkey: mintPubkey, isSigner: false, isWritable: false },
+                    { pubkey: bondingCurvePDA, isSigner: false, isWritable: true },
+                    { pubkey: associatedBondingCurvePDA, isSigner: false, isWritable: true },
+                    { pubkey: getAssociatedTokenAddressSync(mintPubkey, userWallet.publicKey), isSigner: false, isWritable: true },
+                    { pubkey: userWallet.publicKey, isSigner: true, isWritable: true },
+                    { pubkey: SystemProgram.programId, isSigner: false, isWritable: false },
+                    { pubkey: creatorVaultPDA, isSigner: false, isWritable: true },
+                    { pubkey: TOKEN_PROGRAM_ID, isSigner: false, isWritable: false },
+                    { pubkey: eventAuthority, isSigner: false, isWritable: false },
+                    { pubkey: pumpFunProgramId, isSigner: false, isWritable: false },
+                    { pubkey: feeConfigPDA, isSigner: false, isWritable: false },
+                    { pubkey: feeProgram, isSigner: false, isWritable: false },
+                ],
+                data: sellInstructionData
+            };
+            instructions.push(sellInstruction);
+
+            this.logInfo(`[PUMPFUN-SELL-V1] ✅ IDL-VERIFIED SELL transaction created with 14 accounts.`);
+            
+            const executionResult = await this.singaporeSender.executeCopyTrade(
+                instructions,
+                userWallet,
+                { platform: 'PumpFun', inputMint: tokenMint, outputMint: config.NATIVE_SOL_MINT, inputAmount: tokenAmountToSell, useSmartTransactions: false, ...this._senderOptions(userConfig) }
+            );
             
+            if (!executionResult || !executionResult.success) {
+                throw new Error(executionResult.error || 'The PumpFun sell transaction failed.');
+            }
+
+            this.logInfo(`[PUMPFUN-SELL-V1] ✅ SUCCESS! Signature: ${executionResult.signature}`);
+
+            return {
+                ...executionResult,
+                amountSpentInLamports: tokenAmountToSell
+            };
+
+        } catch (error) {
+            this.logError(`[PUMPFUN-SELL-V1] ❌ SELL FAILED: ${error.message}`, { stack: error.stack });
+            return { 
+                success: false, 
+                error: error.message, 
+                signature: null,
+                executionTime: Date.now() - startTime
+            };
+        }
+    }
+    
+    // Lamports a curve sell of tokenAmountIn should return at least: constant product on the virtual reserves,
+    // less the Pump.fun fee and the user's slippage
+    _quotePumpFunCurveSell(curve, tokenAmountIn, slippage = 0.15) {
+        const grossSolOut = (curve.virtualSolReserves * tokenAmountIn) / (curve.virtualTokenReserves + tokenAmountIn);
+        const feeBps = BigInt(config.PUMP_FUN_CONSTANTS.TOTAL_FEE_BPS);
+        const expectedSolOut = (grossSolOut * (10000n - feeBps)) / 10000n;
+
+        return this._applySlippage(expectedSolOut, slippage);
+    }
+
+    async executePumpFunTrade(swapDetails, userConfig, tradeType) {
+        try {
+            const tokenMint = tradeType === 'buy' ? swapDetails.outputMint : swapDetails.inputMint;
+            this.logInfo(`[PUMPFUN-DIRECT] 🚀 Direct Pump.fun ${tradeType.toUpperCase()} for token: ${shortenAddress(tokenMint)}`);
+
+            // Migrated tokens can no longer trade on the curve; send them to PumpSwap instead
+            const ammPool = await this._resolvePumpSwapPoolIfMigrated(tokenMint);
+            if (ammPool) {
+                this.logInfo(`[PUMPFUN-DIRECT] 🔀 Routing ${tradeType.toUpperCase()} to PumpSwap pool ${shortenAddress(ammPool.toBase58())}`);
+                return tradeType === 'buy'
+                    ? await this.executePumpFunAmmBuy(swapDetails, userConfig, ammPool)
+                    : await this.executePumpFunAmmSell(swapDetails, userConfig, ammPool);
+            }
+            
+            if (tradeType === 'buy') {
+                return await this.executePumpFunBuy(swapDetails, userConfig);
+            } else {
+                return await this.executePumpFunSell(swapDetails, userConfig);
+            }
+        } catch (error) {
+            this.logError(`[PUMPFUN-DIRECT] ❌ Direct execution failed: ${error.message}`, { stack: error.stack });
+            throw error;
+        }
+    }
+    
+    // ===== ORCA WHIRLPOOL =====
+    // Swaps through the exact Whirlpool the trader used (swapDetails.poolId); buys spend SOL, sells return SOL
+    async executeOrcaSwap(swapDetails, userConfig = {}, tradeType = 'buy') {
+        const { inputMint, outputMint, inputAmount, poolId } = swapDetails;
+        const startTime = Date.now();
+        try {
+            this.logInfo(`[ORCA-WHIRLPOOL] 🚀 ${tradeType.toUpperCase()} ${shortenAddress(inputMint)} → ${shortenAddress(outputMint)} | Amount: ${inputAmount}`);
+
+            if (!poolId) {
+                throw new Error('No Whirlpool address available for this trade');
+            }
+
+            const userWallet = await this._getUserWallet(userConfig);
+            if (!userWallet) {
+                throw new Error('User wallet not found');
+            }
+
+            const programId = config.PLATFORM_IDS.WHIRLPOOL;
+            const whirlpool = new PublicKey(poolId);
+            const pool = await this._getWhirlpoolState(whirlpool);
+
+            const aToB = pool.tokenMintA.toBase58() === inputMint;
+            if (!aToB && pool.tokenMintB.toBase58() !== inputMint) {
+                throw new Error(`Whirlpool ${shortenAddress(poolId)} does not trade ${shortenAddress(inputMint)}`);
+            }
+
+            // Token program per mint so Token-2022 tokens get the right ATAs
+            const [mintAInfo, mintBInfo] = await this.solanaManager.connection.getMultipleAccountsInfo([pool.tokenMintA, pool.tokenMintB]);
+            const tokenProgramA = mintAInfo?.owner.equals(TOKEN_2022_PROGRAM_ID) ? TOKEN_2022_PROGRAM_ID : TOKEN_PROGRAM_ID;
+            const tokenProgramB = mintBInfo?.owner.equals(TOKEN_2022_PROGRAM_ID) ? TOKEN_2022_PROGRAM_ID : TOKEN_PROGRAM_ID;
+
+            const instructions = [];
+            const { ata: userAtaA } = await this._checkAndCreateATAInstruction(pool.tokenMintA, userWallet, instructions, tokenProgramA);
+            const { ata: userAtaB } = await this._checkAndCreateATAInstruction(pool.tokenMintB, userWallet, instructions, tokenProgramB);
+            const userWsolAta = pool.tokenMintA.toBase58() === config.NATIVE_SOL_MINT ? userAtaA : userAtaB;
+
+            // Buys spend native SOL: wrap exactly the input amount first
+            if (inputMint === config.NATIVE_SOL_MINT) {
+                instructions.push(SystemProgram.transfer({
+                    fromPubkey: userWallet.publicKey,
+                    toPubkey: userWsolAta,
+                    lamports: BigInt(inputAmount)
+                }));
+                instructions.push(createSyncNativeInstruction(userWsolAta));
+            }
+
+            const tickArrays = await this._getWhirlpoolTickArrays(whirlpool, pool, aToB);
+            const [oracle] = PublicKey.findProgramAddressSync([Buffer.from('oracle'), whirlpool.toBuffer()], programId);
+
+            const minAmountOut = this._quoteSqrtPriceMinOut(pool.sqrtPrice, pool.feeRate, BigInt(inputAmount), aToB, userConfig.slippage);
+            this.logInfo(`[ORCA-WHIRLPOOL] 🔍 Pool ${shortenAddress(poolId)} | aToB: ${aToB} | tick: ${pool.tickCurrentIndex} | min out: ${minAmountOut}`);
+
+            const argsBuffer = borsh.serialize(WHIRLPOOL_SWAP_V2_SCHEMA, {
+                amount: new BN(inputAmount.toString()),
+                otherAmountThreshold: new BN(minAmountOut.toString()),
+                sqrtPriceLimit: new BN(aToB ? WHIRLPOOL_MIN_SQRT_PRICE : WHIRLPOOL_MAX_SQRT_PRICE),
+                amountSpecifiedIsInput: true,
+                aToB,
+                remainingAccountsInfo: null
+            });
+
+            instructions.push({
+                programId,
+                keys: [
+                    { pubkey: tokenProgramA, isSigner: false, isWritable: false },
+                    { pubkey: tokenProgramB, isSigner: false, isWritable: false },
+                    { pubkey: config.MEMO_PROGRAM_ID, isSigner: false, isWritable: false },
+                    { pubkey: userWallet.publicKey, isSigner: true, isWritable: false },
+                    { pubkey: whirlpool, isSigner: false, isWritable: true },
+                    { pubkey: pool.tokenMintA, isSigner: false, isWritable: false },
+                    { pubkey: pool.tokenMintB, isSigner: false, isWritable: false },
+                    { pubkey: userAtaA, isSigner: false, isWritable: true },
+                    { pubkey: pool.tokenVaultA, isSigner: false, isWritable: true },
+                    { pubkey: userAtaB, isSigner: false, isWritable: true },
+                    { pubkey: pool.tokenVaultB, isSigner: false, isWritable: true },
+                    { pubkey: tickArrays[0], isSigner: false, isWritable: true },
+                    { pubkey: tickArrays[1], isSigner: false, isWritable: true },
+                    { pubkey: tickArrays[2], isSigner: false, isWritable: true },
+                    { pubkey: oracle, isSigner: false, isWritable: true },
+                ],
+                data: Buffer.concat([WHIRLPOOL_SWAP_V2_DISCRIMINATOR, Buffer.from(argsBuffer)])
+            });
+
+            // Unwrap any wSOL (sell proceeds or unspent buy input) back to native SOL
+            instructions.push(createCloseAccountInstruction(userWsolAta, userWallet.publicKey, userWallet.publicKey));
+
+            const result = await this.singaporeSender.executeCopyTrade(
+                instructions,
+                userWallet,
+                {
+                    platform: tradeType === 'buy' ? 'Orca' : 'OrcaSell',
+                    inputMint,
+                    outputMint,
+                    inputAmount,
+                    useSmartTransactions: false,
+                    ...this._senderOptions(userConfig)
+                }
+            );
+
+            if (!result || !result.success) {
+                throw new Error(result?.error || 'The Whirlpool swap transaction failed.');
+            }
+
+            this.logInfo(`[ORCA-WHIRLPOOL] ✅ SUCCESS! Signature: ${result.signature} (${result.executionTime}ms)`);
+            return tradeType === 'buy' ? { ...result, amountSpentInLamports: inputAmount } : result;
+
+        } catch (error) {
+            this.logError(`[ORCA-WHIRLPOOL] ❌ Whirlpool swap failed: ${error.message}`, { stack: error.stack });
+            return { success: false, error: error.message, signature: null, executionTime: Date.now() - startTime };
+        }
+    }
+
+    // Decodes the Whirlpool fields the swap needs (offsets after the 8-byte Anchor discriminator)
+    async _getWhirlpoolState(whirlpool) {
+        const accountInfo = await this.solanaManager.connection.getAccountInfo(whirlpool, 'processed');
+        if (!accountInfo || !accountInfo.owner.equals(config.PLATFORM_IDS.WHIRLPOOL)) {
+            throw new Error(`Account ${shortenAddress(whirlpool.toBase58())} is not a Whirlpool`);
+        }
+
+        const data = accountInfo.data;
+        const readU128 = (offset) => data.readBigUInt64LE(offset) + (data.readBigUInt64LE(offset + 8) << 64n);
+        return {
+            tickSpacing: data.readUInt16LE(41),
+            feeRate: data.readUInt16LE(45),
+            liquidity: readU128(49),
+            sqrtPrice: readU128(65),
+            tickCurrentIndex: data.readInt32LE(81),
+            tokenMintA: new PublicKey(data.subarray(101, 133)),
+            tokenVaultA: new PublicKey(data.subarray(133, 165)),
+            tokenMintB: new PublicKey(data.subarray(181, 213)),
+            tokenVaultB: new PublicKey(data.subarray(213, 245))
+        };
+    }
+
+    // Three consecutive tick arrays in the swap direction; uninitialized ones fall back to the last valid array
+    async _getWhirlpoolTickArrays(whirlpool, pool, aToB) {
+        const programId = config.PLATFORM_IDS.WHIRLPOOL;
+        const ticksInArray = pool.tickSpacing * WHIRLPOOL_TICK_ARRAY_SIZE;
+        // b→a swaps start one tick spacing up so a price sitting on an array boundary uses the next array
+        const startTick = pool.tickCurrentIndex + (aToB ? 0 : pool.tickSpacing);
+        const firstStartIndex = Math.floor(startTick / ticksInArray) * ticksInArray;
+
+        const addresses = [0, 1, 2].map(offset => {
+            const startIndex = firstStartIndex + (aToB ? -offset : offset) * ticksInArray;
+            const [pda] = PublicKey.findProgramAddressSync(
+                [Buffer.from('tick_array'), whirlpool.toBuffer(), Buffer.from(startIndex.toString())],
+                programId
+            );
+            return pda;
+        });
+
+        const infos = await this.solanaManager.connection.getMultipleAccountsInfo(addresses, 'processed');
+        if (!infos[0]) {
+            throw new Error('Whirlpool tick array for the current price is not initialized');
+        }
+
+        for (let i = 1; i < addresses.length; i++) {
+            if (!infos[i]) addresses[i] = addresses[i - 1];
+        }
+        return addresses;
+    }
+
+    // Spot-price quote for concentrated-liquidity pools (Whirlpool, Raydium CLMM): sqrtPriceX64 is Q64.64 token1/token0,
+    // feeRate is in hundredths of a bip. Net of the fee, then reduced by the user's slippage.
+    _quoteSqrtPriceMinOut(sqrtPriceX64, feeRate, amountIn, aToB, slippage = 0.15) {
+        const amountAfterFee = (amountIn * (1000000n - BigInt(feeRate))) / 1000000n;
+        const priceX128 = sqrtPriceX64 * sqrtPriceX64;
+        if (priceX128 === 0n) {
+            throw new Error('Pool has no price to quote against');
+        }
+
+        const expectedOut = aToB
+            ? (amountAfterFee * priceX128) >> 128n
+            : (amountAfterFee << 128n) / priceX128;
+
+        return this._applySlippage(expectedOut, slippage);
+    }
+
+    // ===== RAYDIUM CPMM / CLMM / LAUNCHPAD =====
+    // These builders copy the pool accounts from the trader's own swap instruction (swapDetails.dexInstruction)
+    // and only replace the signer and token accounts with ours.
+
+    async executeRaydiumCpmmSwap(swapDetails, userConfig = {}, tradeType = 'buy') {
+        const { inputMint, outputMint, inputAmount, dexInstruction } = swapDetails;
+        const startTime = Date.now();
+        try {
+            this.logInfo(`[RAYDIUM-CPMM] 🚀 ${tradeType.toUpperCase()} ${shortenAddress(inputMint)} → ${shortenAddress(outputMint)} | Amount: ${inputAmount}`);
+
+            const template = this._requireDexInstruction(dexInstruction, config.DEX_PROGRAM_IDS.RAYDIUM_CPMM, 'Raydium CPMM');
+            const userWallet = await this._getUserWallet(userConfig);
+            if (!userWallet) {
+                throw new Error('User wallet not found');
+            }
+
+            const idl = this._loadIdl('raydium_cpmm.json');
+            const accounts = this._mapIdlAccounts(idl, template.name, template.accounts);
+
+            // The trader may have swapped the other way (e.g. we are exiting a position they bought into)
+            const sameDirection = accounts.inputTokenMint.toBase58() === inputMint;
+            if (!sameDirection) {
+                for (const [a, b] of [['inputVault', 'outputVault'], ['inputTokenProgram', 'outputTokenProgram'], ['inputTokenMint', 'outputTokenMint']]) {
+                    [accounts[a], accounts[b]] = [accounts[b], accounts[a]];
+                }
+            }
+            if (accounts.inputTokenMint.toBase58() !== inputMint || accounts.outputTokenMint.toBase58() !== outputMint) {
+                throw new Error(`CPMM pool ${shortenAddress(accounts.poolState.toBase58())} does not trade ${shortenAddress(inputMint)} → ${shortenAddress(outputMint)}`);
+            }
+
+            const instructions = [];
+            const { ata: inputTokenAccount } = await this._checkAndCreateATAInstruction(accounts.inputTokenMint, userWallet, instructions, accounts.inputTokenProgram);
+            const { ata: outputTokenAccount } = await this._checkAndCreateATAInstruction(accounts.outputTokenMint, userWallet, instructions, accounts.outputTokenProgram);
+            const userWsolAta = inputMint === config.NATIVE_SOL_MINT ? inputTokenAccount : outputTokenAccount;
+
+            if (inputMint === config.NATIVE_SOL_MINT) {
+                this._appendWrapSolInstructions(userWallet, userWsolAta, inputAmount, instructions);
+            }
+
+            const minAmountOut = await this._quoteRaydiumCpmmMinOut(accounts, BigInt(inputAmount), userConfig.slippage);
+            this.logInfo(`[RAYDIUM-CPMM] 🔍 Pool ${shortenAddress(accounts.poolState.toBase58())} | trader ix: ${template.name} | min out: ${minAmountOut}`);
+
+            instructions.push({
+                programId: config.DEX_PROGRAM_IDS.RAYDIUM_CPMM,
+                keys: this._buildIdlAccountMetas(idl, 'swapBaseInput', {
+                    ...accounts,
+                    payer: userWallet.publicKey,
+                    inputTokenAccount,
+                    outputTokenAccount
+                }),
+                data: this._encodeIdlInstruction(idl, 'swapBaseInput', {
+                    amountIn: new BN(inputAmount.toString()),
+                    minimumAmountOut: new BN(minAmountOut.toString())
+                })
+            });
+
+            instructions.push(createCloseAccountInstruction(userWsolAta, userWallet.publicKey, userWallet.publicKey));
+
+            return await this._sendTemplateSwap(instructions, userWallet, userConfig, swapDetails, tradeType, 'RaydiumCPMM', startTime);
+
         } catch (error) {
-            this.logError(`[HELIUS-PREMIUM] ❌ ULTRA-FAST swap failed: ${error.message}`);
-            throw error;
+            this.logError(`[RAYDIUM-CPMM] ❌ CPMM swap failed: ${error.message}`, { stack: error.stack });
+            return { success: false, error: error.message, signature: null, executionTime: Date.now() - startTime };
         }
     }
-    
-    async executeRaydiumBuy(swapDetails, userConfig = {}) {
-        const { inputMint, outputMint, inputAmount } = swapDetails;
+
+    async executeRaydiumClmmSwap(swapDetails, userConfig = {}, tradeType = 'buy') {
+        const { inputMint, outputMint, inputAmount, dexInstruction } = swapDetails;
+        const startTime = Date.now();
         try {
-            this.logInfo(`[RAYDIUM-REAL] 🚀 Executing REAL Raydium swap: ${inputMint} → ${outputMint}`);
-            this.logInfo(`[RAYDIUM-REAL] 💰 Amount: ${inputAmount}`);
-            
-            const userWallet = await this._getUserWallet();
+            this.logInfo(`[RAYDIUM-CLMM] 🚀 ${tradeType.toUpperCase()} ${shortenAddress(inputMint)} → ${shortenAddress(outputMint)} | Amount: ${inputAmount}`);
+
+            const template = this._requireDexInstruction(dexInstruction, config.DEX_PROGRAM_IDS.RAYDIUM_CLMM, 'Raydium CLMM');
+            const userWallet = await this._getUserWallet(userConfig);
             if (!userWallet) {
                 throw new Error('User wallet not found');
             }
-            
-            const { PublicKey, SystemProgram } = require('@solana/web3.js');
-            const { 
-                getAssociatedTokenAddressSync, 
-                createAssociatedTokenAccountInstruction,
-                TOKEN_PROGRAM_ID 
-            } = require('@solana/spl-token');
-            
+
+            // swap:    payer, amm_config, pool_state, input/output token accounts, input/output vaults, observation, token_program, tick_array, ...tick arrays
+            // swap_v2: same up to token_program, then token_program_2022, memo, input/output vault mints, ...bitmap extension and tick arrays
+            const keys = template.accounts.map(key => new PublicKey(key));
+            const [ammConfig, poolState] = [keys[1], keys[2]];
+            const observationState = keys[7];
+            let remaining = template.name === 'swap_v2' ? keys.slice(13) : keys.slice(9);
+
+            const connection = this.solanaManager.connection;
+            const [vaultInfoA, vaultInfoB, ...remainingInfos] = await connection.getMultipleAccountsInfo([keys[5], keys[6], ...remaining], 'processed');
+            if (!vaultInfoA || !vaultInfoB) {
+                throw new Error(`CLMM pool ${shortenAddress(poolState.toBase58())} vaults not found`);
+            }
+
+            // Vault token accounts tell us each side's mint and token program
+            const sides = [[keys[5], vaultInfoA], [keys[6], vaultInfoB]].map(([vault, info]) => ({
+                vault,
+                mint: new PublicKey(info.data.subarray(0, 32)),
+                tokenProgram: info.owner
+            }));
+            const sameDirection = sides[0].mint.toBase58() === inputMint;
+            const [input, output] = sameDirection ? sides : [sides[1], sides[0]];
+            if (input.mint.toBase58() !== inputMint || output.mint.toBase58() !== outputMint) {
+                throw new Error(`CLMM pool ${shortenAddress(poolState.toBase58())} does not trade ${shortenAddress(inputMint)} → ${shortenAddress(outputMint)}`);
+            }
+
+            // Tick arrays follow the pool's price now, not when the trader swapped; only the bitmap extension is kept
+            const pool = await this._getRaydiumClmmPoolState(poolState, ammConfig);
+            const zeroForOne = input.mint.equals(pool.tokenMint0);
+            remaining = [
+                ...remaining.filter((key, i) => remainingInfos[i] && remainingInfos[i].data.length !== RAYDIUM_CLMM_TICK_ARRAY_LEN),
+                ...await this._getRaydiumClmmTickArrays(poolState, pool, zeroForOne)
+            ];
+
             const instructions = [];
-            
-            // ATOMIC ATA CREATION WITH EXISTENCE CHECK
-            const inputMintPubkey = new PublicKey(inputMint);
-            const outputMintPubkey = new PublicKey(outputMint);
-            
-            await this._checkAndCreateATAInstruction(inputMintPubkey, userWallet, instructions);
-            await this._checkAndCreateATAInstruction(outputMintPubkey, userWallet, instructions);
-            
-            const userInputAta = getAssociatedTokenAddressSync(inputMintPubkey, userWallet.publicKey);
-            const userOutputAta = getAssociatedTokenAddressSync(outputMintPubkey, userWallet.publicKey);
-            
-            const raydiumProgramId = config.PLATFORM_IDS.RAYDIUM_V4;
-            const [poolPDA] = PublicKey.findProgramAddressSync(
-                [Buffer.from('amm_associated_seed'), inputMintPubkey.toBuffer(), outputMintPubkey.toBuffer()],
-                raydiumProgramId
-            );
-            
-            this.logInfo(`[RAYDIUM-REAL] 🔧 Pool PDA: ${poolPDA.toString()}`);
-            
-            this.logInfo('[BORSH] 🔧 Serializing Raydium swap with ROBUST class pattern...');
-            
-            const amountInBN = new BN(inputAmount);
-            const minAmountOutBN = new BN(0);
-            
-            this.logInfo(`[RAYDIUM-REAL] 💰 Amount: ${inputAmount} | Min Out: ${minAmountOutBN.toString()} (SingaporeSender will handle slippage)`);
-            
-            const payload = new RaydiumSwapPayload({
-                amountIn: amountInBN,
-                minimumAmountOut: minAmountOutBN
+            const { ata: inputTokenAccount } = await this._checkAndCreateATAInstruction(input.mint, userWallet, instructions, input.tokenProgram);
+            const { ata: outputTokenAccount } = await this._checkAndCreateATAInstruction(output.mint, userWallet, instructions, output.tokenProgram);
+            const userWsolAta = inputMint === config.NATIVE_SOL_MINT ? inputTokenAccount : outputTokenAccount;
+
+            if (inputMint === config.NATIVE_SOL_MINT) {
+                this._appendWrapSolInstructions(userWallet, userWsolAta, inputAmount, instructions);
+            }
+
+            const minAmountOut = this._quoteSqrtPriceMinOut(pool.sqrtPriceX64, pool.tradeFeeRate, BigInt(inputAmount), zeroForOne, userConfig.slippage);
+            this.logInfo(`[RAYDIUM-CLMM] 🔍 Pool ${shortenAddress(poolState.toBase58())} | trader ix: ${template.name} | tick: ${pool.tickCurrent} | tick arrays: ${remaining.length} | min out: ${minAmountOut}`);
+
+            const argsBuffer = borsh.serialize(RAYDIUM_CLMM_SWAP_V2_SCHEMA, {
+                amount: new BN(inputAmount.toString()),
+                otherAmountThreshold: new BN(minAmountOut.toString()),
+                sqrtPriceLimitX64: new BN(0),
+                isBaseInput: true
             });
-            
-            const swapInstructionData = borsh.serialize(RAYDIUM_SWAP_SCHEMA, payload);
-            
-            this.logInfo(`[BORSH] ✅ Instruction data serialized successfully. Buffer length: ${swapInstructionData.length}`);
-            
-            const swapInstruction = {
-                programId: raydiumProgramId,
+
+            instructions.push({
+                programId: config.DEX_PROGRAM_IDS.RAYDIUM_CLMM,
                 keys: [
-                    { pubkey: poolPDA, isSigner: false, isWritable: true },
-                    { pubkey: userInputAta, isSigner: false, isWritable: true },
-                    { pubkey: userOutputAta, isSigner: false, isWritable: true },
-                    { pubkey: userWallet.publicKey, isSigner: true, isWritable: true },
-                    { pubkey: SystemProgram.programId, isSigner: false, isWritable: false },
+                    { pubkey: userWallet.publicKey, isSigner: true, isWritable: false },
+                    { pubkey: ammConfig, isSigner: false, isWritable: false },
+                    { pubkey: poolState, isSigner: false, isWritable: true },
+                    { pubkey: inputTokenAccount, isSigner: false, isWritable: true },
+                    { pubkey: outputTokenAccount, isSigner: false, isWritable: true },
+                    { pubkey: input.vault, isSigner: false, isWritable: true },
+                    { pubkey: output.vault, isSigner: false, isWritable: true },
+                    { pubkey: observationState, isSigner: false, isWritable: true },
                     { pubkey: TOKEN_PROGRAM_ID, isSigner: false, isWritable: false },
+                    { pubkey: TOKEN_2022_PROGRAM_ID, isSigner: false, isWritable: false },
+                    { pubkey: config.MEMO_PROGRAM_ID, isSigner: false, isWritable: false },
+                    { pubkey: input.mint, isSigner: false, isWritable: false },
+                    { pubkey: output.mint, isSigner: false, isWritable: false },
+                    ...remaining.map(pubkey => ({ pubkey, isSigner: false, isWritable: true }))
                 ],
-                data: swapInstructionData
-            };
-            
-            instructions.push(swapInstruction);
-            
-            this.logInfo(`[RAYDIUM-REAL] 🔧 Created ${instructions.length} instructions with REAL PDA/ATA logic`);
-            
-            this.logInfo(`[RAYDIUM-REAL] ⚡ Executing with Helius Sender for sub-200ms execution...`);
-            
-            const result = await this.singaporeSender.executeCopyTrade(
-                instructions,
-                userWallet,
-                {
-                    platform: 'Raydium',
-                    inputMint,
-                    outputMint,
-                    inputAmount,
-                    useSmartTransactions: false
-                }
-            );
-            
-            this.logInfo(`[RAYDIUM-REAL] ✅ REAL Raydium swap executed successfully!`);
-            this.logInfo(`[RAYDIUM-REAL] ⚡ Execution time: ${result.executionTime}ms`);
-            this.logInfo(`[RAYDIUM-REAL] 📝 Signature: ${result.signature}`);
-            
-            return result;
-            
+                data: Buffer.concat([RAYDIUM_CLMM_SWAP_V2_DISCRIMINATOR, Buffer.from(argsBuffer)])
+            });
+
+            instructions.push(createCloseAccountInstruction(userWsolAta, userWallet.publicKey, userWallet.publicKey));
+
+            return await this._sendTemplateSwap(instructions, userWallet, userConfig, swapDetails, tradeType, 'RaydiumCLMM', startTime);
+
         } catch (error) {
-            this.logError(`[RAYDIUM-REAL] ❌ REAL Raydium swap failed: ${error.message}`);
-            throw error;
+            this.logError(`[RAYDIUM-CLMM] ❌ CLMM swap failed: ${error.message}`, { stack: error.stack });
+            return { success: false, error: error.message, signature: null, executionTime: Date.now() - startTime };
         }
     }
-    
-    async executePumpFunBuy(swapDetails, userConfig = {}) {
-        const { outputMint, inputAmount } = swapDetails;
+
+    async executeRaydiumLaunchpadSwap(swapDetails, userConfig = {}, tradeType = 'buy') {
+        const { inputMint, outputMint, inputAmount, dexInstruction } = swapDetails;
         const startTime = Date.now();
-    
         try {
-            this.logInfo(`[PUMPFUN-V7-ATOMIC] 🚀 Initiating ATOMIC buy for: ${shortenAddress(outputMint)}`);
-            
-            const userWallet = await this._getUserWallet();
-            if (!userWallet) throw new Error("User wallet not found");
-    
-            const mintPubkey = new PublicKey(outputMint);
+            this.logInfo(`[RAYDIUM-LAUNCHPAD] 🚀 ${tradeType.toUpperCase()} ${shortenAddress(inputMint)} → ${shortenAddress(outputMint)} | Amount: ${inputAmount}`);
+
+            const template = this._requireDexInstruction(dexInstruction, config.DEX_PROGRAM_IDS.RAYDIUM_LAUNCHPAD, 'Raydium Launchpad');
+            const userWallet = await this._getUserWallet(userConfig);
+            if (!userWallet) {
+                throw new Error('User wallet not found');
+            }
+
+            // All four Launchpad trade instructions share one account list, so any of them works as a template
+            const idl = this._loadIdl('raydium_launchpad.json');
+            const accounts = this._mapIdlAccounts(idl, template.name, template.accounts);
+
+            const baseMint = tradeType === 'buy' ? outputMint : inputMint;
+            if (accounts.base_token_mint.toBase58() !== baseMint) {
+                throw new Error(`Launchpad pool ${shortenAddress(accounts.pool_state.toBase58())} does not trade ${shortenAddress(baseMint)}`);
+            }
+            if (accounts.quote_token_mint.toBase58() !== config.NATIVE_SOL_MINT) {
+                throw new Error(`Launchpad pool ${shortenAddress(accounts.pool_state.toBase58())} is not quoted in SOL`);
+            }
+
             const instructions = [];
-    
-            // --- CRITICAL FIX: CHECK IF TOKEN IS STILL ON BONDING CURVE ---
-            const pumpFunProgramId = config.PLATFORM_IDS.PUMP_FUN;
-            const [bondingCurvePDA] = PublicKey.findProgramAddressSync(
-                [Buffer.from('bonding-curve'), mintPubkey.toBuffer()], 
-                pumpFunProgramId
+            const { ata: userBaseToken } = await this._checkAndCreateATAInstruction(accounts.base_token_mint, userWallet, instructions, accounts.base_token_program);
+            const { ata: userQuoteToken } = await this._checkAndCreateATAInstruction(accounts.quote_token_mint, userWallet, instructions, accounts.quote_token_program);
+
+            if (tradeType === 'buy') {
+                this._appendWrapSolInstructions(userWallet, userQuoteToken, inputAmount, instructions);
+            }
+
+            const instructionName = tradeType === 'buy' ? 'buy_exact_in' : 'sell_exact_in';
+            const minAmountOut = await this._quoteRaydiumLaunchpadMinOut(accounts, BigInt(inputAmount), tradeType, userConfig.slippage);
+            this.logInfo(`[RAYDIUM-LAUNCHPAD] 🔍 Pool ${shortenAddress(accounts.pool_state.toBase58())} | trader ix: ${template.name} | min out: ${minAmountOut}`);
+
+            instructions.push({
+                programId: config.DEX_PROGRAM_IDS.RAYDIUM_LAUNCHPAD,
+                keys: this._buildIdlAccountMetas(idl, instructionName, {
+                    ...accounts,
+                    payer: userWallet.publicKey,
+                    user_base_token: userBaseToken,
+                    user_quote_token: userQuoteToken
+                }),
+                data: this._encodeIdlInstruction(idl, instructionName, {
+                    amount_in: new BN(inputAmount.toString()),
+                    minimum_amount_out: new BN(minAmountOut.toString()),
+                    share_fee_rate: new BN(0)
+                })
+            });
+
+            instructions.push(createCloseAccountInstruction(userQuoteToken, userWallet.publicKey, userWallet.publicKey));
+
+            return await this._sendTemplateSwap(instructions, userWallet, userConfig, swapDetails, tradeType, 'RaydiumLaunchpad', startTime);
+
+        } catch (error) {
+            this.logError(`[RAYDIUM-LAUNCHPAD] ❌ Launchpad swap failed: ${error.message}`, { stack: error.stack });
+            return { success: false, error: error.message, signature: null, executionTime: Date.now() - startTime };
+        }
+    }
+
+    // Constant-product quote on the CPMM vaults, less the protocol and fund fees still sitting in them and the config's trade fee
+    async _quoteRaydiumCpmmMinOut(accounts, amountIn, slippage = 0.15) {
+        const [poolInfo, configInfo, inputVaultInfo, outputVaultInfo] = await this.solanaManager.connection.getMultipleAccountsInfo(
+            [accounts.poolState, accounts.ammConfig, accounts.inputVault, accounts.outputVault], 'processed');
+        if (!poolInfo || !configInfo || !inputVaultInfo || !outputVaultInfo) {
+            throw new Error(`CPMM pool ${shortenAddress(accounts.poolState.toBase58())} accounts not found`);
+        }
+
+        // PoolState: token_0_vault at 72; protocol/fund fees per side at 341/349 and 357/365. AmmConfig: trade_fee_rate at 12.
+        const pool = poolInfo.data;
+        const inputIsToken0 = accounts.inputVault.equals(new PublicKey(pool.subarray(72, 104)));
+        const heldFees = (side) => pool.readBigUInt64LE(341 + side * 8) + pool.readBigUInt64LE(357 + side * 8);
+        const inputReserve = inputVaultInfo.data.readBigUInt64LE(64) - heldFees(inputIsToken0 ? 0 : 1);
+        const outputReserve = outputVaultInfo.data.readBigUInt64LE(64) - heldFees(inputIsToken0 ? 1 : 0);
+        if (inputReserve <= 0n || outputReserve <= 0n) {
+            throw new Error('CPMM pool has no liquidity');
+        }
+
+        const tradeFeeRate = configInfo.data.readBigUInt64LE(12);
+        const amountAfterFee = amountIn - (amountIn * tradeFeeRate + 999999n) / 1000000n;
+        const expectedOut = (outputReserve * amountAfterFee) / (inputReserve + amountAfterFee);
+        return this._applySlippage(expectedOut, slippage);
+    }
+
+    // Fields of the CLMM PoolState and its AmmConfig the swap needs (offsets after the 8-byte Anchor discriminator)
+    async _getRaydiumClmmPoolState(poolState, ammConfig) {
+        const [poolInfo, configInfo] = await this.solanaManager.connection.getMultipleAccountsInfo([poolState, ammConfig], 'processed');
+        if (!poolInfo || !configInfo) {
+            throw new Error(`CLMM pool ${shortenAddress(poolState.toBase58())} not found`);
+        }
+
+        const data = poolInfo.data;
+        return {
+            tokenMint0: new PublicKey(data.subarray(73, 105)),
+            tickSpacing: data.readUInt16LE(235),
+            sqrtPriceX64: data.readBigUInt64LE(253) + (data.readBigUInt64LE(261) << 64n),
+            tickCurrent: data.readInt32LE(269),
+            tradeFeeRate: configInfo.data.readUInt32LE(47)
+        };
+    }
+
+    // Up to three initialized tick arrays from the one holding the current tick, in the swap direction (token0 in = price down)
+    async _getRaydiumClmmTickArrays(poolState, pool, zeroForOne) {
+        const ticksInArray = pool.tickSpacing * RAYDIUM_CLMM_TICK_ARRAY_SIZE;
+        const firstStartIndex = Math.floor(pool.tickCurrent / ticksInArray) * ticksInArray;
+
+        const addresses = Array.from({ length: RAYDIUM_CLMM_TICK_ARRAY_SEARCH }, (_, offset) => {
+            const startIndex = Buffer.alloc(4);
+            startIndex.writeInt32BE(firstStartIndex + (zeroForOne ? -offset : offset) * ticksInArray);
+            const [pda] = PublicKey.findProgramAddressSync(
+                [Buffer.from('tick_array'), poolState.toBuffer(), startIndex],
+                config.DEX_PROGRAM_IDS.RAYDIUM_CLMM
             );
-    
-            // Check if bonding curve account exists and is owned by Pump.fun
-            const bondingCurveAccount = await this.solanaManager.connection.getAccountInfo(bondingCurvePDA, 'processed');
-            
-            if (!bondingCurveAccount) {
-                this.logError(`[PUMPFUN-V7-ATOMIC] ❌ BONDING CURVE NOT FOUND - Token migrated to AMM or doesn't exist`);
-                throw new Error('Token has migrated to AMM - use AMM buy instead');
+            return pda;
+        });
+
+        const infos = await this.solanaManager.connection.getMultipleAccountsInfo(addresses, 'processed');
+        const initialized = addresses.filter((address, i) => infos[i]).slice(0, 3);
+        if (initialized.length === 0) {
+            throw new Error(`No initialized tick array near tick ${pool.tickCurrent} of CLMM pool ${shortenAddress(poolState.toBase58())}`);
+        }
+        return initialized;
+    }
+
+    // Quote on the pool's curve (constant product or fixed price) with the global, platform and creator fee rates
+    async _quoteRaydiumLaunchpadMinOut(accounts, amountIn, tradeType, slippage = 0.15) {
+        const [poolInfo, globalInfo, platformInfo] = await this.solanaManager.connection.getMultipleAccountsInfo(
+            [accounts.pool_state, accounts.global_config, accounts.platform_config], 'processed');
+        if (!poolInfo || !globalInfo || !platformInfo) {
+            throw new Error(`Launchpad pool ${shortenAddress(accounts.pool_state.toBase58())} accounts not found`);
+        }
+
+        // PoolState: virtual_base 37, virtual_quote 45, real_base 53, real_quote 61. GlobalConfig: curve_type 16,
+        // trade_fee_rate 27. PlatformConfig: fee_rate 104, creator_fee_rate 720. Rates are in hundredths of a bip.
+        const pool = poolInfo.data;
+        const [virtualBase, virtualQuote, realBase, realQuote] = [37, 45, 53, 61].map(offset => pool.readBigUInt64LE(offset));
+        const curveType = globalInfo.data.readUInt8(16);
+        const feeRate = globalInfo.data.readBigUInt64LE(27) + platformInfo.data.readBigUInt64LE(104) + platformInfo.data.readBigUInt64LE(720);
+        const fee = (amount) => (amount * feeRate + 999999n) / 1000000n;
+
+        const curveOut = (amount, isBuy) => {
+            if (curveType === 0) {
+                const baseReserve = virtualBase - realBase;
+                const quoteReserve = virtualQuote + realQuote;
+                return isBuy
+                    ? (baseReserve * amount) / (quoteReserve + amount)
+                    : (quoteReserve * amount) / (baseReserve + amount);
             }
-    
-            if (bondingCurveAccount.owner.toString() !== pumpFunProgramId.toString()) {
-                this.logError(`[PUMPFUN-V7-ATOMIC] ❌ BONDING CURVE CLOSED - Token migrated to AMM`);
-                throw new Error('Token has migrated to AMM - bonding curve is closed');
+            if (curveType === 1) {
+                return isBuy ? (amount * virtualBase) / virtualQuote : (amount * virtualQuote) / virtualBase;
             }
-    
-            this.logInfo(`[PUMPFUN-V7-ATOMIC] ✅ Bonding curve is active - proceeding with buy`);
-    
-            // --- ATOMIC ATA CREATION WITH EXISTENCE CHECK ---
-            const { ata, created } = await this._checkAndCreateATAInstruction(mintPubkey, userWallet, instructions);
-            if (created) {
-                this.logInfo(`[PUMPFUN-V7-ATOMIC] ✅ ATA instruction added`);
-            } else {
-                this.logInfo(`[PUMPFUN-V7-ATOMIC] ✅ ATA already exists`);
+            throw new Error(`No quote for Launchpad curve type ${curveType}`);
+        };
+
+        // Buys pay the fee out of the SOL going in, sells out of the SOL coming back
+        const expectedOut = tradeType === 'buy'
+            ? curveOut(amountIn - fee(amountIn), true)
+            : (gross => gross - fee(gross))(curveOut(amountIn, false));
+        if (expectedOut <= 0n) {
+            throw new Error('Launchpad quote came out empty');
+        }
+        return this._applySlippage(expectedOut, slippage);
+    }
+
+    async _sendTemplateSwap(instructions, userWallet, userConfig, swapDetails, tradeType, platformLabel, startTime) {
+        const { inputMint, outputMint, inputAmount } = swapDetails;
+        const result = await this.singaporeSender.executeCopyTrade(
+            instructions,
+            userWallet,
+            {
+                platform: tradeType === 'buy' ? platformLabel : `${platformLabel}Sell`,
+                inputMint,
+                outputMint,
+                inputAmount,
+                useSmartTransactions: false,
+                ...this._senderOptions(userConfig)
             }
-    
-            // --- BUILD THE BUY INSTRUCTION ---
-            const globalAccount = config.PUMP_FUN_CONSTANTS.GLOBAL;
-            const feeRecipient = config.PUMP_FUN_CONSTANTS.FEE_RECIPIENT;
-            const eventAuthority = new PublicKey('CEntr3oDe4kAv3g4StGgG3sCjwsUQu3JTT5sSxxHgas');
-    
-            const [associatedBondingCurvePDA] = PublicKey.findProgramAddressSync(
-                [bondingCurvePDA.toBuffer()], 
-                pumpFunProgramId
-            );
-            
-            // Use CORRECT discriminator for buy instruction
-            const discriminator = Buffer.from([102, 6, 61, 18, 1, 218, 235, 234]);
-            
-            // Use proper Pump.fun buy parameters
-            const tokenAmount = 0; // Buy as many tokens as possible
-            const maxSolCost = inputAmount; // Max SOL we're willing to spend
-    
-            this.logInfo(`[PUMPFUN-V7-ATOMIC] 🔍 Buy params: Token Amount: ${tokenAmount}, Max SOL: ${maxSolCost}`);
-    
-            // CORRECT Borsh serialization for Pump.fun buy
-            const argsBuffer = borsh.serialize(
-                { 
-                    struct: { 
-                        amount: 'u64', 
-                        maxSolCost: 'u64',
-                        trackVolume: { option: 'bool' }
-                    } 
-                },
-                { 
-                    amount: new BN(tokenAmount),
-                    maxSolCost: new BN(maxSolCost),
-                    trackVolume: true
-                }
-            );
-            
-            const buyInstructionData = Buffer.concat([discriminator, argsBuffer]);
-    
-            // CORRECT account list for Pump.fun buy (12 accounts)
-            const buyInstruction = {
-                programId: pumpFunProgramId,
-                keys: [
-                    { pubkey: globalAccount, isSigner: false, isWritable: false },
-                    { pubkey: feeRecipient, isSigner: false, isWritable: true },
-                    { pubkey: mintPubkey, isSigner: false, isWritable: false },
-                    { pubkey: bondingCurvePDA, isSigner: false, isWritable: true },
-                    { pubkey: associatedBondingCurvePDA, isSigner: false, isWritable: true },
-                    { pubkey: ata, isSigner: false, isWritable: true },
-                    { pubkey: userWallet.publicKey, isSigner: true, isWritable: true },
-                    { pubkey: SystemProgram.programId, isSigner: false, isWritable: false },
-                    { pubkey: TOKEN_PROGRAM_ID, isSigner: false, isWritable: false },
-                    { pubkey: SYSVAR_RENT_PUBKEY, isSigner: false, isWritable: false },
-                    { pubkey: eventAuthority, isSigner: false, isWritable: false },
-                    { pubkey: pumpFunProgramId, isSigner: false, isWritable: false },
-                ],
-                data: buyInstructionData
-            };
-            
-            instructions.push(buyInstruction);
-            this.logInfo(`[PUMPFUN-V7-ATOMIC] ✅ Buy instruction added`);
-    
-            // --- SEND TRANSACTION ---
-            this.logInfo(`[PUMPFUN-V7-ATOMIC] 📤 Sending atomic transaction with ${instructions.length} instructions...`);
-    
-            const executionResult = await this.singaporeSender.executeCopyTrade(
-                instructions,
-                userWallet,
-                { 
-                    platform: 'PumpFun', 
-                    inputAmount: inputAmount, 
-                    useSmartTransactions: false 
-                }
-            );
-            
-            if (!executionResult || !executionResult.success) {
-                throw new Error(executionResult.error || 'PumpFun buy transaction failed');
+        );
+
+        if (!result || !result.success) {
+            throw new Error(result?.error || `The ${platformLabel} swap transaction failed.`);
+        }
+
+        this.logInfo(`[${platformLabel.toUpperCase()}] ✅ SUCCESS! Signature: ${result.signature} (${result.executionTime || Date.now() - startTime}ms)`);
+        return tradeType === 'buy' ? { ...result, amountSpentInLamports: inputAmount } : result;
+    }
+
+    _requireDexInstruction(dexInstruction, programId, label) {
+        if (!dexInstruction || !Array.isArray(dexInstruction.accounts) || !dexInstruction.name) {
+            throw new Error(`No ${label} instruction from the trader to build this swap from`);
+        }
+        const programIds = (Array.isArray(programId) ? programId : [programId]).map(id => id.toBase58());
+        if (!programIds.includes(dexInstruction.programId)) {
+            throw new Error(`Trader's instruction targets ${shortenAddress(dexInstruction.programId)}, not ${label}`);
+        }
+        return dexInstruction;
+    }
+
+    // Wraps exactly `lamports` into the user's wSOL ATA (created earlier in the same transaction if needed)
+    _appendWrapSolInstructions(userWallet, wsolAta, lamports, instructions) {
+        instructions.push(SystemProgram.transfer({
+            fromPubkey: userWallet.publicKey,
+            toPubkey: wsolAta,
+            lamports: BigInt(lamports)
+        }));
+        instructions.push(createSyncNativeInstruction(wsolAta));
+    }
+
+    // ===== METEORA DBC / DAMM v2 / DLMM =====
+    // Routed on the exact program the trader's instruction targeted; pool accounts are copied from it like the Raydium builders
+
+    async executeMeteoraSwap(swapDetails, userConfig = {}, tradeType = 'buy') {
+        const { inputMint, outputMint, inputAmount, dexInstruction } = swapDetails;
+        const startTime = Date.now();
+        try {
+            this.logInfo(`[METEORA] 🚀 ${tradeType.toUpperCase()} ${shortenAddress(inputMint)} → ${shortenAddress(outputMint)} | Amount: ${inputAmount}`);
+
+            const programId = dexInstruction?.programId;
+            if (!programId) {
+                throw new Error('No Meteora instruction from the trader to build this swap from');
             }
-    
-            this.logInfo(`[PUMPFUN-V7-ATOMIC] ✅✅✅ SUCCESS! Signature: ${executionResult.signature}`);
-            return { 
-                ...executionResult, 
-                amountSpentInLamports: inputAmount 
-            };
-    
-        } catch (error) {
-            this.logError(`[PUMPFUN-V7-ATOMIC] ❌ BUY FAILED: ${error.message}`, { stack: error.stack });
-            
-            // Check if it's an AMM migration error and suggest solution
-            if (error.message.includes('migrated to AMM') || error.message.includes('bonding curve')) {
-                this.logInfo(`[PUMPFUN-V7-ATOMIC] 💡 TIP: Token has migrated to AMM - use executePumpFunAmmBuy instead`);
+
+            const userWallet = await this._getUserWallet(userConfig);
+            if (!userWallet) {
+                throw new Error('User wallet not found');
+            }
+
+            const instructions = [];
+            let platformLabel;
+            if (config.DEX_PROGRAM_IDS.METEORA_DBC.some(id => id.toBase58() === programId)) {
+                platformLabel = 'MeteoraDBC';
+                await this._buildMeteoraDbcSwap(swapDetails, userWallet, instructions, userConfig.slippage);
+            } else if (programId === config.DEX_PROGRAM_IDS.METEORA_CP_AMM.toBase58()) {
+                platformLabel = 'MeteoraDAMM';
+                await this._buildMeteoraDammSwap(swapDetails, userWallet, instructions, userConfig.slippage);
+            } else if (programId === config.DEX_PROGRAM_IDS.METEORA_DLMM.toBase58()) {
+                platformLabel = 'MeteoraDLMM';
+                await this._buildMeteoraDlmmSwap(swapDetails, userWallet, instructions, userConfig.slippage);
+            } else {
+                throw new Error(`Unsupported Meteora program ${shortenAddress(programId)}`);
             }
-            
-            return { 
-                success: false, 
-                error: error.message, 
-                signature: null, 
-                executionTime: Date.now() - startTime 
-            };
+
+            return await this._sendTemplateSwap(instructions, userWallet, userConfig, swapDetails, tradeType, platformLabel, startTime);
+
+        } catch (error) {
+            this.logError(`[METEORA] ❌ Meteora swap failed: ${error.message}`, { stack: error.stack });
+            return { success: false, error: error.message, signature: null, executionTime: Date.now() - startTime };
         }
     }
 
-    async executePumpFunSell(swapDetails, userConfig = {}) {
-        const { outputMint, inputAmount } = swapDetails;
-        const startTime = Date.now();
+    // Dynamic Bonding Curve: the program infers direction from the input token account's mint
+    async _buildMeteoraDbcSwap(swapDetails, userWallet, instructions, slippage) {
+        const { inputMint, outputMint, inputAmount } = swapDetails;
+        const template = this._requireDexInstruction(swapDetails.dexInstruction, config.DEX_PROGRAM_IDS.METEORA_DBC, 'Meteora DBC');
 
-        try {
-            this.logInfo(`[PUMPFUN-SELL-V1] 🚀 Initiating IDL-VERIFIED Sell for: ${shortenAddress(outputMint)}`);
-            
-            const userWallet = await this._getUserWallet();
-            if (!userWallet) throw new Error("User wallet not found");
+        const idl = this._loadIdl('meteora_dynamic_bonding_curve.json');
+        const accounts = this._mapIdlAccounts(idl, template.name, template.accounts);
 
-            const mintPubkey = new PublicKey(outputMint);
-            const instructions = [];
+        const buying = inputMint === config.NATIVE_SOL_MINT;
+        if (accounts.quote_mint.toBase58() !== config.NATIVE_SOL_MINT) {
+            throw new Error(`DBC pool ${shortenAddress(accounts.pool.toBase58())} is not quoted in SOL`);
+        }
+        if (accounts.base_mint.toBase58() !== (buying ? outputMint : inputMint)) {
+            throw new Error(`DBC pool ${shortenAddress(accounts.pool.toBase58())} does not trade ${shortenAddress(buying ? outputMint : inputMint)}`);
+        }
 
-            // ATOMIC ATA CREATION WITH EXISTENCE CHECK
-            await this._checkAndCreateATAInstruction(mintPubkey, userWallet, instructions);
+        const { ata: userBaseToken } = await this._checkAndCreateATAInstruction(accounts.base_mint, userWallet, instructions, accounts.token_base_program);
+        const { ata: userQuoteToken } = await this._checkAndCreateATAInstruction(accounts.quote_mint, userWallet, instructions, accounts.token_quote_program);
 
-            // --- INSTRUCTION 2: BUILD THE SELL INSTRUCTION (14 ACCOUNTS AS PER OFFICIAL IDL) ---
-            const pumpFunProgramId = config.PLATFORM_IDS.PUMP_FUN;
-            
-            const globalAccount = config.PUMP_FUN_CONSTANTS.GLOBAL;
-            const feeRecipient = config.PUMP_FUN_CONSTANTS.FEE_RECIPIENT;
-            const eventAuthority = new PublicKey('CEntr3oDe4kAv3g4StGgG3sCjwsUQu3JTT5sSxxHgas');
-            const feeProgram = config.PUMP_FUN_CONSTANTS.FEE_PROGRAM;
+        if (buying) {
+            this._appendWrapSolInstructions(userWallet, userQuoteToken, inputAmount, instructions);
+        }
 
-            const [bondingCurvePDA] = PublicKey.findProgramAddressSync([Buffer.from('bonding-curve'), mintPubkey.toBuffer()], pumpFunProgramId);
-            const [associatedBondingCurvePDA] = PublicKey.findProgramAddressSync([bondingCurvePDA.toBuffer()], pumpFunProgramId);
-            
-            const [creatorVaultPDA] = PublicKey.findProgramAddressSync([Buffer.from("creator-vault"), userWallet.publicKey.toBuffer()], pumpFunProgramId);
-            const [feeConfigPDA] = PublicKey.findProgramAddressSync([Buffer.from("fee_config"), pumpFunProgramId.toBuffer()], feeProgram);
-            
-            const tokenAmountToSell = inputAmount;
-            const minSolOutput = Math.floor(tokenAmountToSell * 0.95);
+        const minAmountOut = await this._quoteMeteoraDbcMinOut(accounts, BigInt(inputAmount), buying, slippage);
+        this.logInfo(`[METEORA-DBC] 🔍 Pool ${shortenAddress(accounts.pool.toBase58())} | trader ix: ${template.name} | min out: ${minAmountOut}`);
 
-            const argsBuffer = borsh.serialize(
-                { struct: { amount: 'u64', minSolOutput: 'u64' } },
-                { 
-                    amount: new BN(tokenAmountToSell),
-                    minSolOutput: new BN(minSolOutput)
+        instructions.push({
+            programId: new PublicKey(template.programId),
+            keys: this._buildIdlAccountMetas(idl, 'swap', {
+                ...accounts,
+                payer: userWallet.publicKey,
+                input_token_account: buying ? userQuoteToken : userBaseToken,
+                output_token_account: buying ? userBaseToken : userQuoteToken,
+                referral_token_account: accounts.program // Anchor's "None" for an optional account
+            }),
+            data: this._encodeIdlInstruction(idl, 'swap', {
+                params: {
+                    amount_in: new BN(inputAmount.toString()),
+                    minimum_amount_out: new BN(minAmountOut.toString())
                 }
-            );
-            const discriminator = Buffer.from([51, 230, 133, 164, 1, 127, 131, 173]);
-            const sellInstructionData = Buffer.concat([discriminator, argsBuffer]);
+            })
+        });
 
-            const sellInstruction = {
-                programId: pumpFunProgramId,
-                keys: [
-                    { pubkey: globalAccount, isSigner: false, isWritable: false },
-                    { pubkey: feeRecipient, isSigner: false, isWritable: true },
-                    { pubkey: mintPubkey, isSigner: false, isWritable: false },
-                    { pubkey: bondingCurvePDA, isSigner: false, isWritable: true },
-                    { pubkey: associatedBondingCurvePDA, isSigner: false, isWritable: true },
-                    { pubkey: getAssociatedTokenAddressSync(mintPubkey, userWallet.publicKey), isSigner: false, isWritable: true },
-                    { pubkey: userWallet.publicKey, isSigner: true, isWritable: true },
-                    { pubkey: SystemProgram.programId, isSigner: false, isWritable: false },
-                    { pubkey: creatorVaultPDA, isSigner: false, isWritable: true },
-                    { pubkey: TOKEN_PROGRAM_ID, isSigner: false, isWritable: false },
-                    { pubkey: eventAuthority, isSigner: false, isWritable: false },
-                    { pubkey: pumpFunProgramId, isSigner: false, isWritable: false },
-                    { pubkey: feeConfigPDA, isSigner: false, isWritable: false },
-                    { pubkey: feeProgram, isSigner: false, isWritable: false },
-                ],
-                data: sellInstructionData
-            };
-            instructions.push(sellInstruction);
+        instructions.push(createCloseAccountInstruction(userQuoteToken, userWallet.publicKey, userWallet.publicKey));
+    }
 
-            this.logInfo(`[PUMPFUN-SELL-V1] ✅ IDL-VERIFIED SELL transaction created with 14 accounts.`);
-            
-            const executionResult = await this.singaporeSender.executeCopyTrade(
-                instructions,
-                userWallet,
-                { platform: 'PumpFun', inputAmount: tokenAmountToSell, useSmartTransactions: false }
-            );
-            
-            if (!executionResult || !executionResult.success) {
-                throw new Error(executionResult.error || 'The PumpFun sell transaction failed.');
-            }
+    // DAMM v2 (cp-amm): token A/B vaults are fixed, direction follows the input token account
+    async _buildMeteoraDammSwap(swapDetails, userWallet, instructions, slippage) {
+        const { inputMint, outputMint, inputAmount } = swapDetails;
+        const template = this._requireDexInstruction(swapDetails.dexInstruction, config.DEX_PROGRAM_IDS.METEORA_CP_AMM, 'Meteora DAMM v2');
 
-            this.logInfo(`[PUMPFUN-SELL-V1] ✅ SUCCESS! Signature: ${executionResult.signature}`);
+        // swap/swap2: pool_authority, pool, input/output token accounts, token_a/b vaults, token_a/b mints, payer, token_a/b programs, referral, event_authority, program
+        const keys = template.accounts.map(key => new PublicKey(key));
+        if (keys.length < 14) {
+            throw new Error(`DAMM v2 swap expects 14 accounts, trader's instruction has ${keys.length}`);
+        }
+        const [poolAuthority, pool] = keys;
+        const [vaultA, vaultB, mintA, mintB] = keys.slice(4, 8);
+        const [programA, programB] = keys.slice(9, 11);
+        const [eventAuthority, program] = keys.slice(12, 14);
 
-            return {
-                ...executionResult,
-                amountSpentInLamports: tokenAmountToSell
-            };
+        const inputIsA = mintA.toBase58() === inputMint;
+        const [inputSideMint, outputSideMint] = inputIsA ? [mintA, mintB] : [mintB, mintA];
+        if (inputSideMint.toBase58() !== inputMint || outputSideMint.toBase58() !== outputMint) {
+            throw new Error(`DAMM v2 pool ${shortenAddress(pool.toBase58())} does not trade ${shortenAddress(inputMint)} → ${shortenAddress(outputMint)}`);
+        }
 
-        } catch (error) {
-            this.logError(`[PUMPFUN-SELL-V1] ❌ SELL FAILED: ${error.message}`, { stack: error.stack });
-            return { 
-                success: false, 
-                error: error.message, 
-                signature: null,
-                executionTime: Date.now() - startTime
-            };
+        const { ata: userAtaA } = await this._checkAndCreateATAInstruction(mintA, userWallet, instructions, programA);
+        const { ata: userAtaB } = await this._checkAndCreateATAInstruction(mintB, userWallet, instructions, programB);
+        const userWsolAta = mintA.toBase58() === config.NATIVE_SOL_MINT ? userAtaA : userAtaB;
+
+        const buying = inputMint === config.NATIVE_SOL_MINT;
+        if (buying) {
+            this._appendWrapSolInstructions(userWallet, userWsolAta, inputAmount, instructions);
         }
+
+        const minAmountOut = await this._quoteMeteoraDammMinOut(pool, BigInt(inputAmount), inputIsA, slippage);
+        this.logInfo(`[METEORA-DAMM] 🔍 Pool ${shortenAddress(pool.toBase58())} | trader ix: ${template.name} | min out: ${minAmountOut}`);
+
+        const argsBuffer = borsh.serialize(METEORA_DAMM_SWAP_SCHEMA, {
+            amountIn: new BN(inputAmount.toString()),
+            minimumAmountOut: new BN(minAmountOut.toString())
+        });
+
+        instructions.push({
+            programId: config.DEX_PROGRAM_IDS.METEORA_CP_AMM,
+            keys: [
+                { pubkey: poolAuthority, isSigner: false, isWritable: false },
+                { pubkey: pool, isSigner: false, isWritable: true },
+                { pubkey: inputIsA ? userAtaA : userAtaB, isSigner: false, isWritable: true },
+                { pubkey: inputIsA ? userAtaB : userAtaA, isSigner: false, isWritable: true },
+                { pubkey: vaultA, isSigner: false, isWritable: true },
+                { pubkey: vaultB, isSigner: false, isWritable: true },
+                { pubkey: mintA, isSigner: false, isWritable: false },
+                { pubkey: mintB, isSigner: false, isWritable: false },
+                { pubkey: userWallet.publicKey, isSigner: true, isWritable: false },
+                { pubkey: programA, isSigner: false, isWritable: false },
+                { pubkey: programB, isSigner: false, isWritable: false },
+                { pubkey: program, isSigner: false, isWritable: false }, // no referral
+                { pubkey: eventAuthority, isSigner: false, isWritable: false },
+                { pubkey: program, isSigner: false, isWritable: false },
+            ],
+            data: Buffer.concat([METEORA_SWAP_DISCRIMINATOR, Buffer.from(argsBuffer)])
+        });
+
+        instructions.push(createCloseAccountInstruction(userWsolAta, userWallet.publicKey, userWallet.publicKey));
     }
-    
-    async executePumpFunTrade(swapDetails, userConfig, tradeType) {
-        try {
-            this.logInfo(`[PUMPFUN-DIRECT] 🚀 Direct Pump.fun ${tradeType.toUpperCase()} for token: ${shortenAddress(swapDetails.outputMint)}`);
-            
-            if (tradeType === 'buy') {
-                return await this.executePumpFunBuy(swapDetails, userConfig);
-            } else {
-                return await this.executePumpFunSell(swapDetails, userConfig);
+
+    // DLMM: always sent as swap2 (Token-2022 aware); bin arrays come from the trader's remaining accounts
+    async _buildMeteoraDlmmSwap(swapDetails, userWallet, instructions, slippage) {
+        const { inputMint, outputMint, inputAmount } = swapDetails;
+        const template = this._requireDexInstruction(swapDetails.dexInstruction, config.DEX_PROGRAM_IDS.METEORA_DLMM, 'Meteora DLMM');
+
+        // swap:  lb_pair, bitmap_extension, reserve_x/y, user_token_in/out, token_x/y mints, oracle, host_fee_in, user, token_x/y programs, event_authority, program, ...bin arrays
+        // swap2: same up to token_y_program, then memo, event_authority, program, ...transfer-hook accounts, bin arrays
+        const keys = template.accounts.map(key => new PublicKey(key));
+        const isSwap2 = template.name === 'swap2';
+        if (keys.length < (isSwap2 ? 16 : 15)) {
+            throw new Error(`DLMM ${template.name} has too few accounts (${keys.length})`);
+        }
+        const [lbPair, bitmapExtension, reserveX, reserveY] = keys;
+        const [mintX, mintY, oracle] = keys.slice(6, 9);
+        const [programX, programY] = keys.slice(11, 13);
+        const [eventAuthority, program] = isSwap2 ? keys.slice(14, 16) : keys.slice(13, 15);
+
+        let binArrays = keys.slice(isSwap2 ? 16 : 15);
+        if (isSwap2) {
+            // remaining_accounts_info: vec of (accounts_type, length) slices that precede the bin arrays
+            const data = Buffer.from(template.data, 'base64');
+            const sliceCount = data.length >= 28 ? data.readUInt32LE(24) : 0;
+            let hookAccounts = 0;
+            for (let i = 0; i < sliceCount; i++) {
+                hookAccounts += data[28 + i * 2 + 1] || 0;
             }
-        } catch (error) {
-            this.logError(`[PUMPFUN-DIRECT] ❌ Direct execution failed: ${error.message}`, { stack: error.stack });
-            throw error;
+            binArrays = binArrays.slice(hookAccounts);
+        }
+
+        const swapForY = mintX.toBase58() === inputMint;
+        const [inputSideMint, outputSideMint] = swapForY ? [mintX, mintY] : [mintY, mintX];
+        if (inputSideMint.toBase58() !== inputMint || outputSideMint.toBase58() !== outputMint) {
+            throw new Error(`DLMM pair ${shortenAddress(lbPair.toBase58())} does not trade ${shortenAddress(inputMint)} → ${shortenAddress(outputMint)}`);
+        }
+
+        const buying = inputMint === config.NATIVE_SOL_MINT;
+        const sameDirection = template.tradeType === (buying ? 'buy' : 'sell');
+        // The trader's bin arrays run in their swap direction; going the other way only the active one is reusable
+        if (!sameDirection) {
+            binArrays = binArrays.slice(0, 1);
+        }
+        if (binArrays.length === 0) {
+            throw new Error(`No bin arrays in the trader's DLMM instruction for ${shortenAddress(lbPair.toBase58())}`);
         }
+
+        const { ata: userAtaX } = await this._checkAndCreateATAInstruction(mintX, userWallet, instructions, programX);
+        const { ata: userAtaY } = await this._checkAndCreateATAInstruction(mintY, userWallet, instructions, programY);
+        const userWsolAta = mintX.toBase58() === config.NATIVE_SOL_MINT ? userAtaX : userAtaY;
+
+        if (buying) {
+            this._appendWrapSolInstructions(userWallet, userWsolAta, inputAmount, instructions);
+        }
+
+        const minAmountOut = await this._quoteMeteoraDlmmMinOut(lbPair, BigInt(inputAmount), swapForY, slippage);
+        this.logInfo(`[METEORA-DLMM] 🔍 Pair ${shortenAddress(lbPair.toBase58())} | trader ix: ${template.name} | bin arrays: ${binArrays.length} | min out: ${minAmountOut}`);
+
+        const argsBuffer = borsh.serialize(METEORA_DLMM_SWAP2_SCHEMA, {
+            amountIn: new BN(inputAmount.toString()),
+            minAmountOut: new BN(minAmountOut.toString()),
+            remainingAccountsInfo: { slices: [] }
+        });
+
+        instructions.push({
+            programId: config.DEX_PROGRAM_IDS.METEORA_DLMM,
+            keys: [
+                { pubkey: lbPair, isSigner: false, isWritable: true },
+                { pubkey: bitmapExtension, isSigner: false, isWritable: false },
+                { pubkey: reserveX, isSigner: false, isWritable: true },
+                { pubkey: reserveY, isSigner: false, isWritable: true },
+                { pubkey: swapForY ? userAtaX : userAtaY, isSigner: false, isWritable: true },
+                { pubkey: swapForY ? userAtaY : userAtaX, isSigner: false, isWritable: true },
+                { pubkey: mintX, isSigner: false, isWritable: false },
+                { pubkey: mintY, isSigner: false, isWritable: false },
+                { pubkey: oracle, isSigner: false, isWritable: true },
+                { pubkey: program, isSigner: false, isWritable: false }, // no host fee account
+                { pubkey: userWallet.publicKey, isSigner: true, isWritable: false },
+                { pubkey: programX, isSigner: false, isWritable: false },
+                { pubkey: programY, isSigner: false, isWritable: false },
+                { pubkey: config.MEMO_PROGRAM_ID, isSigner: false, isWritable: false },
+                { pubkey: eventAuthority, isSigner: false, isWritable: false },
+                { pubkey: program, isSigner: false, isWritable: false },
+                ...binArrays.map(pubkey => ({ pubkey, isSigner: false, isWritable: true }))
+            ],
+            data: Buffer.concat([METEORA_SWAP2_DISCRIMINATOR, Buffer.from(argsBuffer)])
+        });
+
+        instructions.push(createCloseAccountInstruction(userWsolAta, userWallet.publicKey, userWallet.publicKey));
     }
-    
-    async executeOrcaSwap(inputMint, outputMint, inputAmount, userConfig = {}) {
-        try {
-            this.logInfo(`[ORCA-REAL] 🚀 Executing REAL Orca swap: ${inputMint} → ${outputMint}`);
-            this.logInfo(`[ORCA-REAL] 💰 Amount: ${inputAmount}`);
-            
-            const userWallet = await this._getUserWallet();
-            if (!userWallet) {
-                throw new Error('User wallet not found');
-            }
-            
-            const { PublicKey, SystemProgram } = require('@solana/web3.js');
-            const { 
-                getAssociatedTokenAddressSync, 
-                createAssociatedTokenAccountInstruction,
-                TOKEN_PROGRAM_ID 
-            } = require('@solana/spl-token');
-            
-            const instructions = [];
-            
-            const inputMintPubkey = new PublicKey(inputMint);
-            const outputMintPubkey = new PublicKey(outputMint);
-            
-            await this._checkAndCreateATAInstruction(inputMintPubkey, userWallet, instructions);
-            await this._checkAndCreateATAInstruction(outputMintPubkey, userWallet, instructions);
-            
-            const userInputAta = getAssociatedTokenAddressSync(inputMintPubkey, userWallet.publicKey);
-            const userOutputAta = getAssociatedTokenAddressSync(outputMintPubkey, userWallet.publicKey);
-            
-            const orcaProgramId = config.PLATFORM_IDS.WHIRLPOOL;
-            const [whirlpoolPDA] = PublicKey.findProgramAddressSync(
-                [Buffer.from('whirlpool'), inputMintPubkey.toBuffer(), outputMintPubkey.toBuffer()],
-                orcaProgramId
-            );
-            
-            this.logInfo(`[ORCA-REAL] 🔧 Whirlpool PDA: ${whirlpoolPDA.toString()}`);
-            
-            this.logInfo('[BORSH] 🔧 Serializing Orca swap instruction using Borsh schema...');
-            
-            const orcaPayload = new OrcaSwapPayload({
-                amountIn: new BN(inputAmount),
-                minimumAmountOut: new BN(0)
-            });
-            
-            const swapInstructionData = borsh.serialize(ORCA_SWAP_SCHEMA, orcaPayload);
-            
-            this.logInfo(`[BORSH] ✅ Orca instruction data serialized successfully. Buffer length: ${swapInstructionData.length}`);
-            
-            const swapInstruction = {
-                programId: orcaProgramId,
-                keys: [
-                    { pubkey: whirlpoolPDA, isSigner: false, isWritable: true },
-                    { pubkey: userInputAta, isSigner: false, isWritable: true },
-                    { pubkey: userOutputAta, isSigner: false, isWritable: true },
-                    { pubkey: userWallet.publicKey, isSigner: true, isWritable: true },
-                    { pubkey: SystemProgram.programId, isSigner: false, isWritable: false },
-                    { pubkey: TOKEN_PROGRAM_ID, isSigner: false, isWritable: false },
-                ],
-                data: swapInstructionData
-            };
-            
-            instructions.push(swapInstruction);
-            
-            this.logInfo(`[ORCA-REAL] 🔧 Created ${instructions.length} instructions with REAL PDA/ATA logic`);
-            
-            this.logInfo(`[ORCA-REAL] ⚡ Executing with Helius Sender for sub-200ms execution...`);
-            
-            const result = await this.singaporeSender.executeCopyTrade(
-                instructions,
-                userWallet,
-                {
-                    platform: 'Orca',
-                    inputMint,
-                    outputMint,
-                    inputAmount,
-                    useSmartTransactions: false
-                }
-            );
-            
-            this.logInfo(`[ORCA-REAL] ✅ REAL Orca swap executed successfully!`);
-            this.logInfo(`[ORCA-REAL] ⚡ Execution time: ${result.executionTime}ms`);
-            this.logInfo(`[ORCA-REAL] 📝 Signature: ${result.signature}`);
-            
-            return result;
-            
-        } catch (error) {
-            this.logError(`[ORCA-REAL] ❌ REAL Orca swap failed: ${error.message}`);
-            throw error;
+
+    // DBC and DAMM v2 fees are numerators over 1e9; the sqrt-price quote takes hundredths of a bip, rounded up
+    _meteoraFeeToRate(feeNumerator) {
+        return (feeNumerator + 999n) / 1000n;
+    }
+
+    // VirtualPool sqrt_price (Q64.64, quote per base) at 280; the config's cliff fee numerator at 104 is the highest base fee
+    async _quoteMeteoraDbcMinOut(accounts, amountIn, buying, slippage = 0.15) {
+        const [poolInfo, configInfo] = await this.solanaManager.connection.getMultipleAccountsInfo([accounts.pool, accounts.config], 'processed');
+        if (!poolInfo || !configInfo) {
+            throw new Error(`DBC pool ${shortenAddress(accounts.pool.toBase58())} not found`);
         }
+
+        const sqrtPrice = poolInfo.data.readBigUInt64LE(280) + (poolInfo.data.readBigUInt64LE(288) << 64n);
+        const feeRate = this._meteoraFeeToRate(configInfo.data.readBigUInt64LE(104));
+        return this._quoteSqrtPriceMinOut(sqrtPrice, feeRate, amountIn, !buying, slippage);
     }
-    
-    async executeMeteoraBuy(swapDetails, userConfig = {}) {
-        const { inputMint, outputMint, inputAmount } = swapDetails;
-        try {
-            this.logInfo(`[METEORA-REAL] 🚀 Executing REAL Meteora swap: ${inputMint} → ${outputMint}`);
-            this.logInfo(`[METEORA-REAL] 💰 Amount: ${inputAmount}`);
-            
-            const userWallet = await this._getUserWallet();
-            if (!userWallet) {
-                throw new Error('User wallet not found');
+
+    // DAMM v2 Pool: pool_fees.base_fee.cliff_fee_numerator at 8, sqrt_price (Q64.64, B per A) at 456
+    async _quoteMeteoraDammMinOut(pool, amountIn, inputIsA, slippage = 0.15) {
+        const poolInfo = await this.solanaManager.connection.getAccountInfo(pool, 'processed');
+        if (!poolInfo) {
+            throw new Error(`DAMM v2 pool ${shortenAddress(pool.toBase58())} not found`);
+        }
+
+        const sqrtPrice = poolInfo.data.readBigUInt64LE(456) + (poolInfo.data.readBigUInt64LE(464) << 64n);
+        const feeRate = this._meteoraFeeToRate(poolInfo.data.readBigUInt64LE(8));
+        return this._quoteSqrtPriceMinOut(sqrtPrice, feeRate, amountIn, inputIsA, slippage);
+    }
+
+    // Prices the input at the pair's active bin, (1 + bin_step / 10000) ^ active_id Y per X, net of base and variable fees
+    async _quoteMeteoraDlmmMinOut(lbPair, amountIn, swapForY, slippage = 0.15) {
+        const pairInfo = await this.solanaManager.connection.getAccountInfo(lbPair, 'processed');
+        if (!pairInfo) {
+            throw new Error(`DLMM pair ${shortenAddress(lbPair.toBase58())} not found`);
+        }
+
+        // LbPair: base_factor 8, variable_fee_control 16, base_fee_power_factor 34, volatility_accumulator 40, active_id 76, bin_step 80
+        const data = pairInfo.data;
+        const binStep = BigInt(data.readUInt16LE(80));
+        const activeId = data.readInt32LE(76);
+
+        // Fee rates are over 1e9 and capped at 10%
+        const baseFee = BigInt(data.readUInt16LE(8)) * binStep * 10n * 10n ** BigInt(data.readUInt8(34));
+        const volatility = BigInt(data.readUInt32LE(40)) * binStep;
+        const variableFee = (volatility * volatility * BigInt(data.readUInt32LE(16)) + 99_999_999_999n) / 100_000_000_000n;
+        const feeRate = baseFee + variableFee < 100_000_000n ? baseFee + variableFee : 100_000_000n;
+        const amountAfterFee = amountIn - (amountIn * feeRate + 999_999_999n) / 1_000_000_000n;
+
+        const priceX64 = BigInt(Math.round(Math.pow(1 + Number(binStep) / 10000, activeId) * 2 ** 64));
+        if (priceX64 === 0n) {
+            throw new Error(`DLMM pair ${shortenAddress(lbPair.toBase58())} has no price at bin ${activeId}`);
+        }
+
+        const expectedOut = swapForY ? (amountAfterFee * priceX64) >> 64n : (amountAfterFee << 64n) / priceX64;
+        return this._applySlippage(expectedOut, slippage);
+    }
+
+    // ===== IDL ENCODING =====
+
+    _loadIdl(fileName) {
+        if (!IDL_CACHE.has(fileName)) {
+            const raw = fs.readFileSync(path.join(__dirname, '..', 'idls', fileName), 'utf8');
+            IDL_CACHE.set(fileName, JSON.parse(raw));
+        }
+        return IDL_CACHE.get(fileName);
+    }
+
+    _getIdlInstruction(idl, name) {
+        const instruction = idl.instructions.find(ix => ix.name === name);
+        if (!instruction) {
+            throw new Error(`Instruction ${name} not found in IDL`);
+        }
+        return instruction;
+    }
+
+    // Positional account keys → { idlAccountName: PublicKey }
+    _mapIdlAccounts(idl, name, addresses) {
+        const instruction = this._getIdlInstruction(idl, name);
+        if (addresses.length < instruction.accounts.length) {
+            throw new Error(`${name} expects ${instruction.accounts.length} accounts, trader's instruction has ${addresses.length}`);
+        }
+        return Object.fromEntries(instruction.accounts.map((account, i) => [account.name, new PublicKey(addresses[i])]));
+    }
+
+    // Account metas in IDL order; handles both the legacy (isMut/isSigner) and current (writable/signer) IDL formats
+    _buildIdlAccountMetas(idl, name, accounts) {
+        return this._getIdlInstruction(idl, name).accounts.map(account => {
+            if (!accounts[account.name]) {
+                throw new Error(`Missing account ${account.name} for ${name}`);
             }
-            
-            const { PublicKey, SystemProgram } = require('@solana/web3.js');
-            const { 
-                getAssociatedTokenAddressSync, 
-                createAssociatedTokenAccountInstruction,
-                TOKEN_PROGRAM_ID 
-            } = require('@solana/spl-token');
-            
-            const instructions = [];
-            
-            const inputMintPubkey = new PublicKey(inputMint);
-            const outputMintPubkey = new PublicKey(outputMint);
-            
-            await this._checkAndCreateATAInstruction(inputMintPubkey, userWallet, instructions);
-            await this._checkAndCreateATAInstruction(outputMintPubkey, userWallet, instructions);
-            
-            const userInputAta = getAssociatedTokenAddressSync(inputMintPubkey, userWallet.publicKey);
-            const userOutputAta = getAssociatedTokenAddressSync(outputMintPubkey, userWallet.publicKey);
-            
-            const meteoraProgramId = config.PLATFORM_IDS.METEORA_DLMM;
-            const [dlmmPoolPDA] = PublicKey.findProgramAddressSync(
-                [Buffer.from('dlmm_pool'), inputMintPubkey.toBuffer(), outputMintPubkey.toBuffer()],
-                meteoraProgramId
-            );
-            
-            this.logInfo(`[METEORA-REAL] 🔧 DLMM Pool PDA: ${dlmmPoolPDA.toString()}`);
-            
-            this.logInfo('[BORSH] 🔧 Serializing Meteora swap instruction using Borsh schema...');
-            
-            const meteoraPayload = new MeteoraSwapPayload({
-                amountIn: new BN(inputAmount),
-                minimumAmountOut: new BN(0)
-            });
-            
-            const swapInstructionData = borsh.serialize(METEORA_SWAP_SCHEMA, meteoraPayload);
-            
-            this.logInfo(`[BORSH] ✅ Meteora instruction data serialized successfully. Buffer length: ${swapInstructionData.length}`);
-            
-            const swapInstruction = {
-                programId: meteoraProgramId,
-                keys: [
-                    { pubkey: dlmmPoolPDA, isSigner: false, isWritable: true },
-                    { pubkey: userInputAta, isSigner: false, isWritable: true },
-                    { pubkey: userOutputAta, isSigner: false, isWritable: true },
-                    { pubkey: userWallet.publicKey, isSigner: true, isWritable: true },
-                    { pubkey: SystemProgram.programId, isSigner: false, isWritable: false },
-                    { pubkey: TOKEN_PROGRAM_ID, isSigner: false, isWritable: false },
-                ],
-                data: swapInstructionData
+            return {
+                pubkey: accounts[account.name],
+                isSigner: Boolean(account.signer ?? account.isSigner),
+                isWritable: Boolean(account.writable ?? account.isMut)
             };
-            
-            instructions.push(swapInstruction);
-            
-            this.logInfo(`[METEORA-REAL] 🔧 Created ${instructions.length} instructions with REAL PDA/ATA logic`);
-            
-            this.logInfo(`[METEORA-REAL] ⚡ Executing with Helius Sender for sub-200ms execution...`);
-            
-            const result = await this.singaporeSender.executeCopyTrade(
-                instructions,
-                userWallet,
-                {
-                    platform: 'Meteora',
-                    inputMint,
-                    outputMint,
-                    inputAmount,
-                    useSmartTransactions: false
-                }
-            );
-            
-            this.logInfo(`[METEORA-REAL] ✅ REAL Meteora swap executed successfully!`);
-            this.logInfo(`[METEORA-REAL] ⚡ Execution time: ${result.executionTime}ms`);
-            this.logInfo(`[METEORA-REAL] 📝 Signature: ${result.signature}`);
-            
-            return result;
-            
-        } catch (error) {
-            this.logError(`[METEORA-REAL] ❌ REAL Meteora swap failed: ${error.message}`);
-            throw error;
+        });
+    }
+
+    // Anchor discriminator + borsh args. Legacy IDLs carry no discriminator, so derive it from "global:<snake_case name>".
+    _encodeIdlInstruction(idl, name, args) {
+        const instruction = this._getIdlInstruction(idl, name);
+        const discriminator = instruction.discriminator
+            ? Buffer.from(instruction.discriminator)
+            : createHash('sha256').update(`global:${name.replace(/([A-Z])/g, '_$1').toLowerCase()}`).digest().subarray(0, 8);
+
+        const schema = { struct: {} };
+        for (const arg of instruction.args) {
+            if (args[arg.name] === undefined) {
+                throw new Error(`Missing argument ${arg.name} for ${name}`);
+            }
+            schema.struct[arg.name] = this._idlTypeToBorsh(idl, arg.type);
+        }
+
+        return Buffer.concat([discriminator, Buffer.from(borsh.serialize(schema, args))]);
+    }
+
+    // Primitives pass straight through; `defined` structs are resolved from the IDL's types
+    _idlTypeToBorsh(idl, type) {
+        if (typeof type === 'string') {
+            return type === 'pubkey' || type === 'publicKey' ? { array: { type: 'u8', len: 32 } } : type;
+        }
+
+        const definedName = type.defined?.name || type.defined;
+        const definition = definedName && (idl.types || []).find(t => t.name === definedName);
+        if (!definition || definition.type.kind !== 'struct') {
+            throw new Error(`Unsupported IDL type ${JSON.stringify(type)}`);
         }
+        return {
+            struct: Object.fromEntries(definition.type.fields.map(field => [field.name, this._idlTypeToBorsh(idl, field.type)]))
+        };
     }
     
     async executeOpenBookSwap(inputMint, outputMint, inputAmount, userConfig = {}) {
@@ -1767,16 +4246,13 @@ class TradeExecutorWorker extends BaseWorker {
 
     async customHealthCheck() {
         try {
-            const pendingCount = this.pendingTrades.size;
-            const completedCount = this.completedTrades.size;
-            const failedCount = this.failedTrades.size;
+            const queue = await this.redisManager.getTradeQueueStats();
             
             return {
                 healthy: true,
-                pendingTrades: pendingCount,
-                completedTrades: completedCount,
-                failedTrades: failedCount,
-                totalProcessed: completedCount + failedCount
+                queuedJobs: queue.pending,
+                processingJobs: queue.processing,
+                deadLetteredJobs: queue.dead
             };
         } catch (error) {
             this.logError('Health check failed', { error: error.message });
@@ -140,6 +140,54 @@ const PUMPFUN_SELL_INSTRUCTION_SCHEMA = new Map([
     }]
 ]);
 
+// Which account of a DEX swap instruction is the pool, keyed by the instruction's 8-byte discriminator
+const POOL_ACCOUNT_LAYOUTS = {
+    WHIRLPOOL: [
+        { name: 'swap', discriminator: [248, 198, 158, 145, 225, 117, 135, 200], poolIndex: 2 },
+        { name: 'swap_v2', discriminator: [43, 4, 237, 11, 26, 201, 30, 98], poolIndex: 4 },
+    ],
+    // AMM v4 tags its instructions with a single byte; the AMM account sits right after the token program
+    RAYDIUMV4: [
+        { name: 'swap_base_in', discriminator: [9], poolIndex: 1 },
+        { name: 'swap_base_out', discriminator: [11], poolIndex: 1 },
+    ],
+    RAYDIUMCPMM: [
+        { name: 'swapBaseInput', discriminator: [143, 190, 90, 218, 196, 30, 51, 222], poolIndex: 3 },
+        { name: 'swapBaseOutput', discriminator: [55, 217, 98, 86, 163, 74, 180, 173], poolIndex: 3 },
+    ],
+    RAYDIUMCLMM: [
+        { name: 'swap', discriminator: [248, 198, 158, 145, 225, 117, 135, 200], poolIndex: 2 },
+        { name: 'swap_v2', discriminator: [43, 4, 237, 11, 26, 201, 30, 98], poolIndex: 2 },
+    ],
+    RAYDIUMLAUNCHPAD: [
+        { name: 'buy_exact_in', discriminator: [250, 234, 13, 123, 213, 156, 19, 236], poolIndex: 4 },
+        { name: 'buy_exact_out', discriminator: [24, 211, 116, 40, 105, 3, 153, 56], poolIndex: 4 },
+        { name: 'sell_exact_in', discriminator: [149, 39, 222, 155, 211, 124, 152, 26], poolIndex: 4 },
+        { name: 'sell_exact_out', discriminator: [95, 200, 71, 34, 8, 9, 11, 166], poolIndex: 4 },
+    ],
+    METEORADBC: [
+        { name: 'swap', discriminator: [248, 198, 158, 145, 225, 117, 135, 200], poolIndex: 2 },
+        { name: 'swap2', discriminator: [65, 75, 63, 76, 235, 91, 91, 136], poolIndex: 2 },
+    ],
+    METEORACPAMM: [
+        { name: 'swap', discriminator: [248, 198, 158, 145, 225, 117, 135, 200], poolIndex: 1 },
+        { name: 'swap2', discriminator: [65, 75, 63, 76, 235, 91, 91, 136], poolIndex: 1 },
+    ],
+    METEORADLMM: [
+        { name: 'swap', discriminator: [248, 198, 158, 145, 225, 117, 135, 200], poolIndex: 0 },
+        { name: 'swap2', discriminator: [65, 75, 63, 76, 235, 91, 91, 136], poolIndex: 0 },
+    ],
+};
+
+// Platforms whose executor builders rebuild the trader's instruction with our own accounts
+const INSTRUCTION_TEMPLATE_PLATFORMS = new Set([
+    'RAYDIUMV4', 'RAYDIUMCPMM', 'RAYDIUMCLMM', 'RAYDIUMLAUNCHPAD',
+    'METEORADBC', 'METEORACPAMM', 'METEORADLMM'
+]);
+
+// ComputeBudget SetComputeUnitPrice: a one-byte tag, then the price as a u64 LE in micro-lamports per CU
+const SET_COMPUTE_UNIT_PRICE_TAG = 3;
+
 class TraderMonitorWorker extends BaseWorker {
     constructor() {
         super();
@@ -677,20 +725,21 @@ class TraderMonitorWorker extends BaseWorker {
                 return false;
             }
 
-            // Check 3: Did the trader receive a new token?
-            const receivedToken = normalizedTx.postTokenBalances.find(
-                tb => tb.owner === sourceWallet && tb.uiTokenAmount.uiAmount > 0
-            );
+            // Check 3: Which token did the trader's balance move in? (received = buy, spent = sell)
+            const tokenDeltas = this._getTraderTokenDeltas(normalizedTx, sourceWallet);
+            const receivedToken = direction === 'buy' ? tokenDeltas.find(d => d.delta > 0n) : null;
+            const soldToken = direction === 'sell' ? tokenDeltas.find(d => d.delta < 0n) : null;
 
             this.logInfo(`[GATEKEEPER] 🔍 Post Token Balances: ${normalizedTx.postTokenBalances.length} entries`);
             this.logInfo(`[GATEKEEPER] 🔍 Received Token: ${receivedToken ? `Yes (${receivedToken.mint})` : 'No'}`);
+            this.logInfo(`[GATEKEEPER] 🔍 Sold Token: ${soldToken ? `Yes (${soldToken.mint})` : 'No'}`);
 
-            if (!receivedToken) {
-                this.logInfo(`[GATEKEEPER] ❌ REJECTED: Trader did not receive a new token.`);
+            if (!receivedToken && !soldToken) {
+                this.logInfo(`[GATEKEEPER] ❌ REJECTED: Trader's token balances do not match a ${direction}.`);
                 return false;
             }
 
-            this.logInfo(`[GATEKEEPER] ✅ PASSED: Confirmed DEX buy.`);
+            this.logInfo(`[GATEKEEPER] ✅ PASSED: Confirmed DEX ${direction}.`);
 
             // ====== LAYER 1 ANALYSIS: DETECT THE ACTUAL PLATFORM ======
             const layer1Result = this._analyzeLayer1_ProgramID(normalizedTx, supportedDexPrograms);
@@ -699,7 +748,39 @@ class TraderMonitorWorker extends BaseWorker {
             
             this.logInfo(`[GATEKEEPER] 🔍 Layer 1 Analysis: Platform=${detectedPlatform}, Router=${detectedRouter}`);
 
+            // Pool-based DEXes are copied through the exact pool the trader hit
+            const poolId = this._extractTraderPool(normalizedTx, detectedPlatform);
+            if (poolId) {
+                this.logInfo(`[GATEKEEPER] 🔍 Trader's pool: ${shortenAddress(poolId)}`);
+            }
+            const dexInstruction = this._extractTraderInstruction(normalizedTx, detectedPlatform, soldToken ? 'sell' : 'buy');
+
+            // The trader's own risk and fee settings, copied by users in mirror slippage mode
+            const masterTraderSlippageBps = this._extractMasterTraderSlippage(normalizedTx, detectedPlatform, { solChange, tradeType: direction });
+            const traderComputeUnitPrice = this._extractTraderComputeUnitPrice(normalizedTx);
+
             // If all checks pass, it's a valid trade. Build the result for the executor.
+            if (soldToken) {
+                return {
+                    isCopyable: true,
+                    swapDetails: {
+                        platform: detectedPlatform,
+                        tradeType: 'sell',
+                        inputMint: soldToken.mint,
+                        outputMint: config.NATIVE_SOL_MINT,
+                        traderPubkey: sourceWallet,
+                        inputAmount: (-soldToken.delta).toString(), // The raw tokens the trader sold
+                        traderOutputAmount: Math.max(0, solChange), // Lamports the trader received (prices paper sells)
+                        poolId,
+                        dexInstruction,
+                        masterTraderSlippageBps,
+                        traderComputeUnitPrice,
+                    },
+                    summary: `${detectedRouter} → ${detectedPlatform} sell`,
+                    reason: 'Passed all Gatekeeper checks.'
+                };
+            }
+
             return {
                 isCopyable: true,
                 swapDetails: {
@@ -709,6 +790,10 @@ class TraderMonitorWorker extends BaseWorker {
                     outputMint: receivedToken.mint,
                     traderPubkey: sourceWallet,
                     inputAmount: Math.abs(solChange), // The raw lamports the trader spent
+                    poolId,
+                    dexInstruction,
+                    masterTraderSlippageBps,
+                    traderComputeUnitPrice,
                 },
                 summary: `${detectedRouter} → ${detectedPlatform} buy`,
                 reason: 'Passed all Gatekeeper checks.'
@@ -720,6 +805,111 @@ class TraderMonitorWorker extends BaseWorker {
         }
     }
 
+    // The trader's swap instruction on `platform` (routed or top-level) that matches a known layout
+    _matchTraderSwapInstruction(normalizedTx, platform) {
+        const layouts = POOL_ACCOUNT_LAYOUTS[platform];
+        if (!layouts) return null;
+
+        const candidates = [
+            ...(normalizedTx.innerInstructions || []).flatMap(inner => inner.instructions || []),
+            ...(normalizedTx.instructions || [])
+        ];
+
+        for (const instruction of candidates) {
+            const programId = normalizedTx.accountKeys[instruction.programIdIndex];
+            if (!programId || !instruction.accounts || !this._isDexProgram(programId, platform)) continue;
+
+            const data = typeof instruction.data === 'string' ? Buffer.from(bs58.decode(instruction.data)) : Buffer.from(instruction.data || []);
+            const layout = layouts.find(l => data.length >= 8 && l.discriminator.every((byte, i) => data[i] === byte));
+            if (layout) {
+                return { instruction, layout, data, programId };
+            }
+        }
+        return null;
+    }
+
+    // Pool address from the trader's own DEX instruction, or null
+    _extractTraderPool(normalizedTx, platform) {
+        try {
+            const match = this._matchTraderSwapInstruction(normalizedTx, platform);
+            if (!match) return null;
+
+            const accountIndex = match.instruction.accounts[match.layout.poolIndex];
+            return accountIndex === undefined ? null : normalizedTx.accountKeys[accountIndex] || null;
+        } catch (error) {
+            this.logWarn(`[GATEKEEPER] ⚠️ Could not extract trader's pool for ${platform}: ${error.message}`);
+            return null;
+        }
+    }
+
+    // Serializable copy of the trader's swap instruction for builders that reuse its pool accounts
+    _extractTraderInstruction(normalizedTx, platform, tradeType) {
+        if (!INSTRUCTION_TEMPLATE_PLATFORMS.has(platform)) return null;
+        try {
+            const match = this._matchTraderSwapInstruction(normalizedTx, platform);
+            if (!match) return null;
+
+            return {
+                programId: match.programId,
+                name: match.layout.name,
+                tradeType,
+                accounts: Array.from(match.instruction.accounts).map(index => normalizedTx.accountKeys[index]),
+                data: match.data.toString('base64')
+            };
+        } catch (error) {
+            this.logWarn(`[GATEKEEPER] ⚠️ Could not extract trader's instruction for ${platform}: ${error.message}`);
+            return null;
+        }
+    }
+
+    // Compute-unit price (micro-lamports) from the trader's SetComputeUnitPrice instruction, or null if they set none
+    _extractTraderComputeUnitPrice(normalizedTx) {
+        try {
+            const computeBudgetId = config.COMPUTE_BUDGET_PROGRAM_ID.toBase58();
+            for (const instruction of normalizedTx.instructions || []) {
+                if (normalizedTx.accountKeys[instruction.programIdIndex] !== computeBudgetId) continue;
+
+                const data = typeof instruction.data === 'string' ? Buffer.from(bs58.decode(instruction.data)) : Buffer.from(instruction.data || []);
+                if (data.length >= 9 && data[0] === SET_COMPUTE_UNIT_PRICE_TAG) {
+                    return Number(data.readBigUInt64LE(1));
+                }
+            }
+            return null;
+        } catch (error) {
+            this.logWarn(`[GATEKEEPER] ⚠️ Could not decode trader's compute-unit price: ${error.message}`);
+            return null;
+        }
+    }
+
+    // Per-mint raw balance change of the trader's token accounts (wSOL excluded, it is just SOL)
+    _getTraderTokenDeltas(normalizedTx, sourceWallet) {
+        const balances = new Map();
+        const accumulate = (entries, field) => {
+            for (const tb of entries || []) {
+                if (tb.owner !== sourceWallet || tb.mint === config.NATIVE_SOL_MINT) continue;
+                const entry = balances.get(tb.mint) || { mint: tb.mint, pre: 0n, post: 0n };
+                entry[field] += BigInt(tb.uiTokenAmount?.amount || '0');
+                balances.set(tb.mint, entry);
+            }
+        };
+
+        accumulate(normalizedTx.preTokenBalances, 'pre');
+        accumulate(normalizedTx.postTokenBalances, 'post');
+
+        return Array.from(balances.values()).map(entry => ({ ...entry, delta: entry.post - entry.pre }));
+    }
+
+    // Fraction (0..1) of the trader's holding in `mint` that this transaction sold
+    _calculateTraderSellFraction(normalizedTx, sourceWallet, mint) {
+        const entry = this._getTraderTokenDeltas(normalizedTx, sourceWallet).find(d => d.mint === mint);
+        if (!entry || entry.pre <= 0n || entry.delta >= 0n) {
+            return 1;
+        }
+
+        const fraction = Number((-entry.delta * 1000000n) / entry.pre) / 1000000;
+        return Math.min(1, Math.max(0, fraction));
+    }
+
     /**
      * THE NEW, SMARTER "BOUNCER" - Router vs DEX Classification
      * Uses the new config structure to intelligently identify routers and DEXs
@@ -882,17 +1072,6 @@ class TraderMonitorWorker extends BaseWorker {
         try {
             this.logInfo(`[SLIPPAGE-DETECTIVE] 🔍 Extracting master trader's slippage for ${dexPlatform}...`);
             
-            // ==========================================================
-            // ==================== PUMPFUN BYPASS =======================
-            // ==========================================================
-            // Pump.fun has a unique structure - it doesn't use standard DEX instructions
-            // The slippage is implicit and hard to extract from the transaction data
-            if (dexPlatform === 'PUMPFUN') {
-                this.logInfo(`[SLIPPAGE-DETECTIVE] ℹ️ Bypassing instruction check for PUMPFUN. Using default slippage.`);
-                return null; // Will fall back to default slippage
-            }
-            // ==========================================================
-            
             // Find the real DEX instruction in the transaction
             const realDexInstruction = this._findRealDexInstruction(normalizedTx, dexPlatform);
             if (!realDexInstruction) {
@@ -977,7 +1156,11 @@ class TraderMonitorWorker extends BaseWorker {
                 'RAYDIUMV4': 'RAYDIUM_V4',
                 'RAYDIUMCLMM': 'RAYDIUM_CLMM',
                 'METEORA': 'METEORA_DLMM',
-                'ORCA': 'WHIRLPOOL'
+                'ORCA': 'WHIRLPOOL',
+                'RAYDIUMLAUNCHPAD': 'RAYDIUM_LAUNCHPAD',
+                'METEORADLMM': 'METEORA_DLMM',
+                'METEORADBC': 'METEORA_DBC',
+                'METEORACPAMM': 'METEORA_CP_AMM'
             };
             
             const configKey = platformMapping[dexPlatform] || dexPlatform;
@@ -1329,18 +1512,20 @@ class TraderMonitorWorker extends BaseWorker {
         try {
             // For PumpFun, we estimate slippage based on the maxSolCost vs actual SOL change
             const actualSolChange = Math.abs(layer4Result.solChange || 0);
-            const maxSolCost = decodedArgs.minimumAmountOut; // This is maxSolCost for PumpFun
+            const solBound = decodedArgs.minimumAmountOut; // maxSolCost on a buy, minSolOutput on a sell
             
-            if (actualSolChange === 0 || maxSolCost === 0) {
-                this.logInfo(`[SLIPPAGE-DETECTIVE] ⚠️ Cannot calculate PumpFun slippage: actualSolChange=${actualSolChange}, maxSolCost=${maxSolCost}`);
+            if (actualSolChange === 0 || solBound === 0) {
+                this.logInfo(`[SLIPPAGE-DETECTIVE] ⚠️ Cannot calculate PumpFun slippage: actualSolChange=${actualSolChange}, solBound=${solBound}`);
                 return null;
             }
             
-            // Calculate slippage as the difference between max cost and actual cost
-            const slippagePercent = ((maxSolCost - actualSolChange) / maxSolCost) * 100;
+            // Buys: how far under their max cost they paid. Sells: how far above their minimum output they received.
+            const slippagePercent = layer4Result.tradeType === 'sell'
+                ? ((actualSolChange - solBound) / actualSolChange) * 100
+                : ((solBound - actualSolChange) / solBound) * 100;
             const slippageBps = Math.round(slippagePercent * 100);
             
-            this.logInfo(`[SLIPPAGE-DETECTIVE] 🔧 PumpFun slippage: maxSolCost=${maxSolCost}, actualSolChange=${actualSolChange}, slippage=${slippageBps} bps`);
+            this.logInfo(`[SLIPPAGE-DETECTIVE] 🔧 PumpFun ${layer4Result.tradeType || 'buy'} slippage: solBound=${solBound}, actualSolChange=${actualSolChange}, slippage=${slippageBps} bps`);
             
             // Sanity check: slippage should be reasonable (0-50%)
             if (slippageBps < 0 || slippageBps > 5000) {
@@ -1988,6 +2173,7 @@ class TraderMonitorWorker extends BaseWorker {
                     traderWallet: sourceWallet,
                     traderName: traderName,
                     signature: signature,
+                    detectedAt: detectionStartTime,
                     analysisResult: {
                         isCopyable: analysisResult.isCopyable,
                         swapDetails: {
@@ -2002,14 +2188,37 @@ class TraderMonitorWorker extends BaseWorker {
                             requiresATACreation: analysisResult.swapDetails.requiresATACreation,
                             requiresPDARecovery: analysisResult.swapDetails.requiresPDARecovery,
                             masterTraderSlippageBps: analysisResult.swapDetails.masterTraderSlippageBps, // This is a number
+                            traderComputeUnitPrice: analysisResult.swapDetails.traderComputeUnitPrice, // Micro-lamports per CU, or null
+                            sellFraction: analysisResult.swapDetails.sellFraction, // 0..1, sells only
+                            traderOutputAmount: analysisResult.swapDetails.traderOutputAmount, // Lamports, sells only
+                            poolId: analysisResult.swapDetails.poolId, // Pool the trader swapped through, when extractable
+                            dexInstruction: analysisResult.swapDetails.dexInstruction, // Trader's raw swap instruction (Raydium AMM v4/CPMM/CLMM/Launchpad, Meteora)
                         },
                         summary: analysisResult.summary, // This is a string
                         reason: analysisResult.reason, // This is a string
                     }
                 };
-                
+
+                // Every tracked buy counts towards consensus, whoever copies it; recorded before the job so the executor sees it
+                if (analysisResult.swapDetails.tradeType === 'buy') {
+                    await this.redisManager.recordConsensusBuy(analysisResult.swapDetails.outputMint, sourceWallet, detectionStartTime).catch(error => {
+                        console.warn(`[MONITOR-BRAIN] ⚠️ Could not record consensus buy for ${shortenAddress(signature)}: ${error.message}`);
+                    });
+                }
+
+                // Queued in Redis first so the job outlives an executor that is down or restarting.
+                // null means this signature is already queued or processed; undefined (Redis error) falls back to the signal alone.
+                const jobId = await this.redisManager.addToTradeQueue(messagePayload).catch(error => {
+                    console.warn(`[MONITOR-BRAIN] ⚠️ Could not queue job for ${shortenAddress(signature)}, signalling only: ${error.message}`);
+                    return undefined;
+                });
+                if (jobId === null) {
+                    console.log(`[MONITOR-BRAIN] ⏭️ ${shortenAddress(signature)} is already queued or processed. Not forwarding again.`);
+                    return;
+                }
+
                 console.log(`🚀 FORWARDING PURIFIED COPY TRADE to executor...`);
-                this.signalMessage('EXECUTE_COPY_TRADE', messagePayload);
+                this.signalMessage('EXECUTE_COPY_TRADE', { ...messagePayload, jobId });
                 
                 // 🔧 PERFORMANCE: Record successful detection latency
                 const detectionLatency = Date.now() - detectionStartTime;
@@ -2168,6 +2377,13 @@ class TraderMonitorWorker extends BaseWorker {
             // =======================================================================
             // PERFORM ANALYSIS IN MONITOR (as originally designed)
             const analysisResult = this._isPotentiallyATrade(normalizedTx, sourceWallet);
+
+            // Mirror the SHAPE of a sell: how much of their bag did the trader just exit?
+            if (analysisResult && analysisResult.swapDetails?.tradeType === 'sell') {
+                const sellFraction = this._calculateTraderSellFraction(normalizedTx, sourceWallet, analysisResult.swapDetails.inputMint);
+                analysisResult.swapDetails.sellFraction = sellFraction;
+                this.logInfo(`[MONITOR] 📉 ${displayName} sold ${(sellFraction * 100).toFixed(2)}% of their ${shortenAddress(analysisResult.swapDetails.inputMint)} balance`);
+            }
             
             // ================================================================
             // ======================== THE FIX ===============================